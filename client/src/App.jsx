@@ -6,6 +6,7 @@ import { LoadingSpinner } from './components/LoadingSpinner';
 import { Navbar } from './components/Navbar';
 import { Footer } from './components/Footer';
 import { Toast } from './components/Toast';
+import ImpersonationBanner from './components/ImpersonationBanner';
 
 // Lazy load components for better performance
 const Home = React.lazy(() => import('./pages/Home'));
@@ -17,6 +18,10 @@ const PostDetail = React.lazy(() => import('./pages/PostDetail'));
 const CreatePost = React.lazy(() => import('./pages/CreatePost'));
 const EditPost = React.lazy(() => import('./pages/EditPost'));
 const Profile = React.lazy(() => import('./pages/Profile'));
+const AuthorProfile = React.lazy(() => import('./pages/AuthorProfile'));
+const AdminCategories = React.lazy(() => import('./pages/AdminCategories'));
+const TagPosts = React.lazy(() => import('./pages/TagPosts'));
+const OAuthCallback = React.lazy(() => import('./pages/OAuthCallback'));
 const Search = React.lazy(() => import('./pages/Search'));
 const About = React.lazy(() => import('./pages/About'));
 const NotFound = React.lazy(() => import('./pages/NotFound'));
@@ -57,6 +62,7 @@ const GuestRoute = ({ children }) => {
 const AppLayout = ({ children }) => {
   return (
     <div className="app" data-testid="app-container">
+      <ImpersonationBanner />
       <Navbar />
       <main className="main-content" data-testid="main-content">
         <ErrorBoundary>
@@ -110,6 +116,8 @@ function App() {
               <Route path="/" element={<Home />} />
               <Route path="/posts" element={<Posts />} />
               <Route path="/posts/:id" element={<PostDetail />} />
+              <Route path="/u/:username" element={<AuthorProfile />} />
+              <Route path="/tags/:tag" element={<TagPosts />} />
               <Route path="/search" element={<Search />} />
               <Route path="/about" element={<About />} />
 
@@ -122,6 +130,14 @@ function App() {
                   </GuestRoute>
                 }
               />
+              <Route
+                path="/oauth/callback"
+                element={
+                  <GuestRoute>
+                    <OAuthCallback />
+                  </GuestRoute>
+                }
+              />
               <Route
                 path="/register"
                 element={
@@ -164,6 +180,14 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/admin/categories"
+                element={
+                  <ProtectedRoute>
+                    <AdminCategories />
+                  </ProtectedRoute>
+                }
+              />
 
               {/* 404 Route */}
               <Route path="*" element={<NotFound />} />
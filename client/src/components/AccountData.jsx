@@ -0,0 +1,163 @@
+// AccountData.jsx - Personal data download and account deletion controls
+
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../utils/api';
+import Button from './Button';
+import './AccountData.css';
+
+// Hand a Blob to the browser as a file download
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+const AccountData = () => {
+  const { user, deleteAccount } = useAuth();
+  const [exporting, setExporting] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [deleting, setDeleting] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+
+  const mfaEnabled = Boolean(user?.mfa?.enabled);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+
+    try {
+      const blob = await authAPI.exportData();
+      const date = new Date().toISOString().slice(0, 10);
+      saveBlob(blob, `${user.username}-data-${date}.json`);
+    } catch (err) {
+      setError(err.response?.status === 429
+        ? 'Too many export requests, please try again later'
+        : 'Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async (event) => {
+    event.preventDefault();
+    setDeleting(true);
+    setError(null);
+
+    const result = await deleteAccount(password, mfaEnabled ? { code: code.trim() } : {});
+
+    // On success the provider signs out, which unmounts this page
+    if (!result.success) {
+      setError(result.error);
+      setDeleting(false);
+    }
+  };
+
+  const cancelDelete = () => {
+    setConfirming(false);
+    setPassword('');
+    setCode('');
+    setError(null);
+  };
+
+  return (
+    <section className="account-data" data-testid="account-data">
+      <h2 className="account-data__title">Your Data</h2>
+
+      {error && (
+        <div className="account-data__error" role="alert" data-testid="account-data-error">
+          {error}
+        </div>
+      )}
+
+      <div className="account-data__row">
+        <p className="account-data__text">
+          Download a copy of your profile, posts, comments and sign-in activity.
+        </p>
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={handleExport}
+          disabled={exporting}
+          data-testid="export-data-button"
+        >
+          {exporting ? 'Preparing...' : 'Download data'}
+        </Button>
+      </div>
+
+      {confirming ? (
+        <form className="account-data__form" onSubmit={handleDelete} data-testid="delete-account-form">
+          <p className="account-data__warning">
+            Your account will be closed immediately and permanently removed after a grace period.
+            Your posts stay up without your name on them.
+          </p>
+
+          <label htmlFor="delete-password" className="account-data__label">
+            Confirm your password
+          </label>
+          <input
+            id="delete-password"
+            type="password"
+            autoComplete="current-password"
+            className="account-data__input"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+          />
+
+          {mfaEnabled && (
+            <>
+              <label htmlFor="delete-code" className="account-data__label">
+                Verification code
+              </label>
+              <input
+                id="delete-code"
+                type="text"
+                autoComplete="one-time-code"
+                inputMode="numeric"
+                className="account-data__input"
+                value={code}
+                onChange={(event) => setCode(event.target.value)}
+              />
+            </>
+          )}
+
+          <div className="account-data__actions">
+            <Button variant="secondary" size="sm" onClick={cancelDelete} disabled={deleting}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant="danger"
+              size="sm"
+              disabled={deleting || !password || (mfaEnabled && !code.trim())}
+              data-testid="confirm-delete-button"
+            >
+              {deleting ? 'Deleting...' : 'Delete my account'}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        <div className="account-data__row">
+          <p className="account-data__text">Close your account and remove your personal data.</p>
+          <Button
+            variant="danger"
+            size="sm"
+            onClick={() => setConfirming(true)}
+            data-testid="delete-account-button"
+          >
+            Delete account
+          </Button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default AccountData;
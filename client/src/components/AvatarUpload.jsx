@@ -0,0 +1,113 @@
+// AvatarUpload.jsx - Lets the user replace or remove their avatar
+
+import React, { useRef, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { uploadsAPI, assetUrl } from '../utils/api';
+import Button from './Button';
+import './AvatarUpload.css';
+
+// Mirrors the server's limits so obviously bad files fail before uploading
+const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_BYTES = 5 * 1024 * 1024;
+
+const AvatarUpload = () => {
+  const { user, updateUser } = useAuth();
+  const inputRef = useRef(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    if (!ACCEPTED_TYPES.includes(file.type)) {
+      setError('Choose a JPEG, PNG or WebP image');
+      return;
+    }
+
+    if (file.size > MAX_BYTES) {
+      setError('Image must be smaller than 5 MB');
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+
+    try {
+      const response = await uploadsAPI.uploadAvatar(file);
+      updateUser({ ...user, avatar: response.data.user.avatar });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to upload avatar');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    setUploading(true);
+    setError(null);
+
+    try {
+      await uploadsAPI.removeAvatar();
+      updateUser({ ...user, avatar: '' });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove avatar');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="avatar-upload" data-testid="avatar-upload">
+      {user.avatar ? (
+        <img src={assetUrl(user.avatar)} alt={user.username} className="avatar-upload__image" />
+      ) : (
+        <div className="avatar-upload__placeholder" aria-hidden="true">
+          {user.username.charAt(0).toUpperCase()}
+        </div>
+      )}
+
+      <div className="avatar-upload__controls">
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPTED_TYPES.join(',')}
+          className="avatar-upload__input"
+          onChange={handleFileChange}
+          data-testid="avatar-input"
+        />
+        <Button
+          variant="secondary"
+          size="sm"
+          onClick={() => inputRef.current.click()}
+          disabled={uploading}
+        >
+          {uploading ? 'Uploading...' : 'Change avatar'}
+        </Button>
+        {user.avatar && (
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={handleRemove}
+            disabled={uploading}
+            data-testid="remove-avatar-button"
+          >
+            Remove
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <p className="avatar-upload__error" role="alert" data-testid="avatar-error">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AvatarUpload;
@@ -0,0 +1,306 @@
+// CategoryManager.jsx - Admin list and form for creating, editing and deleting categories
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { categoriesAPI } from '../utils/api';
+import Button from './Button';
+import './CategoryManager.css';
+
+const FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'true', label: 'Active' },
+  { value: 'false', label: 'Inactive' },
+];
+
+const EMPTY_FORM = { name: '', slug: '', description: '', color: '#3B82F6', parent: '' };
+
+// Root-first path of a category, e.g. "Engineering › Frontend › React"
+const categoryPath = (category, byId) => {
+  return [...category.ancestors.map((id) => byId.get(id)?.name), category.name]
+    .filter(Boolean)
+    .join(' › ');
+};
+
+const CategoryManager = () => {
+  const [categories, setCategories] = useState([]);
+  // Unfiltered list, for parent choices and paths
+  const [allCategories, setAllCategories] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Category whose posts must be moved before it can be deleted
+  const [reassigning, setReassigning] = useState(null);
+
+  const loadCategories = useCallback(async () => {
+    try {
+      const [response, all] = await Promise.all([
+        categoriesAPI.getCategories(filter ? { isActive: filter } : {}),
+        filter ? categoriesAPI.getCategories() : null,
+      ]);
+      setCategories(response.data.categories);
+      setAllCategories((all || response).data.categories);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load categories');
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    loadCategories();
+  }, [loadCategories]);
+
+  const updateField = (field) => (event) => {
+    setForm((current) => ({ ...current, [field]: event.target.value }));
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const startEditing = (category) => {
+    setEditingId(category._id);
+    setForm({
+      name: category.name,
+      slug: category.slug,
+      description: category.description || '',
+      color: category.color,
+      parent: category.parent || '',
+    });
+    setError(null);
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    // An empty slug on create lets the server derive one from the name
+    const values = { ...form, slug: form.slug.trim() || undefined, parent: form.parent || null };
+
+    try {
+      if (editingId) {
+        await categoriesAPI.updateCategory(editingId, values);
+      } else {
+        await categoriesAPI.createCategory(values);
+      }
+      resetForm();
+      await loadCategories();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save category');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (category) => {
+    setError(null);
+
+    try {
+      await categoriesAPI.updateCategory(category._id, { isActive: !category.isActive });
+      await loadCategories();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update category');
+    }
+  };
+
+  const handleDelete = async (category, reassignTo) => {
+    setError(null);
+
+    try {
+      await categoriesAPI.deleteCategory(category._id, reassignTo);
+      setReassigning(null);
+      if (editingId === category._id) {
+        resetForm();
+      }
+      await loadCategories();
+    } catch (err) {
+      if (err.response?.status === 409) {
+        // Ask where the posts should go before deleting
+        setReassigning({ category, postCount: err.response.data.data.postCount, target: '' });
+      } else {
+        setError(err.response?.data?.message || 'Failed to delete category');
+      }
+    }
+  };
+
+  const byId = new Map(allCategories.map((category) => [category._id, category]));
+
+  // A category cannot move under itself or anything below it
+  const parentChoices = allCategories.filter((category) => (
+    !editingId || (category._id !== editingId && !category.ancestors.includes(editingId))
+  ));
+
+  const reassignTargets = reassigning
+    ? allCategories.filter((category) => category.isActive && category._id !== reassigning.category._id)
+    : [];
+
+  return (
+    <section className="category-manager" data-testid="category-manager">
+      {error && (
+        <div className="category-manager__error" role="alert" data-testid="category-manager-error">
+          {error}
+        </div>
+      )}
+
+      <form className="category-manager__form" onSubmit={handleSubmit} data-testid="category-form">
+        <h2 className="category-manager__title">{editingId ? 'Edit category' : 'New category'}</h2>
+
+        <label htmlFor="category-name" className="category-manager__label">Name</label>
+        <input
+          id="category-name"
+          className="category-manager__input"
+          value={form.name}
+          onChange={updateField('name')}
+          required
+          minLength={2}
+          maxLength={50}
+        />
+
+        <label htmlFor="category-slug" className="category-manager__label">Slug</label>
+        <input
+          id="category-slug"
+          className="category-manager__input"
+          value={form.slug}
+          onChange={updateField('slug')}
+          placeholder="Generated from the name"
+        />
+
+        <label htmlFor="category-parent" className="category-manager__label">Parent</label>
+        <select
+          id="category-parent"
+          className="category-manager__input"
+          value={form.parent}
+          onChange={updateField('parent')}
+        >
+          <option value="">None (top level)</option>
+          {parentChoices.map((category) => (
+            <option key={category._id} value={category._id}>{categoryPath(category, byId)}</option>
+          ))}
+        </select>
+
+        <label htmlFor="category-description" className="category-manager__label">Description</label>
+        <input
+          id="category-description"
+          className="category-manager__input"
+          value={form.description}
+          onChange={updateField('description')}
+          maxLength={200}
+        />
+
+        <label htmlFor="category-color" className="category-manager__label">Color</label>
+        <input
+          id="category-color"
+          type="color"
+          className="category-manager__color"
+          value={form.color}
+          onChange={updateField('color')}
+        />
+
+        <div className="category-manager__actions">
+          {editingId && (
+            <Button variant="secondary" size="sm" onClick={resetForm} disabled={saving}>
+              Cancel
+            </Button>
+          )}
+          <Button
+            type="submit"
+            size="sm"
+            disabled={saving || form.name.trim().length < 2}
+            data-testid="save-category-button"
+          >
+            {saving ? 'Saving...' : editingId ? 'Save changes' : 'Create category'}
+          </Button>
+        </div>
+      </form>
+
+      <div className="category-manager__filters" role="group" aria-label="Filter categories">
+        {FILTERS.map((option) => (
+          <button
+            key={option.label}
+            type="button"
+            aria-pressed={filter === option.value}
+            className={`category-manager__filter${filter === option.value ? ' category-manager__filter--active' : ''}`}
+            onClick={() => setFilter(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <p className="category-manager__status" data-testid="category-manager-loading">Loading categories...</p>
+      ) : categories.length === 0 ? (
+        <p className="category-manager__status">No categories yet.</p>
+      ) : (
+        <ul className="category-manager__items">
+          {categories.map((category) => (
+            <li key={category._id} className="category-manager__item" data-testid="category-item">
+              <span className="category-manager__swatch" style={{ backgroundColor: category.color }} />
+              <div className="category-manager__details">
+                <span className="category-manager__name">{categoryPath(category, byId)}</span>
+                <span className="category-manager__meta">
+                  /{category.slug} · {category.postCount || 0} published
+                  {!category.isActive && ' · inactive'}
+                </span>
+              </div>
+
+              {reassigning?.category._id === category._id ? (
+                <div className="category-manager__reassign" data-testid="category-reassign">
+                  <label htmlFor="category-reassign" className="category-manager__label">
+                    Move its {reassigning.postCount} post(s) to
+                  </label>
+                  <select
+                    id="category-reassign"
+                    className="category-manager__input"
+                    value={reassigning.target}
+                    onChange={(event) => setReassigning({ ...reassigning, target: event.target.value })}
+                  >
+                    <option value="">Choose a category</option>
+                    {reassignTargets.map((target) => (
+                      <option key={target._id} value={target._id}>{categoryPath(target, byId)}</option>
+                    ))}
+                  </select>
+                  <Button variant="secondary" size="sm" onClick={() => setReassigning(null)}>
+                    Cancel
+                  </Button>
+                  <Button
+                    variant="danger"
+                    size="sm"
+                    disabled={!reassigning.target}
+                    onClick={() => handleDelete(category, reassigning.target)}
+                    data-testid="confirm-reassign-button"
+                  >
+                    Move and delete
+                  </Button>
+                </div>
+              ) : (
+                <div className="category-manager__actions">
+                  <Button variant="secondary" size="sm" onClick={() => startEditing(category)}>
+                    Edit
+                  </Button>
+                  <Button variant="secondary" size="sm" onClick={() => toggleActive(category)}>
+                    {category.isActive ? 'Deactivate' : 'Activate'}
+                  </Button>
+                  <Button
+                    variant="danger"
+                    size="sm"
+                    onClick={() => handleDelete(category)}
+                    data-testid={`delete-category-${category.slug}`}
+                  >
+                    Delete
+                  </Button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default CategoryManager;
@@ -0,0 +1,115 @@
+// DeviceList.jsx - Lists the user's signed-in devices with revoke actions
+
+import React, { useEffect, useState } from 'react';
+import { authAPI } from '../utils/api';
+import Button from './Button';
+import './DeviceList.css';
+
+const formatDateTime = (date) => {
+  return new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const DeviceList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSessions = async () => {
+      try {
+        const response = await authAPI.getSessions();
+        if (!cancelled) {
+          setSessions(response.data.sessions);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.message || 'Failed to load devices');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadSessions();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setRevokingId(sessionId);
+    setError(null);
+
+    try {
+      await authAPI.revokeSession(sessionId);
+      setSessions((current) => current.filter((session) => session._id !== sessionId));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <section className="device-list" data-testid="device-list">
+      <h2 className="device-list__title">Devices</h2>
+
+      {error && (
+        <div className="device-list__error" role="alert" data-testid="device-list-error">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="device-list__status" data-testid="device-list-loading">Loading devices...</p>
+      ) : sessions.length === 0 ? (
+        <p className="device-list__status">No active devices.</p>
+      ) : (
+        <ul className="device-list__items">
+          {sessions.map((session) => (
+            <li key={session._id} className="device-list__item" data-testid="device-item">
+              <div className="device-list__details">
+                <span className="device-list__agent">
+                  {session.userAgent || 'Unknown device'}
+                  {session.current && (
+                    <span className="device-list__current"> (this device)</span>
+                  )}
+                </span>
+                <span className="device-list__meta">
+                  {session.ip} · Signed in {formatDateTime(session.createdAt)} · Last seen{' '}
+                  {formatDateTime(session.lastSeenAt)}
+                </span>
+              </div>
+
+              {!session.current && (
+                <Button
+                  variant="danger"
+                  size="sm"
+                  onClick={() => handleRevoke(session._id)}
+                  disabled={revokingId === session._id}
+                  data-testid="revoke-device-button"
+                >
+                  {revokingId === session._id ? 'Revoking...' : 'Revoke'}
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default DeviceList;
@@ -0,0 +1,41 @@
+// ImpersonationBanner.jsx - Warns an admin that they are acting as another user
+
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import Button from './Button';
+import './ImpersonationBanner.css';
+
+const ImpersonationBanner = () => {
+  const { user, impersonator, stopImpersonation } = useAuth();
+  const [stopping, setStopping] = useState(false);
+
+  if (!impersonator) {
+    return null;
+  }
+
+  const handleStop = async () => {
+    setStopping(true);
+    await stopImpersonation();
+    setStopping(false);
+  };
+
+  return (
+    <div className="impersonation-banner" role="status" data-testid="impersonation-banner">
+      <span className="impersonation-banner__text">
+        You are viewing the site as <strong>{user?.username}</strong>. Signed in as{' '}
+        {impersonator.username}.
+      </span>
+      <Button
+        variant="warning"
+        size="sm"
+        onClick={handleStop}
+        disabled={stopping}
+        data-testid="stop-impersonating-button"
+      >
+        {stopping ? 'Stopping...' : 'Stop impersonating'}
+      </Button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
@@ -6,7 +6,117 @@ import { useForm } from 'react-hook-form';
 import Button from './Button';
 import './LoginForm.css';
 
-const LoginForm = ({ onSubmit, loading = false, error = null }) => {
+// Second sign-in step, shown when the account has two-factor authentication on
+const MfaStep = ({ onSubmit, loading, error }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  const {
+    register,
+    handleSubmit,
+    formState: { errors, isValid },
+    reset,
+  } = useForm({
+    mode: 'onChange',
+    defaultValues: {
+      code: '',
+    },
+  });
+
+  const onFormSubmit = ({ code }) => {
+    onSubmit(useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() });
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    reset({ code: '' });
+  };
+
+  return (
+    <div className="login-form" data-testid="mfa-form">
+      <div className="login-form__header">
+        <h2 className="login-form__title">Two-Factor Authentication</h2>
+        <p className="login-form__subtitle">
+          {useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+      </div>
+
+      {error && (
+        <div className="login-form__error" role="alert" data-testid="form-error">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit(onFormSubmit)} className="login-form__form">
+        <div className="login-form__field">
+          <label htmlFor="mfa-code" className="login-form__label">
+            {useRecoveryCode ? 'Recovery Code' : 'Verification Code'}
+          </label>
+          <input
+            id="mfa-code"
+            type="text"
+            autoComplete="one-time-code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            className={`login-form__input ${errors.code ? 'login-form__input--error' : ''}`}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            data-testid="mfa-code-input"
+            {...register('code', {
+              required: 'Code is required',
+              pattern: useRecoveryCode
+                ? { value: /^\s*[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}\s*$/, message: 'Please enter a valid recovery code' }
+                : { value: /^\s*\d{6}\s*$/, message: 'Code must be 6 digits' },
+            })}
+          />
+          {errors.code && (
+            <span className="login-form__field-error" role="alert" data-testid="mfa-code-error">
+              {errors.code.message}
+            </span>
+          )}
+        </div>
+
+        <div className="login-form__actions">
+          <Button
+            type="submit"
+            variant="primary"
+            size="lg"
+            disabled={!isValid || loading}
+            className="login-form__submit-btn"
+            data-testid="mfa-submit-button"
+          >
+            {loading ? 'Verifying...' : 'Verify'}
+          </Button>
+        </div>
+
+        <div className="login-form__footer">
+          <button
+            type="button"
+            className="login-form__link login-form__link-button"
+            onClick={toggleRecoveryCode}
+            data-testid="mfa-recovery-toggle"
+          >
+            {useRecoveryCode ? 'Use your authenticator app' : 'Use a recovery code'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+MfaStep.propTypes = {
+  onSubmit: PropTypes.func.isRequired,
+  loading: PropTypes.bool,
+  error: PropTypes.string,
+};
+
+const LoginForm = ({
+  onSubmit,
+  loading = false,
+  error = null,
+  mfaRequired = false,
+  onMfaSubmit,
+  providers = [],
+}) => {
   const [showPassword, setShowPassword] = useState(false);
   
   const {
@@ -31,6 +141,10 @@ const LoginForm = ({ onSubmit, loading = false, error = null }) => {
     setShowPassword(!showPassword);
   };
 
+  if (mfaRequired) {
+    return <MfaStep onSubmit={onMfaSubmit} loading={loading} error={error} />;
+  }
+
   return (
     <div className="login-form" data-testid="login-form">
       <div className="login-form__header">
@@ -119,6 +233,22 @@ const LoginForm = ({ onSubmit, loading = false, error = null }) => {
           </Button>
         </div>
 
+        {providers.length > 0 && (
+          <div className="login-form__providers" data-testid="login-providers">
+            <span className="login-form__divider">or</span>
+            {providers.map((provider) => (
+              <a
+                key={provider.id}
+                href={provider.loginUrl}
+                className="login-form__provider-btn"
+                data-testid={`provider-${provider.id}`}
+              >
+                Sign in with {provider.name}
+              </a>
+            ))}
+          </div>
+        )}
+
         <div className="login-form__footer">
           <p className="login-form__footer-text">
             Don't have an account?{' '}
@@ -139,6 +269,13 @@ LoginForm.propTypes = {
   onSubmit: PropTypes.func.isRequired,
   loading: PropTypes.bool,
   error: PropTypes.string,
+  mfaRequired: PropTypes.bool,
+  onMfaSubmit: PropTypes.func,
+  providers: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    loginUrl: PropTypes.string.isRequired,
+  })),
 };
 
 export default LoginForm;
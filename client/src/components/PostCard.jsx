@@ -4,8 +4,12 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { Link } from 'react-router-dom';
 import Button from './Button';
+import { assetUrl } from '../utils/api';
 import './PostCard.css';
 
+// Shown when the author's account has been purged and the post anonymised
+const DELETED_AUTHOR_NAME = 'Deleted user';
+
 const PostCard = ({
   post,
   onLike,
@@ -19,6 +23,7 @@ const PostCard = ({
     excerpt,
     author,
     category,
+    tags,
     createdAt,
     views,
     likeCount,
@@ -51,7 +56,7 @@ const PostCard = ({
     <article className="post-card" data-testid="post-card">
       {featuredImage && (
         <div className="post-card__image">
-          <img src={featuredImage} alt={title} />
+          <img src={assetUrl(featuredImage)} alt={title} />
         </div>
       )}
       
@@ -75,22 +80,41 @@ const PostCard = ({
           <p className="post-card__excerpt">{excerpt}</p>
         )}
 
+        {tags?.length > 0 && (
+          <ul className="post-card__tags">
+            {tags.map((tag) => (
+              <li key={tag}>
+                <Link to={`/tags/${encodeURIComponent(tag)}`} className="post-card__tag">
+                  #{tag}
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+
         <footer className="post-card__footer">
           <div className="post-card__meta">
             <div className="post-card__author">
-              {author.avatar && (
+              {author?.avatar && (
                 <img 
-                  src={author.avatar} 
+                  src={assetUrl(author.avatar)} 
                   alt={author.username}
                   className="post-card__author-avatar"
                 />
               )}
-              <span className="post-card__author-name">
-                {author.firstName && author.lastName 
-                  ? `${author.firstName} ${author.lastName}`
-                  : author.username
-                }
-              </span>
+              {author ? (
+                <Link
+                  to={`/u/${encodeURIComponent(author.username)}`}
+                  className="post-card__author-name post-card__author-link"
+                >
+                  {author.firstName && author.lastName 
+                    ? `${author.firstName} ${author.lastName}`
+                    : author.username
+                  }
+                </Link>
+              ) : (
+                <span className="post-card__author-name">{DELETED_AUTHOR_NAME}</span>
+              )}
             </div>
             
             <div className="post-card__stats">
@@ -139,11 +163,12 @@ PostCard.propTypes = {
       firstName: PropTypes.string,
       lastName: PropTypes.string,
       avatar: PropTypes.string,
-    }).isRequired,
+    }),
     category: PropTypes.shape({
       name: PropTypes.string.isRequired,
       color: PropTypes.string,
     }),
+    tags: PropTypes.arrayOf(PropTypes.string),
     createdAt: PropTypes.string.isRequired,
     views: PropTypes.number,
     likeCount: PropTypes.number,
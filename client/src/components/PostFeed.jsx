@@ -0,0 +1,101 @@
+// PostFeed.jsx - Paged list of posts from any list endpoint
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from './Button';
+import PostCard from './PostCard';
+import './PostFeed.css';
+
+const PostFeed = ({ loadPage, currentUser, emptyMessage = 'No posts yet.' }) => {
+  const [posts, setPosts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadFirstPage = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await loadPage({ page: 1 });
+        if (!cancelled) {
+          setPosts(response.data.posts);
+          setPagination(response.data.pagination);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.message || 'Failed to load posts');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadFirstPage();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [loadPage]);
+
+  const handleLoadMore = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await loadPage({ page: pagination.currentPage + 1 });
+      setPosts((current) => [...current, ...response.data.posts]);
+      setPagination(response.data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load posts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="post-feed" data-testid="post-feed">
+      {error && (
+        <div className="post-feed__error" role="alert" data-testid="post-feed-error">
+          {error}
+        </div>
+      )}
+
+      {!loading && !error && posts.length === 0 && (
+        <p className="post-feed__status" data-testid="post-feed-empty">{emptyMessage}</p>
+      )}
+
+      <div className="post-feed__items">
+        {posts.map((post) => (
+          <PostCard key={post._id} post={post} currentUser={currentUser} showActions={false} />
+        ))}
+      </div>
+
+      {loading && (
+        <p className="post-feed__status" data-testid="post-feed-loading">Loading posts...</p>
+      )}
+
+      {!loading && pagination?.hasNextPage && (
+        <div className="post-feed__more">
+          <Button variant="secondary" onClick={handleLoadMore} data-testid="post-feed-more">
+            Load more
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+PostFeed.propTypes = {
+  // Called with { page }; resolves to { data: { posts, pagination } }. Keep it stable between renders.
+  loadPage: PropTypes.func.isRequired,
+  currentUser: PropTypes.object,
+  emptyMessage: PropTypes.string,
+};
+
+export default PostFeed;
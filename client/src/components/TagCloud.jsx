@@ -0,0 +1,66 @@
+// TagCloud.jsx - The most used tags, sized by how often they are used
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import { tagsAPI } from '../utils/api';
+import './TagCloud.css';
+
+const TagCloud = ({ limit = 30 }) => {
+  const [tags, setTags] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTags = async () => {
+      try {
+        const response = await tagsAPI.getTagCloud({ limit });
+        if (!cancelled) {
+          setTags(response.data.tags);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.data?.message || 'Failed to load tags');
+        }
+      }
+    };
+
+    loadTags();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [limit]);
+
+  if (error) {
+    return (
+      <p className="tag-cloud__error" role="alert">{error}</p>
+    );
+  }
+
+  if (tags.length === 0) {
+    return null;
+  }
+
+  return (
+    <nav className="tag-cloud" aria-label="Popular tags" data-testid="tag-cloud">
+      {tags.map((tag) => (
+        <Link
+          key={tag.name}
+          to={`/tags/${encodeURIComponent(tag.name)}`}
+          className={`tag-cloud__tag tag-cloud__tag--weight-${tag.weight}`}
+          title={`${tag.count} post(s)`}
+        >
+          {tag.name}
+        </Link>
+      ))}
+    </nav>
+  );
+};
+
+TagCloud.propTypes = {
+  limit: PropTypes.number,
+};
+
+export default TagCloud;
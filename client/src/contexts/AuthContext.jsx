@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { authAPI } from '../utils/api';
+import { authAPI, usersAPI, COOKIE_AUTH, setImpersonationToken } from '../utils/api';
 import { logger } from '../utils/logger';
 
 // Auth Context
@@ -10,6 +10,7 @@ const AUTH_ACTIONS = {
   LOGIN_START: 'LOGIN_START',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
+  MFA_REQUIRED: 'MFA_REQUIRED',
   LOGOUT: 'LOGOUT',
   REGISTER_START: 'REGISTER_START',
   REGISTER_SUCCESS: 'REGISTER_SUCCESS',
@@ -18,7 +19,10 @@ const AUTH_ACTIONS = {
   LOAD_USER_SUCCESS: 'LOAD_USER_SUCCESS',
   LOAD_USER_FAILURE: 'LOAD_USER_FAILURE',
   CLEAR_ERROR: 'CLEAR_ERROR',
-  UPDATE_USER: 'UPDATE_USER'
+  UPDATE_USER: 'UPDATE_USER',
+  TOKEN_REFRESHED: 'TOKEN_REFRESHED',
+  IMPERSONATION_START: 'IMPERSONATION_START',
+  IMPERSONATION_END: 'IMPERSONATION_END'
 };
 
 // Initial State
@@ -27,7 +31,16 @@ const initialState = {
   token: localStorage.getItem('token'),
   loading: true,
   error: null,
-  isAuthenticated: false
+  isAuthenticated: false,
+  mfaToken: null,
+  // { user, impersonator, expiresAt, ownUser } while an admin acts as another user
+  impersonation: null
+};
+
+// Keep tokens the server sent; in cookie mode it sends none
+const storeTokens = ({ token, refreshToken }) => {
+  if (token) localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
 };
 
 // Auth Reducer
@@ -44,20 +57,32 @@ const authReducer = (state, action) => {
 
     case AUTH_ACTIONS.LOGIN_SUCCESS:
     case AUTH_ACTIONS.REGISTER_SUCCESS:
-      localStorage.setItem('token', action.payload.token);
+      storeTokens(action.payload);
       localStorage.setItem('user', JSON.stringify(action.payload.user));
       return {
         ...state,
         user: action.payload.user,
-        token: action.payload.token,
+        token: action.payload.token || null,
         loading: false,
         error: null,
-        isAuthenticated: true
+        isAuthenticated: true,
+        mfaToken: null
+      };
+
+    case AUTH_ACTIONS.MFA_REQUIRED:
+      return {
+        ...state,
+        loading: false,
+        error: action.payload.error || null,
+        mfaToken: action.payload.mfaToken
       };
 
     case AUTH_ACTIONS.LOAD_USER_SUCCESS:
     case AUTH_ACTIONS.UPDATE_USER:
-      localStorage.setItem('user', JSON.stringify(action.payload));
+      // The stored user always stays the admin's own account
+      if (!state.impersonation) {
+        localStorage.setItem('user', JSON.stringify(action.payload));
+      }
       return {
         ...state,
         user: action.payload,
@@ -66,10 +91,36 @@ const authReducer = (state, action) => {
         isAuthenticated: true
       };
 
+    case AUTH_ACTIONS.TOKEN_REFRESHED:
+      storeTokens(action.payload);
+      return {
+        ...state,
+        token: action.payload.token || null
+      };
+
+    case AUTH_ACTIONS.IMPERSONATION_START:
+      return {
+        ...state,
+        user: action.payload.user,
+        impersonation: {
+          impersonator: action.payload.impersonator,
+          expiresAt: action.payload.expiresAt,
+          ownUser: state.user
+        }
+      };
+
+    case AUTH_ACTIONS.IMPERSONATION_END:
+      return {
+        ...state,
+        user: state.impersonation ? state.impersonation.ownUser : state.user,
+        impersonation: null
+      };
+
     case AUTH_ACTIONS.LOGIN_FAILURE:
     case AUTH_ACTIONS.REGISTER_FAILURE:
     case AUTH_ACTIONS.LOAD_USER_FAILURE:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       return {
         ...state,
@@ -77,11 +128,14 @@ const authReducer = (state, action) => {
         token: null,
         loading: false,
         error: action.payload,
-        isAuthenticated: false
+        isAuthenticated: false,
+        mfaToken: null,
+        impersonation: null
       };
 
     case AUTH_ACTIONS.LOGOUT:
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
       return {
         ...state,
@@ -89,7 +143,9 @@ const authReducer = (state, action) => {
         token: null,
         loading: false,
         error: null,
-        isAuthenticated: false
+        isAuthenticated: false,
+        mfaToken: null,
+        impersonation: null
       };
 
     case AUTH_ACTIONS.CLEAR_ERROR:
@@ -113,7 +169,8 @@ export const AuthProvider = ({ children }) => {
       const token = localStorage.getItem('token');
       const userData = localStorage.getItem('user');
 
-      if (token && userData) {
+      // In cookie mode the stored user is the only hint that a session cookie exists
+      if ((token || COOKIE_AUTH) && userData) {
         try {
           dispatch({ type: AUTH_ACTIONS.LOAD_USER_START });
           
@@ -125,6 +182,16 @@ export const AuthProvider = ({ children }) => {
               type: AUTH_ACTIONS.LOAD_USER_SUCCESS,
               payload: response.data.user
             });
+
+            // Rotate the token pair before the access token runs out
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (response.data.token?.refreshRecommended && (refreshToken || COOKIE_AUTH)) {
+              const refreshed = await authAPI.refresh(refreshToken);
+              dispatch({
+                type: AUTH_ACTIONS.TOKEN_REFRESHED,
+                payload: refreshed.data
+              });
+            }
           } else {
             throw new Error('Token verification failed');
           }
@@ -150,6 +217,15 @@ export const AuthProvider = ({ children }) => {
       
       const response = await authAPI.login(credentials);
       
+      // Hold on to the challenge until the second factor is entered
+      if (response.success && response.data.mfaRequired) {
+        dispatch({
+          type: AUTH_ACTIONS.MFA_REQUIRED,
+          payload: { mfaToken: response.data.mfaToken }
+        });
+        return { success: true, mfaRequired: true };
+      }
+      
       if (response.success) {
         dispatch({
           type: AUTH_ACTIONS.LOGIN_SUCCESS,
@@ -174,6 +250,80 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Finish an external provider sign-in with the values the server redirected back with
+  const completeExternalLogin = async ({ token, refreshToken, mfaToken }) => {
+    if (mfaToken) {
+      dispatch({
+        type: AUTH_ACTIONS.MFA_REQUIRED,
+        payload: { mfaToken }
+      });
+      return { success: true, mfaRequired: true };
+    }
+
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+      
+      const response = await authAPI.verify(token);
+      
+      if (response.success) {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: { user: response.data.user, token, refreshToken }
+        });
+        
+        logger.info('User logged in with external provider:', response.data.user.email);
+        return { success: true, data: response.data };
+      } else {
+        throw new Error(response.message || 'Login failed');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Login failed';
+      logger.error('Auth context - External login error:', errorMessage);
+      
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_FAILURE,
+        payload: errorMessage
+      });
+      
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Complete a two-factor sign-in with { code } or { recoveryCode }
+  const verifyMfa = async (factor) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.LOGIN_START });
+      
+      const response = await authAPI.verifyMfa(state.mfaToken, factor);
+      
+      if (response.success) {
+        dispatch({
+          type: AUTH_ACTIONS.LOGIN_SUCCESS,
+          payload: response.data
+        });
+        
+        logger.info('User logged in with two-factor authentication:', response.data.user.email);
+        return { success: true, data: response.data };
+      } else {
+        throw new Error(response.message || 'Verification failed');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Verification failed';
+      logger.error('Auth context - MFA verification error:', errorMessage);
+      
+      // An expired challenge sends the user back to the password step
+      dispatch({
+        type: AUTH_ACTIONS.MFA_REQUIRED,
+        payload: {
+          mfaToken: error.response?.data?.code === 'mfa_challenge_invalid' ? null : state.mfaToken,
+          error: errorMessage
+        }
+      });
+      
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Register function
   const register = async (userData) => {
     try {
@@ -208,9 +358,12 @@ export const AuthProvider = ({ children }) => {
   // Logout function
   const logout = async () => {
     try {
+      // End an impersonation first so the logout applies to the admin's own session
+      setImpersonationToken(null);
+      
       // Call logout API to invalidate token on server
-      if (state.token) {
-        await authAPI.logout(state.token);
+      if (state.token || (COOKIE_AUTH && state.isAuthenticated)) {
+        await authAPI.logout(state.token, localStorage.getItem('refreshToken'));
       }
     } catch (error) {
       logger.error('Auth context - Logout API error:', error);
@@ -220,6 +373,71 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Act as another user with a short-lived token (admins only)
+  const startImpersonation = async (userId) => {
+    try {
+      const response = await usersAPI.impersonate(userId);
+      
+      setImpersonationToken(response.data.token);
+      dispatch({
+        type: AUTH_ACTIONS.IMPERSONATION_START,
+        payload: response.data
+      });
+      
+      logger.info('Impersonation started:', response.data.user.email);
+      return { success: true, data: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Impersonation failed';
+      logger.error('Auth context - Impersonation error:', errorMessage);
+      
+      return { success: false, error: errorMessage };
+    }
+  };
+
+  // Go back to the admin's own account and revoke the impersonation token
+  const stopImpersonation = async () => {
+    try {
+      await authAPI.logout();
+    } catch (error) {
+      logger.error('Auth context - Stop impersonation error:', error);
+    } finally {
+      setImpersonationToken(null);
+      dispatch({ type: AUTH_ACTIONS.IMPERSONATION_END });
+      logger.info('Impersonation ended');
+    }
+  };
+
+  // End the impersonation when its token runs out
+  useEffect(() => {
+    if (!state.impersonation) {
+      return undefined;
+    }
+
+    const remaining = new Date(state.impersonation.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      setImpersonationToken(null);
+      dispatch({ type: AUTH_ACTIONS.IMPERSONATION_END });
+    }, Math.max(remaining, 0));
+
+    return () => clearTimeout(timer);
+  }, [state.impersonation]);
+
+  // Close the current user's account, then sign out locally
+  const deleteAccount = async (password, factor) => {
+    try {
+      const response = await authAPI.deleteAccount(password, factor);
+      
+      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      logger.info('Account deleted');
+      return { success: true, data: response.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Account deletion failed';
+      logger.error('Auth context - Delete account error:', errorMessage);
+      
+      return { success: false, error: errorMessage };
+    }
+  };
+
   // Update user function
   const updateUser = (userData) => {
     dispatch({
@@ -253,11 +471,18 @@ export const AuthProvider = ({ children }) => {
     loading: state.loading,
     error: state.error,
     isAuthenticated: state.isAuthenticated,
+    mfaRequired: Boolean(state.mfaToken),
+    impersonator: state.impersonation ? state.impersonation.impersonator : null,
     
     // Actions
     login,
+    verifyMfa,
+    completeExternalLogin,
+    startImpersonation,
+    stopImpersonation,
     register,
     logout,
+    deleteAccount,
     updateUser,
     clearError,
     
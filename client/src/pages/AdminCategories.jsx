@@ -0,0 +1,26 @@
+// AdminCategories.jsx - Admin page for managing post categories
+
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import CategoryManager from '../components/CategoryManager';
+
+const AdminCategories = () => {
+  const { hasPermission } = useAuth();
+
+  if (!hasPermission('category.manage')) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return (
+    <div className="admin-categories-page" data-testid="admin-categories-page">
+      <header className="admin-categories-page__header">
+        <h1>Categories</h1>
+      </header>
+
+      <CategoryManager />
+    </div>
+  );
+};
+
+export default AdminCategories;
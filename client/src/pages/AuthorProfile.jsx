@@ -0,0 +1,135 @@
+// AuthorProfile.jsx - Public page for an author, reached from /u/:username
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { usersAPI } from '../utils/api';
+import Button from '../components/Button';
+import PostFeed from '../components/PostFeed';
+
+const formatJoinDate = (date) => {
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+  });
+};
+
+const AuthorProfile = () => {
+  const { username } = useParams();
+  const { user } = useAuth();
+  const [profile, setProfile] = useState(null);
+  const [isFollowing, setIsFollowing] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [updatingFollow, setUpdatingFollow] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadProfile = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await usersAPI.getPublicProfile(username);
+        if (!cancelled) {
+          setProfile(response.data.user);
+          setIsFollowing(response.data.isFollowing);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.response?.status === 404
+            ? 'This author could not be found.'
+            : 'Failed to load profile');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadProfile();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [username]);
+
+  const loadPosts = useCallback((params) => usersAPI.getPublicPosts(username, params), [username]);
+
+  const handleToggleFollow = async () => {
+    setUpdatingFollow(true);
+
+    try {
+      const response = isFollowing
+        ? await usersAPI.unfollow(profile._id)
+        : await usersAPI.follow(profile._id);
+      setIsFollowing(response.data.isFollowing);
+      setProfile((current) => ({ ...current, followersCount: response.data.followersCount }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update follow');
+    } finally {
+      setUpdatingFollow(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="author-page__status" data-testid="author-loading">Loading profile...</p>;
+  }
+
+  if (!profile) {
+    return (
+      <p className="author-page__status" role="alert" data-testid="author-error">
+        {error}
+      </p>
+    );
+  }
+
+  const canFollow = user && user._id !== profile._id;
+
+  return (
+    <div className="author-page" data-testid="author-page">
+      <header className="author-page__header">
+        {profile.avatar && (
+          <img src={profile.avatar} alt={profile.username} className="author-page__avatar" />
+        )}
+        <div className="author-page__details">
+          <h1 className="author-page__name">{profile.fullName || profile.username}</h1>
+          <p className="author-page__username">@{profile.username}</p>
+          {profile.bio && <p className="author-page__bio">{profile.bio}</p>}
+          <p className="author-page__meta" data-testid="author-stats">
+            {profile.postCount} posts · {profile.followersCount} followers ·{' '}
+            {profile.followingCount} following · Joined {formatJoinDate(profile.joinedAt)}
+          </p>
+        </div>
+
+        {canFollow && (
+          <Button
+            variant={isFollowing ? 'secondary' : 'primary'}
+            size="sm"
+            onClick={handleToggleFollow}
+            disabled={updatingFollow}
+            data-testid="follow-button"
+          >
+            {isFollowing ? 'Unfollow' : 'Follow'}
+          </Button>
+        )}
+      </header>
+
+      {error && (
+        <div className="author-page__error" role="alert">
+          {error}
+        </div>
+      )}
+
+      <PostFeed
+        loadPage={loadPosts}
+        currentUser={user}
+        emptyMessage={`${profile.username} has not published anything yet.`}
+      />
+    </div>
+  );
+};
+
+export default AuthorProfile;
@@ -0,0 +1,59 @@
+// Dashboard.jsx - Signed-in home page with the latest posts and the following feed
+
+import React, { useCallback, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { postsAPI } from '../utils/api';
+import PostFeed from '../components/PostFeed';
+import TagCloud from '../components/TagCloud';
+
+const TABS = [
+  { id: 'latest', label: 'Latest' },
+  { id: 'following', label: 'Following' },
+];
+
+const Dashboard = () => {
+  const { user } = useAuth();
+  const [activeTab, setActiveTab] = useState('latest');
+
+  const loadLatest = useCallback((params) => postsAPI.getPosts(params), []);
+  const loadFollowing = useCallback((params) => postsAPI.getFeed(params), []);
+
+  return (
+    <div className="dashboard-page" data-testid="dashboard-page">
+      <header className="dashboard-page__header">
+        <h1>Welcome back, {user.firstName || user.username}</h1>
+      </header>
+
+      <TagCloud />
+
+      <nav className="dashboard-page__tabs" role="tablist">
+        {TABS.map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            className={`dashboard-page__tab${activeTab === tab.id ? ' dashboard-page__tab--active' : ''}`}
+            onClick={() => setActiveTab(tab.id)}
+            data-testid={`dashboard-tab-${tab.id}`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </nav>
+
+      {activeTab === 'following' ? (
+        <PostFeed
+          key="following"
+          loadPage={loadFollowing}
+          currentUser={user}
+          emptyMessage="Posts from people you follow will show up here."
+        />
+      ) : (
+        <PostFeed key="latest" loadPage={loadLatest} currentUser={user} />
+      )}
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,44 @@
+// Login.jsx - Sign-in page with the two-factor step and external providers
+
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../utils/api';
+import LoginForm from '../components/LoginForm';
+
+const Login = () => {
+  const { login, verifyMfa, mfaRequired, loading, error } = useAuth();
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    authAPI.getOidcProviders()
+      .then((response) => {
+        if (!cancelled) {
+          setProviders(response.data.providers);
+        }
+      })
+      // Password sign-in still works without the provider buttons
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // GuestRoute sends the user on to the dashboard once they are signed in
+  return (
+    <div className="login-page" data-testid="login-page">
+      <LoginForm
+        onSubmit={login}
+        loading={loading}
+        error={error}
+        mfaRequired={mfaRequired}
+        onMfaSubmit={verifyMfa}
+        providers={providers}
+      />
+    </div>
+  );
+};
+
+export default Login;
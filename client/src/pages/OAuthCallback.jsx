@@ -0,0 +1,65 @@
+// OAuthCallback.jsx - Landing page after signing in with an external provider
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Error codes the server can send back, see oidcCallback in authController
+const ERROR_MESSAGES = {
+  email_not_verified: 'Your provider did not confirm your email address.',
+  account_not_verified: 'An account with this email exists. Sign in with your password and verify your email first.',
+  account_disabled: 'This account has been deactivated.',
+  invalid_state: 'The sign-in link has expired. Please try again.'
+};
+
+const OAuthCallback = () => {
+  const navigate = useNavigate();
+  const { completeExternalLogin } = useAuth();
+  const [error, setError] = useState(null);
+  // The fragment is consumed once, for the redirect that opened the page
+  const handled = useRef(false);
+
+  useEffect(() => {
+    if (handled.current) {
+      return;
+    }
+    handled.current = true;
+
+    const params = new URLSearchParams(window.location.hash.slice(1));
+
+    // Drop the tokens from the address bar and browser history
+    window.history.replaceState(null, '', window.location.pathname);
+
+    if (params.get('error')) {
+      setError(ERROR_MESSAGES[params.get('error')] || 'Sign-in failed. Please try again.');
+      return;
+    }
+
+    completeExternalLogin({
+      token: params.get('token'),
+      refreshToken: params.get('refreshToken'),
+      mfaToken: params.get('mfaToken')
+    }).then((result) => {
+      if (result.mfaRequired) {
+        navigate('/login', { replace: true });
+      } else if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [completeExternalLogin, navigate]);
+
+  if (error) {
+    return (
+      <div className="oauth-callback" data-testid="oauth-callback-error" role="alert">
+        <p>{error}</p>
+        <a href="/login">Back to sign in</a>
+      </div>
+    );
+  }
+
+  return <div className="oauth-callback" data-testid="oauth-callback-loading">Signing you in...</div>;
+};
+
+export default OAuthCallback;
@@ -0,0 +1,26 @@
+// Profile.jsx - Account page for the signed-in user
+
+import React from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import AvatarUpload from '../components/AvatarUpload';
+import DeviceList from '../components/DeviceList';
+import AccountData from '../components/AccountData';
+
+const Profile = () => {
+  const { user } = useAuth();
+
+  return (
+    <div className="profile-page" data-testid="profile-page">
+      <header className="profile-page__header">
+        <AvatarUpload />
+        <h1>{user.firstName || user.username}</h1>
+        <p>{user.email}</p>
+      </header>
+
+      <DeviceList />
+      <AccountData />
+    </div>
+  );
+};
+
+export default Profile;
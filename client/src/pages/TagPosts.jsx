@@ -0,0 +1,34 @@
+// TagPosts.jsx - Published posts with one tag, reached from /tags/:tag
+
+import React, { useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { tagsAPI } from '../utils/api';
+import PostFeed from '../components/PostFeed';
+import TagCloud from '../components/TagCloud';
+
+const TagPosts = () => {
+  const { tag } = useParams();
+  const { user } = useAuth();
+
+  const loadPosts = useCallback((params) => tagsAPI.getTagPosts(tag, params), [tag]);
+
+  return (
+    <div className="tag-posts-page" data-testid="tag-posts-page">
+      <header className="tag-posts-page__header">
+        <h1>#{tag}</h1>
+      </header>
+
+      <PostFeed
+        key={tag}
+        loadPage={loadPosts}
+        currentUser={user}
+        emptyMessage="No posts with this tag yet."
+      />
+
+      <TagCloud />
+    </div>
+  );
+};
+
+export default TagPosts;
@@ -0,0 +1,84 @@
+// AccountData.test.jsx - Unit tests for AccountData component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AccountData from '../../components/AccountData';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../utils/api';
+
+jest.mock('../../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../../utils/api', () => ({
+  authAPI: {
+    exportData: jest.fn(),
+  },
+}));
+
+describe('AccountData Component', () => {
+  const deleteAccount = jest.fn();
+
+  beforeEach(() => {
+    useAuth.mockReturnValue({
+      user: { username: 'testuser', mfa: { enabled: false } },
+      deleteAccount,
+    });
+  });
+
+  it('downloads the data export as a file', async () => {
+    window.URL.createObjectURL = jest.fn(() => 'blob:export');
+    window.URL.revokeObjectURL = jest.fn();
+    authAPI.exportData.mockResolvedValue(new Blob(['{}'], { type: 'application/json' }));
+
+    render(<AccountData />);
+    fireEvent.click(screen.getByTestId('export-data-button'));
+
+    await waitFor(() => {
+      expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+    });
+    expect(authAPI.exportData).toHaveBeenCalled();
+  });
+
+  it('asks for the password before deleting the account', async () => {
+    deleteAccount.mockResolvedValue({ success: true });
+
+    render(<AccountData />);
+    fireEvent.click(screen.getByTestId('delete-account-button'));
+
+    const confirm = screen.getByTestId('confirm-delete-button');
+    expect(confirm).toBeDisabled();
+    expect(screen.queryByLabelText('Verification code')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Confirm your password'), {
+      target: { value: 'Password123' },
+    });
+    fireEvent.click(confirm);
+
+    await waitFor(() => {
+      expect(deleteAccount).toHaveBeenCalledWith('Password123', {});
+    });
+  });
+
+  it('sends the verification code when two-factor authentication is on', async () => {
+    useAuth.mockReturnValue({
+      user: { username: 'testuser', mfa: { enabled: true } },
+      deleteAccount,
+    });
+    deleteAccount.mockResolvedValue({ success: false, error: 'Invalid password' });
+
+    render(<AccountData />);
+    fireEvent.click(screen.getByTestId('delete-account-button'));
+    fireEvent.change(screen.getByLabelText('Confirm your password'), {
+      target: { value: 'WrongPass1' },
+    });
+    fireEvent.change(screen.getByLabelText('Verification code'), {
+      target: { value: ' 123456 ' },
+    });
+    fireEvent.click(screen.getByTestId('confirm-delete-button'));
+
+    expect(await screen.findByTestId('account-data-error')).toHaveTextContent('Invalid password');
+    expect(deleteAccount).toHaveBeenCalledWith('WrongPass1', { code: '123456' });
+  });
+});
@@ -0,0 +1,98 @@
+// AuthorProfile.test.jsx - Unit tests for the public author page
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import AuthorProfile from '../../pages/AuthorProfile';
+import { useAuth } from '../../contexts/AuthContext';
+import { usersAPI } from '../../utils/api';
+
+jest.mock('../../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../../utils/api', () => ({
+  usersAPI: {
+    getPublicProfile: jest.fn(),
+    getPublicPosts: jest.fn(),
+    follow: jest.fn(),
+    unfollow: jest.fn(),
+  },
+}));
+
+const mockProfile = {
+  _id: 'author-1',
+  username: 'writer',
+  fullName: 'Ada Writer',
+  bio: 'Writes things',
+  joinedAt: '2023-01-15T10:30:00Z',
+  postCount: 2,
+  followersCount: 4,
+  followingCount: 1,
+};
+
+const renderPage = () => render(
+  <MemoryRouter initialEntries={['/u/writer']}>
+    <Routes>
+      <Route path="/u/:username" element={<AuthorProfile />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('AuthorProfile Page', () => {
+  beforeEach(() => {
+    useAuth.mockReturnValue({ user: null });
+    usersAPI.getPublicProfile.mockResolvedValue({
+      success: true,
+      data: { user: mockProfile, isFollowing: false },
+    });
+    usersAPI.getPublicPosts.mockResolvedValue({
+      success: true,
+      data: { posts: [], pagination: { currentPage: 1, hasNextPage: false } },
+    });
+  });
+
+  it('shows the public profile of the author in the URL', async () => {
+    renderPage();
+
+    expect(await screen.findByText('Ada Writer')).toBeInTheDocument();
+    expect(usersAPI.getPublicProfile).toHaveBeenCalledWith('writer');
+    expect(screen.getByTestId('author-stats')).toHaveTextContent('2 posts · 4 followers · 1 following');
+    await waitFor(() => {
+      expect(usersAPI.getPublicPosts).toHaveBeenCalledWith('writer', { page: 1 });
+    });
+  });
+
+  it('hides the follow button from signed-out visitors', async () => {
+    renderPage();
+
+    await screen.findByTestId('author-page');
+    expect(screen.queryByTestId('follow-button')).not.toBeInTheDocument();
+  });
+
+  it('lets a signed-in reader follow the author', async () => {
+    useAuth.mockReturnValue({ user: { _id: 'reader-1', username: 'reader' } });
+    usersAPI.follow.mockResolvedValue({
+      success: true,
+      data: { isFollowing: true, followersCount: 5 },
+    });
+
+    renderPage();
+    fireEvent.click(await screen.findByTestId('follow-button'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('follow-button')).toHaveTextContent('Unfollow');
+    });
+    expect(usersAPI.follow).toHaveBeenCalledWith('author-1');
+    expect(screen.getByTestId('author-stats')).toHaveTextContent('5 followers');
+  });
+
+  it('reports an unknown author', async () => {
+    usersAPI.getPublicProfile.mockRejectedValue({ response: { status: 404 } });
+
+    renderPage();
+
+    expect(await screen.findByTestId('author-error')).toHaveTextContent('This author could not be found.');
+  });
+});
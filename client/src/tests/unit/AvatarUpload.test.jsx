@@ -0,0 +1,83 @@
+// AvatarUpload.test.jsx - Unit tests for AvatarUpload component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import AvatarUpload from '../../components/AvatarUpload';
+import { useAuth } from '../../contexts/AuthContext';
+import { uploadsAPI } from '../../utils/api';
+
+jest.mock('../../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../../utils/api', () => ({
+  uploadsAPI: {
+    uploadAvatar: jest.fn(),
+    removeAvatar: jest.fn(),
+  },
+  assetUrl: path => path,
+}));
+
+const chooseFile = (file) => {
+  fireEvent.change(screen.getByTestId('avatar-input'), { target: { files: [file] } });
+};
+
+describe('AvatarUpload Component', () => {
+  const updateUser = jest.fn();
+  const user = { username: 'testuser', avatar: '' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useAuth.mockReturnValue({ user, updateUser });
+  });
+
+  it('uploads the chosen image and updates the user', async () => {
+    uploadsAPI.uploadAvatar.mockResolvedValue({
+      success: true,
+      data: { user: { avatar: '/api/uploads/abc/medium' } },
+    });
+    const file = new File(['image'], 'me.png', { type: 'image/png' });
+
+    render(<AvatarUpload />);
+    chooseFile(file);
+
+    await waitFor(() => {
+      expect(updateUser).toHaveBeenCalledWith({ ...user, avatar: '/api/uploads/abc/medium' });
+    });
+    expect(uploadsAPI.uploadAvatar).toHaveBeenCalledWith(file);
+  });
+
+  it('rejects unsupported files without uploading', () => {
+    render(<AvatarUpload />);
+    chooseFile(new File(['<svg></svg>'], 'me.svg', { type: 'image/svg+xml' }));
+
+    expect(screen.getByTestId('avatar-error')).toHaveTextContent('Choose a JPEG, PNG or WebP image');
+    expect(uploadsAPI.uploadAvatar).not.toHaveBeenCalled();
+  });
+
+  it('shows the server error when the upload fails', async () => {
+    uploadsAPI.uploadAvatar.mockRejectedValue({
+      response: { data: { message: 'Image must be smaller than 5 MB' } },
+    });
+
+    render(<AvatarUpload />);
+    chooseFile(new File(['image'], 'me.jpg', { type: 'image/jpeg' }));
+
+    expect(await screen.findByTestId('avatar-error')).toHaveTextContent('Image must be smaller than 5 MB');
+    expect(updateUser).not.toHaveBeenCalled();
+  });
+
+  it('removes an existing avatar', async () => {
+    useAuth.mockReturnValue({ user: { ...user, avatar: '/api/uploads/abc/medium' }, updateUser });
+    uploadsAPI.removeAvatar.mockResolvedValue({ success: true, data: { user: { avatar: '' } } });
+
+    render(<AvatarUpload />);
+    expect(screen.getByRole('img')).toHaveAttribute('src', '/api/uploads/abc/medium');
+    fireEvent.click(screen.getByTestId('remove-avatar-button'));
+
+    await waitFor(() => {
+      expect(updateUser).toHaveBeenCalledWith({ ...user, avatar: '' });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+// CategoryManager.test.jsx - Unit tests for CategoryManager component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import CategoryManager from '../../components/CategoryManager';
+import { categoriesAPI } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  categoriesAPI: {
+    getCategories: jest.fn(),
+    createCategory: jest.fn(),
+    updateCategory: jest.fn(),
+    deleteCategory: jest.fn(),
+  },
+}));
+
+const news = {
+  _id: 'cat-1',
+  name: 'News',
+  slug: 'news',
+  color: '#3B82F6',
+  isActive: true,
+  parent: null,
+  ancestors: [],
+  postCount: 3,
+};
+
+const updates = {
+  _id: 'cat-2',
+  name: 'Updates',
+  slug: 'updates',
+  color: '#10B981',
+  isActive: true,
+  parent: 'cat-1',
+  ancestors: ['cat-1'],
+  postCount: 0,
+};
+
+const listResponse = (categories) => ({ success: true, data: { categories } });
+
+describe('CategoryManager Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    categoriesAPI.getCategories.mockResolvedValue(listResponse([news, updates]));
+  });
+
+  it('lists categories with their published post counts', async () => {
+    render(<CategoryManager />);
+
+    const items = await screen.findAllByTestId('category-item');
+    expect(items).toHaveLength(2);
+    expect(items[0]).toHaveTextContent('3 published');
+    expect(items[1]).toHaveTextContent('News › Updates');
+  });
+
+  it('offers only parents outside the subtree of the category being edited', async () => {
+    render(<CategoryManager />);
+    await screen.findAllByTestId('category-item');
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Edit' })[0]);
+
+    const parent = screen.getByLabelText('Parent');
+    expect(parent.querySelectorAll('option')).toHaveLength(1);
+    expect(parent).toHaveValue('');
+  });
+
+  it('filters by active state', async () => {
+    render(<CategoryManager />);
+    await screen.findAllByTestId('category-item');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Inactive' }));
+
+    await waitFor(() => {
+      expect(categoriesAPI.getCategories).toHaveBeenCalledWith({ isActive: 'false' });
+    });
+  });
+
+  it('creates a category and reloads the list', async () => {
+    categoriesAPI.createCategory.mockResolvedValue({ success: true, data: { category: {} } });
+
+    render(<CategoryManager />);
+    await screen.findAllByTestId('category-item');
+
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Release Notes' } });
+    fireEvent.click(screen.getByTestId('save-category-button'));
+
+    await waitFor(() => {
+      expect(categoriesAPI.createCategory).toHaveBeenCalledWith({
+        name: 'Release Notes',
+        slug: undefined,
+        description: '',
+        color: '#3B82F6',
+        parent: null,
+      });
+    });
+    expect(categoriesAPI.getCategories).toHaveBeenCalledTimes(2);
+  });
+
+  it('asks where to move posts when a category still has them', async () => {
+    categoriesAPI.deleteCategory
+      .mockRejectedValueOnce({ response: { status: 409, data: { data: { postCount: 3 } } } })
+      .mockResolvedValueOnce({ success: true });
+
+    render(<CategoryManager />);
+    await screen.findAllByTestId('category-item');
+
+    fireEvent.click(screen.getByTestId('delete-category-news'));
+    const reassign = await screen.findByTestId('category-reassign');
+
+    expect(reassign).toHaveTextContent('Move its 3 post(s) to');
+    fireEvent.change(screen.getByLabelText('Move its 3 post(s) to'), { target: { value: 'cat-2' } });
+    fireEvent.click(screen.getByTestId('confirm-reassign-button'));
+
+    await waitFor(() => {
+      expect(categoriesAPI.deleteCategory).toHaveBeenLastCalledWith('cat-1', 'cat-2');
+    });
+  });
+});
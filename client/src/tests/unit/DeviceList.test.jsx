@@ -0,0 +1,99 @@
+// DeviceList.test.jsx - Unit tests for DeviceList component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import DeviceList from '../../components/DeviceList';
+import { authAPI } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  authAPI: {
+    getSessions: jest.fn(),
+    revokeSession: jest.fn(),
+  },
+}));
+
+const mockSessions = [
+  {
+    _id: 'session-1',
+    userAgent: 'Laptop Browser',
+    ip: '127.0.0.1',
+    createdAt: '2023-01-15T10:30:00Z',
+    lastSeenAt: '2023-01-16T10:30:00Z',
+    current: true,
+  },
+  {
+    _id: 'session-2',
+    userAgent: 'Phone Browser',
+    ip: '10.0.0.2',
+    createdAt: '2023-01-10T08:00:00Z',
+    lastSeenAt: '2023-01-12T08:00:00Z',
+    current: false,
+  },
+];
+
+describe('DeviceList Component', () => {
+  beforeEach(() => {
+    authAPI.getSessions.mockResolvedValue({
+      success: true,
+      data: { sessions: mockSessions },
+    });
+  });
+
+  it('shows a loading state while sessions load', () => {
+    render(<DeviceList />);
+
+    expect(screen.getByTestId('device-list-loading')).toBeInTheDocument();
+  });
+
+  it('lists every active session', async () => {
+    render(<DeviceList />);
+
+    const items = await screen.findAllByTestId('device-item');
+    expect(items).toHaveLength(2);
+    expect(screen.getByText('Devices')).toBeInTheDocument();
+    expect(screen.getByText(/Laptop Browser/)).toBeInTheDocument();
+    expect(screen.getByText(/Phone Browser/)).toBeInTheDocument();
+    expect(screen.getByText(/10\.0\.0\.2/)).toBeInTheDocument();
+  });
+
+  it('marks the current device and offers no revoke button for it', async () => {
+    render(<DeviceList />);
+
+    await screen.findAllByTestId('device-item');
+    expect(screen.getByText('(this device)')).toBeInTheDocument();
+    expect(screen.getAllByTestId('revoke-device-button')).toHaveLength(1);
+  });
+
+  it('revokes a device and removes it from the list', async () => {
+    authAPI.revokeSession.mockResolvedValue({ success: true });
+    render(<DeviceList />);
+
+    fireEvent.click(await screen.findByTestId('revoke-device-button'));
+
+    expect(authAPI.revokeSession).toHaveBeenCalledWith('session-2');
+    await waitFor(() => {
+      expect(screen.getAllByTestId('device-item')).toHaveLength(1);
+    });
+    expect(screen.queryByText(/Phone Browser/)).not.toBeInTheDocument();
+  });
+
+  it('shows an error when revoking fails', async () => {
+    authAPI.revokeSession.mockRejectedValue({
+      response: { data: { message: 'Session not found' } },
+    });
+    render(<DeviceList />);
+
+    fireEvent.click(await screen.findByTestId('revoke-device-button'));
+
+    expect(await screen.findByTestId('device-list-error')).toHaveTextContent('Session not found');
+    expect(screen.getAllByTestId('device-item')).toHaveLength(2);
+  });
+
+  it('shows an error when sessions cannot be loaded', async () => {
+    authAPI.getSessions.mockRejectedValue(new Error('Network Error'));
+    render(<DeviceList />);
+
+    expect(await screen.findByTestId('device-list-error')).toHaveTextContent('Failed to load devices');
+  });
+});
@@ -0,0 +1,55 @@
+// ImpersonationBanner.test.jsx - Unit tests for ImpersonationBanner component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import ImpersonationBanner from '../../components/ImpersonationBanner';
+import { useAuth } from '../../contexts/AuthContext';
+
+jest.mock('../../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+describe('ImpersonationBanner Component', () => {
+  const stopImpersonation = jest.fn();
+
+  beforeEach(() => {
+    stopImpersonation.mockResolvedValue();
+  });
+
+  it('renders nothing outside an impersonation', () => {
+    useAuth.mockReturnValue({ user: { username: 'admin' }, impersonator: null, stopImpersonation });
+
+    const { container } = render(<ImpersonationBanner />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('names both the impersonated user and the admin', () => {
+    useAuth.mockReturnValue({
+      user: { username: 'author' },
+      impersonator: { username: 'admin' },
+      stopImpersonation,
+    });
+
+    render(<ImpersonationBanner />);
+
+    const banner = screen.getByTestId('impersonation-banner');
+    expect(banner).toHaveTextContent('You are viewing the site as author');
+    expect(banner).toHaveTextContent('Signed in as admin');
+  });
+
+  it('stops the impersonation', async () => {
+    useAuth.mockReturnValue({
+      user: { username: 'author' },
+      impersonator: { username: 'admin' },
+      stopImpersonation,
+    });
+
+    render(<ImpersonationBanner />);
+    fireEvent.click(screen.getByTestId('stop-impersonating-button'));
+
+    expect(screen.getByTestId('stop-impersonating-button')).toBeDisabled();
+    await waitFor(() => expect(stopImpersonation).toHaveBeenCalledTimes(1));
+  });
+});
@@ -0,0 +1,90 @@
+// Login.test.jsx - Unit tests for the sign-in page
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Login from '../../pages/Login';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../utils/api';
+
+jest.mock('../../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+}));
+
+jest.mock('../../utils/api', () => ({
+  authAPI: {
+    getOidcProviders: jest.fn(),
+  },
+}));
+
+const mockAuth = (overrides = {}) => {
+  const auth = {
+    login: jest.fn(),
+    verifyMfa: jest.fn(),
+    mfaRequired: false,
+    loading: false,
+    error: null,
+    ...overrides,
+  };
+  useAuth.mockReturnValue(auth);
+  return auth;
+};
+
+describe('Login Page', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authAPI.getOidcProviders.mockResolvedValue({
+      success: true,
+      data: {
+        providers: [{ id: 'google', name: 'Google', loginUrl: '/api/auth/oidc/google' }],
+      },
+    });
+  });
+
+  it('shows the external providers configured on the server', async () => {
+    mockAuth();
+
+    render(<Login />);
+
+    const button = await screen.findByTestId('provider-google');
+    expect(button).toHaveAttribute('href', '/api/auth/oidc/google');
+  });
+
+  it('still offers password sign-in when providers cannot be loaded', async () => {
+    mockAuth();
+    authAPI.getOidcProviders.mockRejectedValue(new Error('Network Error'));
+
+    render(<Login />);
+
+    await waitFor(() => expect(authAPI.getOidcProviders).toHaveBeenCalled());
+    expect(screen.getByTestId('login-form')).toBeInTheDocument();
+    expect(screen.queryByTestId('login-providers')).not.toBeInTheDocument();
+  });
+
+  it('signs in with the entered credentials', async () => {
+    const auth = mockAuth();
+
+    render(<Login />);
+
+    fireEvent.change(screen.getByTestId('email-input'), { target: { value: 'user@example.com' } });
+    fireEvent.change(screen.getByTestId('password-input'), { target: { value: 'Password123' } });
+    await waitFor(() => expect(screen.getByTestId('submit-button')).not.toBeDisabled());
+    fireEvent.click(screen.getByTestId('submit-button'));
+
+    await waitFor(() => {
+      expect(auth.login).toHaveBeenCalledWith({ email: 'user@example.com', password: 'Password123' });
+    });
+  });
+
+  it('asks for the second factor when the sign-in needs one', async () => {
+    const auth = mockAuth({ mfaRequired: true });
+
+    render(<Login />);
+
+    fireEvent.change(screen.getByTestId('mfa-code-input'), { target: { value: '123456' } });
+    await waitFor(() => expect(screen.getByTestId('mfa-submit-button')).not.toBeDisabled());
+    fireEvent.click(screen.getByTestId('mfa-submit-button'));
+
+    await waitFor(() => expect(auth.verifyMfa).toHaveBeenCalledWith({ code: '123456' }));
+  });
+});
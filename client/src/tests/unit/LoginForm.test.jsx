@@ -339,4 +339,79 @@ describe('LoginForm Component', () => {
 
     expect(emailInput).toHaveValue('new@example.com');
   });
+
+  describe('external providers', () => {
+    it('renders a sign-in link for each configured provider', () => {
+      const providers = [
+        { id: 'google', name: 'Google', loginUrl: 'http://localhost:5000/api/auth/oidc/google' },
+        { id: 'okta', name: 'Okta', loginUrl: 'http://localhost:5000/api/auth/oidc/okta' },
+      ];
+
+      render(<LoginForm {...defaultProps} providers={providers} />);
+
+      expect(screen.getByTestId('provider-google')).toHaveTextContent('Sign in with Google');
+      expect(screen.getByTestId('provider-google')).toHaveAttribute('href', providers[0].loginUrl);
+      expect(screen.getByTestId('provider-okta')).toBeInTheDocument();
+    });
+
+    it('renders no provider section when none are configured', () => {
+      render(<LoginForm {...defaultProps} />);
+
+      expect(screen.queryByTestId('login-providers')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('two-factor step', () => {
+    const mfaProps = {
+      ...defaultProps,
+      mfaRequired: true,
+      onMfaSubmit: jest.fn(),
+    };
+
+    it('asks for a verification code instead of credentials', () => {
+      render(<LoginForm {...mfaProps} />);
+
+      expect(screen.getByTestId('mfa-form')).toBeInTheDocument();
+      expect(screen.getByLabelText('Verification Code')).toBeInTheDocument();
+      expect(screen.queryByTestId('email-input')).not.toBeInTheDocument();
+    });
+
+    it('submits a 6-digit code', async () => {
+      const user = userEvent.setup();
+      render(<LoginForm {...mfaProps} />);
+
+      await user.type(screen.getByTestId('mfa-code-input'), '123456');
+      await user.click(screen.getByTestId('mfa-submit-button'));
+
+      await waitFor(() => {
+        expect(mfaProps.onMfaSubmit).toHaveBeenCalledWith({ code: '123456' });
+      });
+    });
+
+    it('keeps submit disabled for a malformed code', async () => {
+      const user = userEvent.setup();
+      render(<LoginForm {...mfaProps} />);
+
+      await user.type(screen.getByTestId('mfa-code-input'), '12ab');
+
+      await waitFor(() => {
+        expect(screen.getByTestId('mfa-submit-button')).toBeDisabled();
+      });
+    });
+
+    it('submits a recovery code after switching modes', async () => {
+      const user = userEvent.setup();
+      render(<LoginForm {...mfaProps} />);
+
+      await user.click(screen.getByTestId('mfa-recovery-toggle'));
+      expect(screen.getByLabelText('Recovery Code')).toBeInTheDocument();
+
+      await user.type(screen.getByTestId('mfa-code-input'), 'abcde-12345');
+      await user.click(screen.getByTestId('mfa-submit-button'));
+
+      await waitFor(() => {
+        expect(mfaProps.onMfaSubmit).toHaveBeenCalledWith({ recoveryCode: 'abcde-12345' });
+      });
+    });
+  });
 });
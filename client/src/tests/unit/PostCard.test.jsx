@@ -123,6 +123,28 @@ describe('PostCard Component', () => {
     expect(screen.getByText('testuser')).toBeInTheDocument();
   });
 
+  it('links the author name to the author profile', () => {
+    render(
+      <RouterWrapper>
+        <PostCard {...defaultProps} />
+      </RouterWrapper>
+    );
+
+    const authorLink = screen.getByRole('link', { name: 'John Doe' });
+    expect(authorLink).toHaveAttribute('href', `/u/${mockPost.author.username}`);
+  });
+
+  it('shows a deleted user placeholder when the author was removed', () => {
+    render(
+      <RouterWrapper>
+        <PostCard {...defaultProps} post={{ ...mockPost, author: null }} />
+      </RouterWrapper>
+    );
+
+    expect(screen.getByText('Deleted user')).toBeInTheDocument();
+    expect(screen.queryByRole('img', { name: mockPost.author.username })).not.toBeInTheDocument();
+  });
+
   it('renders category with correct background color', () => {
     render(
       <RouterWrapper>
@@ -289,6 +311,17 @@ describe('PostCard Component', () => {
     expect(titleLink).toHaveAttribute('href', `/posts/${mockPost._id}`);
   });
 
+  it('links each tag to its tag page', () => {
+    render(
+      <RouterWrapper>
+        <PostCard {...defaultProps} post={{ ...mockPost, tags: ['react', 'c#'] }} />
+      </RouterWrapper>
+    );
+
+    expect(screen.getByRole('link', { name: '#react' })).toHaveAttribute('href', '/tags/react');
+    expect(screen.getByRole('link', { name: '#c#' })).toHaveAttribute('href', '/tags/c%23');
+  });
+
   it('handles missing excerpt gracefully', () => {
     const postWithoutExcerpt = { ...mockPost, excerpt: null };
 
@@ -0,0 +1,66 @@
+// PostFeed.test.jsx - Unit tests for PostFeed component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import PostFeed from '../../components/PostFeed';
+
+const makePost = (id) => ({
+  _id: id,
+  title: `Post ${id}`,
+  excerpt: 'An excerpt',
+  author: { username: 'author' },
+  createdAt: '2023-01-15T10:30:00Z',
+});
+
+const page = (posts, currentPage, hasNextPage) => ({
+  success: true,
+  data: {
+    posts,
+    pagination: { currentPage, hasNextPage },
+  },
+});
+
+const renderFeed = (props) => render(
+  <MemoryRouter>
+    <PostFeed {...props} />
+  </MemoryRouter>
+);
+
+describe('PostFeed Component', () => {
+  it('loads more posts page by page', async () => {
+    const loadPage = jest.fn()
+      .mockResolvedValueOnce(page([makePost('1')], 1, true))
+      .mockResolvedValueOnce(page([makePost('2')], 2, false));
+
+    renderFeed({ loadPage });
+
+    expect(await screen.findByText('Post 1')).toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('post-feed-more'));
+
+    expect(await screen.findByText('Post 2')).toBeInTheDocument();
+    expect(loadPage).toHaveBeenLastCalledWith({ page: 2 });
+    expect(screen.queryByTestId('post-feed-more')).not.toBeInTheDocument();
+  });
+
+  it('shows the empty message when there are no posts', async () => {
+    const loadPage = jest.fn().mockResolvedValue(page([], 1, false));
+
+    renderFeed({ loadPage, emptyMessage: 'Nothing to read' });
+
+    expect(await screen.findByTestId('post-feed-empty')).toHaveTextContent('Nothing to read');
+  });
+
+  it('shows the server error when loading fails', async () => {
+    const loadPage = jest.fn().mockRejectedValue({
+      response: { data: { message: 'Not authorized' } },
+    });
+
+    renderFeed({ loadPage });
+
+    await waitFor(() => {
+      expect(screen.getByTestId('post-feed-error')).toHaveTextContent('Not authorized');
+    });
+  });
+});
@@ -0,0 +1,53 @@
+// TagCloud.test.jsx - Unit tests for TagCloud component
+
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import TagCloud from '../../components/TagCloud';
+import { tagsAPI } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  tagsAPI: {
+    getTagCloud: jest.fn(),
+  },
+}));
+
+const renderCloud = () => render(
+  <MemoryRouter>
+    <TagCloud limit={20} />
+  </MemoryRouter>
+);
+
+describe('TagCloud Component', () => {
+  it('links each tag to its page, sized by weight', async () => {
+    tagsAPI.getTagCloud.mockResolvedValue({
+      success: true,
+      data: {
+        tags: [
+          { name: 'javascript', count: 12, weight: 5 },
+          { name: 'node.js', count: 1, weight: 1 },
+        ],
+      },
+    });
+
+    renderCloud();
+
+    const javascript = await screen.findByRole('link', { name: 'javascript' });
+    expect(javascript).toHaveAttribute('href', '/tags/javascript');
+    expect(javascript).toHaveClass('tag-cloud__tag--weight-5');
+    expect(screen.getByRole('link', { name: 'node.js' })).toHaveClass('tag-cloud__tag--weight-1');
+    expect(tagsAPI.getTagCloud).toHaveBeenCalledWith({ limit: 20 });
+  });
+
+  it('renders nothing when no tags are in use', async () => {
+    tagsAPI.getTagCloud.mockResolvedValue({ success: true, data: { tags: [] } });
+
+    renderCloud();
+
+    await waitFor(() => {
+      expect(tagsAPI.getTagCloud).toHaveBeenCalled();
+    });
+    expect(screen.queryByTestId('tag-cloud')).not.toBeInTheDocument();
+  });
+});
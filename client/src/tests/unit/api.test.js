@@ -0,0 +1,166 @@
+// api.test.js - Unit tests for the API client
+
+import axios from 'axios';
+import { authAPI } from '../../utils/api';
+
+jest.mock('axios', () => {
+  const mockInstance = {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+    interceptors: {
+      request: { use: jest.fn() },
+      response: { use: jest.fn() },
+    },
+  };
+
+  return {
+    create: jest.fn(() => mockInstance),
+    mockInstance,
+  };
+});
+
+const mockApi = axios.mockInstance;
+
+describe('authAPI', () => {
+  describe('verify', () => {
+    it('sends the token to the verify endpoint', async () => {
+      mockApi.get.mockResolvedValue({ data: { success: true, data: {} } });
+
+      await authAPI.verify('stored.jwt.token');
+
+      expect(mockApi.get).toHaveBeenCalledWith('/auth/verify', {
+        headers: { Authorization: 'Bearer stored.jwt.token' },
+      });
+    });
+
+    it('resolves to the user and token status from the server', async () => {
+      const body = {
+        success: true,
+        data: {
+          user: { _id: '1', username: 'testuser', email: 'test@example.com' },
+          token: {
+            expiresAt: '2030-01-01T00:00:00.000Z',
+            expiresIn: 900,
+            refreshRecommended: false,
+          },
+        },
+      };
+      mockApi.get.mockResolvedValue({ data: body });
+
+      const response = await authAPI.verify('stored.jwt.token');
+
+      expect(response.success).toBe(true);
+      expect(response.data.user.username).toBe('testuser');
+      expect(response.data.token.expiresIn).toBe(900);
+      expect(response.data.token.refreshRecommended).toBe(false);
+    });
+
+    it('rejects when the server rejects the token', async () => {
+      const error = Object.assign(new Error('Request failed with status code 401'), {
+        response: { status: 401, data: { success: false, message: 'Invalid access token' } },
+      });
+      mockApi.get.mockRejectedValue(error);
+
+      await expect(authAPI.verify('bad.token')).rejects.toBe(error);
+    });
+  });
+
+  describe('refresh', () => {
+    it('posts the refresh token and resolves to the new token pair', async () => {
+      const body = { success: true, data: { token: 'new.access', refreshToken: 'new.refresh' } };
+      mockApi.post.mockResolvedValue({ data: body });
+
+      const response = await authAPI.refresh('old.refresh');
+
+      expect(mockApi.post).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'old.refresh' });
+      expect(response.data.token).toBe('new.access');
+      expect(response.data.refreshToken).toBe('new.refresh');
+    });
+  });
+
+  describe('getOidcProviders', () => {
+    it('resolves to the configured providers', async () => {
+      const body = { success: true, data: { providers: [{ id: 'google', name: 'Google', loginUrl: '/api/auth/oidc/google' }] } };
+      mockApi.get.mockResolvedValue({ data: body });
+
+      const response = await authAPI.getOidcProviders();
+
+      expect(mockApi.get).toHaveBeenCalledWith('/auth/oidc/providers');
+      expect(response.data.providers[0].id).toBe('google');
+    });
+  });
+
+  describe('verifyMfa', () => {
+    it('posts the challenge token with the submitted factor', async () => {
+      const body = { success: true, data: { user: { _id: '1' }, token: 'access', refreshToken: 'refresh' } };
+      mockApi.post.mockResolvedValue({ data: body });
+
+      const response = await authAPI.verifyMfa('mfa.token', { code: '123456' });
+
+      expect(mockApi.post).toHaveBeenCalledWith('/auth/mfa/verify', { mfaToken: 'mfa.token', code: '123456' });
+      expect(response).toEqual(body);
+    });
+  });
+
+  describe('logout', () => {
+    it('sends the access token and the refresh token', async () => {
+      mockApi.post.mockResolvedValue({ data: { success: true } });
+
+      await authAPI.logout('access.token', 'refresh.token');
+
+      expect(mockApi.post).toHaveBeenCalledWith(
+        '/auth/logout',
+        { refreshToken: 'refresh.token' },
+        { headers: { Authorization: 'Bearer access.token' } }
+      );
+    });
+  });
+
+  describe('cookie mode', () => {
+    let cookieApi;
+    let cookieAuthAPI;
+    let createOptions;
+    let interceptor;
+
+    beforeAll(() => {
+      process.env.REACT_APP_AUTH_MODE = 'cookie';
+      jest.isolateModules(() => {
+        cookieAuthAPI = require('../../utils/api').authAPI;
+        const axiosMock = require('axios');
+        cookieApi = axiosMock.mockInstance;
+        createOptions = axiosMock.create.mock.calls[0][0];
+        interceptor = cookieApi.interceptors.request.use.mock.calls[0][0];
+      });
+    });
+
+    afterAll(() => {
+      delete process.env.REACT_APP_AUTH_MODE;
+      document.cookie = 'csrf_token=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+    });
+
+    it('sends cookies and leaves the Authorization header off', async () => {
+      cookieApi.get.mockResolvedValue({ data: { success: true, data: {} } });
+
+      await cookieAuthAPI.verify();
+
+      expect(createOptions.withCredentials).toBe(true);
+      expect(cookieApi.get).toHaveBeenCalledWith('/auth/verify', {});
+    });
+
+    it('echoes the CSRF cookie on state-changing requests only', () => {
+      document.cookie = 'csrf_token=csrf-value';
+      localStorage.setItem('token', 'stored.jwt.token');
+
+      const post = interceptor({ method: 'post', headers: {} });
+      const get = interceptor({ method: 'get', headers: {} });
+
+      expect(post.headers['X-CSRF-Token']).toBe('csrf-value');
+      expect(post.headers.Authorization).toBeUndefined();
+      expect(get.headers['X-CSRF-Token']).toBeUndefined();
+
+      localStorage.removeItem('token');
+    });
+  });
+});
@@ -0,0 +1,476 @@
+// api.js - HTTP client for the Express API
+
+import axios from 'axios';
+
+// In cookie mode the server keeps tokens in HttpOnly cookies and the client
+// never sees them; set REACT_APP_AUTH_MODE=cookie to match AUTH_COOKIE_MODE on the server
+export const COOKIE_AUTH = process.env.REACT_APP_AUTH_MODE === 'cookie';
+
+const CSRF_COOKIE = 'csrf_token';
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/api';
+
+const api = axios.create({
+  baseURL: API_BASE_URL,
+  withCredentials: COOKIE_AUTH,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+// Read a cookie the server left readable, such as the CSRF token
+const readCookie = (name) => {
+  const match = document.cookie.split('; ').find((cookie) => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+};
+
+// Build an Authorization header for an explicit token
+const withToken = (token) => (token && !COOKIE_AUTH ? {
+  headers: { Authorization: `Bearer ${token}` }
+} : {});
+
+// Resolve a server path such as an upload URL against the API's origin,
+// for when the API is served from another host than the client
+export const assetUrl = (path) => {
+  if (!path || !path.startsWith('/')) {
+    return path;
+  }
+
+  try {
+    return new URL(path, API_BASE_URL).toString();
+  } catch (error) {
+    // A relative API base means the API shares the client's origin
+    return path;
+  }
+};
+
+// Token of an admin impersonation in progress; kept in memory only so a reload ends it
+let impersonationToken = null;
+
+export const setImpersonationToken = (token) => {
+  impersonationToken = token;
+};
+
+// Attach the stored token, or in cookie mode the CSRF token, to outgoing requests
+api.interceptors.request.use((config) => {
+  // An impersonation in progress takes precedence over the user's own session
+  const token = impersonationToken || (COOKIE_AUTH ? null : localStorage.getItem('token'));
+
+  if (token && !config.headers?.Authorization) {
+    config.headers = { ...config.headers, Authorization: `Bearer ${token}` };
+  }
+
+  if (COOKIE_AUTH) {
+    const csrfToken = readCookie(CSRF_COOKIE);
+
+    if (csrfToken && !SAFE_METHODS.includes((config.method || 'get').toLowerCase())) {
+      config.headers = { ...config.headers, 'X-CSRF-Token': csrfToken };
+    }
+  }
+
+  return config;
+});
+
+/**
+ * Auth endpoints
+ * Every method resolves to the server's JSON body: { success, message?, data? }
+ */
+export const authAPI = {
+  /**
+   * Register a new account
+   * Resolves to { success, data: { user, token, refreshToken } }
+   */
+  register: async (userData) => {
+    const response = await api.post('/auth/register', userData);
+    return response.data;
+  },
+
+  /**
+   * Sign in with email and password
+   * Resolves to { success, data: { user, token, refreshToken } }, or to
+   * { success, data: { mfaRequired: true, mfaToken } } when a second factor is needed.
+   */
+  login: async (credentials) => {
+    const response = await api.post('/auth/login', credentials);
+    return response.data;
+  },
+
+  /**
+   * List the external sign-in providers configured on the server
+   * Resolves to { success, data: { providers: [{ id, name, loginUrl }] } }
+   */
+  getOidcProviders: async () => {
+    const response = await api.get('/auth/oidc/providers');
+    return response.data;
+  },
+
+  /**
+   * Complete a sign-in challenged for two-factor authentication
+   * factor is { code } or { recoveryCode }.
+   * Resolves to { success, data: { user, token, refreshToken } }; a dead challenge
+   * fails with code 'mfa_challenge_invalid' and needs a new password sign-in.
+   */
+  verifyMfa: async (mfaToken, factor) => {
+    const response = await api.post('/auth/mfa/verify', { mfaToken, ...factor });
+    return response.data;
+  },
+
+  /**
+   * Start two-factor enrollment
+   * Resolves to { success, data: { secret, otpauthUri } }
+   */
+  setupMfa: async () => {
+    const response = await api.post('/auth/mfa/setup');
+    return response.data;
+  },
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * Resolves to { success, data: { recoveryCodes } }; the codes are only shown once.
+   */
+  enableMfa: async (code) => {
+    const response = await api.post('/auth/mfa/enable', { code });
+    return response.data;
+  },
+
+  /**
+   * Turn two-factor authentication off
+   * factor is { code } or { recoveryCode }.
+   */
+  disableMfa: async (password, factor) => {
+    const response = await api.post('/auth/mfa/disable', { password, ...factor });
+    return response.data;
+  },
+
+  /**
+   * Verify a stored access token and load the current user
+   * Resolves to { success, data: { user, token: { expiresAt, expiresIn, refreshRecommended } } }
+   * where expiresAt is an ISO date and expiresIn is in seconds.
+   */
+  verify: async (token) => {
+    const response = await api.get('/auth/verify', withToken(token));
+    return response.data;
+  },
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Resolves to { success, data: { token, refreshToken } }; in cookie mode the
+   * refresh token comes from its cookie and the new pair is only set as cookies.
+   */
+  refresh: async (refreshToken) => {
+    const response = await api.post('/auth/refresh', { refreshToken });
+    return response.data;
+  },
+
+  /**
+   * Revoke the access token and, when given, its refresh token family
+   */
+  logout: async (token, refreshToken) => {
+    const response = await api.post('/auth/logout', { refreshToken }, withToken(token));
+    return response.data;
+  },
+
+  /**
+   * Revoke every session of the current user
+   */
+  logoutAll: async () => {
+    const response = await api.post('/auth/logout-all');
+    return response.data;
+  },
+
+  /**
+   * List the signed-in devices of the current user
+   * Resolves to { success, data: { sessions: [{ _id, userAgent, ip, createdAt, lastSeenAt, current }] } }
+   */
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  /**
+   * Sign a device out by revoking its session
+   */
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  /**
+   * Download a copy of the current user's personal data
+   * Resolves to a Blob holding the JSON export.
+   */
+  exportData: async () => {
+    const response = await api.post('/auth/export', null, { responseType: 'blob' });
+    return response.data;
+  },
+
+  /**
+   * Delete the current user's account
+   * factor is { code } or { recoveryCode } when two-factor authentication is on.
+   * Resolves to { success, data: { purgeAfter } }
+   */
+  deleteAccount: async (password, factor = {}) => {
+    const response = await api.delete('/auth/account', { data: { password, ...factor } });
+    return response.data;
+  }
+};
+
+/**
+ * Post endpoints
+ * List methods resolve to { success, data: { posts, pagination } }
+ */
+export const postsAPI = {
+  /**
+   * List posts; params are page, limit, category, includeSubcategories, author, search, sortBy and sortOrder
+   * Each post carries breadcrumbs, the root-first path to its category
+   */
+  getPosts: async (params = {}) => {
+    const response = await api.get('/posts', { params });
+    return response.data;
+  },
+
+  /**
+   * List published posts from the authors the current user follows
+   */
+  getFeed: async (params = {}) => {
+    const response = await api.get('/posts/feed', { params });
+    return response.data;
+  },
+
+  /**
+   * List a post's revisions, newest first, without their text (author or editors only)
+   * Resolves to { success, data: { revisions } }
+   */
+  getRevisions: async (postId) => {
+    const response = await api.get(`/posts/${postId}/revisions`);
+    return response.data;
+  },
+
+  /**
+   * Get one revision with its full text
+   * Resolves to { success, data: { revision } }
+   */
+  getRevision: async (postId, number) => {
+    const response = await api.get(`/posts/${postId}/revisions/${number}`);
+    return response.data;
+  },
+
+  /**
+   * Compare two revisions word by word; both default to the latest change
+   * Resolves to { success, data: { from, to, title, content, excerpt, tags } }
+   */
+  diffRevisions: async (postId, { from, to } = {}) => {
+    const response = await api.get(`/posts/${postId}/revisions/diff`, { params: { from, to } });
+    return response.data;
+  },
+
+  /**
+   * Put a post's text back to an earlier revision
+   * Resolves to { success, data: { post, revision } }
+   */
+  restoreRevision: async (postId, number) => {
+    const response = await api.post(`/posts/${postId}/revisions/${number}/restore`);
+    return response.data;
+  }
+};
+
+/**
+ * User endpoints
+ */
+export const usersAPI = {
+  /**
+   * Start acting as another user (requires user.manage)
+   * Resolves to { success, data: { token, expiresAt, user, impersonator } }
+   */
+  impersonate: async (userId) => {
+    const response = await api.post(`/users/${userId}/impersonate`);
+    return response.data;
+  },
+
+  /**
+   * Get a user's public profile; works signed out
+   * Resolves to { success, data: { user, isFollowing } }
+   */
+  getPublicProfile: async (username) => {
+    const response = await api.get(`/users/by-username/${encodeURIComponent(username)}`);
+    return response.data;
+  },
+
+  /**
+   * List a user's published posts; works signed out
+   * Resolves to { success, data: { posts, pagination } }
+   */
+  getPublicPosts: async (username, params = {}) => {
+    const response = await api.get(`/users/by-username/${encodeURIComponent(username)}/posts`, { params });
+    return response.data;
+  },
+
+  /**
+   * Follow a user
+   * Resolves to { success, data: { isFollowing, followersCount } }
+   */
+  follow: async (userId) => {
+    const response = await api.post(`/users/${userId}/follow`);
+    return response.data;
+  },
+
+  /**
+   * Stop following a user
+   * Resolves to { success, data: { isFollowing, followersCount } }
+   */
+  unfollow: async (userId) => {
+    const response = await api.delete(`/users/${userId}/follow`);
+    return response.data;
+  },
+
+  /**
+   * List the users following a user
+   * Resolves to { success, data: { users, pagination } }
+   */
+  getFollowers: async (userId, params = {}) => {
+    const response = await api.get(`/users/${userId}/followers`, { params });
+    return response.data;
+  },
+
+  /**
+   * List the users a user follows
+   * Resolves to { success, data: { users, pagination } }
+   */
+  getFollowing: async (userId, params = {}) => {
+    const response = await api.get(`/users/${userId}/following`, { params });
+    return response.data;
+  }
+};
+
+/**
+ * Category endpoints
+ * Listing works signed out; changes require category.manage
+ */
+export const categoriesAPI = {
+  /**
+   * List categories with their published postCount
+   * isActive ('true' or 'false') only applies for admins; others always get active ones
+   * Resolves to { success, data: { categories } }
+   */
+  getCategories: async (params = {}) => {
+    const response = await api.get('/categories', { params });
+    return response.data;
+  },
+
+  /**
+   * Get a category by slug
+   * Resolves to { success, data: { category, breadcrumbs } }
+   */
+  getCategory: async (slug) => {
+    const response = await api.get(`/categories/${encodeURIComponent(slug)}`);
+    return response.data;
+  },
+
+  /**
+   * Create a category from { name, slug, description, color, isActive, parent }
+   * Resolves to { success, data: { category } }
+   */
+  createCategory: async (category) => {
+    const response = await api.post('/categories', category);
+    return response.data;
+  },
+
+  /**
+   * Update a category; renaming keeps the slug unless one is sent
+   * Changing parent moves the category with everything below it
+   * Resolves to { success, data: { category } }
+   */
+  updateCategory: async (categoryId, changes) => {
+    const response = await api.put(`/categories/${categoryId}`, changes);
+    return response.data;
+  },
+
+  /**
+   * Delete a category; one with posts fails with 409 unless reassignTo names
+   * the category its posts should move to
+   */
+  deleteCategory: async (categoryId, reassignTo) => {
+    const response = await api.delete(`/categories/${categoryId}`, {
+      params: reassignTo ? { reassignTo } : {}
+    });
+    return response.data;
+  }
+};
+
+/**
+ * Tag endpoints
+ * Tags are lowercase and normalised by the server, e.g. "Machine Learning" becomes "machine-learning"
+ */
+export const tagsAPI = {
+  /**
+   * List tags with their published post counts, most used first; pass prefix to autocomplete
+   * Resolves to { success, data: { tags: [{ name, count }] } }
+   */
+  getTags: async (params = {}) => {
+    const response = await api.get('/tags', { params });
+    return response.data;
+  },
+
+  /**
+   * Get the most used tags alphabetically, each with a weight from 1 to 5
+   * Resolves to { success, data: { tags: [{ name, count, weight }] } }
+   */
+  getTagCloud: async (params = {}) => {
+    const response = await api.get('/tags/cloud', { params });
+    return response.data;
+  },
+
+  /**
+   * List published posts with a tag
+   * Resolves to { success, data: { tag, posts, pagination } }
+   */
+  getTagPosts: async (tag, params = {}) => {
+    const response = await api.get(`/tags/${encodeURIComponent(tag)}/posts`, { params });
+    return response.data;
+  }
+};
+
+// Wrap a File in the multipart form the upload endpoints expect
+const imageForm = (file) => {
+  const form = new FormData();
+  form.append('image', file);
+  return form;
+};
+
+const MULTIPART = { headers: { 'Content-Type': 'multipart/form-data' } };
+
+/**
+ * Upload endpoints
+ * Images are JPEG, PNG or WebP, checked and resized by the server.
+ */
+export const uploadsAPI = {
+  /**
+   * Replace the current user's avatar
+   * Resolves to { success, data: { upload, user } }
+   */
+  uploadAvatar: async (file) => {
+    const response = await api.post('/uploads/avatar', imageForm(file), MULTIPART);
+    return response.data;
+  },
+
+  /**
+   * Remove the current user's avatar
+   * Resolves to { success, data: { user } }
+   */
+  removeAvatar: async () => {
+    const response = await api.delete('/uploads/avatar');
+    return response.data;
+  },
+
+  /**
+   * Upload an image for use as a post's featuredImage
+   * Resolves to { success, data: { upload } }; use upload.url as the featuredImage
+   */
+  uploadImage: async (file) => {
+    const response = await api.post('/uploads/images', imageForm(file), MULTIPART);
+    return response.data;
+  }
+};
+
+export default api;
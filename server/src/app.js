@@ -3,20 +3,34 @@ const cors = require('cors');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const mongoose = require('mongoose');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
 const userRoutes = require('./routes/users');
-const errorHandler = require('./middleware/errorHandler');
+const adminRoutes = require('./routes/admin');
+const uploadRoutes = require('./routes/uploads');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const { serveUpload } = require('./controllers/uploadController');
+const { errorHandler } = require('./middleware/errorHandler');
+const { csrfProtection } = require('./middleware/csrf');
+const { requestId } = require('./middleware/requestId');
 const logger = require('./utils/logger');
 
 const app = express();
 
+// Tag every request so logs and audit events can be correlated
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 
+// Uploaded images are served ahead of the rate limiter, since one page can load dozens
+app.get('/api/uploads/:id/:variant', serveUpload);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -34,6 +48,10 @@ app.use(cors({
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
+
+// CSRF protection for cookie authentication mode
+app.use(csrfProtection);
 
 // Logging middleware
 if (process.env.NODE_ENV !== 'test') {
@@ -53,6 +71,10 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
 
 // Catch 404 and forward to error handler
 app.use('*', (req, res, next) => {
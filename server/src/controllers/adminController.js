@@ -0,0 +1,320 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole } = require('../utils/permissions');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { recordAudit, auditTarget, diffChanges } = require('../utils/audit');
+const { toCsvRow } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+/**
+ * List every permission a role can grant
+ * GET /api/admin/permissions
+ */
+const getPermissions = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: PERMISSIONS,
+    },
+  });
+});
+
+/**
+ * List built-in and custom roles
+ * GET /api/admin/roles
+ */
+const getRoles = asyncHandler(async (req, res) => {
+  const customRoles = await Role.find().sort({ name: 1 }).lean();
+
+  const builtInRoles = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+    name,
+    description: role.description,
+    permissions: role.permissions,
+    builtIn: true,
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      roles: [
+        ...builtInRoles,
+        ...customRoles.map(role => ({ ...role, builtIn: false })),
+      ],
+    },
+  });
+});
+
+/**
+ * Create a custom role
+ * POST /api/admin/roles
+ */
+const createRole = asyncHandler(async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  if (await Role.roleExists(String(name).toLowerCase())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Role already exists',
+    });
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+  });
+
+  logger.info(`Role created: ${role.name} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'role.create',
+    target: auditTarget('Role', role, role.name),
+    after: { description: role.description, permissions: role.permissions },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * Update a custom role
+ * PUT /api/admin/roles/:name
+ */
+const updateRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const { description, permissions } = req.body;
+
+  if (isBuiltInRole(name)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles cannot be changed',
+    });
+  }
+
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found',
+    });
+  }
+
+  const before = { description: role.description, permissions: [...role.permissions] };
+
+  if (description !== undefined) role.description = description;
+  if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+  await role.save();
+
+  logger.info(`Role updated: ${role.name} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'role.update',
+    target: auditTarget('Role', role, role.name),
+    ...diffChanges(before, { description: role.description, permissions: [...role.permissions] }),
+  });
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: {
+      role,
+    },
+  });
+});
+
+/**
+ * Delete a custom role that no user holds
+ * DELETE /api/admin/roles/:name
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (isBuiltInRole(name)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles cannot be deleted',
+    });
+  }
+
+  const role = await Role.findOne({ name });
+
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found',
+    });
+  }
+
+  const assigned = await User.countDocuments({ role: name });
+
+  if (assigned > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Role is assigned to ${assigned} user(s)`,
+    });
+  }
+
+  await role.deleteOne();
+
+  logger.info(`Role deleted: ${name} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'role.delete',
+    target: auditTarget('Role', role, role.name),
+    before: { description: role.description, permissions: role.permissions },
+  });
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully',
+  });
+});
+
+// Columns of the audit CSV export
+const AUDIT_CSV_COLUMNS = [
+  ['createdAt', event => event.createdAt],
+  ['action', event => event.action],
+  ['actorId', event => event.actor && event.actor._id],
+  ['actor', event => event.actor && event.actor.email],
+  ['impersonator', event => event.impersonator && event.impersonator.email],
+  ['targetType', event => event.target && event.target.type],
+  ['targetId', event => event.target && event.target.id],
+  ['target', event => event.target && event.target.label],
+  ['before', event => event.before],
+  ['after', event => event.after],
+  ['metadata', event => event.metadata],
+  ['ip', event => event.ip],
+  ['requestId', event => event.requestId],
+];
+
+/**
+ * Find audit events matching the admin filters, newest first
+ * @param {Object} filters - Query string filters
+ * @returns {Object} Mongoose query
+ */
+const findAuditEvents = (filters) => {
+  return AuditEvent.find(AuditEvent.buildQuery(filters))
+    .sort({ createdAt: -1, _id: -1 })
+    .populate('actor', 'username email')
+    .populate('impersonator', 'username email');
+};
+
+/**
+ * List audit events
+ * Filters: actor, action (a trailing ".*" matches a group), target, from, to
+ * GET /api/admin/audit
+ */
+const getAuditEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [events, total] = await Promise.all([
+    findAuditEvents(req.query).skip(skip).limit(parseInt(limit)).lean(),
+    AuditEvent.countDocuments(AuditEvent.buildQuery(req.query)),
+  ]);
+
+  const totalPages = Math.ceil(total / parseInt(limit));
+
+  res.json({
+    success: true,
+    data: {
+      events,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalEvents: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+/**
+ * Wait until a response can take more data, or until the client goes away
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+};
+
+/**
+ * Export audit events as CSV, with the same filters as the list
+ * Streams rows so large exports don't have to fit in memory.
+ * GET /api/admin/audit/export
+ */
+const exportAuditEvents = asyncHandler(async (req, res) => {
+  const filename = `audit-${new Date().toISOString().slice(0, 10)}.csv`;
+  const cursor = findAuditEvents(req.query).lean().cursor();
+  let finished = false;
+
+  // Stop reading events as soon as the client disconnects
+  res.on('close', () => {
+    if (!finished) {
+      cursor.close().catch(error => logger.error('Could not close the audit export cursor:', error));
+    }
+  });
+
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.attachment(filename);
+  res.write(toCsvRow(AUDIT_CSV_COLUMNS.map(([name]) => name)));
+
+  // Headers are already sent, so a failure can only cut the download short
+  try {
+    for await (const event of cursor) {
+      if (res.destroyed) {
+        break;
+      }
+
+      // Let a slow client catch up rather than buffering the rest of the export
+      if (!res.write(toCsvRow(AUDIT_CSV_COLUMNS.map(([, value]) => value(event))))) {
+        await waitForDrain(res);
+      }
+    }
+  } catch (error) {
+    if (!res.destroyed) {
+      logger.error('Audit log export failed:', error);
+      res.destroy(error);
+    }
+    return;
+  }
+
+  if (res.destroyed) {
+    logger.info(`Audit log export cancelled by ${req.user.email}`);
+    return;
+  }
+
+  finished = true;
+  logger.info(`Audit log exported by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'audit.export',
+    metadata: { filters: req.query },
+  });
+
+  res.end();
+});
+
+module.exports = {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getAuditEvents,
+  exportAuditEvents,
+};
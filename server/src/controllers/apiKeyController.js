@@ -0,0 +1,118 @@
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey, hashToken } = require('../utils/auth');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { isValidObjectId } = require('../utils/validation');
+const { recordAudit, auditTarget } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Characters of the key kept in plain text so users can tell keys apart
+const API_KEY_VISIBLE_PREFIX_LENGTH = 12;
+const MAX_API_KEYS_PER_USER = parseInt(process.env.MAX_API_KEYS_PER_USER || 25);
+
+/**
+ * List the current user's API keys
+ * GET /api/auth/api-keys
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: {
+      apiKeys,
+    },
+  });
+});
+
+/**
+ * Create an API key
+ * The key is only returned in this response; the server keeps a hash.
+ * POST /api/auth/api-keys
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  const activeCount = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+
+  if (activeCount >= MAX_API_KEYS_PER_USER) {
+    return res.status(400).json({
+      success: false,
+      message: `You can have at most ${MAX_API_KEYS_PER_USER} API keys`,
+    });
+  }
+
+  const key = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    user: req.user._id,
+    name,
+    keyHash: hashToken(key),
+    prefix: key.slice(0, API_KEY_VISIBLE_PREFIX_LENGTH),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+  });
+
+  logger.info(`API key created for user: ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'api_key.create',
+    target: auditTarget('ApiKey', apiKey, apiKey.name),
+    after: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now, it will not be shown again',
+    data: {
+      apiKey,
+      key,
+    },
+  });
+});
+
+/**
+ * Revoke one of the current user's API keys
+ * DELETE /api/auth/api-keys/:id
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid API key ID',
+    });
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: id, user: req.user._id, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    return res.status(404).json({
+      success: false,
+      message: 'API key not found',
+    });
+  }
+
+  logger.info(`API key revoked for user: ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'api_key.revoke',
+    target: auditTarget('ApiKey', apiKey, apiKey.name),
+  });
+
+  res.json({
+    success: true,
+    message: 'API key revoked',
+    data: {
+      apiKey,
+    },
+  });
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -1,9 +1,339 @@
+const crypto = require('crypto');
 const User = require('../models/User');
-const { generateToken } = require('../utils/auth');
-const { validatePassword, validateUsername, isValidEmail } = require('../utils/validation');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const LoginAttempt = require('../models/LoginAttempt');
+const OidcState = require('../models/OidcState');
+const Role = require('../models/Role');
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+  getTokenExpiry,
+  getTokenStatus,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+} = require('../utils/auth');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('../utils/totp');
+const {
+  getProviders,
+  getProvider,
+  getLoginUrl,
+  discover,
+  generateRandomValue,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require('../utils/oidc');
+const {
+  validatePassword,
+  validateUsername,
+  isValidEmail,
+  isValidObjectId,
+} = require('../utils/validation');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { sendMail } = require('../utils/mailer');
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+  accountLockedEmail,
+  accountDeletedEmail,
+} = require('../utils/emails');
+const { buildDataExport } = require('../utils/dataExport');
+const {
+  isCookieMode,
+  setAuthCookies,
+  clearAuthCookies,
+  getRefreshTokenCookie,
+} = require('../utils/authCookies');
+const { recordAudit, auditTarget } = require('../utils/audit');
 const logger = require('../utils/logger');
 
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || 30);
+const MFA_ISSUER = process.env.MFA_ISSUER || 'MERN Blog';
+const MFA_SECRET_FIELDS = '+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep';
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(
+  process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || 60
+);
+const OIDC_STATE_EXPIRES_MINUTES = 10;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || 5);
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || 20);
+
+/**
+ * Issue an access token and a persisted refresh token for a session
+ * The session id doubles as the refresh token rotation family.
+ * @param {Object} user - User document
+ * @param {Object} session - Session document
+ * @returns {Promise<Object>} Access token, refresh token and its stored record
+ */
+const issueAuthTokens = async (user, session) => {
+  const family = session._id.toString();
+  const refreshToken = generateRefreshToken(user, { family });
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: getTokenExpiry(refreshToken),
+  });
+
+  // The session lives as long as its newest refresh token
+  session.expiresAt = record.expiresAt;
+  await session.save();
+
+  return {
+    token: generateToken(user, { sessionId: family }),
+    refreshToken,
+    record,
+  };
+};
+
+/**
+ * Start a new session for the device making the request
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Access token, refresh token and its stored record
+ */
+const startSession = (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: (req.get('User-Agent') || '').substring(0, 500),
+    ip: req.ip,
+  });
+
+  return issueAuthTokens(user, session);
+};
+
+/**
+ * Deliver a token pair to the client
+ * In cookie mode the tokens are set as HttpOnly cookies and left out of the body.
+ * @param {Object} res - Express response
+ * @param {Object} tokens - Token pair
+ * @returns {Object} Token fields for the response body
+ */
+const deliverTokens = (res, { token, refreshToken }) => {
+  if (isCookieMode()) {
+    setAuthCookies(res, { token, refreshToken });
+    return {};
+  }
+  return { token, refreshToken };
+};
+
+/**
+ * Revoke a session together with its refresh token family
+ * @param {string} family - Session id / refresh token family
+ * @param {string} reason - Revocation reason stored on the refresh tokens
+ */
+const endSession = async (family, reason) => {
+  await RefreshToken.revokeFamily(family, reason);
+
+  if (isValidObjectId(family)) {
+    await Session.updateOne({ _id: family, revokedAt: null }, { revokedAt: new Date() });
+  }
+};
+
+/**
+ * Serialize a user together with the effective permissions of their role
+ * The client's hasPermission reads user.permissions.
+ * @param {Object} user - User document
+ * @param {string[]} [permissions] - Already resolved permissions
+ * @returns {Promise<Object>} User JSON with permissions
+ */
+const serializeUser = async (user, permissions) => ({
+  ...user.toJSON(),
+  permissions: permissions || await Role.getPermissions(user.role),
+});
+
+/**
+ * Check and consume a second factor: a TOTP code or a recovery code
+ * Recovery codes are single-use and a TOTP code cannot be replayed within its window.
+ * @param {Object} user - User document with MFA secrets selected
+ * @param {Object} factor - Submitted factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<boolean>} Whether the factor was accepted
+ */
+const consumeSecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'mfa.recoveryCodes': codeHash },
+      { $pull: { 'mfa.recoveryCodes': codeHash } }
+    );
+    return result.modifiedCount === 1;
+  }
+  
+  const step = verifyTotp(user.mfa.secret, code);
+  if (step === null) {
+    return false;
+  }
+  
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'mfa.lastUsedStep': { $exists: false } },
+        { 'mfa.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { 'mfa.lastUsedStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Count a failed sign-in against the account and the client IP
+ * Unknown emails are counted too, so a lockout says nothing about whether an account exists.
+ * @param {Object} req - Express request
+ * @param {string} email - Email the sign-in was attempted for
+ * @param {Object|null} user - Matching user, if any, to notify when the account locks
+ * @param {string} reason - Why the sign-in failed, for the audit trail
+ */
+const recordFailedLogin = async (req, email, user, reason) => {
+  const { ip } = req;
+  
+  await recordAudit(req, {
+    action: 'auth.login_failed',
+    actor: null,
+    target: user ? auditTarget('User', user, user.email) : undefined,
+    metadata: { email, reason },
+  });
+  
+  const [account, client] = await Promise.all([
+    LoginAttempt.recordFailure(LoginAttempt.accountKey(email), LOGIN_MAX_FAILURES),
+    LoginAttempt.recordFailure(LoginAttempt.ipKey(ip), LOGIN_IP_MAX_FAILURES),
+  ]);
+  
+  if (client.locked) {
+    logger.warn(`Login locked for IP ${ip} until ${client.attempt.lockedUntil.toISOString()}`);
+  }
+  
+  if (!account.locked) {
+    return;
+  }
+  
+  logger.warn(`Login locked for ${email} until ${account.attempt.lockedUntil.toISOString()}`);
+  
+  if (user && user.isActive) {
+    try {
+      await sendMail(accountLockedEmail(user, account.attempt.lockedUntil));
+    } catch (error) {
+      logger.error('Account locked email failed:', error);
+    }
+  }
+};
+
+/**
+ * Send the browser back to the client with the result of an external sign-in
+ * Values travel in the URL fragment so they never reach server logs.
+ * @param {Object} res - Express response
+ * @param {Object} params - Fragment parameters
+ */
+const redirectToClient = (res, params) => {
+  res.redirect(`${CLIENT_URL}/oauth/callback#${new URLSearchParams(params).toString()}`);
+};
+
+/**
+ * Pick an unused username based on the identity's claims
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<string>} Username
+ */
+const generateUsername = async (claims) => {
+  const base = String(claims.preferred_username || claims.email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_]/g, '')
+    .slice(0, 24)
+    .padEnd(3, '_');
+  
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}_${crypto.randomBytes(2).toString('hex')}`;
+  }
+  return username;
+};
+
+/**
+ * Find or create the user for a verified external identity
+ * Identities are linked to an existing account by verified email; several
+ * providers can be linked to the same user.
+ * @param {Object} provider - Provider configuration
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} User document
+ */
+const findOrCreateOidcUser = async (provider, claims) => {
+  const identity = { provider: provider.id, subject: String(claims.sub) };
+  
+  const linked = await User.findOne({ identities: { $elemMatch: identity } });
+  if (linked) {
+    return linked;
+  }
+  
+  if (!claims.email || claims.email_verified !== true) {
+    const error = new Error('Provider did not return a verified email');
+    error.code = 'email_not_verified';
+    throw error;
+  }
+  
+  const email = claims.email.toLowerCase();
+  const existing = await User.findOne({ email });
+  
+  if (existing) {
+    // Linking to an unproven address would let someone pre-register a victim's
+    // email and later ride on the victim's external sign-in
+    if (!existing.emailVerified) {
+      const error = new Error('Existing account email is not verified');
+      error.code = 'account_not_verified';
+      throw error;
+    }
+    
+    existing.identities.push({ ...identity, email });
+    await existing.save();
+    logger.info(`Linked ${provider.id} identity to user: ${existing.email}`);
+    return existing;
+  }
+  
+  const user = await User.create({
+    username: await generateUsername(claims),
+    email,
+    // Unusable password; the user can set one through the reset flow
+    password: crypto.randomBytes(32).toString('hex'),
+    firstName: claims.given_name,
+    lastName: claims.family_name,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    identities: [{ ...identity, email }],
+  });
+  
+  logger.info(`User registered with ${provider.id}: ${user.email}`);
+  return user;
+};
+
+/**
+ * Send the email verification link to a user
+ * Mail failures are logged rather than failing the request.
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+  
+  try {
+    await sendMail(emailVerificationEmail(user, generateEmailVerificationToken(user)));
+  } catch (error) {
+    logger.error('Verification email failed:', error);
+  }
+};
+
 /**
  * Register a new user
  * POST /api/auth/register
@@ -70,9 +400,10 @@ const register = asyncHandler(async (req, res) => {
   });
   
   await user.save();
+  await sendVerificationEmail(user);
   
-  // Generate token
-  const token = generateToken(user);
+  // Generate tokens
+  const { token, refreshToken } = await startSession(user, req);
   
   logger.info(`New user registered: ${user.email}`);
   
@@ -80,8 +411,8 @@ const register = asyncHandler(async (req, res) => {
     success: true,
     message: 'User registered successfully',
     data: {
-      user,
-      token,
+      user: await serializeUser(user),
+      ...deliverTokens(res, { token, refreshToken }),
     },
   });
 });
@@ -101,10 +432,32 @@ const login = asyncHandler(async (req, res) => {
     });
   }
   
+  // Locked accounts and IPs get the same answer as a wrong password
+  const lockedUntil = await LoginAttempt.getLockedUntil([
+    LoginAttempt.accountKey(email),
+    LoginAttempt.ipKey(req.ip),
+  ]);
+  
+  if (lockedUntil) {
+    logger.warn(`Login attempt while locked for ${email} from ${req.ip}`);
+    await recordAudit(req, {
+      action: 'auth.login_failed',
+      actor: null,
+      metadata: { email, reason: 'locked' },
+    });
+    
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid credentials',
+    });
+  }
+  
   // Find user by email
   const user = await User.findOne({ email }).select('+password');
   
   if (!user || !user.isActive) {
+    await recordFailedLogin(req, email, user, user ? 'account_disabled' : 'unknown_email');
+    
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials',
@@ -115,26 +468,602 @@ const login = asyncHandler(async (req, res) => {
   const isPasswordValid = await user.comparePassword(password);
   
   if (!isPasswordValid) {
+    await recordFailedLogin(req, email, user, 'invalid_password');
+    
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials',
     });
   }
   
-  // Generate token
-  const token = generateToken(user);
+  // Ask for the second factor before issuing any tokens
+  if (user.mfa && user.mfa.enabled) {
+    logger.info(`MFA challenge issued for user: ${user.email}`);
+    
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaChallengeToken(user),
+      },
+    });
+  }
+  
+  await LoginAttempt.clear(LoginAttempt.accountKey(email));
+  
+  // Generate tokens
+  const { token, refreshToken } = await startSession(user, req);
   
   // Remove password from response
   user.password = undefined;
   
   logger.info(`User logged in: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.login',
+    actor: user,
+    metadata: { method: 'password' },
+  });
   
   res.json({
     success: true,
     message: 'Login successful',
     data: {
-      user,
-      token,
+      user: await serializeUser(user),
+      ...deliverTokens(res, { token, refreshToken }),
+    },
+  });
+});
+
+// The code lets the client tell a dead challenge, which needs the password again, from a wrong code
+const invalidMfaChallenge = res => res.status(401).json({
+  success: false,
+  message: 'Invalid or expired MFA challenge',
+  code: 'mfa_challenge_invalid',
+});
+
+/**
+ * Complete a login that was challenged for two-factor authentication
+ * POST /api/auth/mfa/verify
+ */
+const verifyMfa = asyncHandler(async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+  
+  let decoded;
+  try {
+    decoded = verifyMfaChallengeToken(mfaToken);
+  } catch (error) {
+    return invalidMfaChallenge(res);
+  }
+  
+  const user = await User.findById(decoded.id).select(MFA_SECRET_FIELDS);
+  
+  if (!user || !user.isActive || !user.mfa.enabled) {
+    return invalidMfaChallenge(res);
+  }
+  
+  // Code guesses count towards the same lockout as password guesses
+  const accountKey = LoginAttempt.accountKey(user.email);
+  
+  if (await LoginAttempt.getLockedUntil([accountKey, LoginAttempt.ipKey(req.ip)])) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid verification code',
+    });
+  }
+  
+  if (!await consumeSecondFactor(user, { code, recoveryCode })) {
+    logger.warn(`Invalid MFA code for user: ${user.email}`);
+    await recordFailedLogin(req, user.email, user, 'invalid_second_factor');
+    
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid verification code',
+    });
+  }
+  
+  await LoginAttempt.clear(accountKey);
+  
+  const { token, refreshToken } = await startSession(user, req);
+  
+  logger.info(`User logged in with MFA: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.login',
+    actor: user,
+    metadata: { method: 'mfa' },
+  });
+  
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: await serializeUser(user),
+      ...deliverTokens(res, { token, refreshToken }),
+    },
+  });
+});
+
+/**
+ * List the configured external sign-in providers
+ * GET /api/auth/oidc/providers
+ */
+const getOidcProviders = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: getProviders().map(provider => ({
+        id: provider.id,
+        name: provider.name,
+        loginUrl: getLoginUrl(provider),
+      })),
+    },
+  });
+});
+
+/**
+ * Start sign-in with an external provider
+ * GET /api/auth/oidc/:provider
+ */
+const startOidcLogin = asyncHandler(async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sign-in provider not found',
+    });
+  }
+  
+  const metadata = await discover(provider);
+  const pending = await OidcState.create({
+    state: generateRandomValue(),
+    provider: provider.id,
+    nonce: generateRandomValue(),
+    codeVerifier: generateRandomValue(),
+    expiresAt: new Date(Date.now() + OIDC_STATE_EXPIRES_MINUTES * 60 * 1000),
+  });
+  
+  res.redirect(buildAuthorizationUrl(provider, metadata, pending));
+});
+
+/**
+ * Finish sign-in when the provider redirects back
+ * Issues the app's own tokens and hands them to the client.
+ * GET /api/auth/oidc/:provider/callback
+ */
+const oidcCallback = asyncHandler(async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  const { code, state, error } = req.query;
+  
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Sign-in provider not found',
+    });
+  }
+  
+  if (error) {
+    return redirectToClient(res, { error: 'provider_error' });
+  }
+  
+  const pending = state && await OidcState.consume(String(state), provider.id);
+  
+  if (!pending || !code) {
+    return redirectToClient(res, { error: 'invalid_state' });
+  }
+  
+  let user;
+  try {
+    const metadata = await discover(provider);
+    const tokens = await exchangeCode(provider, metadata, {
+      code: String(code),
+      codeVerifier: pending.codeVerifier,
+    });
+    const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+    user = await findOrCreateOidcUser(provider, claims);
+  } catch (oidcError) {
+    logger.warn(`Sign-in with ${provider.id} failed: ${oidcError.message}`);
+    return redirectToClient(res, { error: oidcError.code || 'oidc_failed' });
+  }
+  
+  if (!user.isActive) {
+    return redirectToClient(res, { error: 'account_disabled' });
+  }
+  
+  if (user.mfa && user.mfa.enabled) {
+    return redirectToClient(res, { mfaToken: generateMfaChallengeToken(user) });
+  }
+  
+  const { token, refreshToken } = await startSession(user, req);
+  
+  logger.info(`User logged in with ${provider.id}: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.login',
+    actor: user,
+    metadata: { method: 'oidc', provider: provider.id },
+  });
+  
+  // In cookie mode the fragment only signals success; the tokens travel as cookies
+  const delivered = deliverTokens(res, { token, refreshToken });
+  redirectToClient(res, isCookieMode() ? { status: 'success' } : delivered);
+});
+
+/**
+ * Start two-factor enrollment with a new shared secret
+ * POST /api/auth/mfa/setup
+ */
+const setupMfa = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+  
+  if (user.mfa.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled',
+    });
+  }
+  
+  const secret = generateSecret();
+  user.mfa.pendingSecret = secret;
+  await user.save();
+  
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: MFA_ISSUER }),
+    },
+  });
+});
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * POST /api/auth/mfa/enable
+ */
+const enableMfa = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  
+  const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+  
+  if (user.mfa.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled',
+    });
+  }
+  
+  if (!user.mfa.pendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start two-factor setup first',
+    });
+  }
+  
+  const step = verifyTotp(user.mfa.pendingSecret, code);
+  
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code',
+    });
+  }
+  
+  // Recovery codes are shown once and only their hashes are kept
+  const recoveryCodes = generateRecoveryCodes();
+  
+  user.mfa.secret = user.mfa.pendingSecret;
+  user.mfa.pendingSecret = undefined;
+  user.mfa.recoveryCodes = recoveryCodes.map(recovery => hashToken(recovery));
+  user.mfa.lastUsedStep = step;
+  user.mfa.enabled = true;
+  user.mfa.enabledAt = new Date();
+  await user.save();
+  
+  logger.info(`MFA enabled for user: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.mfa_enable',
+    target: auditTarget('User', user, user.email),
+  });
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+/**
+ * Turn two-factor authentication off
+ * POST /api/auth/mfa/disable
+ */
+const disableMfa = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  
+  const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS}`);
+  
+  if (!user.mfa.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled',
+    });
+  }
+  
+  if (!password || !await user.comparePassword(password)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password is incorrect',
+    });
+  }
+  
+  if (!await consumeSecondFactor(user, { code, recoveryCode })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code',
+    });
+  }
+  
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { mfa: { enabled: false } } }
+  );
+  
+  logger.info(`MFA disabled for user: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.mfa_disable',
+    target: auditTarget('User', user, user.email),
+  });
+  
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/auth/refresh
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const refreshToken = req.body.refreshToken || getRefreshTokenCookie(req);
+  
+  if (!refreshToken) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refresh token is required',
+    });
+  }
+  
+  try {
+    verifyRefreshToken(refreshToken);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token',
+    });
+  }
+  
+  const tokenHash = hashToken(refreshToken);
+  
+  // Atomically consume the token so concurrent requests cannot both rotate it
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated' },
+    { new: true }
+  );
+  
+  if (!current) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    
+    if (existing) {
+      // A consumed token was presented again, so assume it leaked
+      await endSession(existing.family, 'reuse_detected');
+      logger.warn(`Refresh token reuse detected for user: ${existing.user}`);
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected',
+      });
+    }
+    
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token',
+    });
+  }
+  
+  const session = isValidObjectId(current.family)
+    ? await Session.findById(current.family)
+    : null;
+  
+  if (!session || session.revokedAt) {
+    await RefreshToken.revokeFamily(current.family, 'session_revoked');
+    
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token',
+    });
+  }
+  
+  const user = await User.findById(current.user);
+  
+  if (!user || !user.isActive) {
+    await endSession(current.family, 'user_inactive');
+    
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid refresh token',
+    });
+  }
+  
+  session.lastSeenAt = new Date();
+  const tokens = await issueAuthTokens(user, session);
+  
+  current.replacedBy = tokens.record._id;
+  await current.save();
+  
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      ...deliverTokens(res, tokens),
+    },
+  });
+});
+
+/**
+ * Logout the current session
+ * POST /api/auth/logout
+ */
+const logout = asyncHandler(async (req, res) => {
+  const refreshToken = req.body.refreshToken || getRefreshTokenCookie(req);
+  
+  // Deny the presented access token until it would have expired
+  if (req.auth.jti) {
+    await RevokedToken.revoke(req.auth);
+  }
+  
+  // End the session the token belongs to
+  if (req.auth.sid) {
+    await endSession(req.auth.sid, 'logout');
+  }
+  
+  // Ending an impersonation leaves the admin's own session and cookies alone
+  if (req.impersonator) {
+    logger.warn(`Impersonation ended by ${req.impersonator.email} as ${req.user.email}`, {
+      actor: req.impersonator._id.toString(),
+      subject: req.user._id.toString(),
+    });
+    
+    return res.json({
+      success: true,
+      message: 'Impersonation ended',
+    });
+  }
+  
+  // End the refresh token family of this session, if the client sent it
+  if (refreshToken) {
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+      user: req.user._id,
+    });
+    
+    if (stored) {
+      await endSession(stored.family, 'logout');
+    }
+  }
+  
+  if (isCookieMode()) {
+    clearAuthCookies(res);
+  }
+  
+  logger.info(`User logged out: ${req.user.email}`);
+  
+  res.json({
+    success: true,
+    message: 'Logged out successfully',
+  });
+});
+
+/**
+ * Logout every session of the current user
+ * POST /api/auth/logout-all
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  await Promise.all([
+    User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } }),
+    RefreshToken.revokeForUser(req.user._id, 'logout'),
+    Session.revokeForUser(req.user._id),
+  ]);
+  
+  if (isCookieMode()) {
+    clearAuthCookies(res);
+  }
+  
+  logger.info(`User logged out of all sessions: ${req.user.email}`);
+  
+  res.json({
+    success: true,
+    message: 'Logged out of all sessions successfully',
+  });
+});
+
+/**
+ * List the active sessions of the current user
+ * GET /api/auth/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.findActive(req.user._id).lean();
+  
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.toString() === req.auth.sid,
+      })),
+    },
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid session ID',
+    });
+  }
+  
+  const session = await Session.findOne({ _id: id, user: req.user._id, revokedAt: null });
+  
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+  
+  await endSession(id, 'session_revoked');
+  
+  logger.info(`Session ${id} revoked by user: ${req.user.email}`);
+  
+  res.json({
+    success: true,
+    message: 'Session revoked successfully',
+  });
+});
+
+/**
+ * Verify the current access token
+ * GET /api/auth/verify
+ *
+ * Responds with { success, data: { user, token: { expiresAt, expiresIn, refreshRecommended } } }
+ * where expiresIn is in seconds. This is the contract `authAPI.verify` relies on.
+ */
+const verify = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: await serializeUser(req.user, req.permissions),
+      token: getTokenStatus(req.auth),
+      ...(req.impersonator && {
+        impersonator: {
+          _id: req.impersonator._id,
+          username: req.impersonator.username,
+          email: req.impersonator.email,
+        },
+      }),
     },
   });
 });
@@ -147,7 +1076,7 @@ const getProfile = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      user: req.user,
+      user: await serializeUser(req.user, req.permissions),
     },
   });
 });
@@ -181,7 +1110,7 @@ const updateProfile = asyncHandler(async (req, res) => {
     success: true,
     message: 'Profile updated successfully',
     data: {
-      user,
+      user: await serializeUser(user),
     },
   });
 });
@@ -222,22 +1151,303 @@ const changePassword = asyncHandler(async (req, res) => {
     });
   }
   
-  // Update password
+  // Update password and invalidate every existing session
   user.password = newPassword;
+  user.tokenVersion += 1;
   await user.save();
+  await Promise.all([
+    RefreshToken.revokeForUser(user._id, 'password_change'),
+    Session.revokeForUser(user._id),
+  ]);
+  
+  // Keep the current client signed in with a fresh token pair
+  const { token, refreshToken } = await startSession(user, req);
   
   logger.info(`Password changed for user: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.password_change',
+    target: auditTarget('User', user, user.email),
+  });
   
   res.json({
     success: true,
     message: 'Password changed successfully',
+    data: {
+      ...deliverTokens(res, { token, refreshToken }),
+    },
+  });
+});
+
+/**
+ * Download a copy of the current user's personal data
+ * Profile, posts, comments, likes, sessions and API keys as one JSON file.
+ * POST /api/auth/export
+ */
+const exportData = asyncHandler(async (req, res) => {
+  const archive = await buildDataExport(req.user, req.permissions);
+  const filename = `${req.user.username}-data-${new Date().toISOString().slice(0, 10)}.json`;
+  
+  logger.info(`Personal data exported for user: ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'auth.data_export',
+    target: auditTarget('User', req.user, req.user.email),
+  });
+  
+  res.attachment(filename);
+  res.type('application/json');
+  res.send(JSON.stringify(archive, null, 2));
+});
+
+/**
+ * Delete the current user's account
+ * Needs the password, and a second factor when two-factor authentication is on.
+ * The account is soft deleted and later purged like an admin deletion, with
+ * posts and comments anonymised.
+ * DELETE /api/auth/account
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  
+  const user = await User.findById(req.user._id).select(`+password ${MFA_SECRET_FIELDS}`);
+  
+  if (!password || !await user.comparePassword(password)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password is incorrect',
+    });
+  }
+  
+  if (user.mfa.enabled && !await consumeSecondFactor(user, { code, recoveryCode })) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code',
+    });
+  }
+  
+  await user.softDelete({ deletedBy: user._id, contentAction: 'anonymize' });
+  await Promise.all([
+    RefreshToken.revokeForUser(user._id, 'user_inactive'),
+    Session.revokeForUser(user._id),
+  ]);
+  
+  if (isCookieMode()) {
+    clearAuthCookies(res);
+  }
+  
+  logger.info(`Account deleted by user: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.account_delete',
+    target: auditTarget('User', user, user.email),
+    metadata: { purgeAfter: user.deletion.purgeAfter },
+  });
+  
+  try {
+    await sendMail(accountDeletedEmail(user, user.deletion.purgeAfter));
+  } catch (error) {
+    logger.error('Account deleted email failed:', error);
+  }
+  
+  res.json({
+    success: true,
+    message: 'Account deleted successfully',
+    data: {
+      purgeAfter: user.deletion.purgeAfter,
+    },
+  });
+});
+
+/**
+ * Confirm an email address from the verification link
+ * GET /api/auth/verify-email/:token
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  let decoded;
+  try {
+    decoded = verifyEmailVerificationToken(req.params.token);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired',
+    });
+  }
+  
+  const user = await User.findById(decoded.id);
+  
+  if (!user || user.email !== decoded.email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired',
+    });
+  }
+  
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    
+    logger.info(`Email verified for user: ${user.email}`);
+  }
+  
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * Send a new verification link to the current user
+ * POST /api/auth/resend-verification
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+  
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified',
+    });
+  }
+  
+  const cooldownMs = EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000;
+  if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < cooldownMs) {
+    return res.status(429).json({
+      success: false,
+      message: 'Please wait before requesting another verification email',
+    });
+  }
+  
+  await sendVerificationEmail(user);
+  
+  res.json({
+    success: true,
+    message: 'Verification email sent',
+  });
+});
+
+/**
+ * Request a password reset email
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  
+  if (!email) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is required',
+    });
+  }
+  
+  const user = await User.findOne({ email });
+  
+  if (user && user.isActive) {
+    const token = user.createPasswordResetToken(PASSWORD_RESET_EXPIRES_MINUTES);
+    await user.save();
+    
+    try {
+      await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_EXPIRES_MINUTES));
+      logger.info(`Password reset requested for user: ${user.email}`);
+    } catch (error) {
+      logger.error('Password reset email failed:', error);
+    }
+  }
+  
+  // Same response whether or not the account exists
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a reset link has been sent',
+  });
+});
+
+/**
+ * Reset password with a token from the reset email
+ * POST /api/auth/reset-password
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  
+  if (!token || !password) {
+    return res.status(400).json({
+      success: false,
+      message: 'Token and password are required',
+    });
+  }
+  
+  const passwordValidation = validatePassword(password);
+  if (!passwordValidation.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password does not meet requirements',
+      errors: passwordValidation.errors,
+    });
+  }
+  
+  // Consume the token in the same step that finds it, so it can only be used once
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    },
+    { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+  
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset token is invalid or has expired',
+    });
+  }
+  
+  // Sign out every existing session and lift any lockout
+  user.password = password;
+  user.tokenVersion += 1;
+  await user.save();
+  await Promise.all([
+    RefreshToken.revokeForUser(user._id, 'password_change'),
+    Session.revokeForUser(user._id),
+    LoginAttempt.clear(LoginAttempt.accountKey(user.email)),
+  ]);
+  
+  logger.info(`Password reset for user: ${user.email}`);
+  await recordAudit(req, {
+    action: 'auth.password_reset',
+    actor: user,
+    target: auditTarget('User', user, user.email),
+  });
+  
+  res.json({
+    success: true,
+    message: 'Password has been reset successfully',
   });
 });
 
 module.exports = {
   register,
   login,
+  verifyMfa,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  refresh,
+  logout,
+  logoutAll,
+  verify,
+  getSessions,
+  revokeSession,
   getProfile,
   updateProfile,
   changePassword,
+  exportData,
+  deleteAccount,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 };
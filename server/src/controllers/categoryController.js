@@ -0,0 +1,274 @@
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { hasPermission } = require('../utils/permissions');
+const { isValidObjectId } = require('../utils/validation');
+const { recordAudit, auditTarget, diffChanges } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Public post counts only include what readers can see
+const POST_COUNT = { path: 'postCount', match: { status: 'published' } };
+
+// Fields an admin can change directly; the parent is handled separately
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'color', 'isActive'];
+
+const snapshot = category => EDITABLE_FIELDS.reduce((values, field) => {
+  values[field] = category[field];
+  return values;
+}, { parent: category.parent ? String(category.parent) : null });
+
+const categoryNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Category not found',
+});
+
+const parentNotFound = res => res.status(400).json({
+  success: false,
+  message: 'Parent category not found',
+});
+
+/**
+ * Load the category a request wants to use as a parent
+ * @param {string|null} parentId - Category ID, or null for the top level
+ * @returns {Promise<Object|null|undefined>} Parent, null for the top level, undefined when not found
+ */
+const findParent = async (parentId) => {
+  if (!parentId) {
+    return null;
+  }
+
+  return (await Category.findById(parentId)) || undefined;
+};
+
+/**
+ * List categories
+ * GET /api/categories
+ */
+const getCategories = asyncHandler(async (req, res) => {
+  const { isActive } = req.query;
+  const query = {};
+
+  // Inactive categories are only listed for people who manage them
+  if (!hasPermission(req.permissions, 'category.manage')) {
+    query.isActive = true;
+  } else if (isActive !== undefined) {
+    query.isActive = isActive === 'true';
+  }
+
+  const categories = await Category.find(query)
+    .sort({ name: 1 })
+    .populate(POST_COUNT);
+
+  res.json({
+    success: true,
+    data: {
+      categories,
+    },
+  });
+});
+
+/**
+ * Get a single category by slug
+ * GET /api/categories/:slug
+ */
+const getCategory = asyncHandler(async (req, res) => {
+  const query = { slug: req.params.slug.toLowerCase() };
+
+  if (!hasPermission(req.permissions, 'category.manage')) {
+    query.isActive = true;
+  }
+
+  const category = await Category.findOne(query).populate(POST_COUNT);
+
+  if (!category) {
+    return categoryNotFound(res);
+  }
+
+  const breadcrumbs = await Category.breadcrumbsFor([category]);
+
+  res.json({
+    success: true,
+    data: {
+      category,
+      breadcrumbs: breadcrumbs.get(String(category._id)),
+    },
+  });
+});
+
+/**
+ * Create a category
+ * POST /api/categories
+ */
+const createCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, color, isActive, parent: parentId } = req.body;
+
+  const parent = await findParent(parentId);
+
+  if (parent === undefined) {
+    return parentNotFound(res);
+  }
+
+  const category = new Category({ name, slug, description, color, isActive });
+  category.setParent(parent);
+  await category.save();
+
+  logger.info(`Category created: ${category.slug} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'category.create',
+    target: auditTarget('Category', category, category.name),
+    after: snapshot(category),
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: {
+      category,
+    },
+  });
+});
+
+/**
+ * Update a category
+ * PUT /api/categories/:id
+ */
+const updateCategory = asyncHandler(async (req, res) => {
+  if (!isValidObjectId(req.params.id)) {
+    return categoryNotFound(res);
+  }
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return categoryNotFound(res);
+  }
+
+  const before = snapshot(category);
+
+  // Renaming keeps the slug so existing links keep working; send a slug to change it
+  EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      category[field] = req.body[field];
+    }
+  });
+
+  const moved = req.body.parent !== undefined && (req.body.parent || null) !== before.parent;
+
+  if (moved) {
+    const parent = await findParent(req.body.parent);
+
+    if (parent === undefined) {
+      return parentNotFound(res);
+    }
+
+    if (!category.setParent(parent)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A category cannot be moved under itself or one of its subcategories',
+      });
+    }
+  }
+
+  await category.save();
+
+  // The whole subtree moves with the category
+  if (moved) {
+    await Category.moveDescendants(category);
+  }
+
+  logger.info(`Category updated: ${category.slug} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'category.update',
+    target: auditTarget('Category', category, category.name),
+    ...diffChanges(before, snapshot(category)),
+  });
+
+  res.json({
+    success: true,
+    message: 'Category updated successfully',
+    data: {
+      category,
+    },
+  });
+});
+
+/**
+ * Delete a category
+ * Categories that still have posts are only deleted when the posts are moved
+ * to another category with ?reassignTo=<id>; deactivate them to hide them instead.
+ * Categories with subcategories cannot be deleted until those are moved or deleted.
+ * DELETE /api/categories/:id
+ */
+const deleteCategory = asyncHandler(async (req, res) => {
+  const { reassignTo } = req.query;
+
+  if (!isValidObjectId(req.params.id)) {
+    return categoryNotFound(res);
+  }
+
+  const category = await Category.findById(req.params.id);
+
+  if (!category) {
+    return categoryNotFound(res);
+  }
+
+  const childCount = await Category.countDocuments({ parent: category._id });
+
+  if (childCount > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Category has ${childCount} subcategory(ies); move or delete them first`,
+    });
+  }
+
+  const postCount = await Post.countDocuments({ category: category._id });
+  let replacement = null;
+
+  if (postCount > 0) {
+    if (!reassignTo) {
+      return res.status(409).json({
+        success: false,
+        message: `Category has ${postCount} post(s); reassign them or deactivate the category instead`,
+        data: {
+          postCount,
+        },
+      });
+    }
+
+    replacement = await Category.findOne({ _id: reassignTo, isActive: true });
+
+    if (!replacement || replacement._id.equals(category._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Posts must be reassigned to another active category',
+      });
+    }
+
+    await Post.updateMany({ category: category._id }, { category: replacement._id });
+  }
+
+  await category.deleteOne();
+
+  logger.info(`Category deleted: ${category.slug} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'category.delete',
+    target: auditTarget('Category', category, category.name),
+    before: snapshot(category),
+    metadata: replacement
+      ? { reassignedPosts: postCount, reassignedTo: replacement._id }
+      : undefined,
+  });
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully',
+  });
+});
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -1,9 +1,71 @@
 const Post = require('../models/Post');
 const Category = require('../models/Category');
+const Follow = require('../models/Follow');
+const Restriction = require('../models/Restriction');
+const Upload = require('../models/Upload');
+const PostRevision = require('../models/PostRevision');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { isValidObjectId } = require('../utils/validation');
+const { hasPermission } = require('../utils/permissions');
+const { recordAudit, auditTarget } = require('../utils/audit');
+const {
+  getHiddenUserIds,
+  excludeAuthors,
+  removeHiddenComments,
+  paginatePosts,
+  addBreadcrumbs,
+} = require('../utils/postQueries');
+const { normalizeTags } = require('../utils/tags');
 const logger = require('../utils/logger');
 
+// Whether the post's author has blocked the user
+const isBlockedByAuthor = (post, userId) => {
+  return post.author ? Restriction.isBlocked(post.author, userId) : false;
+};
+
+/**
+ * Check a featured image URL sent by the client
+ * Only images the user uploaded through /api/uploads/images may be used, so posts
+ * cannot hotlink arbitrary URLs. An empty value clears the image.
+ * @param {string} featuredImage - URL from the request
+ * @param {Object} user - Current user
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+const checkFeaturedImage = async (featuredImage, user) => {
+  if (!featuredImage) {
+    return null;
+  }
+  
+  const upload = await Upload.findByUrl(featuredImage);
+  
+  if (!upload || upload.kind !== 'post' || upload.owner.toString() !== user._id.toString()) {
+    return 'Featured image must be an image you uploaded';
+  }
+  
+  return null;
+};
+
+/**
+ * Check the publication time of a post
+ * Scheduled posts need a time in the future; other posts take none.
+ * @param {string} status - Status the post will have
+ * @param {string|Date|null} scheduledFor - Requested publication time
+ * @returns {string|null} Error message or null if valid
+ */
+const checkSchedule = (status, scheduledFor) => {
+  if (status !== 'scheduled') {
+    return scheduledFor ? 'Only scheduled posts can have a scheduledFor time' : null;
+  }
+  
+  const time = scheduledFor ? new Date(scheduledFor) : null;
+  
+  if (!time || Number.isNaN(time.getTime()) || time <= new Date()) {
+    return 'Scheduled posts need a scheduledFor time in the future';
+  }
+  
+  return null;
+};
+
 /**
  * Get all posts with pagination and filtering
  * GET /api/posts
@@ -14,6 +76,7 @@ const getPosts = asyncHandler(async (req, res) => {
     limit = 10,
     status,
     category,
+    includeSubcategories,
     author,
     search,
     sortBy = 'createdAt',
@@ -23,16 +86,18 @@ const getPosts = asyncHandler(async (req, res) => {
   // Build query
   const query = {};
   
-  // Filter by status (only published posts for non-authenticated users)
-  if (status) {
-    query.status = status;
-  } else if (!req.user || req.user.role !== 'admin') {
+  // Only reviewers see unpublished posts, including scheduled ones before they go live
+  if (!hasPermission(req.permissions, 'post.view.unpublished')) {
     query.status = 'published';
+  } else if (status) {
+    query.status = status;
   }
   
-  // Filter by category
+  // Filter by category, optionally with everything nested below it
   if (category && isValidObjectId(category)) {
-    query.category = category;
+    query.category = includeSubcategories === 'true'
+      ? { $in: await Category.subtreeIds(category) }
+      : category;
   }
   
   // Filter by author
@@ -49,43 +114,43 @@ const getPosts = asyncHandler(async (req, res) => {
     ];
   }
   
-  // Calculate pagination
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const hiddenIds = await getHiddenUserIds(req);
+  excludeAuthors(query, hiddenIds);
   
-  // Build sort object
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  const data = await paginatePosts(query, { page, limit, sortBy, sortOrder }, hiddenIds);
   
-  // Execute query
-  const [posts, total] = await Promise.all([
-    Post.find(query)
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name slug color')
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(),
-    Post.countDocuments(query),
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * Get published posts from the authors the current user follows
+ * GET /api/posts/feed
+ */
+const getFeed = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = 'publishedAt',
+    sortOrder = 'desc',
+  } = req.query;
+  
+  const [authors, hiddenIds] = await Promise.all([
+    Follow.distinct('following', { follower: req.user._id }),
+    getHiddenUserIds(req),
   ]);
   
-  // Calculate pagination info
-  const totalPages = Math.ceil(total / parseInt(limit));
-  const hasNextPage = parseInt(page) < totalPages;
-  const hasPrevPage = parseInt(page) > 1;
+  const data = await paginatePosts(
+    excludeAuthors({ status: 'published', author: { $in: authors } }, hiddenIds),
+    { page, limit, sortBy, sortOrder },
+    hiddenIds
+  );
   
   res.json({
     success: true,
-    data: {
-      posts,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalPosts: total,
-        hasNextPage,
-        hasPrevPage,
-        limit: parseInt(limit),
-      },
-    },
+    data,
   });
 });
 
@@ -101,14 +166,17 @@ const getPost = asyncHandler(async (req, res) => {
     ? { _id: identifier }
     : { slug: identifier };
   
-  // Add status filter for non-authenticated users
-  if (!req.user || req.user.role !== 'admin') {
+  // Only reviewers see unpublished posts
+  if (!hasPermission(req.permissions, 'post.view.unpublished')) {
     query.status = 'published';
   }
   
-  const post = await Post.findOne(query)
+  // Posts by muted or blocked authors are hidden here too, before they count as a view
+  const hiddenIds = await getHiddenUserIds(req);
+  
+  const post = await Post.findOne(excludeAuthors(query, hiddenIds))
     .populate('author', 'username firstName lastName avatar bio')
-    .populate('category', 'name slug color')
+    .populate('category', 'name slug color ancestors')
     .populate('comments.user', 'username firstName lastName avatar');
   
   if (!post) {
@@ -122,10 +190,13 @@ const getPost = asyncHandler(async (req, res) => {
   post.views += 1;
   await post.save();
   
+  // Comments from hidden users stay out as well
+  const [result] = await addBreadcrumbs([removeHiddenComments(post.toJSON(), hiddenIds)]);
+  
   res.json({
     success: true,
     data: {
-      post,
+      post: result,
     },
   });
 });
@@ -135,7 +206,7 @@ const getPost = asyncHandler(async (req, res) => {
  * POST /api/posts
  */
 const createPost = asyncHandler(async (req, res) => {
-  const { title, content, category, tags, excerpt, featuredImage, status } = req.body;
+  const { title, content, category, tags, excerpt, featuredImage, status, scheduledFor } = req.body;
   
   // Validate required fields
   if (!title || !content) {
@@ -145,6 +216,22 @@ const createPost = asyncHandler(async (req, res) => {
     });
   }
   
+  // Scheduling a post publishes it later, so it needs the same permission
+  if (['published', 'scheduled'].includes(status) && !hasPermission(req.permissions, 'post.publish')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to publish posts',
+    });
+  }
+  
+  const scheduleError = checkSchedule(status, scheduledFor);
+  if (scheduleError) {
+    return res.status(400).json({
+      success: false,
+      message: scheduleError,
+    });
+  }
+  
   // Validate category if provided
   if (category) {
     if (!isValidObjectId(category)) {
@@ -154,7 +241,8 @@ const createPost = asyncHandler(async (req, res) => {
       });
     }
     
-    const categoryExists = await Category.findById(category);
+    // Deactivated categories keep their posts but take no new ones
+    const categoryExists = await Category.findOne({ _id: category, isActive: true });
     if (!categoryExists) {
       return res.status(400).json({
         success: false,
@@ -163,16 +251,25 @@ const createPost = asyncHandler(async (req, res) => {
     }
   }
   
+  const featuredImageError = await checkFeaturedImage(featuredImage, req.user);
+  if (featuredImageError) {
+    return res.status(400).json({
+      success: false,
+      message: featuredImageError,
+    });
+  }
+  
   // Create post
   const post = new Post({
     title,
     content,
     author: req.user._id,
     category: category || null,
-    tags: tags || [],
+    tags: normalizeTags(tags),
     excerpt,
     featuredImage,
     status: status || 'draft',
+    scheduledFor: scheduledFor || null,
   });
   
   await post.save();
@@ -198,7 +295,17 @@ const createPost = asyncHandler(async (req, res) => {
  */
 const updatePost = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { title, content, category, tags, excerpt, featuredImage, status } = req.body;
+  const {
+    title,
+    content,
+    category,
+    tags,
+    excerpt,
+    featuredImage,
+    status,
+    scheduledFor,
+    changeSummary,
+  } = req.body;
   
   if (!isValidObjectId(id)) {
     return res.status(400).json({
@@ -216,14 +323,35 @@ const updatePost = asyncHandler(async (req, res) => {
     });
   }
   
-  // Check if user owns the post or is admin
-  if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Check if user owns the post or may edit any post
+  if (String(post.author) !== req.user._id.toString() && !hasPermission(req.permissions, 'post.edit.any')) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this post',
     });
   }
   
+  if (['published', 'scheduled'].includes(status) && status !== post.status && !hasPermission(req.permissions, 'post.publish')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to publish posts',
+    });
+  }
+  
+  // Check the schedule when it changes, or when the post is (re)scheduled at its current time
+  if (scheduledFor !== undefined || status === 'scheduled') {
+    const scheduleError = checkSchedule(
+      status || post.status,
+      scheduledFor !== undefined ? scheduledFor : post.scheduledFor
+    );
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError,
+      });
+    }
+  }
+  
   // Validate category if provided
   if (category && category !== post.category?.toString()) {
     if (!isValidObjectId(category)) {
@@ -233,7 +361,8 @@ const updatePost = asyncHandler(async (req, res) => {
       });
     }
     
-    const categoryExists = await Category.findById(category);
+    // Deactivated categories keep their posts but take no new ones
+    const categoryExists = await Category.findOne({ _id: category, isActive: true });
     if (!categoryExists) {
       return res.status(400).json({
         success: false,
@@ -242,17 +371,40 @@ const updatePost = asyncHandler(async (req, res) => {
     }
   }
   
+  // Editors keep whatever image the post already has
+  if (featuredImage !== undefined && featuredImage !== post.featuredImage) {
+    const featuredImageError = await checkFeaturedImage(featuredImage, req.user);
+    if (featuredImageError) {
+      return res.status(400).json({
+        success: false,
+        message: featuredImageError,
+      });
+    }
+  }
+  
+  const before = PostRevision.snapshot(post);
+  
   // Update fields
   if (title) post.title = title;
   if (content) post.content = content;
   if (category !== undefined) post.category = category || null;
-  if (tags) post.tags = tags;
+  if (tags) post.tags = normalizeTags(tags);
   if (excerpt !== undefined) post.excerpt = excerpt;
   if (featuredImage !== undefined) post.featuredImage = featuredImage;
   if (status) post.status = status;
   
+  // A new time gives the scheduler a fresh start
+  if (scheduledFor !== undefined && post.status === 'scheduled') {
+    post.scheduledFor = scheduledFor;
+    post.publishAttempts = 0;
+    post.publishRetryAt = null;
+  }
+  
   await post.save();
   
+  // Keep the previous text so the edit can be undone
+  await PostRevision.record(post, before, { editor: req.user, summary: changeSummary });
+  
   // Populate author and category
   await post.populate('author', 'username firstName lastName avatar');
   await post.populate('category', 'name slug color');
@@ -291,8 +443,8 @@ const deletePost = asyncHandler(async (req, res) => {
     });
   }
   
-  // Check if user owns the post or is admin
-  if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  // Check if user owns the post or may delete any post
+  if (String(post.author) !== req.user._id.toString() && !hasPermission(req.permissions, 'post.delete.any')) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to delete this post',
@@ -300,8 +452,14 @@ const deletePost = asyncHandler(async (req, res) => {
   }
   
   await Post.findByIdAndDelete(id);
+  await PostRevision.deleteMany({ post: id });
   
   logger.info(`Post deleted: ${post.title} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'post.delete',
+    target: auditTarget('Post', post, post.title),
+    before: { title: post.title, author: post.author, status: post.status },
+  });
   
   res.json({
     success: true,
@@ -335,6 +493,14 @@ const toggleLike = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const likeIndex = post.likes.findIndex(like => like.user.toString() === userId.toString());
   
+  // Taking back an earlier like is always allowed
+  if (likeIndex === -1 && await isBlockedByAuthor(post, userId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot interact with this post',
+    });
+  }
+  
   let message;
   if (likeIndex > -1) {
     // Unlike
@@ -389,6 +555,13 @@ const addComment = asyncHandler(async (req, res) => {
     });
   }
   
+  if (await isBlockedByAuthor(post, req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot interact with this post',
+    });
+  }
+  
   // Add comment
   const comment = {
     user: req.user._id,
@@ -414,6 +587,7 @@ const addComment = asyncHandler(async (req, res) => {
 
 module.exports = {
   getPosts,
+  getFeed,
   getPost,
   createPost,
   updatePost,
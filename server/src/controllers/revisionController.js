@@ -0,0 +1,188 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { isValidObjectId } = require('../utils/validation');
+const { hasPermission } = require('../utils/permissions');
+const { diffWords } = require('../utils/diff');
+const { recordAudit, auditTarget } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+/**
+ * Load a post whose history the current user may see and restore
+ * History is for the people who may edit the post: its author and editors.
+ * Responds with the error and resolves to null when the post can't be used.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Post
+ */
+const findEditablePost = async (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid post ID',
+    });
+    return null;
+  }
+
+  const post = await Post.findById(id);
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found',
+    });
+    return null;
+  }
+
+  if (String(post.author) !== req.user._id.toString() && !hasPermission(req.permissions, 'post.edit.any')) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view the history of this post',
+    });
+    return null;
+  }
+
+  return post;
+};
+
+const revisionNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Revision not found',
+});
+
+/**
+ * List a post's revisions, newest first, without their text
+ * GET /api/posts/:id/revisions
+ */
+const getRevisions = asyncHandler(async (req, res) => {
+  const post = await findEditablePost(req, res);
+  if (!post) return;
+
+  const revisions = await PostRevision.find({ post: post._id })
+    .select('-content -excerpt')
+    .sort({ number: -1 })
+    .populate('editor', 'username firstName lastName avatar');
+
+  res.json({
+    success: true,
+    data: {
+      revisions,
+    },
+  });
+});
+
+/**
+ * Get one revision with its full text
+ * GET /api/posts/:id/revisions/:rev
+ */
+const getRevision = asyncHandler(async (req, res) => {
+  const post = await findEditablePost(req, res);
+  if (!post) return;
+
+  const revision = await PostRevision.findOne({ post: post._id, number: req.params.rev })
+    .populate('editor', 'username firstName lastName avatar');
+
+  if (!revision) {
+    return revisionNotFound(res);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      revision,
+    },
+  });
+});
+
+/**
+ * Compare two revisions word by word
+ * ?from= defaults to the revision before ?to=, which defaults to the latest.
+ * GET /api/posts/:id/revisions/diff
+ */
+const diffRevisions = asyncHandler(async (req, res) => {
+  const post = await findEditablePost(req, res);
+  if (!post) return;
+
+  const to = req.query.to
+    ? await PostRevision.findOne({ post: post._id, number: req.query.to })
+    : await PostRevision.findOne({ post: post._id }).sort({ number: -1 });
+
+  const from = to && (req.query.from
+    ? await PostRevision.findOne({ post: post._id, number: req.query.from })
+    : await PostRevision.findOne({ post: post._id, number: { $lt: to.number } }).sort({ number: -1 }));
+
+  if (!to || !from) {
+    return revisionNotFound(res);
+  }
+
+  const fromTags = new Set(from.tags);
+  const toTags = new Set(to.tags);
+
+  res.json({
+    success: true,
+    data: {
+      from: from.number,
+      to: to.number,
+      title: diffWords(from.title, to.title),
+      content: diffWords(from.content, to.content),
+      excerpt: diffWords(from.excerpt, to.excerpt),
+      tags: {
+        added: to.tags.filter(tag => !fromTags.has(tag)),
+        removed: from.tags.filter(tag => !toTags.has(tag)),
+      },
+    },
+  });
+});
+
+/**
+ * Put a post's text back to an earlier revision
+ * The restore is itself recorded as a new revision, so it can be undone too.
+ * POST /api/posts/:id/revisions/:rev/restore
+ */
+const restoreRevision = asyncHandler(async (req, res) => {
+  const post = await findEditablePost(req, res);
+  if (!post) return;
+
+  const revision = await PostRevision.findOne({ post: post._id, number: req.params.rev });
+
+  if (!revision) {
+    return revisionNotFound(res);
+  }
+
+  const before = PostRevision.snapshot(post);
+  post.set(PostRevision.snapshot(revision));
+  await post.save();
+
+  const restored = await PostRevision.record(post, before, {
+    editor: req.user,
+    summary: `Restored revision ${revision.number}`,
+  });
+
+  await post.populate('author', 'username firstName lastName avatar');
+  await post.populate('category', 'name slug color');
+
+  logger.info(`Post restored to revision ${revision.number}: ${post.title} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'post.revision_restore',
+    target: auditTarget('Post', post, post.title),
+    metadata: { revision: revision.number },
+  });
+
+  res.json({
+    success: true,
+    message: restored ? 'Revision restored successfully' : 'Post already matches this revision',
+    data: {
+      post,
+      revision: restored,
+    },
+  });
+});
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+};
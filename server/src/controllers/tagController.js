@@ -0,0 +1,175 @@
+const Post = require('../models/Post');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+const { getHiddenUserIds, excludeAuthors, paginatePosts } = require('../utils/postQueries');
+const { recordAudit } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+// Tag counts only include what readers can see
+const PUBLISHED = { status: 'published' };
+
+// Number of sizes a tag cloud uses, from 1 (least used) to CLOUD_WEIGHTS (most used)
+const CLOUD_WEIGHTS = 5;
+
+/**
+ * List tags with the number of published posts using each, most used first
+ * Pass ?prefix= for autocomplete.
+ * GET /api/tags
+ */
+const getTags = asyncHandler(async (req, res) => {
+  const { prefix, limit = 50 } = req.query;
+
+  const tags = await Post.tagCounts(PUBLISHED, {
+    prefix: prefix ? normalizeTag(prefix) : undefined,
+    limit: parseInt(limit),
+  });
+
+  res.json({
+    success: true,
+    data: {
+      tags,
+    },
+  });
+});
+
+/**
+ * Get the most used tags in alphabetical order, each with a display weight
+ * GET /api/tags/cloud
+ */
+const getTagCloud = asyncHandler(async (req, res) => {
+  const { limit = 30 } = req.query;
+
+  const tags = await Post.tagCounts(PUBLISHED, { limit: parseInt(limit) });
+
+  // Logarithmic, so one very popular tag doesn't flatten all the others
+  const counts = tags.map(tag => Math.log(tag.count));
+  const min = Math.min(...counts);
+  const range = Math.max(...counts) - min;
+
+  const cloud = tags
+    .map(tag => ({
+      ...tag,
+      weight: range > 0
+        ? 1 + Math.round(((Math.log(tag.count) - min) / range) * (CLOUD_WEIGHTS - 1))
+        : 1,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  res.json({
+    success: true,
+    data: {
+      tags: cloud,
+    },
+  });
+});
+
+/**
+ * Get published posts with a tag
+ * GET /api/tags/:tag/posts
+ */
+const getTagPosts = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    sortBy = 'publishedAt',
+    sortOrder = 'desc',
+  } = req.query;
+  const tag = normalizeTag(req.params.tag);
+
+  const hiddenIds = await getHiddenUserIds(req);
+  const data = await paginatePosts(
+    excludeAuthors({ ...PUBLISHED, tags: tag }, hiddenIds),
+    { page, limit, sortBy, sortOrder },
+    hiddenIds
+  );
+
+  res.json({
+    success: true,
+    data: {
+      tag,
+      ...data,
+    },
+  });
+});
+
+/**
+ * Merge synonyms into one tag across every post
+ * POST /api/tags/merge
+ */
+const mergeTags = asyncHandler(async (req, res) => {
+  const target = normalizeTag(req.body.into);
+  const sources = normalizeTags(req.body.tags).filter(tag => tag !== target);
+
+  if (!target || sources.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Give at least one tag to merge and a different tag to merge it into',
+    });
+  }
+
+  const result = await Post.replaceTags(sources, target);
+
+  logger.info(`Tags merged: ${sources.join(', ')} into ${target} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'tag.merge',
+    metadata: { tags: sources, into: target, postsUpdated: result.modifiedCount },
+  });
+
+  res.json({
+    success: true,
+    message: 'Tags merged successfully',
+    data: {
+      tag: target,
+      postsUpdated: result.modifiedCount,
+    },
+  });
+});
+
+/**
+ * Rename a tag across every post
+ * Renaming to a tag that already exists merges the two.
+ * PUT /api/tags/:tag
+ */
+const renameTag = asyncHandler(async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  const name = normalizeTag(req.body.name);
+
+  if (!tag || !name || tag === name) {
+    return res.status(400).json({
+      success: false,
+      message: 'Give a new name that differs from the current one',
+    });
+  }
+
+  const result = await Post.replaceTags([tag], name);
+
+  if (result.matchedCount === 0) {
+    return res.status(404).json({
+      success: false,
+      message: 'Tag not found',
+    });
+  }
+
+  logger.info(`Tag renamed: ${tag} to ${name} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'tag.rename',
+    metadata: { from: tag, to: name, postsUpdated: result.modifiedCount },
+  });
+
+  res.json({
+    success: true,
+    message: 'Tag renamed successfully',
+    data: {
+      tag: name,
+      postsUpdated: result.modifiedCount,
+    },
+  });
+});
+
+module.exports = {
+  getTags,
+  getTagCloud,
+  getTagPosts,
+  mergeTags,
+  renameTag,
+};
@@ -0,0 +1,178 @@
+const Upload = require('../models/Upload');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { isValidObjectId } = require('../utils/validation');
+const { VARIANT_NAMES, OUTPUT_CONTENT_TYPE, processImage } = require('../utils/images');
+const { getStorage } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+// Variants never change once written, so browsers and CDNs may keep them for a year
+const VARIANT_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Resize an uploaded image and store its variants
+ * @param {Object} req - Request carrying req.file from receiveImage
+ * @param {string} kind - "avatar" or "post"
+ * @returns {Promise<Object|null>} Saved upload, or null when the image could not be decoded
+ */
+const storeUpload = async (req, kind) => {
+  let variants;
+  try {
+    variants = await processImage(req.file.buffer, kind);
+  } catch (error) {
+    logger.warn(`Rejected unreadable ${req.file.detectedType} upload from ${req.user.email}: ${error.message}`);
+    return null;
+  }
+
+  const upload = new Upload({
+    owner: req.user._id,
+    kind,
+    originalSize: req.file.size,
+  });
+  const storage = getStorage();
+  const stored = [];
+
+  try {
+    for (const variant of variants) {
+      const key = Upload.storageKey(upload._id, variant.name);
+      await storage.put(key, variant.data, { contentType: OUTPUT_CONTENT_TYPE });
+      stored.push(key);
+      upload.variants.push({
+        name: variant.name,
+        key,
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+      });
+    }
+    await upload.save();
+  } catch (error) {
+    // Don't leave half an upload behind
+    await Promise.all(stored.map(key => storage.delete(key).catch(() => {})));
+    throw error;
+  }
+
+  logger.info(`Upload stored: ${upload._id} (${kind}) by ${req.user.email}`);
+  return upload;
+};
+
+const unreadableImage = res => res.status(400).json({
+  success: false,
+  message: 'The image could not be read',
+});
+
+/**
+ * Upload a new avatar for the current user
+ * POST /api/uploads/avatar
+ */
+const uploadAvatar = asyncHandler(async (req, res) => {
+  const upload = await storeUpload(req, 'avatar');
+
+  if (!upload) {
+    return unreadableImage(res);
+  }
+
+  // The previous avatar is left for the orphan cleanup job
+  const user = await User.findByIdAndUpdate(req.user._id, { avatar: upload.url }, { new: true });
+
+  res.status(201).json({
+    success: true,
+    message: 'Avatar updated',
+    data: {
+      upload,
+      user,
+    },
+  });
+});
+
+/**
+ * Remove the current user's avatar
+ * DELETE /api/uploads/avatar
+ */
+const removeAvatar = asyncHandler(async (req, res) => {
+  const user = await User.findByIdAndUpdate(req.user._id, { avatar: '' }, { new: true });
+
+  res.json({
+    success: true,
+    message: 'Avatar removed',
+    data: {
+      user,
+    },
+  });
+});
+
+/**
+ * Upload an image to use as a post's featured image
+ * POST /api/uploads/images
+ */
+const uploadPostImage = asyncHandler(async (req, res) => {
+  const upload = await storeUpload(req, 'post');
+
+  if (!upload) {
+    return unreadableImage(res);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Image uploaded',
+    data: {
+      upload,
+    },
+  });
+});
+
+/**
+ * Serve one variant of an upload
+ * GET /api/uploads/:id/:variant
+ */
+const serveUpload = asyncHandler(async (req, res) => {
+  const { id, variant } = req.params;
+
+  if (!isValidObjectId(id) || !VARIANT_NAMES.includes(variant)) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found',
+    });
+  }
+
+  const etag = `"${id}-${variant}"`;
+
+  res.set({
+    'Cache-Control': VARIANT_CACHE_CONTROL,
+    ETag: etag,
+    // Let the client app load images from the API's origin
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+
+  if (req.get('If-None-Match') === etag) {
+    return res.status(304).end();
+  }
+
+  const file = await getStorage().get(Upload.storageKey(id, variant));
+
+  if (!file) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(404).json({
+      success: false,
+      message: 'File not found',
+    });
+  }
+
+  res.set('Content-Type', file.contentType || OUTPUT_CONTENT_TYPE);
+  if (file.size !== undefined) {
+    res.set('Content-Length', String(file.size));
+  }
+
+  file.body.on('error', (error) => {
+    logger.error(`Failed to stream upload ${id}/${variant}:`, error);
+    res.destroy(error);
+  });
+  file.body.pipe(res);
+});
+
+module.exports = {
+  uploadAvatar,
+  removeAvatar,
+  uploadPostImage,
+  serveUpload,
+};
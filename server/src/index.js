@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const app = require('./app');
 const logger = require('./utils/logger');
+const { startUserPurgeJob, stopUserPurgeJob } = require('./jobs/purgeDeletedUsers');
+const { startUploadCleanupJob, stopUploadCleanupJob } = require('./jobs/cleanupOrphanedUploads');
+const { startPostScheduler, stopPostScheduler } = require('./jobs/publishScheduledPosts');
 
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-testing';
@@ -38,15 +41,26 @@ const startServer = async () => {
   const server = app.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
   });
+  
+  startUserPurgeJob();
+  startUploadCleanupJob();
+  startPostScheduler();
 
   // Graceful shutdown
-  process.on('SIGTERM', () => {
-    logger.info('SIGTERM received');
+  const shutdown = async (signal) => {
+    logger.info(`${signal} received`);
+    stopUserPurgeJob();
+    stopUploadCleanupJob();
+    // Let a publishing run finish before the database connection closes
+    await stopPostScheduler();
     server.close(() => {
       logger.info('Process terminated');
       mongoose.connection.close();
     });
-  });
+  };
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
 };
 
 if (require.main === module) {
@@ -0,0 +1,121 @@
+const Upload = require('../models/Upload');
+const { UPLOAD_URL_PREFIX } = Upload;
+const User = require('../models/User');
+const Post = require('../models/Post');
+const { getStorage } = require('../utils/storage');
+const logger = require('../utils/logger');
+
+const CLEANUP_INTERVAL_MINUTES = parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES, 10) || 60;
+
+// Uploads younger than this are left alone, so a post image can be uploaded before the post is saved
+const ORPHAN_GRACE_HOURS = parseInt(process.env.UPLOAD_ORPHAN_GRACE_HOURS, 10) || 24;
+
+// Uploads checked per query, so one run never holds the process for long
+const CLEANUP_BATCH_SIZE = 100;
+
+let cleanupTimer = null;
+
+/**
+ * IDs of the given uploads that a user avatar or post featured image points at
+ * Posts may use any variant of an image, so URLs are matched on the upload ID alone.
+ * @param {Array} uploads - Upload documents
+ * @returns {Promise<Set<string>>} Upload IDs still in use
+ */
+const findUploadsInUse = async (uploads) => {
+  const pattern = new RegExp(`^${UPLOAD_URL_PREFIX}/(${uploads.map(upload => upload._id).join('|')})/`);
+  const [avatars, images] = await Promise.all([
+    User.distinct('avatar', { avatar: pattern }),
+    Post.distinct('featuredImage', { featuredImage: pattern }),
+  ]);
+
+  return new Set([...avatars, ...images].map(url => url.match(pattern)[1]));
+};
+
+/**
+ * Delete an upload's files and its record
+ * @param {Object} upload - Upload document
+ */
+const deleteUpload = async (upload) => {
+  const storage = getStorage();
+  await Promise.all(upload.variants.map(variant => storage.delete(variant.key)));
+  await Upload.deleteOne({ _id: upload._id });
+};
+
+/**
+ * Delete uploads that no user avatar or post featured image points at
+ * Replaced avatars, images of deleted posts and images uploaded for posts that
+ * were never saved all end up here once the grace period has passed.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of uploads deleted
+ */
+const cleanupOrphanedUploads = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - ORPHAN_GRACE_HOURS * 60 * 60 * 1000);
+  let lastId = null;
+  let deleted = 0;
+
+  // Walk every candidate in _id order; uploads still in use are skipped, not retried
+  for (;;) {
+    const query = { createdAt: { $lte: cutoff } };
+    if (lastId) {
+      query._id = { $gt: lastId };
+    }
+
+    const uploads = await Upload.find(query).sort({ _id: 1 }).limit(CLEANUP_BATCH_SIZE);
+    if (uploads.length === 0) {
+      break;
+    }
+    lastId = uploads[uploads.length - 1]._id;
+
+    const inUse = await findUploadsInUse(uploads);
+
+    for (const upload of uploads.filter(candidate => !inUse.has(String(candidate._id)))) {
+      try {
+        await deleteUpload(upload);
+        deleted += 1;
+      } catch (error) {
+        logger.error(`Cleanup failed for upload ${upload._id}:`, error);
+      }
+    }
+  }
+
+  if (deleted > 0) {
+    logger.info(`Deleted ${deleted} orphaned uploads`);
+  }
+
+  return deleted;
+};
+
+/**
+ * Run the cleanup periodically in the background
+ */
+const startUploadCleanupJob = () => {
+  if (cleanupTimer) {
+    return;
+  }
+
+  cleanupTimer = setInterval(() => {
+    cleanupOrphanedUploads().catch(error => logger.error('Upload cleanup job error:', error));
+  }, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+
+  // Don't keep the process alive just for the cleanup
+  cleanupTimer.unref();
+
+  logger.info(`Upload cleanup job started, running every ${CLEANUP_INTERVAL_MINUTES} minutes`);
+};
+
+/**
+ * Stop the background cleanup
+ */
+const stopUploadCleanupJob = () => {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+};
+
+module.exports = {
+  deleteUpload,
+  cleanupOrphanedUploads,
+  startUploadCleanupJob,
+  stopUploadCleanupJob,
+};
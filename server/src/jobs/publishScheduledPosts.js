@@ -0,0 +1,173 @@
+const os = require('os');
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const JobLock = require('../models/JobLock');
+const { recordAudit, auditTarget } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 30;
+
+const LOCK_NAME = 'publish-scheduled-posts';
+
+// Long enough for any run; if a crashed instance never releases it, another takes over after this
+const LOCK_TTL_MS = Math.max(SCHEDULER_INTERVAL_SECONDS * 2, 60) * 1000;
+
+// Posts published per run, so one run never holds the process for long
+const PUBLISH_BATCH_SIZE = 100;
+
+// Failed posts are retried after 1, 2, 4... minutes, never waiting more than an hour
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+// Identifies this process as the holder of the lock
+const LOCK_OWNER = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+let schedulerTimer = null;
+let currentRun = null;
+
+/**
+ * Delay before the next attempt to publish a post
+ * @param {number} attempts - Failed attempts so far
+ * @returns {number} Milliseconds
+ */
+const retryDelay = (attempts) => {
+  return Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+};
+
+/**
+ * Publish one due post
+ * The update only applies while the post is still scheduled for the same time, so a post
+ * that was edited or published by another instance in the meantime is left alone.
+ * @param {Object} post - Due post
+ * @returns {Promise<boolean>} True if this call published it
+ */
+const publishPost = async (post) => {
+  const result = await Post.updateOne(
+    { _id: post._id, status: 'scheduled', scheduledFor: post.scheduledFor },
+    {
+      $set: {
+        status: 'published',
+        // A post that was published before keeps its original date, as with a manual publish
+        publishedAt: post.publishedAt || post.scheduledFor,
+        scheduledFor: null,
+        publishAttempts: 0,
+        publishRetryAt: null,
+      },
+    }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Publish every scheduled post whose time has come
+ * Only the instance holding the lock does any work; the others skip the run.
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { published, failed, skipped }
+ */
+const publishDuePosts = async (now = new Date()) => {
+  if (!await JobLock.acquire(LOCK_NAME, LOCK_OWNER, LOCK_TTL_MS, now)) {
+    return { published: 0, failed: 0, skipped: true };
+  }
+
+  let published = 0;
+  let failed = 0;
+
+  try {
+    const posts = await Post.find({
+      status: 'scheduled',
+      scheduledFor: { $lte: now },
+      $or: [{ publishRetryAt: null }, { publishRetryAt: { $lte: now } }],
+    })
+      .sort({ scheduledFor: 1 })
+      .limit(PUBLISH_BATCH_SIZE)
+      .select('title scheduledFor publishedAt publishAttempts');
+
+    for (const post of posts) {
+      try {
+        if (await publishPost(post)) {
+          published += 1;
+          await recordAudit(null, {
+            action: 'post.scheduled_publish',
+            target: auditTarget('Post', post, post.title),
+            metadata: { scheduledFor: post.scheduledFor },
+          });
+        }
+      } catch (error) {
+        failed += 1;
+        const attempts = post.publishAttempts + 1;
+        logger.error(`Scheduled publish failed for post ${post._id} (attempt ${attempts}):`, error);
+
+        // Back off so a post that keeps failing doesn't hold up the others
+        await Post.updateOne(
+          { _id: post._id, status: 'scheduled' },
+          { $set: { publishAttempts: attempts, publishRetryAt: new Date(now.getTime() + retryDelay(attempts)) } }
+        ).catch(updateError => logger.error(`Could not schedule a retry for post ${post._id}:`, updateError));
+      }
+    }
+  } finally {
+    await JobLock.release(LOCK_NAME, LOCK_OWNER)
+      .catch(error => logger.error('Could not release the scheduler lock:', error));
+  }
+
+  if (published > 0) {
+    logger.info(`Published ${published} scheduled posts`);
+  }
+
+  return { published, failed, skipped: false };
+};
+
+/**
+ * Run the scheduler once, unless a run is already in progress in this process
+ * @returns {Promise<void>}
+ */
+const runScheduler = () => {
+  if (!currentRun) {
+    currentRun = publishDuePosts()
+      .catch(error => logger.error('Post scheduler error:', error))
+      .finally(() => {
+        currentRun = null;
+      });
+  }
+  return currentRun;
+};
+
+/**
+ * Run the scheduler periodically in the background
+ * Also runs once straight away, to catch up on posts that fell due while the server was down.
+ */
+const startPostScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  schedulerTimer = setInterval(runScheduler, SCHEDULER_INTERVAL_SECONDS * 1000);
+
+  // Don't keep the process alive just for the scheduler
+  schedulerTimer.unref();
+  runScheduler();
+
+  logger.info(`Post scheduler started, running every ${SCHEDULER_INTERVAL_SECONDS} seconds`);
+};
+
+/**
+ * Stop the scheduler, waiting for a run in progress to finish
+ * @returns {Promise<void>}
+ */
+const stopPostScheduler = async () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+
+  if (currentRun) {
+    await currentRun;
+  }
+};
+
+module.exports = {
+  retryDelay,
+  publishDuePosts,
+  startPostScheduler,
+  stopPostScheduler,
+};
@@ -0,0 +1,134 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const LoginAttempt = require('../models/LoginAttempt');
+const Follow = require('../models/Follow');
+const Restriction = require('../models/Restriction');
+const { recordAudit, auditTarget } = require('../utils/audit');
+const logger = require('../utils/logger');
+
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.USER_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// Accounts purged per run, so one run never holds the process for long
+const PURGE_BATCH_SIZE = 50;
+
+let purgeTimer = null;
+
+/**
+ * Permanently remove a soft-deleted user
+ * Posts are reassigned or anonymised as chosen; comments are anonymised and likes
+ * follows, blocks and mutes removed so no reference to the account is left behind.
+ * @param {Object} user - Soft-deleted user document
+ * @param {Object} [options] - Overrides for the choice made at deletion time
+ * @param {string} [options.contentAction] - "anonymize" or "reassign"
+ * @param {string} [options.reassignTo] - User receiving the posts when reassigning
+ * @param {Object} [req] - Request of the admin purging by hand, for the audit trail
+ * @returns {Promise<Object>} Counts of posts changed
+ */
+const purgeUser = async (user, options = {}, req = null) => {
+  let contentAction = options.contentAction || user.deletion.contentAction;
+  const reassignTo = options.reassignTo || user.deletion.reassignTo;
+  
+  // The chosen recipient may have been deleted since; anonymise rather than orphan the posts
+  if (contentAction === 'reassign' && (!reassignTo || !await User.exists({ _id: reassignTo, deletion: null }))) {
+    logger.warn(`Cannot reassign posts of ${user.email} to ${reassignTo}, anonymising instead`);
+    contentAction = 'anonymize';
+  }
+  
+  const postUpdate = contentAction === 'reassign' ? { author: reassignTo } : { author: null };
+  
+  const [posts] = await Promise.all([
+    Post.updateMany({ author: user._id }, postUpdate),
+    Post.updateMany(
+      { 'comments.user': user._id },
+      { $set: { 'comments.$[comment].user': null } },
+      { arrayFilters: [{ 'comment.user': user._id }] }
+    ),
+    Post.updateMany({ 'likes.user': user._id }, { $pull: { likes: { user: user._id } } }),
+    PostRevision.updateMany({ editor: user._id }, { editor: null }),
+    Session.deleteMany({ user: user._id }),
+    RefreshToken.deleteMany({ user: user._id }),
+    ApiKey.deleteMany({ user: user._id }),
+    LoginAttempt.clear(LoginAttempt.accountKey(user.email)),
+    Follow.removeAllForUser(user._id),
+    Restriction.deleteMany({ $or: [{ owner: user._id }, { target: user._id }] }),
+  ]);
+  
+  await User.deleteOne({ _id: user._id });
+  
+  logger.info(`User purged: ${user.email} (posts ${contentAction === 'reassign' ? 'reassigned' : 'anonymised'})`);
+  await recordAudit(req, {
+    action: 'user.purge',
+    actor: req ? req.user : null,
+    target: auditTarget('User', user, user.email),
+    before: { username: user.username, email: user.email, role: user.role },
+    metadata: {
+      contentAction,
+      reassignTo: contentAction === 'reassign' ? reassignTo : undefined,
+      posts: posts.modifiedCount,
+    },
+  });
+  
+  return { posts: posts.modifiedCount };
+};
+
+/**
+ * Purge every soft-deleted user whose grace period has ended
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<number>} Number of users purged
+ */
+const purgeDueUsers = async (now = new Date()) => {
+  const users = await User.find({ 'deletion.purgeAfter': { $lte: now } })
+    .sort({ 'deletion.purgeAfter': 1 })
+    .limit(PURGE_BATCH_SIZE);
+  
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+      purged += 1;
+    } catch (error) {
+      logger.error(`Purge failed for user ${user._id}:`, error);
+    }
+  }
+  
+  return purged;
+};
+
+/**
+ * Run the purge periodically in the background
+ */
+const startUserPurgeJob = () => {
+  if (purgeTimer) {
+    return;
+  }
+  
+  purgeTimer = setInterval(() => {
+    purgeDueUsers().catch(error => logger.error('User purge job error:', error));
+  }, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  
+  // Don't keep the process alive just for the purge
+  purgeTimer.unref();
+  
+  logger.info(`User purge job started, running every ${PURGE_INTERVAL_MINUTES} minutes`);
+};
+
+/**
+ * Stop the background purge
+ */
+const stopUserPurgeJob = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  purgeUser,
+  purgeDueUsers,
+  startUserPurgeJob,
+  stopUserPurgeJob,
+};
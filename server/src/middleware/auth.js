@@ -1,28 +1,165 @@
 const User = require('../models/User');
-const { verifyToken, extractTokenFromHeader } = require('../utils/auth');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Role = require('../models/Role');
+const {
+  verifyToken,
+  extractTokenFromHeader,
+  extractApiKeyFromHeader,
+  hashToken,
+} = require('../utils/auth');
+const { hasPermission } = require('../utils/permissions');
+const { getAccessTokenCookie } = require('../utils/authCookies');
 const logger = require('../utils/logger');
 
+/**
+ * Resolve the admin behind an impersonation token
+ * The token dies with the admin's sessions and with their right to manage users.
+ * @param {Object} decoded - Impersonation token payload
+ * @returns {Promise<Object>} Acting admin
+ */
+const resolveImpersonator = async (decoded) => {
+  const actor = await User.findById(decoded.actor).select('-password');
+  
+  if (!actor || !actor.isActive || (decoded.atv || 0) !== (actor.tokenVersion || 0)) {
+    throw new Error('Token revoked');
+  }
+  
+  if (!hasPermission(await Role.getPermissions(actor.role), 'user.manage')) {
+    throw new Error('Token revoked');
+  }
+  
+  return actor;
+};
+
+/**
+ * Attach resolved credentials to the request
+ * Requests made while impersonating are logged with both identities.
+ * @param {Object} req - Express request
+ * @param {Object} credentials - Resolved credentials
+ */
+const attachCredentials = async (req, { decoded, user, actor }) => {
+  req.user = user;
+  req.auth = decoded;
+  req.permissions = await Role.getPermissions(user.role);
+  
+  if (actor) {
+    req.impersonator = actor;
+    logger.info(
+      `Impersonated request: ${req.method} ${req.originalUrl} by ${actor.email} as ${user.email}`,
+      { actor: actor._id.toString(), subject: user._id.toString() }
+    );
+  }
+};
+
+/**
+ * Resolve the user an access token belongs to
+ * Rejects tokens that were logged out, belong to a revoked session or were issued
+ * before the user's last logout-all.
+ * @param {string} token - JWT token
+ * @returns {Promise<Object>} Decoded payload and user (null if not found)
+ */
+const resolveToken = async (token) => {
+  const decoded = verifyToken(token);
+  
+  // Challenge tokens share the signing secret but must not grant access
+  if (decoded.type !== 'access' && decoded.type !== 'impersonation') {
+    throw new Error('Invalid token');
+  }
+  
+  if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+    throw new Error('Token revoked');
+  }
+  
+  const user = await User.findById(decoded.id).select('-password');
+  
+  if (user && (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw new Error('Token revoked');
+  }
+  
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+    
+    if (!session || session.revokedAt) {
+      throw new Error('Token revoked');
+    }
+    
+    await session.touch();
+  }
+  
+  if (decoded.type === 'impersonation') {
+    return { decoded, user, actor: await resolveImpersonator(decoded) };
+  }
+  
+  return { decoded, user };
+};
+
+/**
+ * Resolve the user an API key belongs to
+ * The returned auth details carry the key's scopes in place of a token payload.
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object>} Auth details and user (null if not found)
+ */
+const resolveApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  
+  if (!apiKey || !apiKey.isActive) {
+    throw new Error('Invalid API key');
+  }
+  
+  const user = await User.findById(apiKey.user).select('-password');
+  
+  await apiKey.touch();
+  
+  return {
+    decoded: {
+      type: 'api_key',
+      id: apiKey.user.toString(),
+      keyId: apiKey._id.toString(),
+      scopes: apiKey.scopes,
+    },
+    user,
+  };
+};
+
+/**
+ * Resolve the credentials of a request
+ * Accepts a Bearer token or API key in the Authorization header, then the
+ * access token cookie in cookie mode.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>|null} Auth details and user, or null without credentials
+ */
+const resolveCredentials = (req) => {
+  const authHeader = req.headers.authorization;
+  const apiKey = extractApiKeyFromHeader(authHeader);
+  
+  if (apiKey) {
+    return resolveApiKey(apiKey);
+  }
+  
+  const token = extractTokenFromHeader(authHeader) || getAccessTokenCookie(req);
+  
+  return token ? resolveToken(token) : null;
+};
+
 /**
  * Authentication middleware
- * Verifies JWT token and adds user to request object
+ * Verifies JWT token or API key and adds user to request object
  */
 const authenticate = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = extractTokenFromHeader(authHeader);
+    // Verify credentials and get user from database
+    const credentials = await resolveCredentials(req);
     
-    if (!token) {
+    if (!credentials) {
       return res.status(401).json({
         success: false,
         message: 'Access token is required',
       });
     }
     
-    // Verify token
-    const decoded = verifyToken(token);
-    
-    // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
+    const { user } = credentials;
     
     if (!user) {
       return res.status(401).json({
@@ -38,8 +175,8 @@ const authenticate = async (req, res, next) => {
       });
     }
     
-    // Add user to request object
-    req.user = user;
+    // Add user, token details and effective permissions to request object
+    await attachCredentials(req, credentials);
     next();
     
   } catch (error) {
@@ -59,6 +196,20 @@ const authenticate = async (req, res, next) => {
       });
     }
     
+    if (error.message === 'Token revoked') {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token has been revoked',
+      });
+    }
+    
+    if (error.message === 'Invalid API key') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid API key',
+      });
+    }
+    
     return res.status(500).json({
       success: false,
       message: 'Internal server error during authentication',
@@ -72,16 +223,10 @@ const authenticate = async (req, res, next) => {
  */
 const optionalAuth = async (req, res, next) => {
   try {
-    const authHeader = req.headers.authorization;
-    const token = extractTokenFromHeader(authHeader);
-    
-    if (token) {
-      const decoded = verifyToken(token);
-      const user = await User.findById(decoded.id).select('-password');
-      
-      if (user && user.isActive) {
-        req.user = user;
-      }
+    const credentials = await resolveCredentials(req);
+    
+    if (credentials && credentials.user && credentials.user.isActive) {
+      await attachCredentials(req, credentials);
     }
     
     next();
@@ -115,8 +260,108 @@ const authorize = (roles = []) => {
   };
 };
 
+/**
+ * Permission middleware
+ * Checks the effective permissions of the user's role, see utils/permissions
+ */
+const authorizePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required',
+      });
+    }
+    
+    if (!hasPermission(req.permissions, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions',
+      });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Email verification middleware
+ * Blocks unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+  
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+  
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Email verification required',
+    });
+  }
+  
+  next();
+};
+
+/**
+ * API key scope middleware
+ * Requests authenticated with an API key need the scope; user sessions are unaffected.
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.auth && req.auth.type === 'api_key' && !req.auth.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${scope} scope`,
+      });
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Reject API keys on routes that need a signed-in user, e.g. account management
+ */
+const rejectApiKeys = (req, res, next) => {
+  if (extractApiKeyFromHeader(req.headers.authorization)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys cannot be used for this endpoint',
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Block account-level changes while an admin is impersonating the user
+ */
+const rejectImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not allowed while impersonating a user',
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
   authenticate,
   optionalAuth,
   authorize,
+  authorizePermission,
+  requireVerifiedEmail,
+  requireScope,
+  rejectApiKeys,
+  rejectImpersonation,
 };
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const {
+  ACCESS_TOKEN_COOKIE,
+  REFRESH_TOKEN_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  isCookieMode,
+} = require('../utils/authCookies');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Double-submit CSRF protection for cookie mode
+ * State-changing requests that authenticate with cookies must echo the CSRF
+ * cookie in the X-CSRF-Token header. Requests carrying an Authorization header
+ * cannot be forged cross-site and are left alone.
+ */
+const csrfProtection = (req, res, next) => {
+  if (!isCookieMode() || SAFE_METHODS.includes(req.method) || req.headers.authorization) {
+    return next();
+  }
+  
+  const cookies = req.cookies || {};
+  
+  if (!cookies[ACCESS_TOKEN_COOKIE] && !cookies[REFRESH_TOKEN_COOKIE]) {
+    return next();
+  }
+  
+  const headerToken = req.get(CSRF_HEADER);
+  
+  if (!cookies[CSRF_COOKIE] || !headerToken || !safeEqual(cookies[CSRF_COOKIE], headerToken)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid CSRF token',
+    });
+  }
+  
+  next();
+};
+
+module.exports = {
+  csrfProtection,
+};
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Accept ids from a proxy in front of the app, but only short, plain ones
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Request id middleware
+ * Tags every request with an id, echoed in the X-Request-Id response header,
+ * so audit events and logs can be traced back to a single request.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  
+  next();
+};
+
+module.exports = {
+  requestId,
+};
@@ -0,0 +1,66 @@
+const multer = require('multer');
+const { detectImageType } = require('../utils/images');
+
+// Largest accepted upload, before resizing
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+const UPLOAD_FIELD = 'image';
+
+// Files are held in memory only long enough to be resized
+const parseImage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: UPLOAD_MAX_BYTES,
+    files: 1,
+    fields: 5,
+  },
+}).single(UPLOAD_FIELD);
+
+/**
+ * Image upload middleware
+ * Reads a single image from the multipart "image" field into req.file, and
+ * rejects files over the size limit or that are not JPEG, PNG or WebP by content.
+ * Sets req.file.detectedType to the MIME type found in the file's magic bytes.
+ */
+const receiveImage = (req, res, next) => {
+  parseImage(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `Image must be smaller than ${Math.floor(UPLOAD_MAX_BYTES / (1024 * 1024))} MB`
+          : `Invalid upload: ${error.message}`,
+      });
+    }
+    
+    if (error) {
+      return next(error);
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `An image file is required in the "${UPLOAD_FIELD}" field`,
+      });
+    }
+    
+    // The client's filename and Content-Type are not trusted
+    const detectedType = detectImageType(req.file.buffer);
+    
+    if (!detectedType) {
+      return res.status(415).json({
+        success: false,
+        message: 'Only JPEG, PNG and WebP images are supported',
+      });
+    }
+    
+    req.file.detectedType = detectedType;
+    next();
+  });
+};
+
+module.exports = {
+  UPLOAD_MAX_BYTES,
+  receiveImage,
+};
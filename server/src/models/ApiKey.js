@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../utils/auth');
+
+// Only write lastUsedAt when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters'],
+  },
+  keyHash: {
+    type: String,
+    required: [true, 'Key hash is required'],
+    unique: true,
+    select: false,
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: [true, 'Key prefix is required'],
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES,
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required',
+    },
+  },
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Check whether the key grants a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record use of the key
+apiKeySchema.methods.touch = async function() {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+    return this;
+  }
+  this.lastUsedAt = new Date();
+  return this.save();
+};
+
+// Remove the key hash from JSON output and include the status
+apiKeySchema.methods.toJSON = function() {
+  const apiKeyObject = this.toObject();
+  delete apiKeyObject.keyHash;
+  apiKeyObject.isActive = this.isActive;
+  return apiKeyObject;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Append-only record of security-relevant actions, written through utils/audit
+const auditEventSchema = new mongoose.Schema({
+  // User who performed the action; empty for anonymous actions such as a failed login
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Admin behind the actor while impersonating
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true,
+  },
+  target: {
+    type: {
+      type: String,
+      trim: true,
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    label: {
+      type: String,
+      trim: true,
+    },
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: [500, 'User agent must be less than 500 characters'],
+  },
+  requestId: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes for the admin audit queries
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ 'target.id': 1, createdAt: -1 });
+
+// Static method to build a query from the admin filters
+auditEventSchema.statics.buildQuery = function({ actor, action, target, from, to } = {}) {
+  const query = {};
+  
+  if (actor) query.actor = actor;
+  if (target) query['target.id'] = target;
+  
+  // A trailing wildcard matches a whole group, e.g. "auth.*"
+  if (action) {
+    query.action = action.endsWith('.*')
+      ? { $regex: `^${action.slice(0, -1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : action;
+  }
+  
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  
+  return query;
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
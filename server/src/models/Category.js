@@ -28,10 +28,23 @@ const categorySchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // Every category above this one, root first, so a whole subtree is one indexed query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  }],
 }, {
   timestamps: true,
 });
 
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1 });
+
 // Generate slug before saving
 categorySchema.pre('save', function(next) {
   if (this.isModified('name') && !this.slug) {
@@ -43,6 +56,75 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Last line of defence against cycles; setParent is where they are normally caught
+categorySchema.pre('save', function(next) {
+  if (this.ancestors.some(id => id.equals(this._id))) {
+    return next(new Error('A category cannot be its own ancestor'));
+  }
+  next();
+});
+
+// Instance method to place the category under a parent, or at the top level for null
+// Returns false, changing nothing, when the parent is the category itself or one of its descendants
+categorySchema.methods.setParent = function(parent) {
+  if (parent && (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id)))) {
+    return false;
+  }
+
+  this.parent = parent ? parent._id : null;
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  return true;
+};
+
+// Static method to rewrite the ancestors of every descendant after a category moved
+// The part of each path from the moved category down is kept and the new prefix swapped in,
+// all in a single update
+categorySchema.statics.moveDescendants = function(category) {
+  return this.updateMany({ ancestors: category._id }, [{
+    $set: {
+      ancestors: {
+        $concatArrays: [
+          category.ancestors,
+          {
+            $slice: [
+              '$ancestors',
+              { $indexOfArray: ['$ancestors', category._id] },
+              { $size: '$ancestors' },
+            ],
+          },
+        ],
+      },
+    },
+  }]);
+};
+
+// Static method to get a category's ID together with the IDs of all its descendants
+categorySchema.statics.subtreeIds = async function(categoryId) {
+  const descendants = await this.distinct('_id', { ancestors: categoryId });
+  return [categoryId, ...descendants];
+};
+
+// Static method to build root-first breadcrumbs for categories that carry their ancestors
+// Returns a Map from category ID to [{ _id, name, slug }], ending with the category itself
+categorySchema.statics.breadcrumbsFor = async function(categories) {
+  const ancestorIds = [...new Set(
+    categories.flatMap(category => (category.ancestors || []).map(String))
+  )];
+  const ancestors = ancestorIds.length > 0
+    ? await this.find({ _id: { $in: ancestorIds } }).select('name slug').lean()
+    : [];
+  const byId = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor]));
+  const crumb = ({ _id, name, slug }) => ({ _id, name, slug });
+
+  return new Map(categories.map(category => [
+    String(category._id),
+    [
+      ...(category.ancestors || []).map(id => byId.get(String(id))).filter(Boolean).map(crumb),
+      crumb(category),
+    ],
+  ]));
+};
+
 // Virtual for post count
 categorySchema.virtual('postCount', {
   ref: 'Post',
@@ -51,4 +133,6 @@ categorySchema.virtual('postCount', {
   count: true,
 });
 
+categorySchema.set('toJSON', { virtuals: true });
+
 module.exports = mongoose.model('Category', categorySchema);
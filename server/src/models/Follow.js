@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower is required'],
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Followed user is required'],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// One edge per pair; also serves "who does this user follow"
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+
+// Static method to follow a user, keeping the counters on both users in step
+// Resolves to false when the follow already existed
+followSchema.statics.follow = async function(followerId, followingId) {
+  const result = await this.updateOne(
+    { follower: followerId, following: followingId },
+    { $setOnInsert: { follower: followerId, following: followingId } },
+    { upsert: true }
+  );
+
+  if (!result.upsertedCount) {
+    return false;
+  }
+
+  const User = mongoose.model('User');
+  await Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } }),
+    User.updateOne({ _id: followingId }, { $inc: { followersCount: 1 } }),
+  ]);
+  return true;
+};
+
+// Static method to unfollow a user
+// Resolves to false when there was nothing to remove
+followSchema.statics.unfollow = async function(followerId, followingId) {
+  const result = await this.deleteOne({ follower: followerId, following: followingId });
+
+  if (!result.deletedCount) {
+    return false;
+  }
+
+  const User = mongoose.model('User');
+  await Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: -1 } }),
+    User.updateOne({ _id: followingId }, { $inc: { followersCount: -1 } }),
+  ]);
+  return true;
+};
+
+// Static method to drop every follow to or from a user, fixing the counters of the other side
+followSchema.statics.removeAllForUser = async function(userId) {
+  const User = mongoose.model('User');
+  const [followingIds, followerIds] = await Promise.all([
+    this.distinct('following', { follower: userId }),
+    this.distinct('follower', { following: userId }),
+  ]);
+
+  await Promise.all([
+    User.updateMany({ _id: { $in: followingIds } }, { $inc: { followersCount: -1 } }),
+    User.updateMany({ _id: { $in: followerIds } }, { $inc: { followingCount: -1 } }),
+  ]);
+  await this.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
+
+// Static method to check whether one user follows another
+followSchema.statics.isFollowing = async function(followerId, followingId) {
+  return Boolean(await this.exists({ follower: followerId, following: followingId }));
+};
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Lease that lets one server instance at a time run a background job
+const jobLockSchema = new mongoose.Schema({
+  // Job name
+  _id: {
+    type: String,
+  },
+  owner: {
+    type: String,
+    required: [true, 'Lock owner is required'],
+  },
+  // The lease ends here even if the owner never releases it, e.g. after a crash
+  lockedUntil: {
+    type: Date,
+    required: [true, 'Lock expiry is required'],
+  },
+}, {
+  timestamps: { createdAt: false, updatedAt: true },
+});
+
+// Static method to take or renew the lock for a job
+// Resolves to false while another owner holds an unexpired lease
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs, now = new Date()) {
+  try {
+    await this.findOneAndUpdate(
+      { _id: name, $or: [{ owner }, { lockedUntil: { $lte: now } }] },
+      { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // The lock exists and is held by someone else, so the upsert collided with it
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to give up the lock early so another instance can take the next run
+jobLockSchema.statics.release = function(name, owner) {
+  return this.updateOne({ _id: name, owner }, { $set: { lockedUntil: new Date(0) } });
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
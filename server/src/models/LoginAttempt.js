@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// First lockout length; each further failure doubles it up to the maximum
+const LOCKOUT_BASE_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS || 60);
+const LOCKOUT_MAX_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS || 60 * 60);
+
+// Failure counters are forgotten after this long without a failed attempt
+const FAILURE_RESET_SECONDS = parseInt(process.env.LOGIN_FAILURE_RESET_SECONDS || 24 * 60 * 60);
+
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Key is required'],
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to build the counter key for an account
+loginAttemptSchema.statics.accountKey = function(email) {
+  return `account:${String(email || '').trim().toLowerCase()}`;
+};
+
+// Static method to build the counter key for a client IP
+loginAttemptSchema.statics.ipKey = function(ip) {
+  return `ip:${ip || 'unknown'}`;
+};
+
+// Static method to find when the latest active lock on any of the keys ends
+loginAttemptSchema.statics.getLockedUntil = async function(keys) {
+  const locked = await this.find({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  }).sort({ lockedUntil: -1 }).limit(1);
+
+  return locked.length ? locked[0].lockedUntil : null;
+};
+
+// Static method to count a failed login and lock the key once it reaches maxFailures
+loginAttemptSchema.statics.recordFailure = async function(key, maxFailures) {
+  const now = Date.now();
+
+  const attempt = await this.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { expiresAt: new Date(now + FAILURE_RESET_SECONDS * 1000) },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failures < maxFailures) {
+    return { attempt, locked: false };
+  }
+
+  // Exponential backoff: every failure past the threshold doubles the lock
+  const exponent = Math.min(attempt.failures - maxFailures, 30);
+  const lockSeconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** exponent, LOCKOUT_MAX_SECONDS);
+  attempt.lockedUntil = new Date(now + lockSeconds * 1000);
+
+  // Keep the counter at least as long as the lock
+  if (attempt.expiresAt < attempt.lockedUntil) {
+    attempt.expiresAt = attempt.lockedUntil;
+  }
+  await attempt.save();
+
+  return { attempt, locked: true };
+};
+
+// Static method to reset the counter for a key
+loginAttemptSchema.statics.clear = function(key) {
+  return this.deleteOne({ key });
+};
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
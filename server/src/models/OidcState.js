@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Pending OpenID Connect sign-ins, kept until the provider redirects back
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce is required'],
+  },
+  codeVerifier: {
+    type: String,
+    required: [true, 'Code verifier is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to look up and remove a pending sign-in in one step, so a state is only used once
+oidcStateSchema.statics.consume = function(state, provider) {
+  return this.findOneAndDelete({
+    state,
+    provider,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
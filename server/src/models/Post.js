@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Scheduled posts are published by the scheduler job once their scheduledFor time comes
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
 const postSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -14,10 +17,12 @@ const postSchema = new mongoose.Schema({
     minlength: [10, 'Content must be at least 10 characters long'],
     maxlength: [5000, 'Content must be less than 5000 characters'],
   },
+  // Null once the author's account is purged and the post anonymised
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Author is required'],
+    default: null,
+    required: [function() { return this.isNew; }, 'Author is required'],
   },
   category: {
     type: mongoose.Schema.Types.ObjectId,
@@ -44,12 +49,31 @@ const postSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: POST_STATUSES,
     default: 'draft',
   },
   publishedAt: {
     type: Date,
   },
+  // When a scheduled post goes live; cleared once the scheduler publishes it
+  scheduledFor: {
+    type: Date,
+    default: null,
+  },
+  // Failed attempts by the scheduler to publish the post, and when it tries again
+  publishAttempts: {
+    type: Number,
+    default: 0,
+  },
+  publishRetryAt: {
+    type: Date,
+    default: null,
+  },
+  // Revision numbers handed out so far; see PostRevision.record
+  revisionCount: {
+    type: Number,
+    default: 0,
+  },
   views: {
     type: Number,
     default: 0,
@@ -65,10 +89,12 @@ const postSchema = new mongoose.Schema({
     },
   }],
   comments: [{
+    // Null once the commenter's account is purged
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: true,
+      default: null,
+      required: [function() { return this.isNew; }, 'User is required'],
     },
     content: {
       type: String,
@@ -90,6 +116,7 @@ postSchema.index({ category: 1, status: 1 });
 postSchema.index({ slug: 1 });
 postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ tags: 1 });
+postSchema.index({ status: 1, scheduledFor: 1 });
 
 // Generate slug before saving
 postSchema.pre('save', function(next) {
@@ -105,6 +132,13 @@ postSchema.pre('save', function(next) {
     this.publishedAt = new Date();
   }
   
+  // Only scheduled posts keep a schedule
+  if (this.isModified('status') && this.status !== 'scheduled') {
+    this.scheduledFor = null;
+    this.publishAttempts = 0;
+    this.publishRetryAt = null;
+  }
+  
   next();
 });
 
@@ -128,4 +162,57 @@ postSchema.statics.findPublished = function() {
   return this.find({ status: 'published' }).sort({ publishedAt: -1 });
 };
 
+// Static method to count how many posts matching a query use each tag, most used first
+postSchema.statics.tagCounts = function(match, { prefix, limit } = {}) {
+  // Anchored, so the tags index can narrow the posts before their tags are unwound
+  const prefixMatch = prefix
+    ? { tags: { $regex: `^${prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` } }
+    : {};
+  
+  const pipeline = [
+    { $match: { ...match, ...prefixMatch } },
+    { $unwind: '$tags' },
+    { $match: prefixMatch },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+  
+  if (limit) {
+    pipeline.push({ $limit: limit });
+  }
+  
+  pipeline.push({ $project: { _id: 0, name: '$_id', count: 1 } });
+  
+  return this.aggregate(pipeline);
+};
+
+// Static method to replace tags with another across every post in a single update
+// Replaced tags take the place of the first one in each post, and duplicates are dropped
+postSchema.statics.replaceTags = function(sources, target) {
+  return this.updateMany({ tags: { $in: sources } }, [{
+    $set: {
+      tags: {
+        $reduce: {
+          input: {
+            $map: {
+              input: '$tags',
+              as: 'tag',
+              in: { $cond: [{ $in: ['$$tag', sources] }, target, '$$tag'] },
+            },
+          },
+          initialValue: [],
+          in: {
+            $cond: [
+              { $in: ['$$this', '$$value'] },
+              '$$value',
+              { $concatArrays: ['$$value', ['$$this']] },
+            ],
+          },
+        },
+      },
+    },
+  }]);
+};
+
 module.exports = mongoose.model('Post', postSchema);
+module.exports.POST_STATUSES = POST_STATUSES;
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Post = require('./Post');
+
+// Post fields that are versioned; other fields such as status are not
+const REVISION_FIELDS = ['title', 'content', 'excerpt', 'tags'];
+
+// Revisions kept per post; the oldest are dropped first
+const REVISION_LIMIT = parseInt(process.env.POST_REVISION_LIMIT, 10) || 50;
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  // Counts up from 1 per post and is never reused, even after old revisions are dropped
+  number: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1,
+  },
+  // Who made this version; empty once their account is purged
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  summary: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Summary must be less than 200 characters'],
+    default: '',
+  },
+  changedFields: [{
+    type: String,
+    enum: REVISION_FIELDS,
+  }],
+  title: String,
+  content: String,
+  excerpt: String,
+  tags: [String],
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+postRevisionSchema.index({ editor: 1 });
+
+// Static method to copy the versioned fields of a post or revision
+postRevisionSchema.statics.snapshot = function(source) {
+  return {
+    title: source.title,
+    content: source.content,
+    excerpt: source.excerpt || '',
+    tags: [...(source.tags || [])],
+  };
+};
+
+// Static method to list the versioned fields that differ between two snapshots
+postRevisionSchema.statics.changedFields = function(before, after) {
+  return REVISION_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+// Static method to record a change to a post, then drop revisions beyond the limit
+// Posts written before revisions existed get their previous state saved first, so the
+// first edit can be undone too. Resolves to null when no versioned field changed.
+postRevisionSchema.statics.record = async function(post, before, { editor, summary = '' } = {}) {
+  const after = this.snapshot(post);
+  const changedFields = this.changedFields(before, after);
+
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  // Numbers come from a counter on the post, so concurrent edits never claim the same one.
+  // Only the edit that moves the counter off zero saves the original.
+  const first = await Post.updateOne(
+    { _id: post._id, revisionCount: { $in: [null, 0] } },
+    { $set: { revisionCount: 1 } }
+  );
+
+  if (first.modifiedCount > 0) {
+    await this.create({
+      post: post._id,
+      number: 1,
+      editor: post.author,
+      summary: 'Original version',
+      ...before,
+      createdAt: post.createdAt,
+    });
+  }
+
+  const { revisionCount } = await Post.findByIdAndUpdate(
+    post._id,
+    { $inc: { revisionCount: 1 } },
+    { new: true, projection: { revisionCount: 1 } }
+  );
+
+  const revision = await this.create({
+    post: post._id,
+    number: revisionCount,
+    editor: editor ? editor._id : null,
+    summary: summary || `Changed ${changedFields.join(', ')}`,
+    changedFields,
+    ...after,
+  });
+
+  await this.prune(post._id);
+  return revision;
+};
+
+// Static method to drop all but the newest revisions of a post
+postRevisionSchema.statics.prune = async function(postId, limit = REVISION_LIMIT) {
+  const oldestKept = await this.findOne({ post: postId })
+    .sort({ number: -1 })
+    .skip(limit - 1)
+    .select('number');
+
+  if (!oldestKept) {
+    return { deletedCount: 0 };
+  }
+
+  return this.deleteMany({ post: postId, number: { $lt: oldestKept.number } });
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
+module.exports.REVISION_FIELDS = REVISION_FIELDS;
+module.exports.REVISION_LIMIT = REVISION_LIMIT;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'reuse_detected', 'logout', 'user_inactive', 'password_change', 'session_revoked'],
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+
+// Let MongoDB remove tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the token can still be exchanged
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to revoke every token in a rotation family
+refreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Static method to revoke every token a user holds
+refreshTokenSchema.statics.revokeForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// block: the target may not comment on or like the owner's posts, and the owner stops seeing them
+// mute: the owner stops seeing the target's posts and comments; the target is not told
+const RESTRICTION_TYPES = ['block', 'mute'];
+
+const restrictionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Target user is required'],
+  },
+  type: {
+    type: String,
+    enum: RESTRICTION_TYPES,
+    required: [true, 'Restriction type is required'],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+restrictionSchema.index({ owner: 1, type: 1, target: 1 }, { unique: true });
+restrictionSchema.index({ target: 1, type: 1 });
+
+// Static method to add a restriction; resolves to false when it already existed
+restrictionSchema.statics.add = async function(ownerId, targetId, type) {
+  const result = await this.updateOne(
+    { owner: ownerId, target: targetId, type },
+    { $setOnInsert: { owner: ownerId, target: targetId, type } },
+    { upsert: true }
+  );
+  return Boolean(result.upsertedCount);
+};
+
+// Static method to lift a restriction; resolves to false when there was none
+restrictionSchema.statics.remove = async function(ownerId, targetId, type) {
+  const result = await this.deleteOne({ owner: ownerId, target: targetId, type });
+  return Boolean(result.deletedCount);
+};
+
+// Static method to list the users whose content a user has hidden, by blocking or muting them
+restrictionSchema.statics.hiddenUserIds = function(ownerId) {
+  return this.distinct('target', { owner: ownerId });
+};
+
+// Static method to check whether one user has blocked another
+restrictionSchema.statics.isBlocked = async function(ownerId, targetId) {
+  return Boolean(await this.exists({ owner: ownerId, target: targetId, type: 'block' }));
+};
+
+module.exports = mongoose.model('Restriction', restrictionSchema);
+module.exports.RESTRICTION_TYPES = RESTRICTION_TYPES;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token id is required'],
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+  },
+}, {
+  timestamps: true,
+});
+
+// The entry is only needed until the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to add a decoded access token to the denylist
+revokedTokenSchema.statics.revoke = function(decoded) {
+  return this.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        user: decoded.id,
+        expiresAt: new Date(decoded.exp * 1000),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Static method to check whether a token id has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return Boolean(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
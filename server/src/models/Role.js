@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, BUILT_IN_ROLES, isBuiltInRole } = require('../utils/permissions');
+
+// Custom roles created by admins; built-in roles are defined in utils/permissions
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Role name must be less than 30 characters'],
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, numbers, dashes and underscores'],
+    validate: {
+      validator: name => !isBuiltInRole(name),
+      message: 'Role name is reserved',
+    },
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description must be less than 200 characters'],
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS,
+  }],
+}, {
+  timestamps: true,
+});
+
+// Static method to resolve the permissions a role grants
+roleSchema.statics.getPermissions = async function(name) {
+  if (isBuiltInRole(name)) {
+    return BUILT_IN_ROLES[name].permissions;
+  }
+
+  const role = await this.findOne({ name }).lean();
+  return role ? role.permissions : [];
+};
+
+// Static method to check whether a role exists
+roleSchema.statics.roleExists = async function(name) {
+  return isBuiltInRole(name) || Boolean(await this.exists({ name }));
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Only write lastSeenAt when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  userAgent: {
+    type: String,
+    default: '',
+    maxlength: [500, 'User agent must be less than 500 characters'],
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes for performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Remove sessions whose refresh token has run out
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Record activity on the session
+sessionSchema.methods.touch = async function() {
+  if (Date.now() - this.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return this;
+  }
+  this.lastSeenAt = new Date();
+  return this.save();
+};
+
+// Static method to find the sessions a user can still use
+sessionSchema.statics.findActive = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every session of a user
+sessionSchema.statics.revokeForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
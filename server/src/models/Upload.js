@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { IMAGE_KINDS, OUTPUT_FORMAT, OUTPUT_CONTENT_TYPE } = require('../utils/images');
+
+// Public path uploads are served from; documents store URLs under it
+const UPLOAD_URL_PREFIX = '/api/uploads';
+
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  width: Number,
+  height: Number,
+  size: Number,
+}, {
+  _id: false,
+});
+
+const uploadSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Owner is required'],
+  },
+  kind: {
+    type: String,
+    enum: Object.keys(IMAGE_KINDS),
+    required: [true, 'Upload kind is required'],
+  },
+  contentType: {
+    type: String,
+    default: OUTPUT_CONTENT_TYPE,
+  },
+  // Size of the file as uploaded, before resizing
+  originalSize: {
+    type: Number,
+  },
+  variants: [variantSchema],
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+uploadSchema.index({ owner: 1, createdAt: -1 });
+uploadSchema.index({ createdAt: 1 });
+
+// Storage key of one variant of an upload
+uploadSchema.statics.storageKey = function(uploadId, variant) {
+  return `${uploadId}/${variant}.${OUTPUT_FORMAT}`;
+};
+
+// Public URL of one variant of an upload
+uploadSchema.statics.urlFor = function(uploadId, variant) {
+  return `${UPLOAD_URL_PREFIX}/${uploadId}/${variant}`;
+};
+
+// Static method to find the upload a stored URL points at, if any
+uploadSchema.statics.findByUrl = function(url) {
+  const match = typeof url === 'string'
+    && url.match(new RegExp(`^${UPLOAD_URL_PREFIX}/([a-f0-9]{24})/([a-z]+)$`));
+  return match ? this.findById(match[1]) : Promise.resolve(null);
+};
+
+// URL stored on users and posts: the kind's default variant
+uploadSchema.virtual('url').get(function() {
+  return this.constructor.urlFor(this._id, IMAGE_KINDS[this.kind].defaultVariant);
+});
+
+// URLs of every variant, keyed by variant name
+uploadSchema.virtual('urls').get(function() {
+  return Object.fromEntries(this.variants.map(variant => [
+    variant.name,
+    this.constructor.urlFor(this._id, variant.name),
+  ]));
+});
+
+uploadSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Upload', uploadSchema);
+module.exports.UPLOAD_URL_PREFIX = UPLOAD_URL_PREFIX;
@@ -1,5 +1,45 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { hashToken } = require('../utils/auth');
+
+// What happens to a deleted user's posts when the account is purged
+const CONTENT_ACTIONS = ['anonymize', 'reassign'];
+
+// Days a deleted account can still be restored before the purge job removes it
+const DELETION_GRACE_DAYS = parseInt(process.env.USER_DELETION_GRACE_DAYS, 10) || 30;
+
+// Soft deletion details, kept until the account is restored or purged
+const deletionSchema = new mongoose.Schema({
+  deletedAt: {
+    type: Date,
+    required: true,
+  },
+  purgeAfter: {
+    type: Date,
+    required: true,
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // isActive before the deletion, restored with the account
+  wasActive: {
+    type: Boolean,
+    default: true,
+  },
+  contentAction: {
+    type: String,
+    enum: CONTENT_ACTIONS,
+    default: 'anonymize',
+  },
+  reassignTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  _id: false,
+});
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -45,11 +85,91 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false,
+  },
+  // Built-in role from utils/permissions or the name of a custom Role
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'user',
   },
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: {
+      type: Date,
+    },
+    secret: {
+      type: String,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+  },
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false,
+  },
+  // Kept in step by the Follow model's statics
+  followersCount: {
+    type: Number,
+    default: 0,
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+  },
+  deletion: {
+    type: deletionSchema,
+    default: null,
+  },
+  // External OpenID Connect identities linked to this account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: [true, 'Identity provider is required'],
+    },
+    subject: {
+      type: String,
+      required: [true, 'Identity subject is required'],
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
 }, {
   timestamps: true,
 });
@@ -57,6 +177,11 @@ const userSchema = new mongoose.Schema({
 // Index for performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+userSchema.index({ 'deletion.purgeAfter': 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -76,16 +201,84 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a single-use password reset token, storing only its hash
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Soft delete the account: sign it out everywhere and schedule the purge
+userSchema.methods.softDelete = function({
+  deletedBy,
+  graceDays = DELETION_GRACE_DAYS,
+  contentAction = 'anonymize',
+  reassignTo,
+}) {
+  const now = new Date();
+  
+  this.deletion = {
+    deletedAt: now,
+    purgeAfter: new Date(now.getTime() + graceDays * 24 * 60 * 60 * 1000),
+    deletedBy,
+    wasActive: this.isActive,
+    contentAction,
+    reassignTo: contentAction === 'reassign' ? reassignTo : undefined,
+  };
+  this.isActive = false;
+  this.tokenVersion += 1;
+  return this.save();
+};
+
+// Undo a soft delete before the purge runs
+userSchema.methods.restore = function() {
+  this.isActive = this.deletion ? this.deletion.wasActive : this.isActive;
+  this.deletion = null;
+  return this.save();
+};
+
 // Transform output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationSentAt;
+  if (userObject.mfa) {
+    delete userObject.mfa.secret;
+    delete userObject.mfa.pendingSecret;
+    delete userObject.mfa.recoveryCodes;
+    delete userObject.mfa.lastUsedStep;
+  }
   return userObject;
 };
 
+// Instance method to build the profile shown to anyone, signed in or not
+userSchema.methods.toPublicProfile = function() {
+  return {
+    _id: this._id,
+    username: this.username,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    fullName: this.fullName,
+    bio: this.bio,
+    avatar: this.avatar,
+    joinedAt: this.createdAt,
+    followersCount: this.followersCount,
+    followingCount: this.followingCount,
+  };
+};
+
+// Virtual for soft-deleted accounts
+userSchema.virtual('isDeleted').get(function() {
+  return Boolean(this.deletion);
+});
+
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
   return `${this.firstName || ''} ${this.lastName || ''}`.trim();
 });
 
 module.exports = mongoose.model('User', userSchema);
+module.exports.CONTENT_ACTIONS = CONTENT_ACTIONS;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  getAuditEvents,
+  exportAuditEvents,
+} = require('../controllers/adminController');
+const { authenticate, authorizePermission, rejectApiKeys, rejectImpersonation } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { PERMISSIONS } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Validation rules
+const createRoleValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Role name must be between 1 and 30 characters')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]*$/)
+    .withMessage('Role name may only contain letters, numbers, dashes and underscores'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be one of: ${PERMISSIONS.join(', ')}`),
+];
+
+const updateRoleValidation = [
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(PERMISSIONS)
+    .withMessage(`Permissions must be one of: ${PERMISSIONS.join(', ')}`),
+];
+
+const auditFilterValidation = [
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('Actor must be a valid user ID'),
+  query('target')
+    .optional()
+    .isMongoId()
+    .withMessage('Target must be a valid ID'),
+  query('action')
+    .optional()
+    .matches(/^[a-z_]+(\.[a-z_]+)*(\.\*)?$/)
+    .withMessage('Action must be an action name such as auth.login or auth.*'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+];
+
+const getAuditEventsValidation = [
+  ...auditFilterValidation,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+];
+
+// Administration needs a signed-in user, not an API key
+router.use(rejectApiKeys);
+
+// Routes
+router.get('/permissions', authenticate, authorizePermission('role.manage'), getPermissions);
+router.get('/roles', authenticate, authorizePermission('role.manage'), getRoles);
+router.post('/roles', authenticate, rejectImpersonation, authorizePermission('role.manage'), createRoleValidation, validate, createRole);
+router.put('/roles/:name', authenticate, rejectImpersonation, authorizePermission('role.manage'), updateRoleValidation, validate, updateRole);
+router.delete('/roles/:name', authenticate, rejectImpersonation, authorizePermission('role.manage'), deleteRole);
+router.get('/audit', authenticate, authorizePermission('audit.view'), getAuditEventsValidation, validate, getAuditEvents);
+router.get('/audit/export', authenticate, authorizePermission('audit.view'), auditFilterValidation, validate, exportAuditEvents);
+
+module.exports = router;
@@ -1,17 +1,66 @@
 const express = require('express');
 const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
 const {
   register,
   login,
+  verifyMfa,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  refresh,
+  logout,
+  logoutAll,
+  verify,
+  getSessions,
+  revokeSession,
   getProfile,
   updateProfile,
   changePassword,
+  exportData,
+  deleteAccount,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
 } = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
+const { authenticate, rejectApiKeys, rejectImpersonation } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../utils/auth');
+const { getRefreshTokenCookie } = require('../utils/authCookies');
 const { validate } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Limit verification emails per account, on top of the per-request cooldown
+const resendVerificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each user to 5 resend requests per windowMs
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, please try again later.',
+  },
+});
+
+// Exports are heavy to build, so limit them per account
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each user to 5 exports per windowMs
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many data exports requested, please try again later.',
+  },
+});
+
 // Validation rules
 const registerValidation = [
   body('username')
@@ -46,6 +95,30 @@ const loginValidation = [
     .withMessage('Password is required'),
 ];
 
+const mfaCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+];
+
+const mfaVerifyValidation = [
+  body('mfaToken')
+    .notEmpty()
+    .withMessage('MFA token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+];
+
+// In cookie mode the refresh token may come from its cookie instead of the body
+const refreshValidation = [
+  body('refreshToken')
+    .if((value, { req }) => !getRefreshTokenCookie(req))
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+];
+
 const updateProfileValidation = [
   body('firstName')
     .optional()
@@ -70,11 +143,77 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long'),
 ];
 
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account'),
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+];
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long'),
+];
+
+// Account endpoints need a signed-in user, not an API key
+router.use(rejectApiKeys);
+
 // Routes
 router.post('/register', registerValidation, validate, register);
 router.post('/login', loginValidation, validate, login);
+router.post('/mfa/verify', mfaVerifyValidation, validate, verifyMfa);
+router.get('/oidc/providers', getOidcProviders);
+router.get('/oidc/:provider', startOidcLogin);
+router.get('/oidc/:provider/callback', oidcCallback);
+router.post('/mfa/setup', authenticate, rejectImpersonation, setupMfa);
+router.post('/mfa/enable', authenticate, rejectImpersonation, mfaCodeValidation, validate, enableMfa);
+router.post('/mfa/disable', authenticate, rejectImpersonation, disableMfa);
+router.post('/refresh', refreshValidation, validate, refresh);
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, rejectImpersonation, logoutAll);
+router.get('/verify', authenticate, verify);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, revokeSession);
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, updateProfileValidation, validate, updateProfile);
-router.put('/change-password', authenticate, changePasswordValidation, validate, changePassword);
+router.put('/change-password', authenticate, rejectImpersonation, changePasswordValidation, validate, changePassword);
+router.get('/verify-email/:token', verifyEmail);
+router.post('/resend-verification', authenticate, resendVerificationLimiter, resendVerification);
+router.get('/api-keys', authenticate, getApiKeys);
+router.post('/api-keys', authenticate, rejectImpersonation, createApiKeyValidation, validate, createApiKey);
+router.delete('/api-keys/:id', authenticate, revokeApiKey);
+router.post('/export', authenticate, rejectImpersonation, exportLimiter, exportData);
+router.delete('/account', authenticate, rejectImpersonation, deleteAccountValidation, validate, deleteAccount);
+router.post('/forgot-password', forgotPasswordValidation, validate, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, validate, resetPassword);
 
 module.exports = router;
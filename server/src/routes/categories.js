@@ -0,0 +1,86 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoryController');
+const {
+  authenticate,
+  optionalAuth,
+  authorizePermission,
+  rejectApiKeys,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Validation rules
+const categoryFields = [
+  body('slug')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, numbers and single dashes'),
+  body('description')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Description must be less than 200 characters'),
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Please provide a valid hex color'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false'),
+  body('parent')
+    .optional({ nullable: true, checkFalsy: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid category ID'),
+];
+
+const createCategoryValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+  ...categoryFields,
+];
+
+const updateCategoryValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+  ...categoryFields,
+];
+
+const getCategoriesValidation = [
+  query('isActive')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('isActive must be true or false'),
+];
+
+const deleteCategoryValidation = [
+  query('reassignTo')
+    .optional()
+    .isMongoId()
+    .withMessage('reassignTo must be a valid category ID'),
+];
+
+// Routes
+router.get('/', optionalAuth, getCategoriesValidation, validate, getCategories);
+router.get('/:slug', optionalAuth, getCategory);
+
+// Managing categories needs a signed-in admin, not an API key
+router.post('/', rejectApiKeys, authenticate, authorizePermission('category.manage'), createCategoryValidation, validate, createCategory);
+router.put('/:id', rejectApiKeys, authenticate, authorizePermission('category.manage'), updateCategoryValidation, validate, updateCategory);
+router.delete('/:id', rejectApiKeys, authenticate, authorizePermission('category.manage'), deleteCategoryValidation, validate, deleteCategory);
+
+module.exports = router;
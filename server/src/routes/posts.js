@@ -1,7 +1,8 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const {
   getPosts,
+  getFeed,
   getPost,
   createPost,
   updatePost,
@@ -9,8 +10,22 @@ const {
   toggleLike,
   addComment,
 } = require('../controllers/postController');
-const { authenticate, optionalAuth } = require('../middleware/auth');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} = require('../controllers/revisionController');
+const {
+  authenticate,
+  optionalAuth,
+  authorizePermission,
+  requireVerifiedEmail,
+  requireScope,
+} = require('../middleware/auth');
 const { validate } = require('../middleware/validation');
+const { MAX_TAGS_PER_POST } = require('../utils/tags');
+const { POST_STATUSES } = require('../models/Post');
 
 const router = express.Router();
 
@@ -28,16 +43,27 @@ const createPostValidation = [
     .withMessage('Invalid category ID'),
   body('tags')
     .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
+    .isArray({ max: MAX_TAGS_PER_POST })
+    .withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_POST} tags`),
+  body('tags.*')
+    .isString()
+    .withMessage('Tags must be strings'),
   body('excerpt')
     .optional()
     .isLength({ max: 200 })
     .withMessage('Excerpt must be less than 200 characters'),
+  body('featuredImage')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Featured image must be an upload URL'),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(POST_STATUSES)
+    .withMessage(`Status must be one of: ${POST_STATUSES.join(', ')}`),
+  body('scheduledFor')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Scheduled time must be an ISO 8601 date'),
 ];
 
 const updatePostValidation = [
@@ -55,16 +81,32 @@ const updatePostValidation = [
     .withMessage('Invalid category ID'),
   body('tags')
     .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
+    .isArray({ max: MAX_TAGS_PER_POST })
+    .withMessage(`Tags must be an array of at most ${MAX_TAGS_PER_POST} tags`),
+  body('tags.*')
+    .isString()
+    .withMessage('Tags must be strings'),
   body('excerpt')
     .optional()
     .isLength({ max: 200 })
     .withMessage('Excerpt must be less than 200 characters'),
+  body('featuredImage')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Featured image must be an upload URL'),
   body('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(POST_STATUSES)
+    .withMessage(`Status must be one of: ${POST_STATUSES.join(', ')}`),
+  body('scheduledFor')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Scheduled time must be an ISO 8601 date'),
+  body('changeSummary')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Change summary must be less than 200 characters'),
 ];
 
 const getPostsValidation = [
@@ -78,12 +120,16 @@ const getPostsValidation = [
     .withMessage('Limit must be between 1 and 100'),
   query('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be draft, published, or archived'),
+    .isIn(POST_STATUSES)
+    .withMessage(`Status must be one of: ${POST_STATUSES.join(', ')}`),
   query('category')
     .optional()
     .isMongoId()
     .withMessage('Invalid category ID'),
+  query('includeSubcategories')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeSubcategories must be true or false'),
   query('author')
     .optional()
     .isMongoId()
@@ -98,6 +144,23 @@ const getPostsValidation = [
     .withMessage('Sort order must be asc or desc'),
 ];
 
+const diffRevisionsValidation = [
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('From must be a revision number'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('To must be a revision number'),
+];
+
+const revisionNumberValidation = [
+  param('rev')
+    .isInt({ min: 1 })
+    .withMessage('Revision must be a revision number'),
+];
+
 const addCommentValidation = [
   body('content')
     .isLength({ min: 1, max: 500 })
@@ -105,12 +168,20 @@ const addCommentValidation = [
 ];
 
 // Routes
-router.get('/', getPostsValidation, validate, optionalAuth, getPosts);
-router.get('/:identifier', optionalAuth, getPost);
-router.post('/', authenticate, createPostValidation, validate, createPost);
-router.put('/:id', authenticate, updatePostValidation, validate, updatePost);
-router.delete('/:id', authenticate, deletePost);
-router.post('/:id/like', authenticate, toggleLike);
-router.post('/:id/comments', authenticate, addCommentValidation, validate, addComment);
+// Scopes only restrict API keys; signed-in users are unaffected
+router.get('/', getPostsValidation, validate, optionalAuth, requireScope('posts:read'), getPosts);
+// Registered before /:identifier so "feed" is not taken for a slug
+router.get('/feed', authenticate, requireScope('posts:read'), getPostsValidation, validate, getFeed);
+router.get('/:identifier', optionalAuth, requireScope('posts:read'), getPost);
+router.post('/', authenticate, requireScope('posts:write'), authorizePermission('post.create'), requireVerifiedEmail, createPostValidation, validate, createPost);
+router.put('/:id', authenticate, requireScope('posts:write'), updatePostValidation, validate, updatePost);
+router.delete('/:id', authenticate, requireScope('posts:write'), deletePost);
+router.post('/:id/like', authenticate, requireScope('posts:write'), toggleLike);
+router.post('/:id/comments', authenticate, requireScope('comments:write'), authorizePermission('comment.create'), requireVerifiedEmail, addCommentValidation, validate, addComment);
+// Registered before /:id/revisions/:rev so "diff" is not taken for a revision number
+router.get('/:id/revisions', authenticate, requireScope('posts:read'), getRevisions);
+router.get('/:id/revisions/diff', authenticate, requireScope('posts:read'), diffRevisionsValidation, validate, diffRevisions);
+router.get('/:id/revisions/:rev', authenticate, requireScope('posts:read'), revisionNumberValidation, validate, getRevision);
+router.post('/:id/revisions/:rev/restore', authenticate, requireScope('posts:write'), revisionNumberValidation, validate, restoreRevision);
 
 module.exports = router;
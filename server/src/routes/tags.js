@@ -0,0 +1,80 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const {
+  getTags,
+  getTagCloud,
+  getTagPosts,
+  mergeTags,
+  renameTag,
+} = require('../controllers/tagController');
+const {
+  authenticate,
+  optionalAuth,
+  authorizePermission,
+  rejectApiKeys,
+  requireScope,
+} = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+const { MAX_TAG_LENGTH } = require('../utils/tags');
+
+const router = express.Router();
+
+// Validation rules
+const limitValidation = (max) => query('limit')
+  .optional()
+  .isInt({ min: 1, max })
+  .withMessage(`Limit must be between 1 and ${max}`);
+
+const getTagsValidation = [
+  query('prefix')
+    .optional()
+    .isLength({ max: MAX_TAG_LENGTH })
+    .withMessage(`Prefix must be at most ${MAX_TAG_LENGTH} characters`),
+  limitValidation(200),
+];
+
+const getTagPostsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  limitValidation(100),
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'updatedAt', 'title', 'views', 'publishedAt'])
+    .withMessage('Invalid sort field'),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Sort order must be asc or desc'),
+];
+
+const mergeTagsValidation = [
+  body('tags')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Tags must be an array of 1 to 50 tags'),
+  body('tags.*')
+    .isString()
+    .withMessage('Tags must be strings'),
+  body('into')
+    .isString()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Target tag must be between 1 and ${MAX_TAG_LENGTH} characters`),
+];
+
+const renameTagValidation = [
+  body('name')
+    .isString()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Name must be between 1 and ${MAX_TAG_LENGTH} characters`),
+];
+
+// Routes
+// Registered before /:tag so "cloud" and "merge" are not taken for tags
+router.get('/', optionalAuth, requireScope('posts:read'), getTagsValidation, validate, getTags);
+router.get('/cloud', optionalAuth, requireScope('posts:read'), limitValidation(100), validate, getTagCloud);
+router.post('/merge', rejectApiKeys, authenticate, authorizePermission('tag.manage'), mergeTagsValidation, validate, mergeTags);
+router.get('/:tag/posts', optionalAuth, requireScope('posts:read'), getTagPostsValidation, validate, getTagPosts);
+router.put('/:tag', rejectApiKeys, authenticate, authorizePermission('tag.manage'), renameTagValidation, validate, renameTag);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  uploadAvatar,
+  removeAvatar,
+  uploadPostImage,
+} = require('../controllers/uploadController');
+const {
+  authenticate,
+  authorizePermission,
+  rejectApiKeys,
+  requireScope,
+} = require('../middleware/auth');
+const { receiveImage } = require('../middleware/upload');
+
+const router = express.Router();
+
+// Resizing is CPU heavy, so limit uploads per account
+const uploadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // limit each user to 30 uploads per windowMs
+  keyGenerator: (req) => req.user._id.toString(),
+  message: {
+    success: false,
+    message: 'Too many uploads, please try again later.',
+  },
+});
+
+// Routes
+// GET /:id/:variant is mounted in app.js, ahead of the API rate limiter
+router.post('/avatar', authenticate, rejectApiKeys, uploadLimiter, receiveImage, uploadAvatar);
+router.delete('/avatar', authenticate, rejectApiKeys, removeAvatar);
+router.post('/images', authenticate, requireScope('posts:write'), authorizePermission('post.create'), uploadLimiter, receiveImage, uploadPostImage);
+
+module.exports = router;
@@ -1,10 +1,29 @@
 const express = require('express');
-const { query } = require('express-validator');
+const { body, query } = require('express-validator');
 const User = require('../models/User');
-const { authenticate, authorize } = require('../middleware/auth');
+const LoginAttempt = require('../models/LoginAttempt');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const Role = require('../models/Role');
+const Follow = require('../models/Follow');
+const Restriction = require('../models/Restriction');
+const Post = require('../models/Post');
+const {
+  authenticate,
+  optionalAuth,
+  authorizePermission,
+  rejectApiKeys,
+  rejectImpersonation,
+} = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { validate } = require('../middleware/validation');
 const { isValidObjectId } = require('../utils/validation');
+const { hasPermission } = require('../utils/permissions');
+const { generateImpersonationToken, getTokenExpiry } = require('../utils/auth');
+const { recordAudit, auditTarget, diffChanges } = require('../utils/audit');
+const { purgeUser } = require('../jobs/purgeDeletedUsers');
+const { getHiddenUserIds, paginatePosts } = require('../utils/postQueries');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 
@@ -22,10 +41,56 @@ const getUsersValidation = [
     .optional()
     .isLength({ min: 1 })
     .withMessage('Search term is required'),
+  query('deleted')
+    .optional()
+    .isBoolean()
+    .withMessage('Deleted must be true or false'),
+];
+
+const listValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+];
+
+const contentActionValidation = [
+  body('contentAction')
+    .optional()
+    .isIn(User.CONTENT_ACTIONS)
+    .withMessage(`Content action must be one of: ${User.CONTENT_ACTIONS.join(', ')}`),
+  body('reassignTo')
+    .if(body('contentAction').equals('reassign'))
+    .isMongoId()
+    .withMessage('A user to reassign posts to is required'),
 ];
 
 /**
- * Get all users (admin only)
+ * Check the user posts are being reassigned to
+ * @param {string} reassignTo - Receiving user ID
+ * @param {string} deletedId - ID of the user being deleted
+ * @returns {Promise<string|null>} Error message or null if valid
+ */
+const checkReassignTarget = async (reassignTo, deletedId) => {
+  if (String(reassignTo) === String(deletedId)) {
+    return 'Cannot reassign posts to the deleted user';
+  }
+  
+  const target = await User.findById(reassignTo);
+  
+  if (!target || target.deletion || !target.isActive) {
+    return 'User to reassign posts to was not found';
+  }
+  
+  return null;
+};
+
+/**
+ * Get all users (requires user.manage)
  * GET /api/users
  */
 const getUsers = asyncHandler(async (req, res) => {
@@ -35,10 +100,13 @@ const getUsers = asyncHandler(async (req, res) => {
     search,
     sortBy = 'createdAt',
     sortOrder = 'desc',
+    deleted,
   } = req.query;
   
-  // Build query
-  const query = {};
+  // Build query, listing either live or soft-deleted accounts
+  const query = {
+    deletion: deleted === 'true' ? { $ne: null } : null,
+  };
   
   // Search in username, email, firstName, lastName
   if (search) {
@@ -105,28 +173,49 @@ const getUserById = asyncHandler(async (req, res) => {
   
   const user = await User.findById(id).select('-password');
   
-  if (!user) {
+  // Deleted accounts are only visible to user managers
+  if (!user || (user.deletion && !hasPermission(req.permissions, 'user.manage'))) {
     return res.status(404).json({
       success: false,
       message: 'User not found',
     });
   }
   
+  const [isFollowing, restrictions] = await Promise.all([
+    Follow.isFollowing(req.user._id, user._id),
+    Restriction.find({ owner: req.user._id, target: user._id }).distinct('type'),
+  ]);
+  
   res.json({
     success: true,
     data: {
       user,
+      isFollowing,
+      isBlocked: restrictions.includes('block'),
+      isMuted: restrictions.includes('mute'),
     },
   });
 });
 
 /**
- * Update user (admin only)
+ * Whether the current user holds every permission another user's role grants
+ * Managers may only act on accounts that have no more rights than they do.
+ * @param {Object} req - Express request
+ * @param {Object} user - Account being acted on
+ * @returns {Promise<boolean>}
+ */
+const holdsPermissionsOf = async (req, user) => {
+  const permissions = await Role.getPermissions(user.role);
+  return permissions.every(permission => hasPermission(req.permissions, permission));
+};
+
+/**
+ * Update user (requires user.manage)
  * PUT /api/users/:id
  */
 const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { isActive, role } = req.body;
+  const { isActive, role, unlock } = req.body;
   
   if (!isValidObjectId(id)) {
     return res.status(400).json({
@@ -144,12 +233,55 @@ const updateUser = asyncHandler(async (req, res) => {
     });
   }
   
+  if (user.deletion) {
+    return res.status(400).json({
+      success: false,
+      message: 'User is deleted, restore it first',
+    });
+  }
+  
+  // Assigning roles hands out permissions, so it needs role.manage as well
+  if (role !== undefined && !hasPermission(req.permissions, 'role.manage')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions',
+    });
+  }
+  
+  if ((isActive !== undefined || unlock === true) && !await holdsPermissionsOf(req, user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Cannot manage a user with permissions you do not have',
+    });
+  }
+  
+  if (role !== undefined && !await Role.roleExists(role)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Role not found',
+    });
+  }
+  
+  const before = { isActive: user.isActive, role: user.role };
+  
   // Update fields
   if (isActive !== undefined) user.isActive = isActive;
   if (role !== undefined) user.role = role;
   
   await user.save();
   
+  // Lift a login lockout on the account
+  if (unlock === true) {
+    await LoginAttempt.clear(LoginAttempt.accountKey(user.email));
+  }
+  
+  await recordAudit(req, {
+    action: 'user.update',
+    target: auditTarget('User', user, user.email),
+    ...diffChanges(before, { isActive: user.isActive, role: user.role }),
+    metadata: unlock === true ? { unlocked: true } : undefined,
+  });
+  
   res.json({
     success: true,
     message: 'User updated successfully',
@@ -160,11 +292,15 @@ const updateUser = asyncHandler(async (req, res) => {
 });
 
 /**
- * Delete user (admin only)
+ * Soft delete a user (requires user.manage)
+ * The account is signed out and can be restored until the grace period ends,
+ * after which the purge job removes it. The body may choose what happens to
+ * the user's posts then: { contentAction: 'anonymize' | 'reassign', reassignTo }.
  * DELETE /api/users/:id
  */
 const deleteUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { contentAction = 'anonymize', reassignTo } = req.body;
   
   if (!isValidObjectId(id)) {
     return res.status(400).json({
@@ -183,25 +319,584 @@ const deleteUser = asyncHandler(async (req, res) => {
   
   const user = await User.findById(id);
   
-  if (!user) {
+  if (!user || user.deletion) {
     return res.status(404).json({
       success: false,
       message: 'User not found',
     });
   }
   
-  await User.findByIdAndDelete(id);
+  if (contentAction === 'reassign') {
+    const reassignError = await checkReassignTarget(reassignTo, id);
+    
+    if (reassignError) {
+      return res.status(400).json({
+        success: false,
+        message: reassignError,
+      });
+    }
+  }
+  
+  await user.softDelete({
+    deletedBy: req.user._id,
+    contentAction,
+    reassignTo,
+  });
+  await Promise.all([
+    RefreshToken.revokeForUser(user._id, 'user_inactive'),
+    Session.revokeForUser(user._id),
+  ]);
+  
+  logger.info(`User deleted: ${user.email} by ${req.user.email}, purge after ${user.deletion.purgeAfter.toISOString()}`);
+  await recordAudit(req, {
+    action: 'user.delete',
+    target: auditTarget('User', user, user.email),
+    before: { username: user.username, email: user.email, role: user.role },
+    metadata: {
+      purgeAfter: user.deletion.purgeAfter,
+      contentAction,
+      reassignTo: user.deletion.reassignTo,
+    },
+  });
   
   res.json({
     success: true,
     message: 'User deleted successfully',
+    data: {
+      purgeAfter: user.deletion.purgeAfter,
+    },
+  });
+});
+
+/**
+ * Restore a soft-deleted user (requires user.manage)
+ * POST /api/users/:id/restore
+ */
+const restoreUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID',
+    });
+  }
+  
+  const user = await User.findById(id);
+  
+  if (!user || !user.deletion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Deleted user not found',
+    });
+  }
+  
+  await user.restore();
+  
+  logger.info(`User restored: ${user.email} by ${req.user.email}`);
+  await recordAudit(req, {
+    action: 'user.restore',
+    target: auditTarget('User', user, user.email),
+  });
+  
+  res.json({
+    success: true,
+    message: 'User restored successfully',
+    data: {
+      user,
+    },
   });
 });
 
+/**
+ * Purge a soft-deleted user now instead of waiting for the grace period (requires user.manage)
+ * The body may override the content choice made at deletion time.
+ * POST /api/users/:id/purge
+ */
+const purgeDeletedUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { contentAction, reassignTo } = req.body;
+  
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID',
+    });
+  }
+  
+  const user = await User.findById(id);
+  
+  if (!user || !user.deletion) {
+    return res.status(404).json({
+      success: false,
+      message: 'Deleted user not found',
+    });
+  }
+  
+  if (contentAction === 'reassign') {
+    const reassignError = await checkReassignTarget(reassignTo, id);
+    
+    if (reassignError) {
+      return res.status(400).json({
+        success: false,
+        message: reassignError,
+      });
+    }
+  }
+  
+  const result = await purgeUser(user, { contentAction, reassignTo }, req);
+  
+  res.json({
+    success: true,
+    message: 'User purged successfully',
+    data: result,
+  });
+});
+
+/**
+ * Start impersonating a user (requires user.manage)
+ * Issues a short-lived token that acts as the user and names the admin behind it.
+ * POST /api/users/:id/impersonate
+ */
+const impersonateUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID',
+    });
+  }
+  
+  if (id === req.user._id.toString()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot impersonate yourself',
+    });
+  }
+  
+  const user = await User.findById(id).select('-password');
+  
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+  
+  if (!user.isActive) {
+    return res.status(400).json({
+      success: false,
+      message: 'Cannot impersonate a deactivated user',
+    });
+  }
+  
+  // The session gets the user's permissions, so it must not grant any the actor lacks
+  if (!await holdsPermissionsOf(req, user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Cannot impersonate a user with permissions you do not have',
+    });
+  }
+  
+  const token = generateImpersonationToken(req.user, user);
+  
+  logger.warn(`Impersonation started by ${req.user.email} as ${user.email}`, {
+    actor: req.user._id.toString(),
+    subject: user._id.toString(),
+  });
+  await recordAudit(req, {
+    action: 'user.impersonate',
+    target: auditTarget('User', user, user.email),
+  });
+  
+  res.json({
+    success: true,
+    message: 'Impersonation started',
+    data: {
+      token,
+      expiresAt: getTokenExpiry(token),
+      user: {
+        ...user.toJSON(),
+        permissions: await Role.getPermissions(user.role),
+      },
+      impersonator: {
+        _id: req.user._id,
+        username: req.user.username,
+        email: req.user.email,
+      },
+    },
+  });
+});
+
+/**
+ * Find the user a follow, block or mute is aimed at, or send the error response
+ * @param {string} verb - Action named in the error for targeting yourself
+ * @returns {Promise<Object|null>} User document, or null when a response was sent
+ */
+const findTargetUser = async (req, res, verb) => {
+  const { id } = req.params;
+  
+  if (!isValidObjectId(id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid user ID',
+    });
+    return null;
+  }
+  
+  if (req.user._id.toString() === id) {
+    res.status(400).json({
+      success: false,
+      message: `You cannot ${verb} yourself`,
+    });
+    return null;
+  }
+  
+  const user = await User.findOne({ _id: id, deletion: null, isActive: true });
+  
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+    return null;
+  }
+  
+  return user;
+};
+
+/**
+ * Follow a user
+ * POST /api/users/:id/follow
+ */
+const followUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res, 'follow');
+  if (!user) return;
+  
+  if (await Restriction.isBlocked(user._id, req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'You cannot follow this user',
+    });
+  }
+  
+  const created = await Follow.follow(req.user._id, user._id);
+  const { followersCount } = await User.findById(user._id).select('followersCount').lean();
+  
+  if (created) {
+    logger.info(`${req.user.email} followed ${user.email}`);
+  }
+  
+  res.json({
+    success: true,
+    message: created ? 'User followed' : 'Already following this user',
+    data: {
+      isFollowing: true,
+      followersCount,
+    },
+  });
+});
+
+/**
+ * Unfollow a user
+ * DELETE /api/users/:id/follow
+ */
+const unfollowUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID',
+    });
+  }
+  
+  // Unfollowing works even once the other account is gone
+  const removed = await Follow.unfollow(req.user._id, id);
+  const user = await User.findById(id).select('followersCount').lean();
+  
+  res.json({
+    success: true,
+    message: removed ? 'User unfollowed' : 'Not following this user',
+    data: {
+      isFollowing: false,
+      followersCount: user ? user.followersCount : 0,
+    },
+  });
+});
+
+/**
+ * List one side of a user's follow graph, newest first
+ * @param {string} side - "followers" or "following"
+ */
+const listFollows = side => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 20 } = req.query;
+  
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID',
+    });
+  }
+  
+  if (!await User.exists({ _id: id, deletion: null })) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+  
+  // Followers are the users following this one, and the other way round
+  const [own, other] = side === 'followers' ? ['following', 'follower'] : ['follower', 'following'];
+  const query = { [own]: id };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const [follows, total] = await Promise.all([
+    Follow.find(query)
+      .populate({
+        path: other,
+        select: 'username firstName lastName avatar bio followersCount followingCount',
+        match: { deletion: null },
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    Follow.countDocuments(query),
+  ]);
+  
+  // Accounts deleted but not yet purged drop out of the page
+  const users = follows
+    .filter(follow => follow[other])
+    .map(follow => ({ ...follow[other], followedAt: follow.createdAt }));
+  
+  const totalPages = Math.ceil(total / parseInt(limit));
+  
+  res.json({
+    success: true,
+    data: {
+      users,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalUsers: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+/**
+ * Get the users following a user
+ * GET /api/users/:id/followers
+ */
+const getFollowers = listFollows('followers');
+
+/**
+ * Get the users a user follows
+ * GET /api/users/:id/following
+ */
+const getFollowing = listFollows('following');
+
+/**
+ * Block or mute a user
+ * POST /api/users/:id/block
+ * POST /api/users/:id/mute
+ * @param {string} type - "block" or "mute"
+ */
+const restrictUser = type => asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req, res, type);
+  if (!user) return;
+  
+  const created = await Restriction.add(req.user._id, user._id, type);
+  
+  // A blocked user should not keep receiving the blocker's posts in their feed
+  if (type === 'block') {
+    await Follow.unfollow(user._id, req.user._id);
+  }
+  
+  if (created) {
+    logger.info(`${req.user.email} ${type === 'block' ? 'blocked' : 'muted'} ${user.email}`);
+  }
+  
+  res.json({
+    success: true,
+    message: type === 'block' ? 'User blocked' : 'User muted',
+    data: {
+      [type === 'block' ? 'isBlocked' : 'isMuted']: true,
+    },
+  });
+});
+
+/**
+ * Unblock or unmute a user
+ * DELETE /api/users/:id/block
+ * DELETE /api/users/:id/mute
+ * @param {string} type - "block" or "mute"
+ */
+const unrestrictUser = type => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  
+  if (!isValidObjectId(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID',
+    });
+  }
+  
+  await Restriction.remove(req.user._id, id, type);
+  
+  res.json({
+    success: true,
+    message: type === 'block' ? 'User unblocked' : 'User unmuted',
+    data: {
+      [type === 'block' ? 'isBlocked' : 'isMuted']: false,
+    },
+  });
+});
+
+/**
+ * List the users the current user has blocked or muted, newest first
+ * GET /api/users/blocked
+ * GET /api/users/muted
+ * @param {string} type - "block" or "mute"
+ */
+const listRestrictions = type => asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const query = { owner: req.user._id, type };
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const [restrictions, total] = await Promise.all([
+    Restriction.find(query)
+      .populate('target', 'username firstName lastName avatar')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    Restriction.countDocuments(query),
+  ]);
+  
+  const users = restrictions
+    .filter(restriction => restriction.target)
+    .map(restriction => ({ ...restriction.target, restrictedAt: restriction.createdAt }));
+  
+  const totalPages = Math.ceil(total / parseInt(limit));
+  
+  res.json({
+    success: true,
+    data: {
+      users,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalUsers: total,
+        hasNextPage: parseInt(page) < totalPages,
+        hasPrevPage: parseInt(page) > 1,
+        limit: parseInt(limit),
+      },
+    },
+  });
+});
+
+/**
+ * Find a live account by username for the public profile routes, or send a 404
+ * @returns {Promise<Object|null>} User document, or null when a response was sent
+ */
+const findPublicUser = async (req, res) => {
+  const user = await User.findOne({
+    username: req.params.username,
+    deletion: null,
+    isActive: true,
+  });
+  
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+    return null;
+  }
+  
+  return user;
+};
+
+/**
+ * Get a user's public profile
+ * GET /api/users/by-username/:username
+ */
+const getPublicProfile = asyncHandler(async (req, res) => {
+  const user = await findPublicUser(req, res);
+  if (!user) return;
+  
+  const [postCount, isFollowing] = await Promise.all([
+    Post.countDocuments({ author: user._id, status: 'published' }),
+    req.user ? Follow.isFollowing(req.user._id, user._id) : false,
+  ]);
+  
+  res.json({
+    success: true,
+    data: {
+      user: {
+        ...user.toPublicProfile(),
+        postCount,
+      },
+      isFollowing,
+    },
+  });
+});
+
+/**
+ * Get a user's published posts
+ * GET /api/users/by-username/:username/posts
+ */
+const getPublicPosts = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+  
+  const user = await findPublicUser(req, res);
+  if (!user) return;
+  
+  // Visiting the page is a choice to see the author, but hidden users' comments stay out
+  const hiddenIds = await getHiddenUserIds(req);
+  
+  const data = await paginatePosts(
+    { author: user._id, status: 'published' },
+    { page, limit, sortBy: 'publishedAt', sortOrder: 'desc' },
+    hiddenIds
+  );
+  
+  res.json({
+    success: true,
+    data,
+  });
+});
+
+// User routes are for people, not API keys
+router.use(rejectApiKeys);
+
 // Routes
-router.get('/', authenticate, authorize(['admin']), getUsersValidation, validate, getUsers);
+router.get('/', authenticate, authorizePermission('user.manage'), getUsersValidation, validate, getUsers);
+// Public profiles and the current user's restrictions, registered before the /:id routes
+router.get('/by-username/:username', optionalAuth, getPublicProfile);
+router.get('/by-username/:username/posts', optionalAuth, listValidation, validate, getPublicPosts);
+router.get('/blocked', authenticate, listValidation, validate, listRestrictions('block'));
+router.get('/muted', authenticate, listValidation, validate, listRestrictions('mute'));
 router.get('/:id', authenticate, getUserById);
-router.put('/:id', authenticate, authorize(['admin']), updateUser);
-router.delete('/:id', authenticate, authorize(['admin']), deleteUser);
+router.put('/:id', authenticate, rejectImpersonation, authorizePermission('user.manage'), updateUser);
+router.delete('/:id', authenticate, rejectImpersonation, authorizePermission('user.manage'), contentActionValidation, validate, deleteUser);
+router.post('/:id/restore', authenticate, rejectImpersonation, authorizePermission('user.manage'), restoreUser);
+router.post('/:id/purge', authenticate, rejectImpersonation, authorizePermission('user.manage'), contentActionValidation, validate, purgeDeletedUser);
+router.post('/:id/impersonate', authenticate, rejectImpersonation, authorizePermission('user.manage'), impersonateUser);
+router.post('/:id/follow', authenticate, followUser);
+router.delete('/:id/follow', authenticate, unfollowUser);
+router.get('/:id/followers', authenticate, listValidation, validate, getFollowers);
+router.get('/:id/following', authenticate, listValidation, validate, getFollowing);
+router.post('/:id/block', authenticate, restrictUser('block'));
+router.delete('/:id/block', authenticate, unrestrictUser('block'));
+router.post('/:id/mute', authenticate, restrictUser('mute'));
+router.delete('/:id/mute', authenticate, unrestrictUser('mute'));
 
 module.exports = router;
@@ -0,0 +1,79 @@
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('./logger');
+
+/**
+ * Audit trail helper
+ * Every security-relevant action is recorded through recordAudit so events share
+ * one shape: who did it, to what, what changed and from which request.
+ */
+
+/**
+ * Keep only the fields that changed between two snapshots
+ * @param {Object} before - Values before the change
+ * @param {Object} after - Values after the change
+ * @returns {Object} { before, after } limited to changed fields
+ */
+const diffChanges = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  
+  Object.keys({ ...before, ...after }).forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.before[field] = before[field];
+      changes.after[field] = after[field];
+    }
+  });
+  
+  return changes;
+};
+
+/**
+ * Describe a document as an audit target
+ * @param {string} type - Model name
+ * @param {Object} doc - Document or plain object with an _id
+ * @param {string} [label] - Human-readable name, e.g. an email or title
+ * @returns {Object} Audit target
+ */
+const auditTarget = (type, doc, label) => ({
+  type,
+  id: doc._id,
+  label,
+});
+
+/**
+ * Record an audit event for a request
+ * Auditing never fails the request; write errors are logged instead.
+ * @param {Object|null} req - Express request, or null for background jobs
+ * @param {Object} event - Event details
+ * @param {string} event.action - Dotted action name, e.g. "user.role_change"
+ * @param {Object} [event.actor] - Acting user, defaults to req.user
+ * @param {Object} [event.target] - Target from auditTarget
+ * @param {Object} [event.before] - Values before the change
+ * @param {Object} [event.after] - Values after the change
+ * @param {Object} [event.metadata] - Extra details
+ * @returns {Promise<Object|null>} Saved event or null
+ */
+const recordAudit = async (req, { action, actor = req && req.user, target, before, after, metadata }) => {
+  try {
+    return await AuditEvent.create({
+      actor: actor ? actor._id : null,
+      impersonator: req && req.impersonator ? req.impersonator._id : null,
+      action,
+      target,
+      before,
+      after,
+      metadata,
+      ip: (req && req.ip) || '',
+      userAgent: ((req && req.get('user-agent')) || '').slice(0, 500),
+      requestId: (req && req.id) || '',
+    });
+  } catch (error) {
+    logger.error(`Audit event ${action} could not be recorded:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  diffChanges,
+  auditTarget,
+  recordAudit,
+};
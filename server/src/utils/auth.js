@@ -1,23 +1,72 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-for-development';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '30d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key-for-development';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+const MFA_CHALLENGE_EXPIRES_IN = process.env.MFA_CHALLENGE_EXPIRES_IN || '5m';
+const EMAIL_VERIFICATION_SECRET = process.env.EMAIL_VERIFICATION_SECRET || 'your-super-secret-email-verification-key-for-development';
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+// Recommend a refresh once less than this share of the token lifetime remains
+const REFRESH_RECOMMENDED_RATIO = 0.25;
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = ['posts:read', 'posts:write', 'comments:write'];
+const API_KEY_PREFIX = 'mbk_';
 
 /**
  * Generate JWT token for user
  * @param {Object} user - User object
+ * @param {Object} [options] - Token options
+ * @param {string} [options.sessionId] - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, { sessionId } = {}) => {
   const payload = {
     id: user._id,
     username: user.username,
     email: user.email,
     role: user.role,
+    type: 'access',
+    tv: user.tokenVersion || 0,
   };
 
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
   return jwt.sign(payload, JWT_SECRET, {
     expiresIn: JWT_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
+};
+
+/**
+ * Generate a short-lived token that lets an admin act as another user
+ * Marked with its own type and carries both identities; it is never refreshed.
+ * @param {Object} actor - Admin starting the impersonation
+ * @param {Object} subject - User being impersonated
+ * @returns {string} Impersonation token
+ */
+const generateImpersonationToken = (actor, subject) => {
+  const payload = {
+    id: subject._id,
+    username: subject.username,
+    email: subject.email,
+    role: subject.role,
+    type: 'impersonation',
+    actor: actor._id,
+    subject: subject._id,
+    tv: subject.tokenVersion || 0,
+    atv: actor.tokenVersion || 0,
+  };
+
+  return jwt.sign(payload, JWT_SECRET, {
+    expiresIn: IMPERSONATION_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -46,25 +95,188 @@ const extractTokenFromHeader = (authHeader) => {
   return authHeader.substring(7);
 };
 
+/**
+ * Extract an API key from an `Authorization: ApiKey <key>` header
+ * @param {string} authHeader - Authorization header
+ * @returns {string|null} API key or null
+ */
+const extractApiKeyFromHeader = (authHeader) => {
+  if (!authHeader || !authHeader.startsWith('ApiKey ')) {
+    return null;
+  }
+  return authHeader.substring(7);
+};
+
+/**
+ * Generate a new random API key
+ * The prefix makes keys recognisable, e.g. by secret scanners.
+ * @returns {string} API key
+ */
+const generateApiKey = () => {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+};
+
 /**
  * Generate refresh token
+ * Signed with its own secret so it can never be accepted as an access token.
  * @param {Object} user - User object
+ * @param {Object} options - Token options
+ * @param {string} options.family - Rotation family the token belongs to
+ * @param {string} [options.jti] - Unique token id
  * @returns {string} Refresh token
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, { family, jti = crypto.randomUUID() } = {}) => {
   const payload = {
     id: user._id,
     type: 'refresh',
+    family: family || crypto.randomUUID(),
+  };
+
+  return jwt.sign(payload, JWT_REFRESH_SECRET, {
+    expiresIn: JWT_REFRESH_EXPIRES_IN,
+    jwtid: jti,
+  });
+};
+
+/**
+ * Verify refresh token
+ * @param {string} token - Refresh token
+ * @returns {Object} Decoded token payload
+ */
+const verifyRefreshToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw new Error('Invalid refresh token');
+  }
+
+  if (decoded.type !== 'refresh') {
+    throw new Error('Invalid refresh token');
+  }
+  return decoded;
+};
+
+/**
+ * Generate the challenge token returned by login when two-factor authentication is on
+ * Only accepted by the MFA verification endpoint, never as an access token.
+ * @param {Object} user - User object
+ * @returns {string} Challenge token
+ */
+const generateMfaChallengeToken = (user) => {
+  const payload = {
+    id: user._id,
+    type: 'mfa_required',
   };
 
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: '7d',
+    expiresIn: MFA_CHALLENGE_EXPIRES_IN,
   });
 };
 
+/**
+ * Verify an MFA challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object} Decoded token payload
+ */
+const verifyMfaChallengeToken = (token) => {
+  const decoded = verifyToken(token);
+
+  if (decoded.type !== 'mfa_required') {
+    throw new Error('Invalid token');
+  }
+  return decoded;
+};
+
+/**
+ * Generate a signed email verification token
+ * The address is part of the payload so the link stops working if the email changes.
+ * @param {Object} user - User object
+ * @returns {string} Verification token
+ */
+const generateEmailVerificationToken = (user) => {
+  const payload = {
+    id: user._id,
+    email: user.email,
+    type: 'email_verification',
+  };
+
+  return jwt.sign(payload, EMAIL_VERIFICATION_SECRET, {
+    expiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
+  });
+};
+
+/**
+ * Verify an email verification token
+ * @param {string} token - Verification token
+ * @returns {Object} Decoded token payload
+ */
+const verifyEmailVerificationToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, EMAIL_VERIFICATION_SECRET);
+  } catch (error) {
+    throw new Error('Invalid verification token');
+  }
+
+  if (decoded.type !== 'email_verification') {
+    throw new Error('Invalid verification token');
+  }
+  return decoded;
+};
+
+/**
+ * Hash a token for storage
+ * @param {string} token - Token to hash
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get the expiry date of a signed token
+ * @param {string} token - JWT token
+ * @returns {Date|null} Expiry date or null if the token has none
+ */
+const getTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp ? new Date(decoded.exp * 1000) : null;
+};
+
+/**
+ * Describe the remaining lifetime of a decoded token
+ * @param {Object} decoded - Decoded token payload with iat and exp
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Expiry date, seconds remaining and whether to refresh now
+ */
+const getTokenStatus = (decoded, now = new Date()) => {
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const expiresIn = Math.max(decoded.exp - nowSeconds, 0);
+  const lifetime = decoded.exp - decoded.iat;
+
+  return {
+    expiresAt: new Date(decoded.exp * 1000).toISOString(),
+    expiresIn,
+    refreshRecommended: expiresIn <= lifetime * REFRESH_RECOMMENDED_RATIO,
+  };
+};
+
 module.exports = {
+  API_KEY_SCOPES,
   generateToken,
+  generateImpersonationToken,
   verifyToken,
   extractTokenFromHeader,
+  extractApiKeyFromHeader,
+  generateApiKey,
   generateRefreshToken,
+  verifyRefreshToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  hashToken,
+  getTokenExpiry,
+  getTokenStatus,
 };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { getTokenExpiry } = require('./auth');
+
+/**
+ * HttpOnly cookie authentication mode
+ * Enabled with AUTH_COOKIE_MODE=true. Tokens are then sent as cookies instead of
+ * in response bodies, and a readable CSRF cookie backs the double-submit check.
+ */
+
+const ACCESS_TOKEN_COOKIE = 'access_token';
+const REFRESH_TOKEN_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+
+// The refresh token is only needed by the auth routes
+const REFRESH_TOKEN_COOKIE_PATH = '/api/auth';
+
+/**
+ * Check whether cookie mode is on
+ * Read at request time so tests can toggle it.
+ * @returns {boolean} True in cookie mode
+ */
+const isCookieMode = () => {
+  return process.env.AUTH_COOKIE_MODE === 'true';
+};
+
+/**
+ * Shared cookie attributes
+ * @returns {Object} Cookie options
+ */
+const baseCookieOptions = () => ({
+  secure: process.env.AUTH_COOKIE_SECURE !== 'false',
+  sameSite: process.env.AUTH_COOKIE_SAME_SITE || 'strict',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+});
+
+/**
+ * Cookie lifetime matching a token's expiry
+ * @param {string} token - JWT
+ * @returns {number|undefined} Max age in milliseconds
+ */
+const maxAgeFor = (token) => {
+  const expiresAt = getTokenExpiry(token);
+  return expiresAt ? Math.max(expiresAt.getTime() - Date.now(), 0) : undefined;
+};
+
+/**
+ * Generate a CSRF token for the double-submit cookie
+ * @returns {string} CSRF token
+ */
+const generateCsrfToken = () => {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Set the auth and CSRF cookies for a token pair
+ * @param {Object} res - Express response
+ * @param {Object} tokens - Token pair
+ * @param {string} tokens.token - Access token
+ * @param {string} tokens.refreshToken - Refresh token
+ */
+const setAuthCookies = (res, { token, refreshToken }) => {
+  const options = baseCookieOptions();
+  const refreshMaxAge = maxAgeFor(refreshToken);
+
+  res.cookie(ACCESS_TOKEN_COOKIE, token, {
+    ...options,
+    httpOnly: true,
+    path: '/',
+    maxAge: maxAgeFor(token),
+  });
+
+  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_TOKEN_COOKIE_PATH,
+    maxAge: refreshMaxAge,
+  });
+
+  // Readable by the client so it can echo the value in the CSRF header
+  res.cookie(CSRF_COOKIE, generateCsrfToken(), {
+    ...options,
+    httpOnly: false,
+    path: '/',
+    maxAge: refreshMaxAge,
+  });
+};
+
+/**
+ * Clear the auth and CSRF cookies
+ * @param {Object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  const options = baseCookieOptions();
+
+  res.clearCookie(ACCESS_TOKEN_COOKIE, { ...options, path: '/' });
+  res.clearCookie(REFRESH_TOKEN_COOKIE, { ...options, path: REFRESH_TOKEN_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: '/' });
+};
+
+/**
+ * Read the access token cookie
+ * @param {Object} req - Express request
+ * @returns {string|null} Access token or null
+ */
+const getAccessTokenCookie = (req) => {
+  return (isCookieMode() && req.cookies && req.cookies[ACCESS_TOKEN_COOKIE]) || null;
+};
+
+/**
+ * Read the refresh token cookie
+ * @param {Object} req - Express request
+ * @returns {string|null} Refresh token or null
+ */
+const getRefreshTokenCookie = (req) => {
+  return (isCookieMode() && req.cookies && req.cookies[REFRESH_TOKEN_COOKIE]) || null;
+};
+
+module.exports = {
+  ACCESS_TOKEN_COOKIE,
+  REFRESH_TOKEN_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  isCookieMode,
+  generateCsrfToken,
+  setAuthCookies,
+  clearAuthCookies,
+  getAccessTokenCookie,
+  getRefreshTokenCookie,
+};
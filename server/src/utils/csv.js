@@ -0,0 +1,46 @@
+/**
+ * Minimal CSV writer for admin exports (RFC 4180 quoting)
+ */
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format one value as a CSV cell
+ * @param {*} value - Cell value; objects are written as JSON
+ * @returns {string} Escaped cell
+ */
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  
+  if (FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of values as a CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line ending in CRLF
+ */
+const toCsvRow = (values) => {
+  return `${values.map(toCsvCell).join(',')}\r\n`;
+};
+
+module.exports = {
+  toCsvCell,
+  toCsvRow,
+};
@@ -0,0 +1,145 @@
+const Post = require('../models/Post');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const Follow = require('../models/Follow');
+const Restriction = require('../models/Restriction');
+const Upload = require('../models/Upload');
+const PostRevision = require('../models/PostRevision');
+
+/**
+ * Personal data export
+ * Collects everything stored about a user into one JSON document. Content that
+ * belongs to other people, such as their comments on the user's posts, is left out.
+ */
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Short reference to a post in comment and like entries
+const postReference = post => ({
+  _id: post._id,
+  title: post.title,
+  slug: post.slug,
+});
+
+/**
+ * Build the data export for a user
+ * @param {Object} user - User document
+ * @param {string[]} permissions - Effective permissions of the user's role
+ * @returns {Promise<Object>} Export document
+ */
+const buildDataExport = async (user, permissions) => {
+  const [posts, revisions, commented, liked, following, restrictions, uploads, sessions, apiKeys] = await Promise.all([
+    Post.find({ author: user._id })
+      .populate('category', 'name slug')
+      .sort({ createdAt: 1 })
+      .lean(),
+    PostRevision.find({ editor: user._id })
+      .populate('post', 'title slug')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Post.find({ 'comments.user': user._id })
+      .select('title slug comments')
+      .lean(),
+    Post.find({ 'likes.user': user._id })
+      .select('title slug likes')
+      .lean(),
+    Follow.find({ follower: user._id })
+      .populate('following', 'username')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Restriction.find({ owner: user._id })
+      .populate('target', 'username')
+      .sort({ createdAt: 1 })
+      .lean(),
+    Upload.find({ owner: user._id }).sort({ createdAt: 1 }),
+    Session.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+    ApiKey.find({ user: user._id }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  const isOwn = entry => entry.user && entry.user.toString() === user._id.toString();
+
+  return {
+    format: 'mern-blog-data-export',
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: {
+      ...user.toJSON(),
+      permissions,
+    },
+    posts: posts.map(post => ({
+      _id: post._id,
+      title: post.title,
+      slug: post.slug,
+      content: post.content,
+      excerpt: post.excerpt,
+      tags: post.tags,
+      category: post.category ? post.category.name : null,
+      featuredImage: post.featuredImage,
+      status: post.status,
+      publishedAt: post.publishedAt,
+      scheduledFor: post.scheduledFor,
+      views: post.views,
+      likeCount: post.likes.length,
+      commentCount: post.comments.length,
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt,
+    })),
+    revisions: revisions.map(revision => ({
+      post: revision.post ? postReference(revision.post) : null,
+      number: revision.number,
+      summary: revision.summary,
+      title: revision.title,
+      content: revision.content,
+      excerpt: revision.excerpt,
+      tags: revision.tags,
+      createdAt: revision.createdAt,
+    })),
+    comments: commented.flatMap(post => post.comments.filter(isOwn).map(comment => ({
+      _id: comment._id,
+      post: postReference(post),
+      content: comment.content,
+      createdAt: comment.createdAt,
+    }))),
+    likes: liked.flatMap(post => post.likes.filter(isOwn).map(like => ({
+      post: postReference(post),
+      createdAt: like.createdAt,
+    }))),
+    following: following.map(follow => ({
+      username: follow.following ? follow.following.username : null,
+      createdAt: follow.createdAt,
+    })),
+    restrictions: restrictions.map(restriction => ({
+      type: restriction.type,
+      username: restriction.target ? restriction.target.username : null,
+      createdAt: restriction.createdAt,
+    })),
+    uploads: uploads.map(upload => ({
+      _id: upload._id,
+      kind: upload.kind,
+      urls: upload.urls,
+      createdAt: upload.createdAt,
+    })),
+    sessions: sessions.map(session => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt,
+    })),
+    apiKeys: apiKeys.map(apiKey => ({
+      _id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      expiresAt: apiKey.expiresAt,
+      revokedAt: apiKey.revokedAt,
+    })),
+  };
+};
+
+module.exports = {
+  buildDataExport,
+};
@@ -0,0 +1,127 @@
+/**
+ * Word-level text diff
+ * Used to compare post revisions. Texts are split into words and the whitespace
+ * between them, and the longest common subsequence decides what was kept.
+ */
+
+// Largest comparison table built, in cells; bigger changes are shown as one replacement
+const MAX_DIFF_CELLS = 10 * 1000 * 1000;
+
+/**
+ * Split text into alternating word and whitespace tokens
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens that join back into the text
+ */
+const tokenize = (text = '') => {
+  return String(text).match(/\s+|[^\s]+/g) || [];
+};
+
+/**
+ * Append a token to a list of changes, merging it into the last one of the same type
+ * @param {Array} changes - Changes so far, changed in place
+ * @param {string} type - "equal", "added" or "removed"
+ * @param {string} value - Token text
+ */
+const pushChange = (changes, type, value) => {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    changes.push({ type, value });
+  }
+};
+
+/**
+ * Diff the tokens between a common prefix and suffix with a longest common subsequence table
+ * @param {string[]} before - Old tokens
+ * @param {string[]} after - New tokens
+ * @param {Array} changes - Changes so far, changed in place
+ */
+const diffMiddle = (before, after, changes) => {
+  const rows = before.length;
+  const cols = after.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    before.forEach(token => pushChange(changes, 'removed', token));
+    after.forEach(token => pushChange(changes, 'added', token));
+    return;
+  }
+
+  // lengths[i * (cols + 1) + j] is the LCS length of before[i..] and after[j..]
+  const width = cols + 1;
+  const lengths = new Uint16Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = before[i] === after[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      pushChange(changes, 'equal', before[i]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      pushChange(changes, 'removed', before[i]);
+      i += 1;
+    } else {
+      pushChange(changes, 'added', after[j]);
+      j += 1;
+    }
+  }
+  for (; i < rows; i += 1) pushChange(changes, 'removed', before[i]);
+  for (; j < cols; j += 1) pushChange(changes, 'added', after[j]);
+};
+
+/**
+ * Compare two texts word by word
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Object} { changes: [{ type, value }], added, removed } with word counts
+ */
+const diffWords = (before, after) => {
+  const oldTokens = tokenize(before);
+  const newTokens = tokenize(after);
+
+  // Edits are usually small, so only the part between the shared ends needs the table
+  let start = 0;
+  while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < oldTokens.length - start &&
+    end < newTokens.length - start &&
+    oldTokens[oldTokens.length - 1 - end] === newTokens[newTokens.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  const changes = [];
+  oldTokens.slice(0, start).forEach(token => pushChange(changes, 'equal', token));
+  diffMiddle(
+    oldTokens.slice(start, oldTokens.length - end),
+    newTokens.slice(start, newTokens.length - end),
+    changes
+  );
+  oldTokens.slice(oldTokens.length - end).forEach(token => pushChange(changes, 'equal', token));
+
+  const countWords = type => changes
+    .filter(change => change.type === type)
+    .reduce((total, change) => total + tokenize(change.value).filter(token => token.trim()).length, 0);
+
+  return {
+    changes,
+    added: countWords('added'),
+    removed: countWords('removed'),
+  };
+};
+
+module.exports = {
+  tokenize,
+  diffWords,
+};
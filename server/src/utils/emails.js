@@ -0,0 +1,109 @@
+/**
+ * Email message builders
+ * Each returns a message object ready for sendMail.
+ */
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+/**
+ * Build the password reset email
+ * @param {Object} user - Recipient user
+ * @param {string} token - Raw reset token
+ * @param {number} expiresInMinutes - Token lifetime
+ * @returns {Object} Email message
+ */
+const passwordResetEmail = (user, token, expiresInMinutes) => {
+  const resetUrl = `${CLIENT_URL}/reset-password?token=${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'We received a request to reset your password. Use the link below to choose a new one:',
+      resetUrl,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a reset, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+/**
+ * Build the email address verification email
+ * @param {Object} user - Recipient user
+ * @param {string} token - Signed verification token
+ * @returns {Object} Email message
+ */
+const emailVerificationEmail = (user, token) => {
+  const verifyUrl = `${CLIENT_URL}/verify-email/${token}`;
+
+  return {
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Please confirm that this is your email address by opening the link below:',
+      verifyUrl,
+      '',
+      'If you did not create an account, you can ignore this email.',
+    ].join('\n'),
+  };
+};
+
+/**
+ * Build the notification sent when an account is locked after failed sign-ins
+ * @param {Object} user - Recipient user
+ * @param {Date} lockedUntil - When the lock ends
+ * @returns {Object} Email message
+ */
+const accountLockedEmail = (user, lockedUntil) => {
+  const resetUrl = `${CLIENT_URL}/forgot-password`;
+
+  return {
+    to: user.email,
+    subject: 'Your account has been temporarily locked',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'We locked your account after several failed sign-in attempts.',
+      `It will unlock automatically at ${lockedUntil.toISOString()}.`,
+      '',
+      'If this was not you, someone may be trying to guess your password.',
+      'Resetting your password unlocks the account right away:',
+      resetUrl,
+    ].join('\n'),
+  };
+};
+
+/**
+ * Build the confirmation sent when a user deletes their own account
+ * @param {Object} user - Recipient user
+ * @param {Date} purgeAfter - When the account and its data are removed for good
+ * @returns {Object} Email message
+ */
+const accountDeletedEmail = (user, purgeAfter) => {
+  return {
+    to: user.email,
+    subject: 'Your account has been deleted',
+    text: [
+      `Hi ${user.username},`,
+      '',
+      'Your account has been closed and you have been signed out everywhere.',
+      `Your personal data will be removed for good on ${purgeAfter.toISOString()}.`,
+      'Your posts and comments will then be shown as written by a deleted user.',
+      '',
+      'If you did not do this or changed your mind, contact support before that date',
+      'and we can restore the account.',
+    ].join('\n'),
+  };
+};
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+  accountLockedEmail,
+  accountDeletedEmail,
+};
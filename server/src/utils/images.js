@@ -0,0 +1,101 @@
+/**
+ * Image processing for uploads
+ * Uploads are identified by their magic bytes rather than the name or MIME type
+ * the client sent, then re-encoded into fixed size variants. Re-encoding drops
+ * EXIF and other metadata, so location data in photos never reaches the server's
+ * storage.
+ */
+
+// Decoding larger images costs too much memory; 40 megapixels covers any camera photo
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const OUTPUT_FORMAT = 'webp';
+const OUTPUT_CONTENT_TYPE = 'image/webp';
+const OUTPUT_QUALITY = 82;
+
+// Variants generated for each kind of upload; defaultVariant is the one stored on the document
+const IMAGE_KINDS = {
+  avatar: {
+    defaultVariant: 'medium',
+    variants: {
+      large: { width: 512, height: 512, fit: 'cover' },
+      medium: { width: 256, height: 256, fit: 'cover' },
+      thumb: { width: 64, height: 64, fit: 'cover' },
+    },
+  },
+  post: {
+    defaultVariant: 'large',
+    variants: {
+      large: { width: 1600, height: 1600, fit: 'inside' },
+      medium: { width: 800, height: 800, fit: 'inside' },
+      thumb: { width: 400, height: 225, fit: 'cover' },
+    },
+  },
+};
+
+const VARIANT_NAMES = [...new Set(
+  Object.values(IMAGE_KINDS).flatMap(kind => Object.keys(kind.variants))
+)];
+
+// Leading bytes of each accepted format
+const SIGNATURES = [
+  { type: 'image/jpeg', matches: buffer => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  {
+    type: 'image/png',
+    matches: buffer => buffer.length >= 8
+      && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: 'image/webp',
+    matches: buffer => buffer.length >= 12
+      && buffer.toString('ascii', 0, 4) === 'RIFF'
+      && buffer.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+/**
+ * Detect an image format from its magic bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null when the file is not an accepted image
+ */
+const detectImageType = (buffer) => {
+  const signature = SIGNATURES.find(entry => entry.matches(buffer));
+  return signature ? signature.type : null;
+};
+
+/**
+ * Resize an image into every variant of its kind
+ * Each variant is rotated upright from its EXIF orientation and written without metadata.
+ * @param {Buffer} buffer - Validated image contents
+ * @param {string} kind - Key of IMAGE_KINDS
+ * @returns {Promise<Object[]>} Variants with name, data, width, height and size
+ */
+const processImage = async (buffer, kind) => {
+  const sharp = require('sharp');
+  const { variants } = IMAGE_KINDS[kind];
+
+  return Promise.all(Object.entries(variants).map(async ([name, { width, height, fit }]) => {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize({ width, height, fit, withoutEnlargement: fit === 'inside' })
+      .toFormat(OUTPUT_FORMAT, { quality: OUTPUT_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      name,
+      data,
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    };
+  }));
+};
+
+module.exports = {
+  IMAGE_KINDS,
+  VARIANT_NAMES,
+  OUTPUT_FORMAT,
+  OUTPUT_CONTENT_TYPE,
+  detectImageType,
+  processImage,
+};
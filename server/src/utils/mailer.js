@@ -0,0 +1,117 @@
+const logger = require('./logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'MERN Blog <no-reply@localhost>';
+
+/**
+ * Create an SMTP transport backed by nodemailer
+ * @param {Object} [options] - SMTP connection options, read from the environment by default
+ * @returns {Object} Mail transport
+ */
+const createSmtpTransport = (options = {}) => {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: options.host || process.env.SMTP_HOST,
+    port: parseInt(options.port || process.env.SMTP_PORT || 587),
+    secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+    auth: (options.user || process.env.SMTP_USER) ? {
+      user: options.user || process.env.SMTP_USER,
+      pass: options.pass || process.env.SMTP_PASS,
+    } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+/**
+ * Create a transport that writes messages to the application log
+ * @returns {Object} Mail transport
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    logger.info(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+/**
+ * Create a transport that keeps messages in memory, for tests
+ * @returns {Object} Mail transport with an outbox
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async (message) => {
+      outbox.push({ ...message, sentAt: new Date() });
+    },
+    clear: () => {
+      outbox.length = 0;
+    },
+  };
+};
+
+/**
+ * Create a transport by name
+ * @param {string} [type] - smtp, console or memory; defaults to MAIL_TRANSPORT
+ * @returns {Object} Mail transport
+ */
+const createTransport = (type = process.env.MAIL_TRANSPORT) => {
+  const transportType = type || (process.env.NODE_ENV === 'test' ? 'memory' : 'console');
+
+  switch (transportType) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'console':
+      return createConsoleTransport();
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${transportType}`);
+  }
+};
+
+let transport = null;
+
+/**
+ * Get the active transport, creating it on first use
+ * @returns {Object} Mail transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport
+ * @param {Object|null} nextTransport - Transport to use, or null to recreate from config
+ */
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - Message with to, subject, text and optional html
+ * @returns {Promise} Resolves once the transport accepted the message
+ */
+const sendMail = (message) => {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+};
+
+module.exports = {
+  createSmtpTransport,
+  createConsoleTransport,
+  createMemoryTransport,
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+};
@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * OpenID Connect authorization code flow with PKCE
+ * Providers are configured through OIDC_PROVIDERS, a JSON array of
+ * { id, name, issuer, clientId, clientSecret, scope }.
+ */
+
+const SERVER_URL = process.env.SERVER_URL || 'http://localhost:5000';
+
+// How long discovery documents and signing keys are reused
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+const metadataCache = new Map();
+
+/**
+ * Get the configured providers
+ * Read on every call so configuration changes apply without a restart.
+ * @returns {Object[]} Provider configurations
+ */
+const getProviders = () => {
+  if (!process.env.OIDC_PROVIDERS) {
+    return [];
+  }
+
+  const providers = JSON.parse(process.env.OIDC_PROVIDERS);
+
+  return providers.map(provider => ({
+    scope: 'openid email profile',
+    ...provider,
+    name: provider.name || provider.id,
+    issuer: provider.issuer.replace(/\/$/, ''),
+  }));
+};
+
+/**
+ * Find a configured provider by id
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider configuration
+ */
+const getProvider = (id) => {
+  return getProviders().find(provider => provider.id === id) || null;
+};
+
+/**
+ * Get the callback URL registered with the provider
+ * @param {Object} provider - Provider configuration
+ * @returns {string} Redirect URI
+ */
+const getRedirectUri = (provider) => {
+  return `${SERVER_URL}/api/auth/oidc/${provider.id}/callback`;
+};
+
+/**
+ * Get the URL that starts sign-in with a provider
+ * @param {Object} provider - Provider configuration
+ * @returns {string} Login URL
+ */
+const getLoginUrl = (provider) => {
+  return `${SERVER_URL}/api/auth/oidc/${provider.id}`;
+};
+
+/**
+ * Fetch JSON, failing on non-2xx responses
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Parsed body
+ */
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`OIDC request to ${url} failed: ${body.error || response.status}`);
+  }
+  return body;
+};
+
+/**
+ * Fetch JSON through the metadata cache
+ * @param {string} url - URL to fetch
+ * @returns {Promise<Object>} Parsed body
+ */
+const fetchCached = async (url) => {
+  const cached = metadataCache.get(url);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  const value = await fetchJson(url);
+  metadataCache.set(url, { value, expiresAt: Date.now() + METADATA_CACHE_MS });
+  return value;
+};
+
+/**
+ * Load the provider's discovery document
+ * @param {Object} provider - Provider configuration
+ * @returns {Promise<Object>} OpenID provider metadata
+ */
+const discover = async (provider) => {
+  const metadata = await fetchCached(`${provider.issuer}/.well-known/openid-configuration`);
+
+  if (metadata.issuer.replace(/\/$/, '') !== provider.issuer) {
+    throw new Error('OIDC discovery issuer mismatch');
+  }
+  return metadata;
+};
+
+/**
+ * Clear cached discovery documents and keys
+ */
+const clearMetadataCache = () => {
+  metadataCache.clear();
+};
+
+/**
+ * Generate a random URL-safe value for state, nonce and PKCE verifiers
+ * @returns {string} Random value
+ */
+const generateRandomValue = () => {
+  return crypto.randomBytes(32).toString('base64url');
+};
+
+/**
+ * Derive the S256 PKCE code challenge from a verifier
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {string} Code challenge
+ */
+const createCodeChallenge = (codeVerifier) => {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+};
+
+/**
+ * Build the authorization URL the browser is sent to
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} params - Request parameters
+ * @param {string} params.state - Anti-CSRF state
+ * @param {string} params.nonce - ID token nonce
+ * @param {string} params.codeVerifier - PKCE code verifier
+ * @returns {string} Authorization URL
+ */
+const buildAuthorizationUrl = (provider, metadata, { state, nonce, codeVerifier }) => {
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - Provider metadata
+ * @param {Object} params - Exchange parameters
+ * @param {string} params.code - Authorization code
+ * @param {string} params.codeVerifier - PKCE code verifier
+ * @returns {Promise<Object>} Token response
+ */
+const exchangeCode = (provider, metadata, { code, codeVerifier }) => {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json',
+    },
+    body: body.toString(),
+  });
+};
+
+/**
+ * Verify an ID token against the provider's published keys
+ * @param {Object} provider - Provider configuration
+ * @param {Object} metadata - Provider metadata
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} Verified claims
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Invalid ID token');
+  }
+
+  const { keys = [] } = await fetchCached(metadata.jwks_uri);
+  const jwk = keys.find(key => !decoded.header.kid || key.kid === decoded.header.kid);
+
+  if (!jwk) {
+    throw new Error('ID token signing key not found');
+  }
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+  return claims;
+};
+
+module.exports = {
+  getProviders,
+  getProvider,
+  getRedirectUri,
+  getLoginUrl,
+  discover,
+  clearMetadataCache,
+  generateRandomValue,
+  createCodeChallenge,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
@@ -0,0 +1,76 @@
+/**
+ * Named permissions and the built-in roles that grant them
+ * Custom roles are stored in the Role model; built-in roles live here and cannot be changed.
+ */
+
+const PERMISSIONS = [
+  'post.create',
+  'post.publish',
+  'post.view.unpublished',
+  'post.edit.any',
+  'post.delete.any',
+  'comment.create',
+  'comment.moderate',
+  'category.manage',
+  'tag.manage',
+  'user.manage',
+  'role.manage',
+  'audit.view',
+];
+
+const READER_PERMISSIONS = ['comment.create'];
+const AUTHOR_PERMISSIONS = [...READER_PERMISSIONS, 'post.create', 'post.publish'];
+
+const BUILT_IN_ROLES = {
+  reader: {
+    description: 'Can read posts and comment',
+    permissions: READER_PERMISSIONS,
+  },
+  author: {
+    description: 'Can write and publish their own posts',
+    permissions: AUTHOR_PERMISSIONS,
+  },
+  // Default for new accounts, same rights as author
+  user: {
+    description: 'Default role for new accounts',
+    permissions: AUTHOR_PERMISSIONS,
+  },
+  editor: {
+    description: 'Can edit, publish and delete any post',
+    permissions: [...AUTHOR_PERMISSIONS, 'post.view.unpublished', 'post.edit.any', 'post.delete.any'],
+  },
+  moderator: {
+    description: 'Can moderate comments and review unpublished posts',
+    permissions: [...READER_PERMISSIONS, 'post.view.unpublished', 'comment.moderate'],
+  },
+  admin: {
+    description: 'Full access',
+    permissions: PERMISSIONS,
+  },
+};
+
+/**
+ * Check whether a role name is built in
+ * @param {string} name - Role name
+ * @returns {boolean} True for built-in roles
+ */
+const isBuiltInRole = (name) => {
+  return Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+};
+
+/**
+ * Check a permission against a resolved permission list
+ * @param {string[]} permissions - Effective permissions
+ * @param {string} permission - Permission to check
+ * @returns {boolean} True if granted
+ */
+const hasPermission = (permissions, permission) => {
+  return Array.isArray(permissions) && permissions.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  hasPermission,
+};
@@ -0,0 +1,125 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Restriction = require('../models/Restriction');
+
+/**
+ * Post list helpers
+ * Shared by every endpoint that lists posts, so pagination and the viewer's
+ * blocks and mutes behave the same everywhere.
+ */
+
+/**
+ * Users whose posts and comments the viewer has blocked or muted
+ * @param {Object} req - Express request, possibly without a user
+ * @returns {Promise<Array>} User IDs
+ */
+const getHiddenUserIds = async (req) => {
+  return req.user ? Restriction.hiddenUserIds(req.user._id) : [];
+};
+
+/**
+ * Leave hidden authors out of a post query, so pages keep their full size
+ * @param {Object} query - Mongo query, changed in place
+ * @param {Array} hiddenIds - User IDs to leave out
+ * @returns {Object} The query
+ */
+const excludeAuthors = (query, hiddenIds) => {
+  if (hiddenIds.length > 0) {
+    query.author = query.author
+      ? { ...(query.author.$in ? query.author : { $eq: query.author }), $nin: hiddenIds }
+      : { $nin: hiddenIds };
+  }
+  return query;
+};
+
+/**
+ * Drop comments written by hidden users from a plain post object
+ * @param {Object} post - Lean or serialised post, changed in place
+ * @param {Array} hiddenIds - User IDs whose comments are dropped
+ * @returns {Object} The post
+ */
+const removeHiddenComments = (post, hiddenIds) => {
+  if (hiddenIds.length > 0 && post.comments) {
+    const hidden = new Set(hiddenIds.map(String));
+    post.comments = post.comments.filter(comment => {
+      const commenter = comment.user && (comment.user._id || comment.user);
+      return !commenter || !hidden.has(String(commenter));
+    });
+  }
+  return post;
+};
+
+/**
+ * Give plain post objects the root-first path to their category as breadcrumbs
+ * Expects the category populated with its ancestors, which are dropped from the output.
+ * @param {Array} posts - Lean or serialised posts, changed in place
+ * @returns {Promise<Array>} The posts
+ */
+const addBreadcrumbs = async (posts) => {
+  const categories = posts.map(post => post.category).filter(Boolean);
+  const breadcrumbs = await Category.breadcrumbsFor(categories);
+  
+  posts.forEach((post) => {
+    post.breadcrumbs = post.category ? breadcrumbs.get(String(post.category._id)) : [];
+    if (post.category) {
+      delete post.category.ancestors;
+    }
+  });
+  
+  return posts;
+};
+
+/**
+ * Run a post query one page at a time, in the { posts, pagination } shape clients expect
+ * @param {Object} query - Mongo query
+ * @param {Object} options - page, limit, sortBy and sortOrder from the request
+ * @param {Array} [hiddenIds] - Users whose comments are dropped from the results
+ * @returns {Promise<Object>} { posts, pagination }
+ */
+const paginatePosts = async (query, { page, limit, sortBy, sortOrder }, hiddenIds = []) => {
+  // Calculate pagination
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  // Build sort object
+  const sort = {};
+  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  
+  // Execute query
+  const [posts, total] = await Promise.all([
+    Post.find(query)
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name slug color ancestors')
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    Post.countDocuments(query),
+  ]);
+  
+  // Calculate pagination info
+  const totalPages = Math.ceil(total / parseInt(limit));
+  const hasNextPage = parseInt(page) < totalPages;
+  const hasPrevPage = parseInt(page) > 1;
+  
+  await addBreadcrumbs(posts);
+  
+  return {
+    posts: posts.map(post => removeHiddenComments(post, hiddenIds)),
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalPosts: total,
+      hasNextPage,
+      hasPrevPage,
+      limit: parseInt(limit),
+    },
+  };
+};
+
+module.exports = {
+  getHiddenUserIds,
+  excludeAuthors,
+  removeHiddenComments,
+  addBreadcrumbs,
+  paginatePosts,
+};
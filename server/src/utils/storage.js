@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+/**
+ * File storage drivers
+ * Every driver exposes the same interface:
+ *   put(key, data, { contentType })  stores a Buffer under a key such as "<id>/large.webp"
+ *   get(key)                         resolves to { body, size, contentType } or null
+ *   delete(key)                      removes the object; missing keys are ignored
+ * body is a readable stream.
+ */
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+};
+
+/**
+ * Create a driver that keeps files on the local disk
+ * @param {Object} [options]
+ * @param {string} [options.root] - Directory for the files, defaults to UPLOAD_DIR
+ * @returns {Object} Storage driver
+ */
+const createLocalStorage = (options = {}) => {
+  const root = path.resolve(options.root || process.env.UPLOAD_DIR || 'uploads');
+
+  // Keys come from our own code, but refuse anything that would leave the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    put: async (key, data) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, data);
+    },
+    get: async (key) => {
+      const filePath = resolveKey(key);
+      let stat;
+      try {
+        stat = await fs.promises.stat(filePath);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+      return {
+        body: fs.createReadStream(filePath),
+        size: stat.size,
+        contentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      };
+    },
+    delete: async (key) => {
+      const filePath = resolveKey(key);
+      await fs.promises.rm(filePath, { force: true });
+      // Drop the upload's directory once its last variant is gone
+      await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+    },
+  };
+};
+
+/**
+ * Create a driver for Amazon S3 or any S3-compatible service
+ * @param {Object} [options] - Connection options, read from the environment by default
+ * @param {string} [options.bucket] - Bucket name
+ * @param {string} [options.region] - Region
+ * @param {string} [options.endpoint] - Custom endpoint, for S3-compatible services
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs, which most stand-ins need
+ * @returns {Object} Storage driver
+ */
+const createS3Storage = (options = {}) => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require('@aws-sdk/client-s3');
+
+  const bucket = options.bucket || process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+  const client = new S3Client({
+    region: options.region || process.env.S3_REGION || 'us-east-1',
+    endpoint: options.endpoint || process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: options.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true',
+    // Without explicit keys the SDK falls back to its default credential chain
+    credentials: accessKeyId ? {
+      accessKeyId,
+      secretAccessKey: options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+    } : undefined,
+  });
+
+  return {
+    name: 's3',
+    bucket,
+    client,
+    put: async (key, data, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: data,
+        ContentType: contentType,
+      }));
+    },
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          body: object.Body,
+          size: object.ContentLength,
+          contentType: object.ContentType,
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+/**
+ * Create a driver that keeps files in memory, for tests
+ * @returns {Object} Storage driver with its objects map
+ */
+const createMemoryStorage = () => {
+  const objects = new Map();
+
+  return {
+    name: 'memory',
+    objects,
+    put: async (key, data, { contentType } = {}) => {
+      objects.set(key, { data: Buffer.from(data), contentType });
+    },
+    get: async (key) => {
+      const object = objects.get(key);
+      return object ? {
+        body: Readable.from([object.data]),
+        size: object.data.length,
+        contentType: object.contentType,
+      } : null;
+    },
+    delete: async (key) => {
+      objects.delete(key);
+    },
+    clear: () => {
+      objects.clear();
+    },
+  };
+};
+
+/**
+ * Create a storage driver by name
+ * @param {string} [type] - local, s3 or memory; defaults to STORAGE_DRIVER
+ * @returns {Object} Storage driver
+ */
+const createStorage = (type = process.env.STORAGE_DRIVER) => {
+  const driverType = type || (process.env.NODE_ENV === 'test' ? 'memory' : 'local');
+
+  switch (driverType) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      return createS3Storage();
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`Unknown storage driver: ${driverType}`);
+  }
+};
+
+let storage = null;
+
+/**
+ * Get the active storage driver, creating it on first use
+ * @returns {Object} Storage driver
+ */
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
+
+/**
+ * Replace the active storage driver
+ * @param {Object|null} nextStorage - Driver to use, or null to recreate from config
+ */
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+module.exports = {
+  createLocalStorage,
+  createS3Storage,
+  createMemoryStorage,
+  createStorage,
+  getStorage,
+  setStorage,
+};
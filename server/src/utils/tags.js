@@ -0,0 +1,50 @@
+/**
+ * Tag normalisation
+ * Every tag is written through normalizeTags so "JavaScript", " javascript " and
+ * "#javascript" all end up as the same tag.
+ */
+
+// Longest tag kept, in characters
+const MAX_TAG_LENGTH = 30;
+
+// Most tags one post can carry
+const MAX_TAGS_PER_POST = 10;
+
+/**
+ * Normalise one tag: lowercase, no leading #, words joined by dashes
+ * Letters, numbers and the symbols in names like "c++", "c#" and "node.js" are kept.
+ * @param {string} tag - Tag as typed
+ * @returns {string} Normalised tag, empty when nothing usable is left
+ */
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') {
+    return '';
+  }
+
+  return tag
+    .normalize('NFKC')
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^\p{L}\p{N}+#.-]/gu, '')
+    .replace(/-{2,}/g, '-')
+    .slice(0, MAX_TAG_LENGTH)
+    .replace(/^[-.]+|[-.]+$/g, '');
+};
+
+/**
+ * Normalise a post's tags, dropping empty ones and duplicates but keeping their order
+ * @param {Array} tags - Tags as submitted
+ * @returns {string[]} Normalised tags
+ */
+const normalizeTags = (tags = []) => {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_POST,
+  normalizeTag,
+  normalizeTags,
+};
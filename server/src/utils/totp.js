@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 shared secret
+ * @param {number} [size] - Secret length in bytes
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (size = 20) => {
+  return base32Encode(crypto.randomBytes(size));
+};
+
+/**
+ * Generate an HMAC-based one-time password (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} [digits] - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Get the time step a moment falls into
+ * @param {number} [time] - Unix time in milliseconds
+ * @returns {number} Time step counter
+ */
+const getTimeStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a moment
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - Options
+ * @param {number} [options.time] - Unix time in milliseconds
+ * @param {number} [options.digits] - Code length
+ * @returns {string} TOTP code
+ */
+const generateTotp = (secret, { time = Date.now(), digits = TOTP_DIGITS } = {}) => {
+  return generateHotp(secret, getTimeStep(time), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - Options
+ * @param {number} [options.window] - Accepted steps before and after the current one
+ * @param {number} [options.time] - Unix time in milliseconds
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+
+  for (let step = currentStep - window; step <= currentStep + window; step += 1) {
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Account label, usually the email
+ * @param {string} params.issuer - Service name
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate single-use recovery codes
+ * @param {number} [count] - Number of codes
+ * @returns {string[]} Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+};
+
+/**
+ * Normalise a recovery code for comparison
+ * Codes are stored as xxxxx-xxxxx, so one typed without the dash gets it back.
+ * @param {string} code - Code entered by the user
+ * @returns {string} Lowercase code without whitespace, in the stored format
+ */
+const normalizeRecoveryCode = (code) => {
+  const compact = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return /^[a-f0-9]{10}$/.test(compact) ? `${compact.slice(0, 5)}-${compact.slice(5)}` : compact;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
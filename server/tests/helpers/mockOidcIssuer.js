@@ -0,0 +1,90 @@
+// mockOidcIssuer.js - Local OpenID Connect provider so sign-in tests run offline
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Start a mock OIDC issuer on a random local port
+ * /authorize immediately redirects back with a code; /token checks the PKCE
+ * verifier and returns an ID token for the claims set with setClaims.
+ * @param {Object} [options] - Issuer options
+ * @param {string} [options.clientId] - Expected client id
+ * @returns {Promise<Object>} Issuer handle
+ */
+const createMockOidcIssuer = async ({ clientId = 'test-client' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+  const codes = new Map();
+  let claims = {};
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [jwk] });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { ...req.query });
+
+    const redirect = new URL(req.query.redirect_uri);
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', req.query.state);
+    res.redirect(redirect.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const request = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = req.body.code_verifier
+      && crypto.createHash('sha256').update(req.body.code_verifier).digest('base64url');
+
+    if (!request
+      || req.body.client_id !== clientId
+      || req.body.redirect_uri !== request.redirect_uri
+      || challenge !== request.code_challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...claims, nonce: request.nonce }, privateKey, {
+      algorithm: 'RS256',
+      keyid: jwk.kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m',
+    });
+
+    res.json({ access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    setClaims: (nextClaims) => {
+      claims = nextClaims;
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  createMockOidcIssuer,
+};
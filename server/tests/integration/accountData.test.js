@@ -0,0 +1,163 @@
+// accountData.test.js - Integration tests for personal data export and self-deletion
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Session = require('../../src/models/Session');
+const { generateToken } = require('../../src/utils/auth');
+const { createMemoryTransport, setTransport } = require('../../src/utils/mailer');
+const { purgeDueUsers } = require('../../src/jobs/purgeDeletedUsers');
+
+const credentials = {
+  email: 'owner@example.com',
+  password: 'Password123',
+};
+
+let owner;
+let token;
+let other;
+let mailbox;
+
+describe('Account Data', () => {
+  beforeEach(async () => {
+    mailbox = createMemoryTransport();
+    setTransport(mailbox);
+
+    owner = await User.create({
+      username: 'owner',
+      email: credentials.email,
+      password: credentials.password,
+      bio: 'Writes about testing',
+    });
+    other = await User.create({
+      username: 'other',
+      email: 'other@example.com',
+      password: 'Password123',
+    });
+
+    const login = await request(app).post('/api/auth/login').send(credentials);
+    token = login.body.data.token;
+
+    const category = await Category.create({ name: 'General', slug: 'general' });
+    await Post.create({
+      title: 'Owner post title',
+      content: 'A post written by the owner',
+      author: owner._id,
+      category: category._id,
+      comments: [{ user: other._id, content: 'Comment from someone else' }],
+    });
+    await Post.create({
+      title: 'Other post title',
+      content: 'A post written by someone else',
+      author: other._id,
+      category: category._id,
+      likes: [{ user: owner._id }],
+      comments: [{ user: owner._id, content: 'Owner comment' }],
+    });
+  });
+
+  afterAll(() => {
+    setTransport(null);
+  });
+
+  describe('POST /api/auth/export', () => {
+    it('should download the profile, posts, comments, likes and sessions', async () => {
+      const res = await request(app)
+        .post('/api/auth/export')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/application\/json/);
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="owner-data-.*\.json"/);
+
+      const archive = JSON.parse(res.text);
+      expect(archive.profile.email).toBe(credentials.email);
+      expect(archive.profile.bio).toBe('Writes about testing');
+      expect(archive.profile.password).toBeUndefined();
+      expect(archive.posts.map(post => post.title)).toEqual(['Owner post title']);
+      expect(archive.comments).toHaveLength(1);
+      expect(archive.comments[0].content).toBe('Owner comment');
+      expect(archive.comments[0].post.title).toBe('Other post title');
+      expect(archive.likes[0].post.title).toBe('Other post title');
+      expect(archive.sessions).toHaveLength(1);
+    });
+
+    it('should leave out content written by other people', async () => {
+      const res = await request(app)
+        .post('/api/auth/export')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.text).not.toContain('Comment from someone else');
+      expect(res.text).not.toContain('other@example.com');
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).post('/api/auth/export');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/auth/account', () => {
+    const deleteAccount = (body) => {
+      return request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+    };
+
+    it('should require the password', async () => {
+      const missing = await deleteAccount({});
+      expect(missing.status).toBe(400);
+
+      const wrong = await deleteAccount({ password: 'WrongPassword1' });
+      expect(wrong.status).toBe(400);
+      expect((await User.findById(owner._id)).deletion).toBeNull();
+    });
+
+    it('should soft delete the account, sign it out and send a confirmation', async () => {
+      const res = await deleteAccount({ password: credentials.password });
+
+      expect(res.status).toBe(200);
+
+      const stored = await User.findById(owner._id);
+      expect(stored.deletion.contentAction).toBe('anonymize');
+      expect(stored.deletion.deletedBy.toString()).toBe(owner._id.toString());
+      expect(await Session.countDocuments({ user: owner._id, revokedAt: null })).toBe(0);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+      expect(profile.status).toBe(401);
+
+      expect(mailbox.outbox[mailbox.outbox.length - 1].subject).toBe('Your account has been deleted');
+    });
+
+    it('should anonymise content when the purge runs', async () => {
+      await deleteAccount({ password: credentials.password });
+      await User.updateOne({ _id: owner._id }, { 'deletion.purgeAfter': new Date(Date.now() - 1000) });
+
+      await purgeDueUsers();
+
+      const ownPost = await Post.findOne({ title: 'Owner post title' });
+      expect(ownPost.author).toBeNull();
+
+      const otherPost = await Post.findOne({ title: 'Other post title' });
+      expect(otherPost.comments[0].user).toBeNull();
+      expect(otherPost.likes).toHaveLength(0);
+    });
+
+    it('should only accept the signed-in user's own password', async () => {
+      const res = await request(app)
+        .delete('/api/auth/account')
+        .set('Authorization', `Bearer ${generateToken(other)}`)
+        .send({ password: credentials.password });
+
+      expect(res.status).toBe(400);
+      expect((await User.findById(owner._id)).deletion).toBeNull();
+      expect((await User.findById(other._id)).deletion).toBeNull();
+    });
+  });
+});
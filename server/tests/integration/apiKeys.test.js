@@ -0,0 +1,162 @@
+// apiKeys.test.js - Integration tests for personal API keys
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const ApiKey = require('../../src/models/ApiKey');
+const { generateToken } = require('../../src/utils/auth');
+
+let token;
+let categoryId;
+
+const createKey = (body) => {
+  return request(app)
+    .post('/api/auth/api-keys')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+};
+
+const newPost = () => ({
+  title: 'Published from CI',
+  content: 'This post was created by a script using an API key',
+  category: categoryId,
+  status: 'published',
+});
+
+describe('API Keys', () => {
+  beforeEach(async () => {
+    const user = await User.create({
+      username: 'scriptuser',
+      email: 'script@example.com',
+      password: 'Password123',
+    });
+    token = generateToken(user);
+
+    const category = await Category.create({
+      name: 'Automation',
+      slug: 'automation',
+    });
+    categoryId = category._id;
+  });
+
+  describe('POST /api/auth/api-keys', () => {
+    it('should return the key once and store only a hash', async () => {
+      const res = await createKey({ name: 'CI', scopes: ['posts:write'] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.key).toMatch(/^mbk_[a-f0-9]{64}$/);
+      expect(res.body.data.apiKey.prefix).toBe(res.body.data.key.slice(0, 12));
+      expect(res.body.data.apiKey.keyHash).toBeUndefined();
+
+      const stored = await ApiKey.findById(res.body.data.apiKey._id).select('+keyHash');
+      expect(stored.keyHash).not.toBe(res.body.data.key);
+
+      const list = await request(app)
+        .get('/api/auth/api-keys')
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.data.apiKeys).toHaveLength(1);
+      expect(JSON.stringify(list.body)).not.toContain(res.body.data.key);
+    });
+
+    it('should reject unknown scopes', async () => {
+      const res = await createKey({ name: 'CI', scopes: ['admin'] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject an expiry in the past', async () => {
+      const res = await createKey({
+        name: 'CI',
+        scopes: ['posts:read'],
+        expiresAt: new Date(Date.now() - 1000).toISOString(),
+      });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('Authorization: ApiKey', () => {
+    it('should create posts with the posts:write scope', async () => {
+      const { key } = (await createKey({ name: 'CI', scopes: ['posts:write'] })).body.data;
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `ApiKey ${key}`)
+        .send(newPost());
+
+      expect(res.status).toBe(201);
+    });
+
+    it('should reject routes outside the key scopes', async () => {
+      const { key } = (await createKey({ name: 'Reader', scopes: ['posts:read'] })).body.data;
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `ApiKey ${key}`)
+        .send(newPost());
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('API key is missing the posts:write scope');
+    });
+
+    it('should reject revoked keys', async () => {
+      const created = (await createKey({ name: 'CI', scopes: ['posts:write'] })).body.data;
+
+      await request(app)
+        .delete(`/api/auth/api-keys/${created.apiKey._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `ApiKey ${created.key}`)
+        .send(newPost());
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid API key');
+    });
+
+    it('should reject expired keys', async () => {
+      const created = (await createKey({ name: 'CI', scopes: ['posts:write'] })).body.data;
+      await ApiKey.updateOne({ _id: created.apiKey._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `ApiKey ${created.key}`)
+        .send(newPost());
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should not be accepted on account endpoints', async () => {
+      const { key } = (await createKey({
+        name: 'CI',
+        scopes: ['posts:read', 'posts:write', 'comments:write'],
+      })).body.data;
+
+      const res = await request(app)
+        .post('/api/auth/api-keys')
+        .set('Authorization', `ApiKey ${key}`)
+        .send({ name: 'Escalate', scopes: ['posts:write'] });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /api/auth/api-keys/:id', () => {
+    it('should not revoke keys owned by another user', async () => {
+      const created = (await createKey({ name: 'CI', scopes: ['posts:read'] })).body.data;
+      const other = await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'Password123',
+      });
+
+      const res = await request(app)
+        .delete(`/api/auth/api-keys/${created.apiKey._id}`)
+        .set('Authorization', `Bearer ${generateToken(other)}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
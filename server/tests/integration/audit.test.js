@@ -0,0 +1,226 @@
+// audit.test.js - Integration tests for the audit log
+
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const AuditEvent = require('../../src/models/AuditEvent');
+const logger = require('../../src/utils/logger');
+const { exportAuditEvents } = require('../../src/controllers/adminController');
+const { generateToken } = require('../../src/utils/auth');
+
+let admin;
+let adminToken;
+let member;
+
+const createUser = (username, role) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+  });
+};
+
+const getAudit = (query = {}, token = adminToken) => {
+  return request(app)
+    .get('/api/admin/audit')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+};
+
+describe('Audit Log', () => {
+  beforeEach(async () => {
+    admin = await createUser('admin', 'admin');
+    adminToken = generateToken(admin);
+    member = await createUser('member', 'user');
+  });
+
+  describe('recorded events', () => {
+    it('should record successful and failed logins with the request id', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'member@example.com', password: 'Password123' });
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'member@example.com', password: 'WrongPassword1' });
+
+      const success = await AuditEvent.findOne({ action: 'auth.login' });
+      expect(success.actor.toString()).toBe(member._id.toString());
+      expect(success.requestId).toBe(login.headers['x-request-id']);
+      expect(success.ip).toBeTruthy();
+
+      const failure = await AuditEvent.findOne({ action: 'auth.login_failed' });
+      expect(failure.actor).toBeNull();
+      expect(failure.target.id.toString()).toBe(member._id.toString());
+      expect(failure.metadata.reason).toBe('invalid_password');
+    });
+
+    it('should record role changes with a before/after diff', async () => {
+      await request(app)
+        .put(`/api/users/${member._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'editor' });
+
+      const event = await AuditEvent.findOne({ action: 'user.update' });
+      expect(event.actor.toString()).toBe(admin._id.toString());
+      expect(event.target.id.toString()).toBe(member._id.toString());
+      expect(event.before).toEqual({ role: 'user' });
+      expect(event.after).toEqual({ role: 'editor' });
+    });
+
+    it('should record deletions with a snapshot of the user', async () => {
+      await request(app)
+        .delete(`/api/users/${member._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const event = await AuditEvent.findOne({ action: 'user.delete' });
+      expect(event.before.email).toBe('member@example.com');
+    });
+
+    it('should record password changes', async () => {
+      await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${generateToken(member)}`)
+        .send({ currentPassword: 'Password123', newPassword: 'NewPassword123' });
+
+      const event = await AuditEvent.findOne({ action: 'auth.password_change' });
+      expect(event.actor.toString()).toBe(member._id.toString());
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    beforeEach(async () => {
+      await AuditEvent.create([
+        { action: 'auth.login', actor: member._id, createdAt: new Date('2024-01-10') },
+        { action: 'auth.login_failed', actor: null, createdAt: new Date('2024-01-20') },
+        { action: 'user.update', actor: admin._id, createdAt: new Date('2024-02-05') },
+      ]);
+    });
+
+    it('should list events newest first with pagination', async () => {
+      const res = await getAudit();
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.events.map(event => event.action)).toEqual([
+        'user.update',
+        'auth.login_failed',
+        'auth.login',
+      ]);
+      expect(res.body.data.pagination.totalEvents).toBe(3);
+      expect(res.body.data.events[0].actor.username).toBe('admin');
+    });
+
+    it('should filter by actor, action and date range', async () => {
+      const byActor = await getAudit({ actor: member._id.toString() });
+      expect(byActor.body.data.events).toHaveLength(1);
+
+      const byGroup = await getAudit({ action: 'auth.*' });
+      expect(byGroup.body.data.events).toHaveLength(2);
+
+      const byDate = await getAudit({ from: '2024-01-15', to: '2024-01-31' });
+      expect(byDate.body.data.events.map(event => event.action)).toEqual(['auth.login_failed']);
+    });
+
+    it('should reject malformed filters', async () => {
+      const res = await getAudit({ action: 'auth.$where' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should require audit.view', async () => {
+      const res = await getAudit({}, generateToken(member));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/admin/audit/export', () => {
+    it('should download matching events as CSV', async () => {
+      await AuditEvent.create({
+        action: 'user.update',
+        actor: admin._id,
+        target: { type: 'User', id: member._id, label: 'member@example.com' },
+        before: { role: 'user' },
+        after: { role: 'editor' },
+      });
+
+      const res = await request(app)
+        .get('/api/admin/audit/export')
+        .query({ action: 'user.update' })
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toMatch(/text\/csv/);
+      expect(res.headers['content-disposition']).toMatch(/attachment; filename="audit-.*\.csv"/);
+
+      const lines = res.text.trim().split('\r\n');
+      expect(lines[0]).toBe('createdAt,action,actorId,actor,impersonator,targetType,targetId,target,before,after,metadata,ip,requestId');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toContain('user.update,');
+      expect(lines[1]).toContain('admin@example.com');
+      expect(lines[1]).toContain('"{""role"":""editor""}"');
+    });
+
+    it('should cut the download short when reading events fails partway', async () => {
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+      const cursor = jest.spyOn(mongoose.Query.prototype, 'cursor').mockImplementation(() => ({
+        close: jest.fn().mockResolvedValue(),
+        async* [Symbol.asyncIterator]() {
+          throw new Error('Cursor failed');
+        },
+      }));
+
+      await expect(
+        request(app)
+          .get('/api/admin/audit/export')
+          .set('Authorization', `Bearer ${adminToken}`)
+      ).rejects.toThrow();
+
+      expect(error).toHaveBeenCalledWith('Audit log export failed:', expect.any(Error));
+      cursor.mockRestore();
+      error.mockRestore();
+      expect(await AuditEvent.exists({ action: 'audit.export' })).toBeNull();
+    });
+
+    it('should wait for a slow client and stop reading when it disconnects', async () => {
+      const close = jest.fn().mockResolvedValue();
+      const cursor = jest.spyOn(mongoose.Query.prototype, 'cursor').mockImplementation(() => ({
+        close,
+        async* [Symbol.asyncIterator]() {
+          yield* ['first', 'second', 'third'].map(action => ({ action, createdAt: new Date() }));
+        },
+      }));
+      const flush = () => new Promise(resolve => setImmediate(resolve));
+
+      // A response whose buffer is full after the header and the first row
+      const res = Object.assign(new EventEmitter(), {
+        destroyed: false,
+        rows: [],
+        set: jest.fn(),
+        attachment: jest.fn(),
+        end: jest.fn(),
+        destroy: jest.fn(),
+        write(chunk) {
+          this.rows.push(chunk);
+          return this.rows.length < 2;
+        },
+      });
+
+      exportAuditEvents({ query: {}, user: admin }, res, jest.fn());
+      await flush();
+      expect(res.rows).toHaveLength(2);
+
+      res.destroyed = true;
+      res.emit('close');
+      await flush();
+      cursor.mockRestore();
+
+      expect(close).toHaveBeenCalled();
+      expect(res.rows).toHaveLength(2);
+      expect(res.end).not.toHaveBeenCalled();
+      expect(await AuditEvent.exists({ action: 'audit.export' })).toBeNull();
+    });
+  });
+});
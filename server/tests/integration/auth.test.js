@@ -0,0 +1,346 @@
+// auth.test.js - Integration tests for auth API endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+const RevokedToken = require('../../src/models/RevokedToken');
+
+const credentials = {
+  email: 'auth@example.com',
+  password: 'Password123',
+};
+
+const loginUser = async () => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send(credentials);
+  return res.body.data;
+};
+
+describe('Auth API', () => {
+  beforeEach(async () => {
+    await User.create({
+      username: 'authuser',
+      email: credentials.email,
+      password: credentials.password,
+    });
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should return an access token and a refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'newuser',
+          email: 'new@example.com',
+          password: 'Password123',
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+      expect(res.body.data.refreshToken).not.toBe(res.body.data.token);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should return an access token and a persisted refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send(credentials);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+
+      const stored = await RefreshToken.find();
+      expect(stored).toHaveLength(1);
+      expect(stored[0].tokenHash).not.toBe(res.body.data.refreshToken);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const { refreshToken } = await loginUser();
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+      expect(res.body.data.refreshToken).not.toBe(refreshToken);
+
+      const tokens = await RefreshToken.find().sort({ createdAt: 1 });
+      expect(tokens).toHaveLength(2);
+      expect(tokens[0].revokedReason).toBe('rotated');
+      expect(tokens[0].replacedBy.toString()).toBe(tokens[1]._id.toString());
+      expect(tokens[0].family).toBe(tokens[1].family);
+    });
+
+    it('should accept the rotated token for the next refresh', async () => {
+      const { refreshToken } = await loginUser();
+
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      const second = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken });
+
+      expect(second.status).toBe(200);
+      expect(second.body.success).toBe(true);
+    });
+
+    it('should revoke the whole family when a rotated token is reused', async () => {
+      const { refreshToken } = await loginUser();
+
+      const rotated = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(reuse.status).toBe(401);
+      expect(reuse.body.message).toBe('Refresh token reuse detected');
+
+      // The legitimately rotated token is no longer usable either
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken });
+
+      expect(res.status).toBe(401);
+
+      const active = await RefreshToken.countDocuments({ revokedAt: null });
+      expect(active).toBe(0);
+    });
+
+    it('should not affect other token families', async () => {
+      const first = await loginUser();
+      const second = await loginUser();
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken });
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.refreshToken });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should reject an access token', async () => {
+      const { token } = await loginUser();
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: token });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid refresh token');
+    });
+
+    it('should return 400 if the refresh token is missing', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should reject refresh for deactivated users', async () => {
+      const { refreshToken } = await loginUser();
+      await User.updateOne({ email: credentials.email }, { isActive: false });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the current access token immediately', async () => {
+      const { token } = await loginUser();
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(await RevokedToken.countDocuments()).toBe(1);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(profile.status).toBe(401);
+      expect(profile.body.message).toBe('Access token has been revoked');
+    });
+
+    it('should revoke the refresh token family when provided', async () => {
+      const { token, refreshToken } = await loginUser();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ refreshToken });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should leave other sessions signed in', async () => {
+      const first = await loginUser();
+      const second = await loginUser();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${first.token}`);
+
+      const res = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${second.token}`);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+      const res = await request(app).post('/api/auth/logout');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/logout-all', () => {
+    it('should invalidate every session of the user', async () => {
+      const first = await loginUser();
+      const second = await loginUser();
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.token}`);
+
+      expect(res.status).toBe(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${second.token}`);
+      expect(profile.status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken });
+      expect(refresh.status).toBe(401);
+    });
+
+    it('should ignore revoked tokens in optional authentication', async () => {
+      const { token } = await loginUser();
+
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`);
+
+      const res = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+    });
+  });
+
+  describe('PUT /api/auth/change-password', () => {
+    it('should invalidate existing sessions and return a new token pair', async () => {
+      const first = await loginUser();
+      const second = await loginUser();
+
+      const res = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${first.token}`)
+        .send({
+          currentPassword: credentials.password,
+          newPassword: 'NewPassword123',
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+
+      const stale = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${second.token}`);
+      expect(stale.status).toBe(401);
+
+      const staleRefresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: second.refreshToken });
+      expect(staleRefresh.status).toBe(401);
+
+      const fresh = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${res.body.data.token}`);
+      expect(fresh.status).toBe(200);
+    });
+  });
+
+  describe('GET /api/auth/verify', () => {
+    it('should return the user and token status', async () => {
+      const { token } = await loginUser();
+
+      const res = await request(app)
+        .get('/api/auth/verify')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.user.email).toBe(credentials.email);
+      expect(res.body.data.user.password).toBeUndefined();
+      expect(new Date(res.body.data.token.expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(res.body.data.token.expiresIn).toBeGreaterThan(0);
+      expect(res.body.data.token.refreshRecommended).toBe(false);
+    });
+
+    it('should return the current user document rather than token claims', async () => {
+      const { token } = await loginUser();
+      await User.updateOne({ email: credentials.email }, { firstName: 'Updated' });
+
+      const res = await request(app)
+        .get('/api/auth/verify')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.body.data.user.firstName).toBe('Updated');
+    });
+
+    it('should return 401 for an invalid token', async () => {
+      const res = await request(app)
+        .get('/api/auth/verify')
+        .set('Authorization', 'Bearer invalid.token.value');
+
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('should return 401 without a token', async () => {
+      const res = await request(app).get('/api/auth/verify');
+
+      expect(res.status).toBe(401);
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
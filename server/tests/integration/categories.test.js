@@ -0,0 +1,295 @@
+// categories.test.js - Integration tests for category management
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const AuditEvent = require('../../src/models/AuditEvent');
+const { generateToken } = require('../../src/utils/auth');
+
+let admin;
+let adminToken;
+let author;
+let authorToken;
+
+const createUser = (username, role) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+    emailVerified: true,
+  });
+};
+
+const createPost = (title, category, status = 'published') => {
+  return Post.create({
+    title,
+    content: 'Content for the category tests',
+    author: author._id,
+    category: category._id,
+    status,
+  });
+};
+
+describe('Categories', () => {
+  beforeEach(async () => {
+    admin = await createUser('admin', 'admin');
+    adminToken = generateToken(admin);
+    author = await createUser('author', 'author');
+    authorToken = generateToken(author);
+  });
+
+  describe('GET /api/categories', () => {
+    it('should list active categories with their published post counts', async () => {
+      const news = await Category.create({ name: 'News' });
+      await Category.create({ name: 'Archive', isActive: false });
+      await createPost('Published news post', news);
+      await createPost('Draft news post', news, 'draft');
+
+      const res = await request(app).get('/api/categories');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.categories).toHaveLength(1);
+      expect(res.body.data.categories[0].slug).toBe('news');
+      expect(res.body.data.categories[0].postCount).toBe(1);
+    });
+
+    it('should let admins filter by isActive', async () => {
+      await Category.create({ name: 'News' });
+      await Category.create({ name: 'Archive', isActive: false });
+
+      const inactive = await request(app)
+        .get('/api/categories?isActive=false')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(inactive.body.data.categories.map(category => category.name)).toEqual(['Archive']);
+
+      const everything = await request(app)
+        .get('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(everything.body.data.categories).toHaveLength(2);
+
+      const asAuthor = await request(app)
+        .get('/api/categories?isActive=false')
+        .set('Authorization', `Bearer ${authorToken}`);
+      expect(asAuthor.body.data.categories.map(category => category.name)).toEqual(['News']);
+    });
+  });
+
+  describe('GET /api/categories/:slug', () => {
+    it('should find a category by slug and hide inactive ones from the public', async () => {
+      await Category.create({ name: 'Web Development' });
+      await Category.create({ name: 'Old Stuff', isActive: false });
+
+      const res = await request(app).get('/api/categories/web-development');
+      expect(res.status).toBe(200);
+      expect(res.body.data.category.name).toBe('Web Development');
+
+      const hidden = await request(app).get('/api/categories/old-stuff');
+      expect(hidden.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/categories', () => {
+    it('should let admins create categories and record an audit event', async () => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Release Notes', color: '#10B981' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.category.slug).toBe('release-notes');
+      expect(await AuditEvent.countDocuments({ action: 'category.create' })).toBe(1);
+    });
+
+    it('should reject non-admins and duplicate names', async () => {
+      const forbidden = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ name: 'Release Notes' });
+      expect(forbidden.status).toBe(403);
+
+      await Category.create({ name: 'Release Notes' });
+      const duplicate = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Release Notes' });
+      expect(duplicate.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/categories/:id', () => {
+    it('should keep the slug on rename unless a new one is given', async () => {
+      const category = await Category.create({ name: 'News' });
+
+      const renamed = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Announcements' });
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.data.category.slug).toBe('news');
+
+      const reslugged = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ slug: 'announcements' });
+      expect(reslugged.body.data.category.slug).toBe('announcements');
+    });
+
+    it('should stop new posts going into a deactivated category', async () => {
+      const category = await Category.create({ name: 'News' });
+
+      await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false });
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Post in an old category',
+          content: 'Content long enough for a post',
+          category: category._id,
+        });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('nested categories', () => {
+    let engineering;
+    let frontend;
+    let react;
+
+    const createChild = async (name, parent) => {
+      const res = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name, parent: parent._id });
+      return res.body.data.category;
+    };
+
+    beforeEach(async () => {
+      engineering = await Category.create({ name: 'Engineering' });
+      frontend = await createChild('Frontend', engineering);
+      react = await createChild('React', frontend);
+    });
+
+    it('should return breadcrumbs for a category and its posts', async () => {
+      const category = await request(app).get('/api/categories/react');
+      expect(category.body.data.breadcrumbs.map(crumb => crumb.name))
+        .toEqual(['Engineering', 'Frontend', 'React']);
+
+      await createPost('Post about hooks', react);
+      const posts = await request(app).get('/api/posts');
+      expect(posts.body.data.posts[0].breadcrumbs.map(crumb => crumb.slug))
+        .toEqual(['engineering', 'frontend', 'react']);
+      expect(posts.body.data.posts[0].category.ancestors).toBeUndefined();
+    });
+
+    it('should include posts from subcategories only when asked', async () => {
+      await createPost('Post about engineering', engineering);
+      await createPost('Post about hooks', react);
+
+      const direct = await request(app).get(`/api/posts?category=${engineering._id}`);
+      expect(direct.body.data.posts).toHaveLength(1);
+
+      const subtree = await request(app)
+        .get(`/api/posts?category=${engineering._id}&includeSubcategories=true`);
+      expect(subtree.body.data.posts).toHaveLength(2);
+    });
+
+    it('should move a subtree and update every descendant', async () => {
+      const platform = await Category.create({ name: 'Platform' });
+
+      const res = await request(app)
+        .put(`/api/categories/${frontend._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent: platform._id });
+
+      expect(res.status).toBe(200);
+      const moved = await Category.findById(react._id);
+      expect(moved.ancestors.map(String)).toEqual([String(platform._id), String(frontend._id)]);
+    });
+
+    it('should refuse moves that would create a cycle', async () => {
+      const res = await request(app)
+        .put(`/api/categories/${engineering._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent: react._id });
+
+      expect(res.status).toBe(400);
+      expect((await Category.findById(engineering._id)).parent).toBeNull();
+    });
+
+    it('should move a category back to the top level', async () => {
+      const res = await request(app)
+        .put(`/api/categories/${frontend._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent: null });
+
+      expect(res.status).toBe(200);
+      expect((await Category.findById(react._id)).ancestors.map(String)).toEqual([String(frontend._id)]);
+    });
+
+    it('should not delete a category that has subcategories', async () => {
+      const res = await request(app)
+        .delete(`/api/categories/${frontend._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe('DELETE /api/categories/:id', () => {
+    it('should delete a category without posts', async () => {
+      const category = await Category.create({ name: 'Empty' });
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(await Category.exists({ _id: category._id })).toBeNull();
+    });
+
+    it('should refuse to delete a category that still has posts', async () => {
+      const category = await Category.create({ name: 'News' });
+      await createPost('Draft news post', category, 'draft');
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+      expect(res.body.data.postCount).toBe(1);
+      expect(await Category.exists({ _id: category._id })).not.toBeNull();
+    });
+
+    it('should move posts to the reassignment target before deleting', async () => {
+      const category = await Category.create({ name: 'News' });
+      const target = await Category.create({ name: 'Updates' });
+      const post = await createPost('Published news post', category);
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}?reassignTo=${target._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(String((await Post.findById(post._id)).category)).toBe(String(target._id));
+    });
+
+    it('should not reassign posts to the category being deleted', async () => {
+      const category = await Category.create({ name: 'News' });
+      await createPost('Published news post', category);
+
+      const res = await request(app)
+        .delete(`/api/categories/${category._id}?reassignTo=${category._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
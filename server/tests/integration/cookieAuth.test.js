@@ -0,0 +1,130 @@
+// cookieAuth.test.js - Integration tests for HttpOnly cookie auth mode
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+const credentials = {
+  email: 'cookies@example.com',
+  password: 'Password123',
+};
+
+// Read a cookie value from a response's Set-Cookie headers
+const getCookie = (res, name) => {
+  const header = (res.headers['set-cookie'] || []).find(cookie => cookie.startsWith(`${name}=`));
+  return header ? decodeURIComponent(header.split(';')[0].slice(name.length + 1)) : undefined;
+};
+
+describe('Cookie Auth Mode', () => {
+  const originalEnv = {
+    mode: process.env.AUTH_COOKIE_MODE,
+    secure: process.env.AUTH_COOKIE_SECURE,
+  };
+
+  beforeAll(() => {
+    process.env.AUTH_COOKIE_MODE = 'true';
+    // Supertest talks plain HTTP, so secure cookies would never be sent back
+    process.env.AUTH_COOKIE_SECURE = 'false';
+  });
+
+  afterAll(() => {
+    process.env.AUTH_COOKIE_MODE = originalEnv.mode;
+    process.env.AUTH_COOKIE_SECURE = originalEnv.secure;
+  });
+
+  beforeEach(async () => {
+    await User.create({
+      username: 'cookieuser',
+      email: credentials.email,
+      password: credentials.password,
+    });
+  });
+
+  it('should set HttpOnly cookies on login and leave tokens out of the body', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send(credentials);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeUndefined();
+    expect(res.body.data.refreshToken).toBeUndefined();
+    expect(res.body.data.user.email).toBe(credentials.email);
+
+    const cookies = res.headers['set-cookie'].join('\n');
+    expect(cookies).toMatch(/access_token=[^;]+;.*HttpOnly/);
+    expect(cookies).toMatch(/refresh_token=[^;]+;.*Path=\/api\/auth;.*HttpOnly/);
+    expect(getCookie(res, 'csrf_token')).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('should authenticate requests with the access token cookie', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/auth/login').send(credentials);
+
+    const res = await agent.get('/api/auth/profile');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe(credentials.email);
+  });
+
+  it('should require the CSRF header on state-changing cookie requests', async () => {
+    const agent = request.agent(app);
+    const login = await agent.post('/api/auth/login').send(credentials);
+    const csrfToken = getCookie(login, 'csrf_token');
+
+    const rejected = await agent
+      .put('/api/auth/profile')
+      .send({ firstName: 'Cookie' });
+    expect(rejected.status).toBe(403);
+
+    const accepted = await agent
+      .put('/api/auth/profile')
+      .set('X-CSRF-Token', csrfToken)
+      .send({ firstName: 'Cookie' });
+    expect(accepted.status).toBe(200);
+  });
+
+  it('should refresh from the refresh token cookie and rotate it', async () => {
+    const agent = request.agent(app);
+    const login = await agent.post('/api/auth/login').send(credentials);
+
+    const res = await agent
+      .post('/api/auth/refresh')
+      .set('X-CSRF-Token', getCookie(login, 'csrf_token'))
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.refreshToken).toBeUndefined();
+    expect(getCookie(res, 'refresh_token')).toBeDefined();
+    expect(getCookie(res, 'refresh_token')).not.toBe(getCookie(login, 'refresh_token'));
+  });
+
+  it('should clear the cookies on logout', async () => {
+    const agent = request.agent(app);
+    const login = await agent.post('/api/auth/login').send(credentials);
+
+    const res = await agent
+      .post('/api/auth/logout')
+      .set('X-CSRF-Token', getCookie(login, 'csrf_token'))
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(getCookie(res, 'access_token')).toBe('');
+    expect(getCookie(res, 'refresh_token')).toBe('');
+
+    const profile = await agent.get('/api/auth/profile');
+    expect(profile.status).toBe(401);
+  });
+
+  it('should keep accepting bearer tokens from non-browser clients', async () => {
+    process.env.AUTH_COOKIE_MODE = 'false';
+    const login = await request(app).post('/api/auth/login').send(credentials);
+    process.env.AUTH_COOKIE_MODE = 'true';
+
+    const res = await request(app)
+      .put('/api/auth/profile')
+      .set('Authorization', `Bearer ${login.body.data.token}`)
+      .send({ firstName: 'Bearer' });
+
+    expect(res.status).toBe(200);
+  });
+});
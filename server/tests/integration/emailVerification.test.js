@@ -0,0 +1,205 @@
+// emailVerification.test.js - Integration tests for email address verification
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const { generateToken, generateEmailVerificationToken } = require('../../src/utils/auth');
+const { createMemoryTransport, setTransport } = require('../../src/utils/mailer');
+
+let mailbox;
+
+// Pull the verification token out of the last email sent
+const lastVerificationToken = () => {
+  const message = mailbox.outbox[mailbox.outbox.length - 1];
+  return message.text.match(/verify-email\/([\w.-]+)/)[1];
+};
+
+const registerUser = () => {
+  return request(app)
+    .post('/api/auth/register')
+    .send({
+      username: 'verifyuser',
+      email: 'verify@example.com',
+      password: 'Password123',
+    });
+};
+
+describe('Email Verification API', () => {
+  beforeEach(() => {
+    mailbox = createMemoryTransport();
+    setTransport(mailbox);
+  });
+
+  afterAll(() => {
+    setTransport(null);
+  });
+
+  describe('POST /api/auth/register', () => {
+    it('should create an unverified account and send a verification link', async () => {
+      const res = await registerUser();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.user.emailVerified).toBe(false);
+      expect(mailbox.outbox).toHaveLength(1);
+      expect(mailbox.outbox[0].to).toBe('verify@example.com');
+    });
+  });
+
+  describe('GET /api/auth/verify-email/:token', () => {
+    it('should mark the email as verified', async () => {
+      await registerUser();
+
+      const res = await request(app)
+        .get(`/api/auth/verify-email/${lastVerificationToken()}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.user.emailVerified).toBe(true);
+
+      const user = await User.findOne({ email: 'verify@example.com' });
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject a tampered token', async () => {
+      await registerUser();
+
+      const res = await request(app)
+        .get(`/api/auth/verify-email/${lastVerificationToken()}x`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject a link issued for a previous email address', async () => {
+      await registerUser();
+      const token = lastVerificationToken();
+      await User.updateOne({ email: 'verify@example.com' }, { email: 'changed@example.com' });
+
+      const res = await request(app)
+        .get(`/api/auth/verify-email/${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    let user;
+    let token;
+
+    beforeEach(async () => {
+      user = await User.create({
+        username: 'resenduser',
+        email: 'resend@example.com',
+        password: 'Password123',
+      });
+      token = generateToken(user);
+    });
+
+    it('should send a new verification email', async () => {
+      const res = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(mailbox.outbox).toHaveLength(1);
+      expect(mailbox.outbox[0].to).toBe('resend@example.com');
+    });
+
+    it('should enforce a cooldown between emails', async () => {
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      const res = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(429);
+      expect(mailbox.outbox).toHaveLength(1);
+    });
+
+    it('should refuse when the email is already verified', async () => {
+      await User.updateOne({ _id: user._id }, { emailVerified: true });
+
+      const res = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+      const res = await request(app).post('/api/auth/resend-verification');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('REQUIRE_EMAIL_VERIFICATION', () => {
+    let user;
+    let token;
+    let post;
+
+    beforeEach(async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      user = await User.create({
+        username: 'unverified',
+        email: 'unverified@example.com',
+        password: 'Password123',
+      });
+      token = generateToken(user);
+      post = await Post.create({
+        title: 'Published Post',
+        content: 'Content of a published post for comments',
+        author: user._id,
+        status: 'published',
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('should block unverified users from creating posts', async () => {
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Blocked Post', content: 'This post should not be created' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Email verification required');
+    });
+
+    it('should block unverified users from commenting', async () => {
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Blocked comment' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should allow verified users', async () => {
+      await request(app).get(`/api/auth/verify-email/${generateEmailVerificationToken(user)}`);
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Allowed Post', content: 'This post should be created' });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('should not apply when the switch is off', async () => {
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ content: 'Allowed comment' });
+
+      expect(res.status).toBe(201);
+    });
+  });
+});
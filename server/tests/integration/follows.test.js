@@ -0,0 +1,173 @@
+// follows.test.js - Integration tests for the follow graph and following feed
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Follow = require('../../src/models/Follow');
+const { purgeUser } = require('../../src/jobs/purgeDeletedUsers');
+const { generateToken } = require('../../src/utils/auth');
+
+let reader;
+let readerToken;
+let author;
+let other;
+
+const createUser = (username) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+  });
+};
+
+const follow = (id, token = readerToken) => {
+  return request(app)
+    .post(`/api/users/${id}/follow`)
+    .set('Authorization', `Bearer ${token}`);
+};
+
+describe('Follows', () => {
+  beforeEach(async () => {
+    reader = await createUser('reader');
+    readerToken = generateToken(reader);
+    author = await createUser('author');
+    other = await createUser('other');
+  });
+
+  describe('POST /api/users/:id/follow', () => {
+    it('should follow a user and update both counts', async () => {
+      const res = await follow(author._id);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.isFollowing).toBe(true);
+      expect(res.body.data.followersCount).toBe(1);
+
+      const profile = await request(app)
+        .get(`/api/users/${author._id}`)
+        .set('Authorization', `Bearer ${readerToken}`);
+      expect(profile.body.data.user.followersCount).toBe(1);
+      expect(profile.body.data.isFollowing).toBe(true);
+
+      const me = await User.findById(reader._id);
+      expect(me.followingCount).toBe(1);
+    });
+
+    it('should not count the same follow twice', async () => {
+      await follow(author._id);
+      const res = await follow(author._id);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.followersCount).toBe(1);
+      expect(await Follow.countDocuments()).toBe(1);
+    });
+
+    it('should refuse to follow yourself or a deleted user', async () => {
+      const self = await follow(reader._id);
+      expect(self.status).toBe(400);
+
+      await author.softDelete({ deletedBy: author._id });
+      const deleted = await follow(author._id);
+      expect(deleted.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/users/:id/follow', () => {
+    it('should unfollow and decrement the counts', async () => {
+      await follow(author._id);
+
+      const res = await request(app)
+        .delete(`/api/users/${author._id}/follow`)
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.isFollowing).toBe(false);
+      expect(res.body.data.followersCount).toBe(0);
+
+      const me = await User.findById(reader._id);
+      expect(me.followingCount).toBe(0);
+    });
+  });
+
+  describe('follower lists', () => {
+    it('should page through followers and following', async () => {
+      await follow(author._id);
+      await follow(author._id, generateToken(other));
+      await follow(other._id);
+
+      const followers = await request(app)
+        .get(`/api/users/${author._id}/followers?limit=1`)
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(followers.status).toBe(200);
+      expect(followers.body.data.users).toHaveLength(1);
+      expect(followers.body.data.users[0].username).toBe('other');
+      expect(followers.body.data.pagination.totalUsers).toBe(2);
+      expect(followers.body.data.pagination.hasNextPage).toBe(true);
+
+      const following = await request(app)
+        .get(`/api/users/${reader._id}/following`)
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(following.body.data.users.map(user => user.username).sort()).toEqual(['author', 'other']);
+      expect(following.body.data.users[0].password).toBeUndefined();
+    });
+
+    it('should drop follows and fix counts when a user is purged', async () => {
+      await follow(author._id);
+      await author.softDelete({ deletedBy: author._id });
+
+      await purgeUser(author);
+
+      const me = await User.findById(reader._id);
+      expect(me.followingCount).toBe(0);
+      expect(await Follow.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /api/posts/feed', () => {
+    beforeEach(async () => {
+      const category = await Category.create({ name: 'General', slug: 'general' });
+      const post = (title, owner, status = 'published') => Post.create({
+        title,
+        content: 'Content for the feed tests',
+        author: owner._id,
+        category: category._id,
+        status,
+      });
+
+      await post('Followed author post', author);
+      await post('Followed author draft', author, 'draft');
+      await post('Unfollowed author post', other);
+    });
+
+    it('should list published posts from followed authors only', async () => {
+      await follow(author._id);
+
+      const res = await request(app)
+        .get('/api/posts/feed')
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.posts.map(post => post.title)).toEqual(['Followed author post']);
+      expect(res.body.data.pagination.totalPosts).toBe(1);
+      expect(res.body.data.pagination.currentPage).toBe(1);
+    });
+
+    it('should be empty when the user follows nobody', async () => {
+      const res = await request(app)
+        .get('/api/posts/feed')
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.posts).toEqual([]);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).get('/api/posts/feed');
+
+      expect(res.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+// impersonation.test.js - Integration tests for admin impersonation
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Role = require('../../src/models/Role');
+const logger = require('../../src/utils/logger');
+const { generateToken } = require('../../src/utils/auth');
+
+let admin;
+let adminToken;
+let subject;
+
+const createUser = (username, role) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+  });
+};
+
+const impersonate = (id, token = adminToken) => {
+  return request(app)
+    .post(`/api/users/${id}/impersonate`)
+    .set('Authorization', `Bearer ${token}`);
+};
+
+describe('Impersonation', () => {
+  beforeEach(async () => {
+    admin = await createUser('admin', 'admin');
+    adminToken = generateToken(admin);
+    subject = await createUser('author', 'author');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/users/:id/impersonate', () => {
+    it('should issue a token that acts as the user', async () => {
+      const res = await impersonate(subject._id);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.username).toBe('author');
+      expect(res.body.data.impersonator.username).toBe('admin');
+      expect(new Date(res.body.data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const verify = await request(app)
+        .get('/api/auth/verify')
+        .set('Authorization', `Bearer ${res.body.data.token}`);
+
+      expect(verify.status).toBe(200);
+      expect(verify.body.data.user.username).toBe('author');
+      expect(verify.body.data.impersonator.username).toBe('admin');
+    });
+
+    it('should see posts with the user\'s permissions, not the admin\'s', async () => {
+      const category = await Category.create({ name: 'Drafts', slug: 'drafts' });
+      const draft = await Post.create({
+        title: 'Unpublished draft',
+        content: 'Only reviewers should see this draft',
+        author: admin._id,
+        category: category._id,
+        status: 'draft',
+      });
+
+      const asAdmin = await request(app)
+        .get(`/api/posts/${draft._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(asAdmin.status).toBe(200);
+
+      const { body } = await impersonate(subject._id);
+      const asUser = await request(app)
+        .get(`/api/posts/${draft._id}`)
+        .set('Authorization', `Bearer ${body.data.token}`);
+      expect(asUser.status).toBe(404);
+    });
+
+    it('should require user.manage', async () => {
+      const other = await createUser('other', 'author');
+
+      const res = await impersonate(subject._id, generateToken(other));
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should not let a user manager impersonate someone with more permissions', async () => {
+      await Role.create({ name: 'support', permissions: ['user.manage'] });
+      const support = await createUser('support', 'support');
+
+      const res = await impersonate(admin._id, generateToken(support));
+
+      expect(res.status).toBe(403);
+      expect(res.body.data).toBeUndefined();
+    });
+
+    it('should reject impersonating yourself or a deactivated user', async () => {
+      const self = await impersonate(admin._id);
+      expect(self.status).toBe(400);
+
+      subject.isActive = false;
+      await subject.save();
+
+      const inactive = await impersonate(subject._id);
+      expect(inactive.status).toBe(400);
+    });
+
+    it('should not allow starting an impersonation from an impersonated session', async () => {
+      const other = await createUser('other', 'admin');
+      const { body } = await impersonate(other._id);
+
+      const res = await impersonate(subject._id, body.data.token);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('impersonated sessions', () => {
+    let impersonationToken;
+
+    beforeEach(async () => {
+      const { body } = await impersonate(subject._id);
+      impersonationToken = body.data.token;
+    });
+
+    it('should log every request with both identities', async () => {
+      const info = jest.spyOn(logger, 'info');
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+
+      expect(info).toHaveBeenCalledWith(
+        expect.stringContaining('Impersonated request: GET /api/auth/profile'),
+        { actor: admin._id.toString(), subject: subject._id.toString() }
+      );
+    });
+
+    it('should block password changes', async () => {
+      const res = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ currentPassword: 'Password123', newPassword: 'NewPassword123' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Not allowed while impersonating a user');
+
+      const user = await User.findById(subject._id).select('+password');
+      expect(await user.comparePassword('Password123')).toBe(true);
+    });
+
+    it('should block account deletion', async () => {
+      await User.updateOne({ _id: subject._id }, { role: 'admin' });
+      const other = await createUser('other', 'reader');
+
+      const res = await request(app)
+        .delete(`/api/users/${other._id}`)
+        .set('Authorization', `Bearer ${impersonationToken}`);
+
+      expect(res.status).toBe(403);
+      expect(await User.exists({ _id: other._id })).toBeTruthy();
+    });
+
+    it('should block user and role management', async () => {
+      await User.updateOne({ _id: subject._id }, { role: 'admin' });
+
+      const update = await request(app)
+        .put(`/api/users/${subject._id}`)
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ role: 'admin' });
+
+      const role = await request(app)
+        .post('/api/admin/roles')
+        .set('Authorization', `Bearer ${impersonationToken}`)
+        .send({ name: 'everything', permissions: ['role.manage'] });
+
+      expect(update.status).toBe(403);
+      expect(role.status).toBe(403);
+      expect(await Role.exists({ name: 'everything' })).toBeNull();
+    });
+
+    it('should stop working when the admin signs out everywhere', async () => {
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const res = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should end on logout without touching the admin session', async () => {
+      const logout = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+
+      expect(logout.body.message).toBe('Impersonation ended');
+
+      const revoked = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${impersonationToken}`);
+      expect(revoked.status).toBe(401);
+
+      const own = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(own.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// lockout.test.js - Integration tests for login lockout and throttling
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const LoginAttempt = require('../../src/models/LoginAttempt');
+const { generateToken } = require('../../src/utils/auth');
+const { createMemoryTransport, setTransport } = require('../../src/utils/mailer');
+
+const credentials = {
+  email: 'locked@example.com',
+  password: 'Password123',
+};
+
+let mailbox;
+let user;
+
+const login = (body) => {
+  return request(app)
+    .post('/api/auth/login')
+    .send(body);
+};
+
+// Fail the login for an email the given number of times
+const failLogins = async (email, times) => {
+  for (let i = 0; i < times; i += 1) {
+    await login({ email, password: 'WrongPassword1' });
+  }
+};
+
+describe('Login Lockout', () => {
+  beforeEach(async () => {
+    mailbox = createMemoryTransport();
+    setTransport(mailbox);
+
+    user = await User.create({
+      username: 'lockeduser',
+      email: credentials.email,
+      password: credentials.password,
+    });
+  });
+
+  afterAll(() => {
+    setTransport(null);
+  });
+
+  it('should lock the account after repeated failures with the usual response', async () => {
+    await failLogins(credentials.email, 5);
+
+    const res = await login(credentials);
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ success: false, message: 'Invalid credentials' });
+  });
+
+  it('should lock unknown emails the same way', async () => {
+    await failLogins('nobody@example.com', 5);
+
+    const unknown = await login({ email: 'nobody@example.com', password: 'Password123' });
+    const known = await login({ email: credentials.email, password: 'WrongPassword1' });
+
+    expect(unknown.status).toBe(known.status);
+    expect(unknown.body).toEqual(known.body);
+  });
+
+  it('should email the account owner when the account locks', async () => {
+    await failLogins(credentials.email, 5);
+
+    expect(mailbox.outbox).toHaveLength(1);
+    expect(mailbox.outbox[0].to).toBe(credentials.email);
+    expect(mailbox.outbox[0].subject).toBe('Your account has been temporarily locked');
+  });
+
+  it('should double the lock for each failure after it expires', async () => {
+    await failLogins(credentials.email, 5);
+    const key = LoginAttempt.accountKey(credentials.email);
+
+    await LoginAttempt.updateOne({ key }, { lockedUntil: new Date(Date.now() - 1000) });
+    await failLogins(credentials.email, 1);
+
+    const attempt = await LoginAttempt.findOne({ key });
+    const lockSeconds = (attempt.lockedUntil.getTime() - Date.now()) / 1000;
+
+    expect(attempt.failures).toBe(6);
+    expect(lockSeconds).toBeGreaterThan(100);
+    expect(lockSeconds).toBeLessThanOrEqual(120);
+  });
+
+  it('should reset the counter after a successful login', async () => {
+    await failLogins(credentials.email, 4);
+
+    const res = await login(credentials);
+    expect(res.status).toBe(200);
+
+    const attempt = await LoginAttempt.findOne({ key: LoginAttempt.accountKey(credentials.email) });
+    expect(attempt).toBeNull();
+  });
+
+  it('should let an admin unlock the account', async () => {
+    const admin = await User.create({
+      username: 'admin',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+    });
+    await failLogins(credentials.email, 5);
+
+    const unlock = await request(app)
+      .put(`/api/users/${user._id}`)
+      .set('Authorization', `Bearer ${generateToken(admin)}`)
+      .send({ unlock: true });
+    expect(unlock.status).toBe(200);
+
+    const res = await login(credentials);
+    expect(res.status).toBe(200);
+  });
+
+  it('should throttle an IP that fails across many accounts', async () => {
+    for (let i = 0; i < 20; i += 1) {
+      await login({ email: `user${i}@example.com`, password: 'WrongPassword1' });
+    }
+
+    const res = await login(credentials);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid credentials');
+  });
+});
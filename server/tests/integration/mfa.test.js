@@ -0,0 +1,215 @@
+// mfa.test.js - Integration tests for TOTP two-factor authentication
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateTotp } = require('../../src/utils/totp');
+
+const credentials = {
+  email: 'mfa@example.com',
+  password: 'Password123',
+};
+
+let token;
+
+const login = () => {
+  return request(app)
+    .post('/api/auth/login')
+    .send(credentials);
+};
+
+// Enroll the test user and return the shared secret and recovery codes
+const enrollMfa = async () => {
+  const setup = await request(app)
+    .post('/api/auth/mfa/setup')
+    .set('Authorization', `Bearer ${token}`);
+  const { secret } = setup.body.data;
+
+  // Enrollment uses the previous step so the current code is still unused
+  const enable = await request(app)
+    .post('/api/auth/mfa/enable')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: generateTotp(secret, { time: Date.now() - 30000 }) });
+
+  return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+};
+
+describe('Two-Factor Authentication API', () => {
+  beforeEach(async () => {
+    await User.create({
+      username: 'mfauser',
+      email: credentials.email,
+      password: credentials.password,
+    });
+
+    const res = await login();
+    token = res.body.data.token;
+  });
+
+  describe('POST /api/auth/mfa/setup', () => {
+    it('should return a secret and otpauth URI without enabling MFA', async () => {
+      const res = await request(app)
+        .post('/api/auth/mfa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(res.body.data.otpauthUri).toContain(`secret=${res.body.data.secret}`);
+
+      const user = await User.findOne({ email: credentials.email });
+      expect(user.mfa.enabled).toBe(false);
+    });
+
+    it('should require authentication', async () => {
+      const res = await request(app).post('/api/auth/mfa/setup');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('POST /api/auth/mfa/enable', () => {
+    it('should enable MFA and return recovery codes once', async () => {
+      const { recoveryCodes } = await enrollMfa();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const user = await User.findOne({ email: credentials.email })
+        .select('+mfa.secret +mfa.recoveryCodes');
+      expect(user.mfa.enabled).toBe(true);
+      expect(user.mfa.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    it('should reject a wrong code', async () => {
+      await request(app)
+        .post('/api/auth/mfa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      const res = await request(app)
+        .post('/api/auth/mfa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not expose MFA secrets on the profile', async () => {
+      await enrollMfa();
+
+      const res = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.body.data.user.mfa.enabled).toBe(true);
+      expect(res.body.data.user.mfa.secret).toBeUndefined();
+      expect(res.body.data.user.mfa.recoveryCodes).toBeUndefined();
+    });
+  });
+
+  describe('login with MFA enabled', () => {
+    it('should return a challenge instead of tokens', async () => {
+      await enrollMfa();
+
+      const res = await login();
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.mfaRequired).toBe(true);
+      expect(res.body.data.mfaToken).toBeDefined();
+      expect(res.body.data.token).toBeUndefined();
+    });
+
+    it('should not accept the challenge token as an access token', async () => {
+      await enrollMfa();
+      const { mfaToken } = (await login()).body.data;
+
+      const res = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${mfaToken}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('should issue tokens for a valid TOTP code', async () => {
+      const { secret } = await enrollMfa();
+      const { mfaToken } = (await login()).body.data;
+
+      const res = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken, code: generateTotp(secret) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+    });
+
+    it('should not accept the same TOTP code twice', async () => {
+      const { secret } = await enrollMfa();
+      const code = generateTotp(secret);
+
+      const first = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: (await login()).body.data.mfaToken, code });
+      const replay = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: (await login()).body.data.mfaToken, code });
+
+      expect(first.status).toBe(200);
+      expect(replay.status).toBe(401);
+    });
+
+    it('should accept each recovery code only once', async () => {
+      const { recoveryCodes } = await enrollMfa();
+
+      const first = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: (await login()).body.data.mfaToken, recoveryCode: recoveryCodes[0] });
+      const reused = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: (await login()).body.data.mfaToken, recoveryCode: recoveryCodes[0] });
+
+      expect(first.status).toBe(200);
+      expect(reused.status).toBe(401);
+    });
+
+    it('should accept a recovery code typed without its dash', async () => {
+      const { recoveryCodes } = await enrollMfa();
+
+      const res = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: (await login()).body.data.mfaToken, recoveryCode: recoveryCodes[0].replace('-', '') });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      const res = await request(app)
+        .post('/api/auth/mfa/verify')
+        .send({ mfaToken: 'invalid', code: '123456' });
+
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Invalid or expired MFA challenge');
+      expect(res.body.code).toBe('mfa_challenge_invalid');
+    });
+  });
+
+  describe('POST /api/auth/mfa/disable', () => {
+    it('should require the password and a second factor', async () => {
+      const { recoveryCodes } = await enrollMfa();
+
+      const wrongPassword = await request(app)
+        .post('/api/auth/mfa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'WrongPassword1', recoveryCode: recoveryCodes[0] });
+      expect(wrongPassword.status).toBe(400);
+
+      const res = await request(app)
+        .post('/api/auth/mfa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: credentials.password, recoveryCode: recoveryCodes[0] });
+      expect(res.status).toBe(200);
+
+      const loginRes = await login();
+      expect(loginRes.body.data.mfaRequired).toBeUndefined();
+      expect(loginRes.body.data.token).toBeDefined();
+    });
+  });
+});
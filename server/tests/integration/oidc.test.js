@@ -0,0 +1,129 @@
+// oidc.test.js - Integration tests for OpenID Connect sign-in against a mock issuer
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { clearMetadataCache } = require('../../src/utils/oidc');
+const { createMockOidcIssuer } = require('../helpers/mockOidcIssuer');
+
+let mockIssuer;
+
+// Run the whole browser round trip and return the fragment handed to the client
+const signIn = async () => {
+  const start = await request(app).get('/api/auth/oidc/mock');
+  const authorize = await fetch(start.headers.location, { redirect: 'manual' });
+  const callback = new URL(authorize.headers.get('location'));
+
+  const res = await request(app).get(`${callback.pathname}${callback.search}`);
+  return new URLSearchParams(new URL(res.headers.location).hash.slice(1));
+};
+
+describe('OIDC Sign-in', () => {
+  beforeAll(async () => {
+    mockIssuer = await createMockOidcIssuer();
+    process.env.OIDC_PROVIDERS = JSON.stringify([
+      { id: 'mock', name: 'Mock ID', issuer: mockIssuer.issuer, clientId: mockIssuer.clientId },
+    ]);
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_PROVIDERS;
+    clearMetadataCache();
+    await mockIssuer.close();
+  });
+
+  beforeEach(() => {
+    mockIssuer.setClaims({
+      sub: 'mock-user-1',
+      email: 'oidc@example.com',
+      email_verified: true,
+      preferred_username: 'oidc.user',
+    });
+  });
+
+  it('should list the configured providers', async () => {
+    const res = await request(app).get('/api/auth/oidc/providers');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.providers).toEqual([
+      expect.objectContaining({ id: 'mock', name: 'Mock ID' }),
+    ]);
+  });
+
+  it('should redirect to the provider with PKCE', async () => {
+    const res = await request(app).get('/api/auth/oidc/mock');
+    const location = new URL(res.headers.location);
+
+    expect(res.status).toBe(302);
+    expect(location.origin).toBe(mockIssuer.issuer);
+    expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+  });
+
+  it('should return 404 for an unknown provider', async () => {
+    const res = await request(app).get('/api/auth/oidc/unknown');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should create a verified account and issue app tokens', async () => {
+    const result = await signIn();
+
+    expect(result.get('token')).toBeTruthy();
+    expect(result.get('refreshToken')).toBeTruthy();
+
+    const user = await User.findOne({ email: 'oidc@example.com' });
+    expect(user.username).toBe('oidcuser');
+    expect(user.emailVerified).toBe(true);
+    expect(user.identities).toHaveLength(1);
+
+    const profile = await request(app)
+      .get('/api/auth/profile')
+      .set('Authorization', `Bearer ${result.get('token')}`);
+    expect(profile.status).toBe(200);
+  });
+
+  it('should link the identity to an existing verified account', async () => {
+    const existing = await User.create({
+      username: 'existing',
+      email: 'oidc@example.com',
+      password: 'Password123',
+      emailVerified: true,
+    });
+
+    await signIn();
+    await signIn();
+
+    const user = await User.findById(existing._id);
+    expect(user.identities).toEqual([
+      expect.objectContaining({ provider: 'mock', subject: 'mock-user-1' }),
+    ]);
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it('should not link to an account with an unverified email', async () => {
+    await User.create({
+      username: 'squatter',
+      email: 'oidc@example.com',
+      password: 'Password123',
+    });
+
+    const result = await signIn();
+
+    expect(result.get('error')).toBe('account_not_verified');
+    expect(result.get('token')).toBeNull();
+  });
+
+  it('should refuse identities without a verified email', async () => {
+    mockIssuer.setClaims({ sub: 'mock-user-2', email: 'new@example.com', email_verified: false });
+
+    const result = await signIn();
+
+    expect(result.get('error')).toBe('email_not_verified');
+  });
+
+  it('should reject a callback with an unknown state', async () => {
+    const res = await request(app).get('/api/auth/oidc/mock/callback?code=abc&state=forged');
+
+    expect(new URL(res.headers.location).hash).toBe('#error=invalid_state');
+  });
+});
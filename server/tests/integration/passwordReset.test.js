@@ -0,0 +1,182 @@
+// passwordReset.test.js - Integration tests for the password reset flow
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { createMemoryTransport, setTransport } = require('../../src/utils/mailer');
+
+const credentials = {
+  email: 'reset@example.com',
+  password: 'Password123',
+};
+
+let mailbox;
+
+// Pull the reset token out of the last email sent
+const lastResetToken = () => {
+  const message = mailbox.outbox[mailbox.outbox.length - 1];
+  return message.text.match(/token=([a-f0-9]+)/)[1];
+};
+
+const requestReset = () => {
+  return request(app)
+    .post('/api/auth/forgot-password')
+    .send({ email: credentials.email });
+};
+
+describe('Password Reset API', () => {
+  beforeEach(async () => {
+    mailbox = createMemoryTransport();
+    setTransport(mailbox);
+
+    await User.create({
+      username: 'resetuser',
+      email: credentials.email,
+      password: credentials.password,
+    });
+  });
+
+  afterAll(() => {
+    setTransport(null);
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    it('should email a reset link and store only a hash of the token', async () => {
+      const res = await requestReset();
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(mailbox.outbox).toHaveLength(1);
+      expect(mailbox.outbox[0].to).toBe(credentials.email);
+
+      const token = lastResetToken();
+      const user = await User.findOne({ email: credentials.email })
+        .select('+passwordResetToken +passwordResetExpires');
+
+      expect(user.passwordResetToken).toBeDefined();
+      expect(user.passwordResetToken).not.toBe(token);
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should respond the same way for unknown emails without sending mail', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      const known = await requestReset();
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(known.body);
+      expect(mailbox.outbox).toHaveLength(1);
+    });
+
+    it('should return 400 for an invalid email', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'not-an-email' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/reset-password', () => {
+    it('should reset the password with a valid token', async () => {
+      await requestReset();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastResetToken(), password: 'NewPassword123' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: credentials.email, password: 'NewPassword123' });
+      expect(login.status).toBe(200);
+    });
+
+    it('should only accept a token once', async () => {
+      await requestReset();
+      const token = lastResetToken();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'NewPassword123' });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'OtherPassword123' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Password reset token is invalid or has expired');
+    });
+
+    it('should only accept a token once when used concurrently', async () => {
+      await requestReset();
+      const token = lastResetToken();
+
+      const responses = await Promise.all(['NewPassword123', 'OtherPassword123'].map(password => (
+        request(app)
+          .post('/api/auth/reset-password')
+          .send({ token, password })
+      )));
+
+      expect(responses.map(res => res.status).sort()).toEqual([200, 400]);
+    });
+
+    it('should reject an expired token', async () => {
+      await requestReset();
+      await User.updateOne(
+        { email: credentials.email },
+        { passwordResetExpires: new Date(Date.now() - 1000) }
+      );
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastResetToken(), password: 'NewPassword123' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should enforce password requirements', async () => {
+      await requestReset();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastResetToken(), password: 'alllowercase' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toContain('Password must contain at least one uppercase letter');
+    });
+
+    it('should sign out existing sessions', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send(credentials);
+      await requestReset();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastResetToken(), password: 'NewPassword123' });
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${login.body.data.token}`);
+
+      expect(profile.status).toBe(401);
+    });
+
+    it('should invalidate an earlier token when a new one is requested', async () => {
+      await requestReset();
+      const firstToken = lastResetToken();
+      await requestReset();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: firstToken, password: 'NewPassword123' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
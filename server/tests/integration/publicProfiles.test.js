@@ -0,0 +1,93 @@
+// publicProfiles.test.js - Integration tests for public author profiles
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Follow = require('../../src/models/Follow');
+const { generateToken } = require('../../src/utils/auth');
+
+let author;
+
+describe('Public Profiles', () => {
+  beforeEach(async () => {
+    author = await User.create({
+      username: 'writer',
+      email: 'writer@example.com',
+      password: 'Password123',
+      firstName: 'Ada',
+      lastName: 'Writer',
+      bio: 'Writes things',
+    });
+
+    const category = await Category.create({ name: 'General', slug: 'general' });
+    const post = (title, status) => Post.create({
+      title,
+      content: 'Content for the profile tests',
+      author: author._id,
+      category: category._id,
+      status,
+    });
+
+    await post('First published post', 'published');
+    await post('Second published post', 'published');
+    await post('Unfinished draft post', 'draft');
+  });
+
+  describe('GET /api/users/by-username/:username', () => {
+    it('should return only public fields without authentication', async () => {
+      const res = await request(app).get('/api/users/by-username/writer');
+
+      expect(res.status).toBe(200);
+      const { user } = res.body.data;
+      expect(user.username).toBe('writer');
+      expect(user.fullName).toBe('Ada Writer');
+      expect(user.bio).toBe('Writes things');
+      expect(user.joinedAt).toBeDefined();
+      expect(user.postCount).toBe(2);
+      expect(user.followersCount).toBe(0);
+      expect(user.email).toBeUndefined();
+      expect(user.role).toBeUndefined();
+      expect(user.password).toBeUndefined();
+      expect(res.body.data.isFollowing).toBe(false);
+    });
+
+    it('should tell a signed-in viewer whether they follow the author', async () => {
+      const reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123',
+      });
+      await Follow.follow(reader._id, author._id);
+
+      const res = await request(app)
+        .get('/api/users/by-username/writer')
+        .set('Authorization', `Bearer ${generateToken(reader)}`);
+
+      expect(res.body.data.isFollowing).toBe(true);
+      expect(res.body.data.user.followersCount).toBe(1);
+    });
+
+    it('should return 404 for unknown and deleted users', async () => {
+      const unknown = await request(app).get('/api/users/by-username/nobody');
+      expect(unknown.status).toBe(404);
+
+      await author.softDelete({ deletedBy: author._id });
+      const deleted = await request(app).get('/api/users/by-username/writer');
+      expect(deleted.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/users/by-username/:username/posts', () => {
+    it('should page through the author\'s published posts', async () => {
+      const res = await request(app).get('/api/users/by-username/writer/posts?limit=1');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.posts).toHaveLength(1);
+      expect(res.body.data.pagination.totalPosts).toBe(2);
+      expect(res.body.data.pagination.hasNextPage).toBe(true);
+      expect(res.body.data.posts[0].author.username).toBe('writer');
+    });
+  });
+});
@@ -0,0 +1,198 @@
+// restrictions.test.js - Integration tests for blocking and muting users
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Follow = require('../../src/models/Follow');
+const { generateToken } = require('../../src/utils/auth');
+
+let author;
+let authorToken;
+let reader;
+let readerToken;
+let category;
+
+const createUser = (username) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    emailVerified: true,
+  });
+};
+
+const createPost = (title, owner, comments = []) => {
+  return Post.create({
+    title,
+    content: 'Content for the restriction tests',
+    author: owner._id,
+    category: category._id,
+    status: 'published',
+    comments,
+  });
+};
+
+const restrict = (type, id, token) => {
+  return request(app)
+    .post(`/api/users/${id}/${type}`)
+    .set('Authorization', `Bearer ${token}`);
+};
+
+describe('Blocking and muting', () => {
+  beforeEach(async () => {
+    author = await createUser('author');
+    authorToken = generateToken(author);
+    reader = await createUser('reader');
+    readerToken = generateToken(reader);
+    category = await Category.create({ name: 'General', slug: 'general' });
+  });
+
+  describe('blocking', () => {
+    let post;
+
+    beforeEach(async () => {
+      post = await createPost('Post by the author', author);
+      await restrict('block', reader._id, authorToken);
+    });
+
+    it('should stop a blocked user from commenting on the blocker\'s posts', async () => {
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/comments`)
+        .set('Authorization', `Bearer ${readerToken}`)
+        .send({ content: 'Let me in' });
+
+      expect(res.status).toBe(403);
+      expect((await Post.findById(post._id)).comments).toHaveLength(0);
+    });
+
+    it('should stop a blocked user from liking the blocker\'s posts', async () => {
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/like`)
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let the blocked user comment again once unblocked', async () => {
+      await request(app)
+        .delete(`/api/users/${reader._id}/block`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/comments`)
+        .set('Authorization', `Bearer ${readerToken}`)
+        .send({ content: 'Thanks' });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('should remove and prevent the blocked user\'s follow', async () => {
+      await Follow.follow(reader._id, author._id);
+      await restrict('block', reader._id, authorToken);
+
+      expect(await Follow.isFollowing(reader._id, author._id)).toBe(false);
+
+      const res = await restrict('follow', author._id, readerToken);
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('muting', () => {
+    beforeEach(async () => {
+      await createPost('Post by the author', author);
+      await createPost('Post by the reader', reader);
+      await createPost('Post with comments', reader, [
+        { user: author._id, content: 'Muted comment' },
+        { user: reader._id, content: 'Visible comment' },
+      ]);
+      await restrict('mute', author._id, readerToken);
+    });
+
+    it('should leave muted authors out of the post list and keep pages full', async () => {
+      const res = await request(app)
+        .get('/api/posts?limit=2')
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.posts).toHaveLength(2);
+      expect(res.body.data.posts.every(post => post.author.username === 'reader')).toBe(true);
+      expect(res.body.data.pagination.totalPosts).toBe(2);
+    });
+
+    it('should hide muted users\' comments in post lists and on the post page', async () => {
+      const commented = await Post.findOne({ title: 'Post with comments' });
+
+      const list = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${readerToken}`);
+      const listed = list.body.data.posts.find(post => post.title === 'Post with comments');
+      expect(listed.comments.map(comment => comment.content)).toEqual(['Visible comment']);
+
+      const single = await request(app)
+        .get(`/api/posts/${commented._id}`)
+        .set('Authorization', `Bearer ${readerToken}`);
+      expect(single.body.data.post.comments.map(comment => comment.content)).toEqual(['Visible comment']);
+      expect((await Post.findById(commented._id)).comments).toHaveLength(2);
+    });
+
+    it('should not show a muted author\'s post on its own page or count the view', async () => {
+      const muted = await Post.findOne({ title: 'Post by the author' });
+
+      const res = await request(app)
+        .get(`/api/posts/${muted._id}`)
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.status).toBe(404);
+      expect((await Post.findById(muted._id)).views).toBe(0);
+    });
+
+    it('should leave muted authors out of the following feed', async () => {
+      await Follow.follow(reader._id, author._id);
+
+      const res = await request(app)
+        .get('/api/posts/feed')
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.body.data.posts).toEqual([]);
+    });
+
+    it('should only affect the user who muted', async () => {
+      const res = await request(app).get('/api/posts');
+
+      expect(res.body.data.pagination.totalPosts).toBe(3);
+    });
+  });
+
+  describe('restriction lists', () => {
+    it('should list blocked and muted users separately', async () => {
+      const other = await createUser('other');
+      await restrict('block', author._id, readerToken);
+      await restrict('mute', other._id, readerToken);
+
+      const blocked = await request(app)
+        .get('/api/users/blocked')
+        .set('Authorization', `Bearer ${readerToken}`);
+      const muted = await request(app)
+        .get('/api/users/muted')
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(blocked.body.data.users.map(user => user.username)).toEqual(['author']);
+      expect(muted.body.data.users.map(user => user.username)).toEqual(['other']);
+
+      const profile = await request(app)
+        .get(`/api/users/${author._id}`)
+        .set('Authorization', `Bearer ${readerToken}`);
+      expect(profile.body.data.isBlocked).toBe(true);
+      expect(profile.body.data.isMuted).toBe(false);
+    });
+
+    it('should not let users block themselves', async () => {
+      const res = await restrict('block', reader._id, readerToken);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('You cannot block yourself');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+// revisions.test.js - Integration tests for post revision history
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+const { generateToken } = require('../../src/utils/auth');
+
+let author;
+let authorToken;
+let post;
+
+const createUser = (username, role) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+    emailVerified: true,
+  });
+};
+
+const edit = (changes, token = authorToken) => {
+  return request(app)
+    .put(`/api/posts/${post._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(changes);
+};
+
+describe('Post revisions', () => {
+  beforeEach(async () => {
+    author = await createUser('author', 'author');
+    authorToken = generateToken(author);
+    post = await Post.create({
+      title: 'The original title',
+      content: 'The quick brown fox jumps over the lazy dog',
+      author: author._id,
+      tags: ['animals'],
+    });
+  });
+
+  describe('recording', () => {
+    it('should keep the original and every edit with editor and summary', async () => {
+      await edit({ content: 'The quick red fox jumps over the lazy dog', changeSummary: 'Fix the colour' });
+      await edit({ title: 'A better title' });
+
+      const res = await request(app)
+        .get(`/api/posts/${post._id}/revisions`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(200);
+      const { revisions } = res.body.data;
+      expect(revisions.map(revision => revision.number)).toEqual([3, 2, 1]);
+      expect(revisions[0].summary).toBe('Changed title');
+      expect(revisions[1].summary).toBe('Fix the colour');
+      expect(revisions[1].changedFields).toEqual(['content']);
+      expect(revisions[1].editor.username).toBe('author');
+      expect(revisions[2].summary).toBe('Original version');
+      expect(revisions[0].content).toBeUndefined();
+    });
+
+    it('should not record edits that leave the text unchanged', async () => {
+      await edit({ status: 'draft' });
+
+      expect(await PostRevision.countDocuments({ post: post._id })).toBe(0);
+    });
+
+    it('should number concurrent edits without clashing', async () => {
+      const responses = await Promise.all([
+        edit({ content: 'The first of two edits made at the same time' }),
+        edit({ content: 'The second of two edits made at the same time' }),
+      ]);
+
+      const revisions = await PostRevision.find({ post: post._id }).sort({ number: 1 });
+
+      expect(responses.map(res => res.status)).toEqual([200, 200]);
+      expect(revisions.map(revision => revision.number)).toEqual([1, 2, 3]);
+      expect(revisions[0].summary).toBe('Original version');
+    });
+
+    it('should keep only the newest revisions', async () => {
+      for (let index = 1; index <= 4; index += 1) {
+        await edit({ content: `Content long enough, version ${index}` });
+      }
+
+      const result = await PostRevision.prune(post._id, 3);
+      const kept = await PostRevision.find({ post: post._id }).sort({ number: 1 });
+
+      expect(result.deletedCount).toBe(2);
+      expect(kept.map(revision => revision.number)).toEqual([3, 4, 5]);
+    });
+  });
+
+  describe('GET /api/posts/:id/revisions/diff', () => {
+    it('should diff the latest revision against the one before by default', async () => {
+      await edit({ content: 'The quick red fox jumps over the lazy dog', tags: ['animals', 'foxes'] });
+
+      const res = await request(app)
+        .get(`/api/posts/${post._id}/revisions/diff`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.from).toBe(1);
+      expect(res.body.data.to).toBe(2);
+      expect(res.body.data.content.changes).toContainEqual({ type: 'removed', value: 'brown' });
+      expect(res.body.data.content.changes).toContainEqual({ type: 'added', value: 'red' });
+      expect(res.body.data.tags).toEqual({ added: ['foxes'], removed: [] });
+    });
+
+    it('should diff any two revisions', async () => {
+      await edit({ title: 'Second title' });
+      await edit({ title: 'Third title' });
+
+      const res = await request(app)
+        .get(`/api/posts/${post._id}/revisions/diff?from=3&to=1`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.body.data.title.changes).toEqual([
+        { type: 'removed', value: 'Third' },
+        { type: 'added', value: 'The original' },
+        { type: 'equal', value: ' title' },
+      ]);
+    });
+  });
+
+  describe('POST /api/posts/:id/revisions/:rev/restore', () => {
+    it('should restore an earlier revision as a new revision', async () => {
+      await edit({ title: 'A regrettable title', content: 'Content that should not have been published' });
+
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.post.title).toBe('The original title');
+      expect(res.body.data.revision.number).toBe(3);
+      expect(res.body.data.revision.summary).toBe('Restored revision 1');
+
+      const stored = await Post.findById(post._id);
+      expect(stored.content).toBe('The quick brown fox jumps over the lazy dog');
+    });
+
+    it('should return 404 for a revision that does not exist', async () => {
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/revisions/7/restore`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('access', () => {
+    it('should hide the history from people who cannot edit the post', async () => {
+      const reader = await createUser('reader', 'reader');
+
+      const res = await request(app)
+        .get(`/api/posts/${post._id}/revisions`)
+        .set('Authorization', `Bearer ${generateToken(reader)}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let editors see and restore any post', async () => {
+      const editor = await createUser('editor', 'editor');
+      const editorToken = generateToken(editor);
+      await edit({ title: 'Edited by the author' });
+
+      const res = await request(app)
+        .post(`/api/posts/${post._id}/revisions/1/restore`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.revision.editor).toBe(String(editor._id));
+    });
+
+    it('should delete the history with the post', async () => {
+      await edit({ title: 'Edited before deletion' });
+
+      await request(app)
+        .delete(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(await PostRevision.countDocuments({ post: post._id })).toBe(0);
+    });
+  });
+});
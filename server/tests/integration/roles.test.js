@@ -0,0 +1,210 @@
+// roles.test.js - Integration tests for roles and permissions
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const { generateToken } = require('../../src/utils/auth');
+
+let admin;
+let adminToken;
+
+const createUser = async (username, role) => {
+  const user = await User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+  });
+  return { user, token: generateToken(user) };
+};
+
+describe('Roles and Permissions', () => {
+  beforeEach(async () => {
+    ({ user: admin, token: adminToken } = await createUser('admin', 'admin'));
+  });
+
+  describe('profile payload', () => {
+    it('should include the effective permissions', async () => {
+      const { token } = await createUser('editor', 'editor');
+
+      const res = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.permissions).toEqual(
+        expect.arrayContaining(['post.edit.any', 'post.publish'])
+      );
+    });
+
+    it('should include permissions on login', async () => {
+      await createUser('reader', 'reader');
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reader@example.com', password: 'Password123' });
+
+      expect(res.body.data.user.permissions).toEqual(['comment.create']);
+    });
+  });
+
+  describe('post permissions', () => {
+    it('should not let readers create posts', async () => {
+      const { token } = await createUser('reader', 'reader');
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Reader post', content: 'Readers should not be able to write posts' });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should let editors update posts they do not own', async () => {
+      const { user: author } = await createUser('author', 'author');
+      const { token } = await createUser('editor', 'editor');
+      const post = await Post.create({
+        title: 'Author post',
+        content: 'A post written by someone else',
+        author: author._id,
+      });
+
+      const res = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Edited by editor' });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should not let authors update posts they do not own', async () => {
+      const { user: owner } = await createUser('owner', 'author');
+      const { token } = await createUser('author', 'author');
+      const post = await Post.create({
+        title: 'Owner post',
+        content: 'A post written by someone else',
+        author: owner._id,
+      });
+
+      const res = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Edited by author' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('/api/admin/roles', () => {
+    it('should list built-in roles', async () => {
+      const res = await request(app)
+        .get('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.roles.map(role => role.name)).toEqual(
+        expect.arrayContaining(['reader', 'author', 'editor', 'moderator', 'admin'])
+      );
+    });
+
+    it('should create a custom role that can be assigned', async () => {
+      const { user, token } = await createUser('reviewer', 'user');
+
+      const created = await request(app)
+        .post('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'reviewer', permissions: ['post.view.unpublished'] });
+      expect(created.status).toBe(201);
+
+      const assigned = await request(app)
+        .put(`/api/users/${user._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'reviewer' });
+      expect(assigned.status).toBe(200);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`);
+      expect(profile.body.data.user.permissions).toEqual(['post.view.unpublished']);
+    });
+
+    it('should reject unknown permissions', async () => {
+      const res = await request(app)
+        .post('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'broken', permissions: ['everything'] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not change built-in roles', async () => {
+      const res = await request(app)
+        .put('/api/admin/roles/editor')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['user.manage'] });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should not delete a role that is still assigned', async () => {
+      await request(app)
+        .post('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'reviewer', permissions: [] });
+      await createUser('reviewer', 'reviewer');
+
+      const res = await request(app)
+        .delete('/api/admin/roles/reviewer')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(409);
+    });
+
+    it('should require role.manage', async () => {
+      const { token } = await createUser('editor', 'editor');
+
+      const res = await request(app)
+        .get('/api/admin/roles')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('should not let a user manager deactivate or unlock someone with more permissions', async () => {
+      await request(app)
+        .post('/api/admin/roles')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'support', permissions: ['user.manage'] });
+      const { token } = await createUser('support', 'support');
+      const { user: peer } = await createUser('peer', 'support');
+
+      const deactivate = await request(app)
+        .put(`/api/users/${admin._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ isActive: false });
+      const unlock = await request(app)
+        .put(`/api/users/${admin._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ unlock: true });
+      const peerUpdate = await request(app)
+        .put(`/api/users/${peer._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ isActive: false });
+
+      expect(deactivate.status).toBe(403);
+      expect(unlock.status).toBe(403);
+      expect((await User.findById(admin._id)).isActive).toBe(true);
+      expect(peerUpdate.status).toBe(200);
+    });
+
+    it('should reject assigning a role that does not exist', async () => {
+      const res = await request(app)
+        .put(`/api/users/${admin._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'superuser' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+// scheduling.test.js - Integration tests for scheduled publishing
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const JobLock = require('../../src/models/JobLock');
+const { publishDuePosts, retryDelay } = require('../../src/jobs/publishScheduledPosts');
+const { generateToken } = require('../../src/utils/auth');
+
+const HOUR = 60 * 60 * 1000;
+
+let author;
+let authorToken;
+
+const inHours = hours => new Date(Date.now() + hours * HOUR);
+
+const createScheduledPost = (title, scheduledFor) => {
+  return Post.create({
+    title,
+    content: 'Content that will go live later',
+    author: author._id,
+    status: 'scheduled',
+    scheduledFor,
+  });
+};
+
+describe('Scheduled publishing', () => {
+  beforeEach(async () => {
+    author = await User.create({
+      username: 'author',
+      email: 'author@example.com',
+      password: 'Password123',
+      role: 'author',
+      emailVerified: true,
+    });
+    authorToken = generateToken(author);
+  });
+
+  describe('POST /api/posts', () => {
+    it('should schedule a post for a future time', async () => {
+      const scheduledFor = inHours(2);
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Scheduled post',
+          content: 'Content that will go live later',
+          status: 'scheduled',
+          scheduledFor: scheduledFor.toISOString(),
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.post.status).toBe('scheduled');
+      expect(new Date(res.body.data.post.scheduledFor)).toEqual(scheduledFor);
+      expect(res.body.data.post.publishedAt).toBeUndefined();
+    });
+
+    it('should reject a scheduled post without a future time', async () => {
+      const missing = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Scheduled post', content: 'Content that will go live later', status: 'scheduled' });
+
+      const past = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Scheduled post',
+          content: 'Content that will go live later',
+          status: 'scheduled',
+          scheduledFor: inHours(-1).toISOString(),
+        });
+
+      expect(missing.status).toBe(400);
+      expect(past.status).toBe(400);
+      expect(past.body.message).toMatch(/future/);
+    });
+
+    it('should reject a time on posts that are not scheduled', async () => {
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Draft post',
+          content: 'Content that will go live later',
+          status: 'draft',
+          scheduledFor: inHours(2).toISOString(),
+        });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject a malformed time', async () => {
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Scheduled post',
+          content: 'Content that will go live later',
+          status: 'scheduled',
+          scheduledFor: 'next tuesday',
+        });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/posts/:id', () => {
+    it('should reschedule a post and reset failed attempts', async () => {
+      const post = await createScheduledPost('Scheduled post', inHours(1));
+      await Post.updateOne({ _id: post._id }, { publishAttempts: 3, publishRetryAt: inHours(1) });
+      const scheduledFor = inHours(5);
+
+      const res = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ scheduledFor: scheduledFor.toISOString() });
+
+      expect(res.status).toBe(200);
+      const updated = await Post.findById(post._id);
+      expect(updated.scheduledFor).toEqual(scheduledFor);
+      expect(updated.publishAttempts).toBe(0);
+      expect(updated.publishRetryAt).toBeNull();
+    });
+
+    it('should reject moving a scheduled post into the past', async () => {
+      const post = await createScheduledPost('Scheduled post', inHours(1));
+
+      const res = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ scheduledFor: inHours(-1).toISOString() });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should clear the schedule when a scheduled post goes back to draft', async () => {
+      const post = await createScheduledPost('Scheduled post', inHours(1));
+
+      const res = await request(app)
+        .put(`/api/posts/${post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ status: 'draft' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.post.scheduledFor).toBeNull();
+    });
+  });
+
+  describe('scheduler', () => {
+    it('should publish due posts at their scheduled time and leave the rest', async () => {
+      const due = await createScheduledPost('Due scheduled post', inHours(1));
+      const later = await createScheduledPost('Later scheduled post', inHours(3));
+
+      const result = await publishDuePosts(inHours(2));
+
+      expect(result).toEqual({ published: 1, failed: 0, skipped: false });
+      const published = await Post.findById(due._id);
+      expect(published.status).toBe('published');
+      expect(published.publishedAt).toEqual(due.scheduledFor);
+      expect(published.scheduledFor).toBeNull();
+      expect((await Post.findById(later._id)).status).toBe('scheduled');
+    });
+
+    it('should hide scheduled posts from readers until they are published', async () => {
+      await createScheduledPost('Due scheduled post', inHours(1));
+
+      const before = await request(app).get('/api/posts');
+      await publishDuePosts(inHours(2));
+      const after = await request(app).get('/api/posts');
+
+      expect(before.body.data.posts).toHaveLength(0);
+      expect(after.body.data.posts).toHaveLength(1);
+    });
+
+    it('should not list scheduled posts for readers who ask for them by status', async () => {
+      await createScheduledPost('Future scheduled post', inHours(3));
+
+      const res = await request(app)
+        .get('/api/posts?status=scheduled')
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.posts).toHaveLength(0);
+    });
+
+    it('should back off and retry a post that fails to publish', async () => {
+      const post = await createScheduledPost('Failing scheduled post', inHours(1));
+      const now = inHours(2);
+      const updateOne = jest.spyOn(Post, 'updateOne').mockRejectedValueOnce(new Error('Write failed'));
+
+      const failed = await publishDuePosts(now);
+      updateOne.mockRestore();
+
+      expect(failed).toEqual({ published: 0, failed: 1, skipped: false });
+      const pending = await Post.findById(post._id);
+      expect(pending.status).toBe('scheduled');
+      expect(pending.publishAttempts).toBe(1);
+      expect(pending.publishRetryAt).toEqual(new Date(now.getTime() + retryDelay(1)));
+
+      // Not retried before the backoff ends
+      expect((await publishDuePosts(now)).published).toBe(0);
+
+      const retried = await publishDuePosts(pending.publishRetryAt);
+      expect(retried.published).toBe(1);
+      expect((await Post.findById(post._id)).publishAttempts).toBe(0);
+    });
+
+    it('should cap the backoff at an hour', () => {
+      expect(retryDelay(1)).toBe(60 * 1000);
+      expect(retryDelay(2)).toBe(2 * 60 * 1000);
+      expect(retryDelay(20)).toBe(HOUR);
+    });
+
+    it('should skip the run while another instance holds the lock', async () => {
+      await createScheduledPost('Due scheduled post', inHours(1));
+      const now = inHours(2);
+      await JobLock.acquire('publish-scheduled-posts', 'other-instance', HOUR, now);
+
+      const result = await publishDuePosts(now);
+
+      expect(result.skipped).toBe(true);
+      expect(await Post.countDocuments({ status: 'scheduled' })).toBe(1);
+    });
+
+    it('should take over a lock whose lease has expired', async () => {
+      await createScheduledPost('Due scheduled post', inHours(1));
+      await JobLock.acquire('publish-scheduled-posts', 'crashed-instance', 60 * 1000, inHours(1));
+
+      const result = await publishDuePosts(inHours(2));
+
+      expect(result.published).toBe(1);
+    });
+  });
+});
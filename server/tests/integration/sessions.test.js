@@ -0,0 +1,160 @@
+// sessions.test.js - Integration tests for session management endpoints
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Session = require('../../src/models/Session');
+
+const credentials = {
+  email: 'sessions@example.com',
+  password: 'Password123',
+};
+
+const loginFrom = async (userAgent) => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send(credentials);
+  return res.body.data;
+};
+
+describe('Sessions API', () => {
+  beforeEach(async () => {
+    await User.create({
+      username: 'sessionuser',
+      email: credentials.email,
+      password: credentials.password,
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should record a session for the device', async () => {
+      await loginFrom('Mozilla/5.0 (Test Browser)');
+
+      const sessions = await Session.find();
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0].userAgent).toBe('Mozilla/5.0 (Test Browser)');
+      expect(sessions[0].ip).toBeDefined();
+      expect(sessions[0].lastSeenAt).toBeDefined();
+      expect(sessions[0].expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('GET /api/auth/sessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      const laptop = await loginFrom('Laptop Browser');
+      await loginFrom('Phone Browser');
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.sessions).toHaveLength(2);
+
+      const current = res.body.data.sessions.find(session => session.current);
+      expect(current.userAgent).toBe('Laptop Browser');
+      expect(current.createdAt).toBeDefined();
+      expect(current.lastSeenAt).toBeDefined();
+    });
+
+    it('should not list revoked sessions', async () => {
+      const laptop = await loginFrom('Laptop Browser');
+      const phone = await loginFrom('Phone Browser');
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${phone.token}`);
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${laptop.token}`);
+
+      expect(res.body.data.sessions).toHaveLength(1);
+      expect(res.body.data.sessions[0].userAgent).toBe('Laptop Browser');
+    });
+
+    it('should return 401 if not authenticated', async () => {
+      const res = await request(app).get('/api/auth/sessions');
+
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe('DELETE /api/auth/sessions/:id', () => {
+    it('should revoke another session and reject its tokens', async () => {
+      const laptop = await loginFrom('Laptop Browser');
+      const phone = await loginFrom('Phone Browser');
+      const phoneSession = await Session.findOne({ userAgent: 'Phone Browser' });
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${phoneSession._id}`)
+        .set('Authorization', `Bearer ${laptop.token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${phone.token}`);
+      expect(profile.status).toBe(401);
+
+      const refresh = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: phone.refreshToken });
+      expect(refresh.status).toBe(401);
+
+      const stillSignedIn = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${laptop.token}`);
+      expect(stillSignedIn.status).toBe(200);
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      await User.create({
+        username: 'otheruser',
+        email: 'other@example.com',
+        password: 'Password123',
+      });
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'other@example.com', password: 'Password123' });
+      const otherSession = await Session.findOne({ user: other.body.data.user._id });
+
+      const own = await loginFrom('Laptop Browser');
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${otherSession._id}`)
+        .set('Authorization', `Bearer ${own.token}`);
+
+      expect(res.status).toBe(404);
+
+      const reloaded = await Session.findById(otherSession._id);
+      expect(reloaded.revokedAt).toBeNull();
+    });
+
+    it('should return 400 for an invalid session ID', async () => {
+      const { token } = await loginFrom('Laptop Browser');
+
+      const res = await request(app)
+        .delete('/api/auth/sessions/not-an-id')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should keep the same session when rotating tokens', async () => {
+      const { refreshToken } = await loginFrom('Laptop Browser');
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(await Session.countDocuments()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+// tags.test.js - Integration tests for tags
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const AuditEvent = require('../../src/models/AuditEvent');
+const { generateToken } = require('../../src/utils/auth');
+
+let admin;
+let adminToken;
+let author;
+let authorToken;
+
+const createUser = (username, role) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+    emailVerified: true,
+  });
+};
+
+const createPost = (title, tags, status = 'published') => {
+  return Post.create({
+    title,
+    content: 'Content for the tag tests',
+    author: author._id,
+    tags,
+    status,
+  });
+};
+
+describe('Tags', () => {
+  beforeEach(async () => {
+    admin = await createUser('admin', 'admin');
+    adminToken = generateToken(admin);
+    author = await createUser('author', 'author');
+    authorToken = generateToken(author);
+  });
+
+  describe('normalisation on write', () => {
+    it('should normalise tags when a post is created and updated', async () => {
+      const created = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Post with messy tags',
+          content: 'Content long enough for a post',
+          tags: ['JavaScript', ' #javascript ', 'Machine Learning'],
+        });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.post.tags).toEqual(['javascript', 'machine-learning']);
+
+      const updated = await request(app)
+        .put(`/api/posts/${created.body.data.post._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ tags: ['Node.js', 'NODE.JS'] });
+
+      expect(updated.body.data.post.tags).toEqual(['node.js']);
+    });
+
+    it('should reject more tags than a post may carry', async () => {
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({
+          title: 'Post with too many tags',
+          content: 'Content long enough for a post',
+          tags: Array.from({ length: 11 }, (_, index) => `tag-${index}`),
+        });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/tags', () => {
+    beforeEach(async () => {
+      await createPost('First post', ['javascript', 'react']);
+      await createPost('Second post', ['javascript', 'java']);
+      await createPost('Draft post', ['javascript', 'secret'], 'draft');
+    });
+
+    it('should count published posts per tag, most used first', async () => {
+      const res = await request(app).get('/api/tags');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tags).toEqual([
+        { name: 'javascript', count: 2 },
+        { name: 'java', count: 1 },
+        { name: 'react', count: 1 },
+      ]);
+    });
+
+    it('should autocomplete by prefix', async () => {
+      const res = await request(app).get('/api/tags?prefix=JAV');
+
+      expect(res.body.data.tags.map(tag => tag.name)).toEqual(['javascript', 'java']);
+    });
+
+    it('should return a weighted cloud in alphabetical order', async () => {
+      const res = await request(app).get('/api/tags/cloud');
+
+      expect(res.body.data.tags.map(tag => tag.name)).toEqual(['java', 'javascript', 'react']);
+      expect(res.body.data.tags.find(tag => tag.name === 'javascript').weight).toBe(5);
+      expect(res.body.data.tags.find(tag => tag.name === 'react').weight).toBe(1);
+    });
+  });
+
+  describe('GET /api/tags/:tag/posts', () => {
+    it('should list published posts with the tag', async () => {
+      await createPost('Tagged post', ['react']);
+      await createPost('Tagged draft', ['react'], 'draft');
+      await createPost('Other post', ['vue']);
+
+      const res = await request(app).get('/api/tags/React/posts');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tag).toBe('react');
+      expect(res.body.data.posts.map(post => post.title)).toEqual(['Tagged post']);
+      expect(res.body.data.pagination.totalPosts).toBe(1);
+    });
+  });
+
+  describe('POST /api/tags/merge', () => {
+    it('should merge synonyms into one tag without duplicates', async () => {
+      const both = await createPost('Post with both', ['js', 'react', 'javascript']);
+      const short = await createPost('Post with the short form', ['ecmascript', 'js']);
+
+      const res = await request(app)
+        .post('/api/tags/merge')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tags: ['JS', 'ecmascript'], into: 'JavaScript' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.postsUpdated).toBe(2);
+      expect((await Post.findById(both._id)).tags).toEqual(['javascript', 'react']);
+      expect((await Post.findById(short._id)).tags).toEqual(['javascript']);
+      expect(await AuditEvent.countDocuments({ action: 'tag.merge' })).toBe(1);
+    });
+
+    it('should be limited to admins', async () => {
+      const res = await request(app)
+        .post('/api/tags/merge')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ tags: ['js'], into: 'javascript' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('PUT /api/tags/:tag', () => {
+    it('should rename a tag on every post', async () => {
+      const post = await createPost('Post to rename', ['reactjs', 'hooks']);
+
+      const res = await request(app)
+        .put('/api/tags/reactjs')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'React' });
+
+      expect(res.status).toBe(200);
+      expect((await Post.findById(post._id)).tags).toEqual(['react', 'hooks']);
+    });
+
+    it('should return 404 for a tag no post uses', async () => {
+      const res = await request(app)
+        .put('/api/tags/unused')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'something' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+// uploads.test.js - Integration tests for image uploads
+
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Upload = require('../../src/models/Upload');
+const { getStorage } = require('../../src/utils/storage');
+const { cleanupOrphanedUploads } = require('../../src/jobs/cleanupOrphanedUploads');
+const { generateToken } = require('../../src/utils/auth');
+
+let user;
+let token;
+
+const createPng = (width = 600, height = 400) => {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 20, g: 120, b: 200 } },
+  }).png().toBuffer();
+};
+
+const uploadImage = async (path, file, filename = 'photo.png') => {
+  return request(app)
+    .post(path)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('image', file, filename);
+};
+
+describe('Uploads', () => {
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'uploader',
+      email: 'uploader@example.com',
+      password: 'Password123',
+      role: 'author',
+      emailVerified: true,
+    });
+    token = generateToken(user);
+  });
+
+  describe('POST /api/uploads/avatar', () => {
+    it('should store resized variants and set the avatar', async () => {
+      const res = await uploadImage('/api/uploads/avatar', await createPng());
+
+      expect(res.status).toBe(201);
+      const { upload } = res.body.data;
+      expect(upload.variants.map(variant => variant.name).sort()).toEqual(['large', 'medium', 'thumb']);
+      expect(res.body.data.user.avatar).toBe(upload.url);
+      expect(upload.urls.thumb).toBe(`/api/uploads/${upload._id}/thumb`);
+
+      const stored = await getStorage().get(Upload.storageKey(upload._id, 'thumb'));
+      expect(stored.contentType).toBe('image/webp');
+    });
+
+    it('should reject files that are not images whatever their name', async () => {
+      const res = await uploadImage(
+        '/api/uploads/avatar',
+        Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'),
+        'avatar.png'
+      );
+
+      expect(res.status).toBe(415);
+      expect(await Upload.countDocuments()).toBe(0);
+    });
+
+    it('should reject images over the size limit', async () => {
+      const oversized = Buffer.concat([await createPng(10, 10), Buffer.alloc(6 * 1024 * 1024)]);
+
+      const res = await uploadImage('/api/uploads/avatar', oversized);
+
+      expect(res.status).toBe(413);
+    });
+
+    it('should require a file', async () => {
+      const res = await request(app)
+        .post('/api/uploads/avatar')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/uploads/:id/:variant', () => {
+    it('should serve variants with long-lived cache headers', async () => {
+      const upload = await uploadImage('/api/uploads/avatar', await createPng());
+      const url = upload.body.data.upload.urls.medium;
+
+      const res = await request(app).get(url);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('image/webp');
+      expect(res.headers['cache-control']).toBe('public, max-age=31536000, immutable');
+      expect(res.headers['cross-origin-resource-policy']).toBe('cross-origin');
+
+      const metadata = await sharp(res.body).metadata();
+      expect(metadata.width).toBe(256);
+
+      const cached = await request(app).get(url).set('If-None-Match', res.headers.etag);
+      expect(cached.status).toBe(304);
+    });
+
+    it('should return 404 for unknown uploads and variants', async () => {
+      const unknown = await request(app).get('/api/uploads/507f1f77bcf86cd799439011/large');
+      expect(unknown.status).toBe(404);
+
+      const badVariant = await request(app).get('/api/uploads/507f1f77bcf86cd799439011/original');
+      expect(badVariant.status).toBe(404);
+    });
+  });
+
+  describe('post featured images', () => {
+    it('should accept an uploaded image and reject outside URLs', async () => {
+      const upload = await uploadImage('/api/uploads/images', await createPng());
+      expect(upload.status).toBe(201);
+
+      const post = {
+        title: 'Post with an image',
+        content: 'Content long enough for a post',
+      };
+
+      const hotlinked = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...post, featuredImage: 'https://elsewhere.example.com/image.jpg' });
+      expect(hotlinked.status).toBe(400);
+
+      const created = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...post, featuredImage: upload.body.data.upload.url });
+      expect(created.status).toBe(201);
+      expect(created.body.data.post.featuredImage).toBe(upload.body.data.upload.url);
+    });
+
+    it('should not let users attach someone else\'s upload', async () => {
+      const other = await User.create({
+        username: 'other',
+        email: 'other@example.com',
+        password: 'Password123',
+      });
+      const upload = await Upload.create({ owner: other._id, kind: 'post', variants: [] });
+
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          title: 'Post with a borrowed image',
+          content: 'Content long enough for a post',
+          featuredImage: upload.url,
+        });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('orphan cleanup', () => {
+    it('should delete old uploads nothing points at and keep the rest', async () => {
+      const first = await uploadImage('/api/uploads/avatar', await createPng());
+      const second = await uploadImage('/api/uploads/avatar', await createPng());
+      const replaced = first.body.data.upload;
+      const current = second.body.data.upload;
+
+      const later = new Date(Date.now() + 48 * 60 * 60 * 1000);
+      const deleted = await cleanupOrphanedUploads(later);
+
+      expect(deleted).toBe(1);
+      expect(await Upload.exists({ _id: replaced._id })).toBeNull();
+      expect(await getStorage().get(Upload.storageKey(replaced._id, 'large'))).toBeNull();
+      expect(await Upload.exists({ _id: current._id })).not.toBeNull();
+    });
+
+    it('should keep images used by posts and recent uploads', async () => {
+      const used = await uploadImage('/api/uploads/images', await createPng());
+      await uploadImage('/api/uploads/images', await createPng());
+      await Post.create({
+        title: 'Post using an upload',
+        content: 'Content long enough for a post',
+        author: user._id,
+        featuredImage: used.body.data.upload.url,
+      });
+
+      expect(await cleanupOrphanedUploads()).toBe(0);
+      expect(await cleanupOrphanedUploads(new Date(Date.now() + 48 * 60 * 60 * 1000))).toBe(1);
+      expect(await Upload.exists({ _id: used.body.data.upload._id })).not.toBeNull();
+    });
+
+    it('should keep images that posts use through another variant', async () => {
+      const used = await uploadImage('/api/uploads/images', await createPng());
+      await Post.create({
+        title: 'Post using a thumbnail',
+        content: 'Content long enough for a post',
+        author: user._id,
+        featuredImage: used.body.data.upload.urls.thumb,
+      });
+
+      expect(await cleanupOrphanedUploads(new Date(Date.now() + 48 * 60 * 60 * 1000))).toBe(0);
+      expect(await Upload.exists({ _id: used.body.data.upload._id })).not.toBeNull();
+    });
+  });
+});
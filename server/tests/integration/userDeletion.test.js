@@ -0,0 +1,208 @@
+// userDeletion.test.js - Integration tests for soft delete, restore and purge
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
+const Session = require('../../src/models/Session');
+const { generateToken } = require('../../src/utils/auth');
+const { purgeDueUsers } = require('../../src/jobs/purgeDeletedUsers');
+
+let admin;
+let adminToken;
+let author;
+let reader;
+let post;
+
+const createUser = (username, role) => {
+  return User.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'Password123',
+    role,
+  });
+};
+
+const deleteUser = (id, body = {}) => {
+  return request(app)
+    .delete(`/api/users/${id}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+};
+
+// Move the purge date of a deleted user into the past
+const expireGracePeriod = (id) => {
+  return User.updateOne({ _id: id }, { 'deletion.purgeAfter': new Date(Date.now() - 1000) });
+};
+
+describe('User Deletion', () => {
+  beforeEach(async () => {
+    admin = await createUser('admin', 'admin');
+    adminToken = generateToken(admin);
+    author = await createUser('author', 'author');
+    reader = await createUser('reader', 'reader');
+
+    const category = await Category.create({ name: 'General', slug: 'general' });
+    post = await Post.create({
+      title: 'A post by the author',
+      content: 'Content written by the author',
+      author: author._id,
+      category: category._id,
+      status: 'published',
+      likes: [{ user: author._id }, { user: reader._id }],
+      comments: [
+        { user: author._id, content: 'Author comment' },
+        { user: reader._id, content: 'Reader comment' },
+      ],
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('should soft delete and sign the user out', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'author@example.com', password: 'Password123' });
+
+      const res = await deleteUser(author._id);
+
+      expect(res.status).toBe(200);
+      expect(new Date(res.body.data.purgeAfter).getTime()).toBeGreaterThan(Date.now());
+
+      const stored = await User.findById(author._id);
+      expect(stored.deletion.deletedAt).toBeDefined();
+      expect(stored.isActive).toBe(false);
+      expect(await Session.countDocuments({ user: author._id, revokedAt: null })).toBe(0);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'author@example.com', password: 'Password123' });
+      expect(login.status).toBe(401);
+    });
+
+    it('should keep the author on posts during the grace period', async () => {
+      await deleteUser(author._id);
+
+      const res = await request(app).get(`/api/posts/${post._id}`);
+
+      expect(res.body.data.post.author.username).toBe('author');
+    });
+
+    it('should hide deleted users from the user list unless asked for', async () => {
+      await deleteUser(author._id);
+
+      const live = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(live.body.data.users.map(user => user.username)).not.toContain('author');
+
+      const deleted = await request(app)
+        .get('/api/users')
+        .query({ deleted: 'true' })
+        .set('Authorization', `Bearer ${adminToken}`);
+      expect(deleted.body.data.users.map(user => user.username)).toEqual(['author']);
+    });
+
+    it('should reject reassigning to a missing user', async () => {
+      const res = await deleteUser(author._id, {
+        contentAction: 'reassign',
+        reassignTo: '507f1f77bcf86cd799439011',
+      });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/users/:id/restore', () => {
+    it('should restore the account before the purge', async () => {
+      await deleteUser(author._id);
+
+      const res = await request(app)
+        .post(`/api/users/${author._id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(200);
+
+      const stored = await User.findById(author._id);
+      expect(stored.deletion).toBeNull();
+      expect(stored.isActive).toBe(true);
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'author@example.com', password: 'Password123' });
+      expect(login.status).toBe(200);
+    });
+
+    it('should keep a deactivated account deactivated', async () => {
+      await User.updateOne({ _id: author._id }, { isActive: false });
+      await deleteUser(author._id);
+
+      await request(app)
+        .post(`/api/users/${author._id}/restore`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect((await User.findById(author._id)).isActive).toBe(false);
+    });
+  });
+
+  describe('purge', () => {
+    it('should anonymise posts and comments and drop likes by default', async () => {
+      await deleteUser(author._id);
+      await expireGracePeriod(author._id);
+
+      expect(await purgeDueUsers()).toBe(1);
+
+      expect(await User.exists({ _id: author._id })).toBeNull();
+
+      const stored = await Post.findById(post._id);
+      expect(stored.author).toBeNull();
+      expect(stored.likes.map(like => like.user.toString())).toEqual([reader._id.toString()]);
+      expect(stored.comments[0].user).toBeNull();
+      expect(stored.comments[1].user.toString()).toBe(reader._id.toString());
+
+      const res = await request(app).get(`/api/posts/${post._id}`);
+      expect(res.status).toBe(200);
+      expect(res.body.data.post.author).toBeNull();
+    });
+
+    it('should reassign posts when chosen at deletion time', async () => {
+      await deleteUser(author._id, { contentAction: 'reassign', reassignTo: reader._id.toString() });
+      await expireGracePeriod(author._id);
+
+      await purgeDueUsers();
+
+      const stored = await Post.findById(post._id);
+      expect(stored.author.toString()).toBe(reader._id.toString());
+    });
+
+    it('should leave accounts within the grace period alone', async () => {
+      await deleteUser(author._id);
+
+      expect(await purgeDueUsers()).toBe(0);
+      expect(await User.exists({ _id: author._id })).toBeTruthy();
+    });
+
+    it('should let admins purge now and choose how to handle posts', async () => {
+      await deleteUser(author._id);
+
+      const res = await request(app)
+        .post(`/api/users/${author._id}/purge`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ contentAction: 'reassign', reassignTo: admin._id.toString() });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.posts).toBe(1);
+
+      const stored = await Post.findById(post._id);
+      expect(stored.author.toString()).toBe(admin._id.toString());
+    });
+
+    it('should only purge users that were soft deleted first', async () => {
+      const res = await request(app)
+        .post(`/api/users/${author._id}/purge`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
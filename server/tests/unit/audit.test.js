@@ -0,0 +1,116 @@
+// audit.test.js - Unit tests for the audit trail helpers
+
+const { diffChanges, auditTarget } = require('../../src/utils/audit');
+const { toCsvCell, toCsvRow } = require('../../src/utils/csv');
+const { requestId } = require('../../src/middleware/requestId');
+const AuditEvent = require('../../src/models/AuditEvent');
+
+describe('Audit Utils', () => {
+  describe('diffChanges', () => {
+    it('should keep only the changed fields', () => {
+      const changes = diffChanges(
+        { role: 'user', isActive: true },
+        { role: 'editor', isActive: true }
+      );
+
+      expect(changes).toEqual({
+        before: { role: 'user' },
+        after: { role: 'editor' },
+      });
+    });
+
+    it('should compare arrays by value', () => {
+      const changes = diffChanges(
+        { permissions: ['post.create'] },
+        { permissions: ['post.create'] }
+      );
+
+      expect(changes).toEqual({ before: {}, after: {} });
+    });
+  });
+
+  describe('auditTarget', () => {
+    it('should describe a document', () => {
+      const doc = { _id: '507f1f77bcf86cd799439011' };
+
+      expect(auditTarget('User', doc, 'test@example.com')).toEqual({
+        type: 'User',
+        id: doc._id,
+        label: 'test@example.com',
+      });
+    });
+  });
+
+  describe('AuditEvent.buildQuery', () => {
+    it('should filter by actor, action and date range', () => {
+      const query = AuditEvent.buildQuery({
+        actor: '507f1f77bcf86cd799439011',
+        action: 'auth.login',
+        from: '2024-01-01',
+        to: '2024-02-01',
+      });
+
+      expect(query.actor).toBe('507f1f77bcf86cd799439011');
+      expect(query.action).toBe('auth.login');
+      expect(query.createdAt.$gte).toEqual(new Date('2024-01-01'));
+      expect(query.createdAt.$lte).toEqual(new Date('2024-02-01'));
+    });
+
+    it('should match a group of actions with a trailing wildcard', () => {
+      const { action } = AuditEvent.buildQuery({ action: 'auth.*' });
+
+      expect(new RegExp(action.$regex).test('auth.login_failed')).toBe(true);
+      expect(new RegExp(action.$regex).test('authx.login')).toBe(false);
+    });
+  });
+
+  describe('CSV export', () => {
+    it('should quote cells with separators, quotes and newlines', () => {
+      expect(toCsvCell('plain')).toBe('plain');
+      expect(toCsvCell('a,b')).toBe('"a,b"');
+      expect(toCsvCell('say "hi"')).toBe('"say ""hi"""');
+      expect(toCsvCell('two\nlines')).toBe('"two\nlines"');
+    });
+
+    it('should write objects as JSON and dates as ISO strings', () => {
+      expect(toCsvCell({ role: 'admin' })).toBe('"{""role"":""admin""}"');
+      expect(toCsvCell(new Date('2024-01-01T00:00:00Z'))).toBe('2024-01-01T00:00:00.000Z');
+      expect(toCsvCell(null)).toBe('');
+    });
+
+    it('should neutralise spreadsheet formulas', () => {
+      expect(toCsvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(toCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    });
+
+    it('should end rows with CRLF', () => {
+      expect(toCsvRow(['a', 1, undefined])).toBe('a,1,\r\n');
+    });
+  });
+
+  describe('requestId middleware', () => {
+    const run = (incoming) => {
+      const req = { get: () => incoming };
+      const res = { set: jest.fn() };
+      const next = jest.fn();
+
+      requestId(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('X-Request-Id', req.id);
+      return req.id;
+    };
+
+    it('should generate an id when none is sent', () => {
+      expect(run(undefined)).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should keep a well-formed id from a proxy', () => {
+      expect(run('abc-123')).toBe('abc-123');
+    });
+
+    it('should replace malformed ids', () => {
+      expect(run('bad id\nInjected: header')).not.toBe('bad id\nInjected: header');
+    });
+  });
+});
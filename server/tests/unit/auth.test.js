@@ -1,6 +1,22 @@
 // auth.test.js - Unit tests for authentication utilities
 
-const { generateToken, verifyToken, extractTokenFromHeader } = require('../../src/utils/auth');
+const {
+  generateToken,
+  generateImpersonationToken,
+  verifyToken,
+  extractTokenFromHeader,
+  extractApiKeyFromHeader,
+  generateApiKey,
+  generateRefreshToken,
+  verifyRefreshToken,
+  hashToken,
+  getTokenExpiry,
+  getTokenStatus,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+} = require('../../src/utils/auth');
 const jwt = require('jsonwebtoken');
 
 // Mock user object
@@ -35,6 +51,16 @@ describe('Authentication Utils', () => {
       expect(typeof decoded.exp).toBe('number');
       expect(decoded.exp).toBeGreaterThan(Date.now() / 1000);
     });
+
+    it('should include a unique token id and the token version', () => {
+      const first = jwt.decode(generateToken({ ...mockUser, tokenVersion: 3 }));
+      const second = jwt.decode(generateToken(mockUser));
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+      expect(first.tv).toBe(3);
+      expect(second.tv).toBe(0);
+    });
   });
 
   describe('verifyToken', () => {
@@ -129,4 +155,192 @@ describe('Authentication Utils', () => {
       expect(extracted).toBe(` ${token}`); // Includes the extra space
     });
   });
+
+  describe('extractApiKeyFromHeader', () => {
+    it('should extract the key from an ApiKey header', () => {
+      expect(extractApiKeyFromHeader('ApiKey mbk_abc123')).toBe('mbk_abc123');
+    });
+
+    it('should ignore Bearer headers', () => {
+      expect(extractApiKeyFromHeader('Bearer valid.jwt.token')).toBeNull();
+      expect(extractTokenFromHeader('ApiKey mbk_abc123')).toBeNull();
+    });
+
+    it('should return null for a missing header', () => {
+      expect(extractApiKeyFromHeader(undefined)).toBeNull();
+    });
+  });
+
+  describe('generateApiKey', () => {
+    it('should generate unique prefixed keys', () => {
+      const key = generateApiKey();
+
+      expect(key).toMatch(/^mbk_[a-f0-9]{64}$/);
+      expect(generateApiKey()).not.toBe(key);
+    });
+  });
+
+  describe('generateRefreshToken', () => {
+    it('should generate a refresh token with family and jti', () => {
+      const token = generateRefreshToken(mockUser, { family: 'family-1' });
+      const decoded = jwt.decode(token);
+
+      expect(decoded.id).toBe(mockUser._id);
+      expect(decoded.type).toBe('refresh');
+      expect(decoded.family).toBe('family-1');
+      expect(decoded.jti).toBeDefined();
+    });
+
+    it('should generate unique tokens for the same user and family', () => {
+      const first = generateRefreshToken(mockUser, { family: 'family-1' });
+      const second = generateRefreshToken(mockUser, { family: 'family-1' });
+
+      expect(first).not.toBe(second);
+    });
+
+    it('should not be accepted as an access token', () => {
+      const token = generateRefreshToken(mockUser, { family: 'family-1' });
+
+      expect(() => {
+        verifyToken(token);
+      }).toThrow('Invalid token');
+    });
+  });
+
+  describe('verifyRefreshToken', () => {
+    it('should verify a valid refresh token', () => {
+      const token = generateRefreshToken(mockUser, { family: 'family-1' });
+      const decoded = verifyRefreshToken(token);
+
+      expect(decoded.id).toBe(mockUser._id);
+      expect(decoded.family).toBe('family-1');
+    });
+
+    it('should reject access tokens', () => {
+      const token = generateToken(mockUser);
+
+      expect(() => {
+        verifyRefreshToken(token);
+      }).toThrow('Invalid refresh token');
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(() => {
+        verifyRefreshToken('not-a-valid-jwt');
+      }).toThrow('Invalid refresh token');
+    });
+  });
+
+  describe('hashToken', () => {
+    it('should produce a stable SHA-256 digest', () => {
+      const hash = hashToken('some.jwt.token');
+
+      expect(hash).toHaveLength(64);
+      expect(hashToken('some.jwt.token')).toBe(hash);
+      expect(hashToken('other.jwt.token')).not.toBe(hash);
+    });
+  });
+
+  describe('getTokenExpiry', () => {
+    it('should return the expiry date of a token', () => {
+      const token = generateRefreshToken(mockUser, { family: 'family-1' });
+      const expiry = getTokenExpiry(token);
+
+      expect(expiry).toBeInstanceOf(Date);
+      expect(expiry.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should return null for undecodable tokens', () => {
+      expect(getTokenExpiry('not-a-valid-jwt')).toBeNull();
+    });
+  });
+
+  describe('getTokenStatus', () => {
+    const issuedAt = 1700000000;
+    const decoded = { iat: issuedAt, exp: issuedAt + 1000 };
+
+    it('should report expiry time and remaining lifetime', () => {
+      const status = getTokenStatus(decoded, new Date((issuedAt + 100) * 1000));
+
+      expect(status.expiresAt).toBe(new Date((issuedAt + 1000) * 1000).toISOString());
+      expect(status.expiresIn).toBe(900);
+      expect(status.refreshRecommended).toBe(false);
+    });
+
+    it('should recommend a refresh near the end of the lifetime', () => {
+      const status = getTokenStatus(decoded, new Date((issuedAt + 800) * 1000));
+
+      expect(status.expiresIn).toBe(200);
+      expect(status.refreshRecommended).toBe(true);
+    });
+
+    it('should not report a negative remaining lifetime', () => {
+      const status = getTokenStatus(decoded, new Date((issuedAt + 2000) * 1000));
+
+      expect(status.expiresIn).toBe(0);
+      expect(status.refreshRecommended).toBe(true);
+    });
+  });
+
+  describe('generateImpersonationToken', () => {
+    it('should carry both identities and its own type', () => {
+      const admin = { ...mockUser, _id: '507f1f77bcf86cd799439022', tokenVersion: 2 };
+      const decoded = jwt.decode(generateImpersonationToken(admin, { ...mockUser, tokenVersion: 1 }));
+
+      expect(decoded.type).toBe('impersonation');
+      expect(decoded.id).toBe(mockUser._id);
+      expect(decoded.subject).toBe(mockUser._id);
+      expect(decoded.actor).toBe(admin._id);
+      expect(decoded.tv).toBe(1);
+      expect(decoded.atv).toBe(2);
+      expect(decoded.jti).toBeDefined();
+    });
+
+    it('should expire sooner than a refresh token', () => {
+      const decoded = jwt.decode(generateImpersonationToken(mockUser, mockUser));
+
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+  });
+
+  describe('MFA challenge tokens', () => {
+    it('should carry the user id and challenge type', () => {
+      const decoded = verifyMfaChallengeToken(generateMfaChallengeToken(mockUser));
+
+      expect(decoded.id).toBe(mockUser._id);
+      expect(decoded.type).toBe('mfa_required');
+    });
+
+    it('should reject access tokens', () => {
+      expect(() => {
+        verifyMfaChallengeToken(generateToken(mockUser));
+      }).toThrow('Invalid token');
+    });
+  });
+
+  describe('email verification tokens', () => {
+    it('should round-trip the user id and email', () => {
+      const token = generateEmailVerificationToken(mockUser);
+      const decoded = verifyEmailVerificationToken(token);
+
+      expect(decoded.id).toBe(mockUser._id);
+      expect(decoded.email).toBe(mockUser.email);
+    });
+
+    it('should not be accepted as an access token', () => {
+      const token = generateEmailVerificationToken(mockUser);
+
+      expect(() => {
+        verifyToken(token);
+      }).toThrow('Invalid token');
+    });
+
+    it('should reject access tokens', () => {
+      const token = generateToken(mockUser);
+
+      expect(() => {
+        verifyEmailVerificationToken(token);
+      }).toThrow('Invalid verification token');
+    });
+  });
 });
@@ -0,0 +1,166 @@
+// authCookies.test.js - Unit tests for cookie auth mode and CSRF protection
+
+const {
+  ACCESS_TOKEN_COOKIE,
+  REFRESH_TOKEN_COOKIE,
+  CSRF_COOKIE,
+  setAuthCookies,
+  clearAuthCookies,
+  getAccessTokenCookie,
+  getRefreshTokenCookie,
+} = require('../../src/utils/authCookies');
+const { csrfProtection } = require('../../src/middleware/csrf');
+const { generateToken, generateRefreshToken } = require('../../src/utils/auth');
+
+const mockUser = {
+  _id: '507f1f77bcf86cd799439011',
+  username: 'testuser',
+  email: 'test@example.com',
+  role: 'user',
+};
+
+const mockResponse = () => {
+  const res = {
+    cookies: {},
+    cleared: {},
+    statusCode: 200,
+  };
+  res.cookie = jest.fn((name, value, options) => {
+    res.cookies[name] = { value, options };
+  });
+  res.clearCookie = jest.fn((name, options) => {
+    res.cleared[name] = options;
+  });
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+const mockRequest = ({ method = 'POST', cookies = {}, headers = {} } = {}) => ({
+  method,
+  cookies,
+  headers,
+  get: name => headers[name.toLowerCase()],
+});
+
+describe('Cookie Auth', () => {
+  const originalMode = process.env.AUTH_COOKIE_MODE;
+
+  beforeEach(() => {
+    process.env.AUTH_COOKIE_MODE = 'true';
+  });
+
+  afterAll(() => {
+    process.env.AUTH_COOKIE_MODE = originalMode;
+  });
+
+  describe('setAuthCookies', () => {
+    it('should set HttpOnly token cookies and a readable CSRF cookie', () => {
+      const res = mockResponse();
+      const token = generateToken(mockUser);
+      const refreshToken = generateRefreshToken(mockUser, { family: 'family-1' });
+
+      setAuthCookies(res, { token, refreshToken });
+
+      expect(res.cookies[ACCESS_TOKEN_COOKIE].value).toBe(token);
+      expect(res.cookies[ACCESS_TOKEN_COOKIE].options.httpOnly).toBe(true);
+      expect(res.cookies[ACCESS_TOKEN_COOKIE].options.secure).toBe(true);
+      expect(res.cookies[ACCESS_TOKEN_COOKIE].options.sameSite).toBe('strict');
+      expect(res.cookies[ACCESS_TOKEN_COOKIE].options.maxAge).toBeGreaterThan(0);
+
+      expect(res.cookies[REFRESH_TOKEN_COOKIE].value).toBe(refreshToken);
+      expect(res.cookies[REFRESH_TOKEN_COOKIE].options.httpOnly).toBe(true);
+      expect(res.cookies[REFRESH_TOKEN_COOKIE].options.path).toBe('/api/auth');
+
+      expect(res.cookies[CSRF_COOKIE].value).toMatch(/^[a-f0-9]{64}$/);
+      expect(res.cookies[CSRF_COOKIE].options.httpOnly).toBe(false);
+    });
+
+    it('should clear every auth cookie on the paths they were set on', () => {
+      const res = mockResponse();
+
+      clearAuthCookies(res);
+
+      expect(res.cleared[ACCESS_TOKEN_COOKIE].path).toBe('/');
+      expect(res.cleared[REFRESH_TOKEN_COOKIE].path).toBe('/api/auth');
+      expect(res.cleared[CSRF_COOKIE].path).toBe('/');
+    });
+  });
+
+  describe('cookie readers', () => {
+    it('should read token cookies only in cookie mode', () => {
+      const req = mockRequest({
+        cookies: { [ACCESS_TOKEN_COOKIE]: 'access', [REFRESH_TOKEN_COOKIE]: 'refresh' },
+      });
+
+      expect(getAccessTokenCookie(req)).toBe('access');
+      expect(getRefreshTokenCookie(req)).toBe('refresh');
+
+      process.env.AUTH_COOKIE_MODE = 'false';
+
+      expect(getAccessTokenCookie(req)).toBeNull();
+      expect(getRefreshTokenCookie(req)).toBeNull();
+    });
+  });
+
+  describe('csrfProtection', () => {
+    const authCookies = {
+      [ACCESS_TOKEN_COOKIE]: 'access',
+      [CSRF_COOKIE]: 'csrf-value',
+    };
+
+    it('should accept unsafe requests that echo the CSRF cookie', () => {
+      const next = jest.fn();
+      const req = mockRequest({ cookies: authCookies, headers: { 'x-csrf-token': 'csrf-value' } });
+
+      csrfProtection(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject unsafe cookie requests without a matching header', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+
+      csrfProtection(mockRequest({ cookies: authCookies }), res, next);
+      expect(res.statusCode).toBe(403);
+
+      csrfProtection(
+        mockRequest({ cookies: authCookies, headers: { 'x-csrf-token': 'other-value' } }),
+        res,
+        next
+      );
+      expect(res.statusCode).toBe(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should skip safe methods, bearer requests and requests without auth cookies', () => {
+      const next = jest.fn();
+
+      csrfProtection(mockRequest({ method: 'GET', cookies: authCookies }), mockResponse(), next);
+      csrfProtection(
+        mockRequest({ cookies: authCookies, headers: { authorization: 'Bearer abc' } }),
+        mockResponse(),
+        next
+      );
+      csrfProtection(mockRequest(), mockResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(3);
+    });
+
+    it('should do nothing when cookie mode is off', () => {
+      process.env.AUTH_COOKIE_MODE = 'false';
+      const next = jest.fn();
+
+      csrfProtection(mockRequest({ cookies: authCookies }), mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// diff.test.js - Unit tests for the word-level diff
+
+const { tokenize, diffWords } = require('../../src/utils/diff');
+
+// Rebuild one side of a diff from its changes
+const side = (changes, skip) => changes
+  .filter(change => change.type !== skip)
+  .map(change => change.value)
+  .join('');
+
+describe('Diff Utils', () => {
+  describe('tokenize', () => {
+    it('should split words and whitespace so they join back into the text', () => {
+      const text = 'Hello,  world\nagain ';
+
+      expect(tokenize(text)).toEqual(['Hello,', '  ', 'world', '\n', 'again', ' ']);
+      expect(tokenize(text).join('')).toBe(text);
+      expect(tokenize('')).toEqual([]);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('diffWords', () => {
+    it('should mark replaced words and keep the rest', () => {
+      const result = diffWords('The quick brown fox jumps', 'The slow brown fox leaps high');
+
+      expect(result.changes).toEqual([
+        { type: 'equal', value: 'The ' },
+        { type: 'removed', value: 'quick' },
+        { type: 'added', value: 'slow' },
+        { type: 'equal', value: ' brown fox ' },
+        { type: 'removed', value: 'jumps' },
+        { type: 'added', value: 'leaps high' },
+      ]);
+      expect(result.added).toBe(3);
+      expect(result.removed).toBe(2);
+    });
+
+    it('should rebuild both texts from the changes', () => {
+      const before = 'One two three four five six seven';
+      const after = 'Zero one two four five five six eight';
+      const { changes } = diffWords(before, after);
+
+      expect(side(changes, 'added')).toBe(before);
+      expect(side(changes, 'removed')).toBe(after);
+    });
+
+    it('should report no changes for identical texts', () => {
+      const result = diffWords('Same text', 'Same text');
+
+      expect(result.changes).toEqual([{ type: 'equal', value: 'Same text' }]);
+      expect(result.added).toBe(0);
+      expect(result.removed).toBe(0);
+    });
+
+    it('should handle empty and missing texts', () => {
+      expect(diffWords('', 'New words').changes).toEqual([{ type: 'added', value: 'New words' }]);
+      expect(diffWords('Old words', undefined).changes).toEqual([{ type: 'removed', value: 'Old words' }]);
+      expect(diffWords('', '').changes).toEqual([]);
+    });
+
+    it('should fall back to a whole replacement for very large rewrites', () => {
+      const before = Array.from({ length: 4000 }, (_, index) => `a${index}`).join(' ');
+      const after = Array.from({ length: 4000 }, (_, index) => `b${index}`).join(' ');
+      const result = diffWords(before, after);
+
+      expect(result.changes.map(change => change.type)).toEqual(['removed', 'added']);
+      expect(result.removed).toBe(4000);
+      expect(result.added).toBe(4000);
+    });
+  });
+});
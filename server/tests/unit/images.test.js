@@ -0,0 +1,83 @@
+// images.test.js - Unit tests for upload image detection and processing
+
+const sharp = require('sharp');
+const { IMAGE_KINDS, detectImageType, processImage } = require('../../src/utils/images');
+
+// A small photo-like JPEG carrying EXIF data, including a rotation
+const createJpegWithExif = (width = 1200, height = 800) => {
+  return sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } },
+  })
+    .jpeg()
+    .withMetadata({
+      orientation: 6,
+      exif: { IFD0: { Copyright: 'Private photographer', ImageDescription: 'Home' } },
+    })
+    .toBuffer();
+};
+
+describe('Image Utils', () => {
+  describe('detectImageType', () => {
+    it('should recognise JPEG, PNG and WebP by their magic bytes', async () => {
+      const image = sharp({ create: { width: 4, height: 4, channels: 3, background: 'white' } });
+
+      expect(detectImageType(await image.clone().jpeg().toBuffer())).toBe('image/jpeg');
+      expect(detectImageType(await image.clone().png().toBuffer())).toBe('image/png');
+      expect(detectImageType(await image.clone().webp().toBuffer())).toBe('image/webp');
+    });
+
+    it('should reject other content whatever it claims to be', () => {
+      expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+      expect(detectImageType(Buffer.from('GIF89a'))).toBeNull();
+      expect(detectImageType(Buffer.from('%PDF-1.4'))).toBeNull();
+      expect(detectImageType(Buffer.alloc(0))).toBeNull();
+    });
+  });
+
+  describe('processImage', () => {
+    it('should produce every variant of the kind as WebP', async () => {
+      const variants = await processImage(await createJpegWithExif(), 'avatar');
+
+      expect(variants.map(variant => variant.name).sort())
+        .toEqual(Object.keys(IMAGE_KINDS.avatar.variants).sort());
+
+      for (const variant of variants) {
+        const expected = IMAGE_KINDS.avatar.variants[variant.name];
+        const metadata = await sharp(variant.data).metadata();
+        expect(metadata.format).toBe('webp');
+        expect(metadata.width).toBe(expected.width);
+        expect(metadata.height).toBe(expected.height);
+        expect(variant.size).toBe(variant.data.length);
+      }
+    });
+
+    it('should strip EXIF metadata after applying the orientation', async () => {
+      const variants = await processImage(await createJpegWithExif(1200, 800), 'post');
+      const large = variants.find(variant => variant.name === 'large');
+      const metadata = await sharp(large.data).metadata();
+
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.orientation).toBeUndefined();
+      // Orientation 6 is a quarter turn, so the landscape original ends up portrait
+      expect(large.height).toBeGreaterThan(large.width);
+    });
+
+    it('should not enlarge images smaller than a variant', async () => {
+      const small = await sharp({
+        create: { width: 300, height: 200, channels: 3, background: 'blue' },
+      }).png().toBuffer();
+
+      const variants = await processImage(small, 'post');
+      const large = variants.find(variant => variant.name === 'large');
+
+      expect(large.width).toBe(300);
+      expect(large.height).toBe(200);
+    });
+
+    it('should reject data that only looks like an image', async () => {
+      const truncated = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.alloc(64)]);
+
+      await expect(processImage(truncated, 'avatar')).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// mailer.test.js - Unit tests for the mail transport abstraction
+
+const {
+  createTransport,
+  createMemoryTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+} = require('../../src/utils/mailer');
+const { passwordResetEmail, accountLockedEmail, accountDeletedEmail } = require('../../src/utils/emails');
+const logger = require('../../src/utils/logger');
+
+describe('Mailer', () => {
+  afterEach(() => {
+    setTransport(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('createTransport', () => {
+    it('should create the requested transport', () => {
+      expect(createTransport('memory').name).toBe('memory');
+      expect(createTransport('console').name).toBe('console');
+      expect(createTransport('smtp').name).toBe('smtp');
+    });
+
+    it('should default to the memory transport in tests', () => {
+      expect(createTransport().name).toBe('memory');
+    });
+
+    it('should throw for an unknown transport', () => {
+      expect(() => createTransport('carrier-pigeon')).toThrow('Unknown mail transport');
+    });
+  });
+
+  describe('memory transport', () => {
+    it('should keep sent messages in its outbox', async () => {
+      const transport = createMemoryTransport();
+
+      await transport.send({ to: 'a@example.com', subject: 'Hello', text: 'Hi' });
+
+      expect(transport.outbox).toHaveLength(1);
+      expect(transport.outbox[0].to).toBe('a@example.com');
+      expect(transport.outbox[0].sentAt).toBeInstanceOf(Date);
+    });
+
+    it('should clear its outbox', async () => {
+      const transport = createMemoryTransport();
+      await transport.send({ to: 'a@example.com', subject: 'Hello', text: 'Hi' });
+
+      transport.clear();
+
+      expect(transport.outbox).toHaveLength(0);
+    });
+  });
+
+  describe('console transport', () => {
+    it('should write messages to the log', async () => {
+      const infoSpy = jest.spyOn(logger, 'info').mockImplementation(() => {});
+
+      await createTransport('console').send({
+        to: 'a@example.com',
+        subject: 'Hello',
+        text: 'Body text',
+      });
+
+      expect(infoSpy).toHaveBeenCalledWith(expect.stringContaining('a@example.com'));
+      expect(infoSpy).toHaveBeenCalledWith(expect.stringContaining('Body text'));
+    });
+  });
+
+  describe('sendMail', () => {
+    it('should send through the active transport with a default sender', async () => {
+      const transport = createMemoryTransport();
+      setTransport(transport);
+
+      await sendMail({ to: 'a@example.com', subject: 'Hello', text: 'Hi' });
+
+      expect(transport.outbox).toHaveLength(1);
+      expect(transport.outbox[0].from).toBeDefined();
+    });
+
+    it('should create a transport from config on first use', () => {
+      expect(getTransport().name).toBe('memory');
+      expect(getTransport()).toBe(getTransport());
+    });
+  });
+
+  describe('passwordResetEmail', () => {
+    it('should include a reset link with the token', () => {
+      const message = passwordResetEmail(
+        { username: 'testuser', email: 'test@example.com' },
+        'abc123',
+        30
+      );
+
+      expect(message.to).toBe('test@example.com');
+      expect(message.subject).toBe('Reset your password');
+      expect(message.text).toContain('/reset-password?token=abc123');
+      expect(message.text).toContain('30 minutes');
+    });
+  });
+
+  describe('accountLockedEmail', () => {
+    it('should tell the owner when the lock ends and how to reset', () => {
+      const lockedUntil = new Date('2024-01-01T12:00:00.000Z');
+      const message = accountLockedEmail(
+        { username: 'testuser', email: 'test@example.com' },
+        lockedUntil
+      );
+
+      expect(message.to).toBe('test@example.com');
+      expect(message.text).toContain('2024-01-01T12:00:00.000Z');
+      expect(message.text).toContain('/forgot-password');
+    });
+  });
+
+  describe('accountDeletedEmail', () => {
+    it('should tell the owner when their data is removed for good', () => {
+      const message = accountDeletedEmail(
+        { username: 'testuser', email: 'test@example.com' },
+        new Date('2024-02-01T00:00:00.000Z')
+      );
+
+      expect(message.to).toBe('test@example.com');
+      expect(message.subject).toBe('Your account has been deleted');
+      expect(message.text).toContain('2024-02-01T00:00:00.000Z');
+    });
+  });
+});
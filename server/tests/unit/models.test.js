@@ -459,5 +459,58 @@ describe('Models', () => {
       expect(error).toBeDefined();
       expect(error.code).toBe(11000); // Duplicate key error
     });
+
+    describe('hierarchy', () => {
+      let engineering;
+      let frontend;
+      let react;
+
+      beforeEach(async () => {
+        engineering = await Category.create({ name: 'Engineering' });
+
+        frontend = new Category({ name: 'Frontend' });
+        frontend.setParent(engineering);
+        await frontend.save();
+
+        react = new Category({ name: 'React' });
+        react.setParent(frontend);
+        await react.save();
+      });
+
+      it('should record the parent and the root-first ancestors', () => {
+        expect(react.parent).toEqual(frontend._id);
+        expect(react.ancestors).toEqual([engineering._id, frontend._id]);
+      });
+
+      it('should refuse to move a category under itself or a descendant', () => {
+        expect(engineering.setParent(engineering)).toBe(false);
+        expect(engineering.setParent(react)).toBe(false);
+        expect(engineering.parent).toBeNull();
+        expect(engineering.ancestors).toHaveLength(0);
+      });
+
+      it('should move a whole subtree in one update', async () => {
+        const platform = await Category.create({ name: 'Platform' });
+
+        frontend.setParent(platform);
+        await frontend.save();
+        const result = await Category.moveDescendants(frontend);
+
+        const moved = await Category.findById(react._id);
+        expect(result.modifiedCount).toBe(1);
+        expect(moved.ancestors).toEqual([platform._id, frontend._id]);
+      });
+
+      it('should list a subtree and build breadcrumbs', async () => {
+        const subtree = await Category.subtreeIds(engineering._id);
+        expect(subtree.map(String).sort()).toEqual(
+          [engineering._id, frontend._id, react._id].map(String).sort()
+        );
+
+        const breadcrumbs = await Category.breadcrumbsFor([react]);
+        expect(breadcrumbs.get(String(react._id)).map(crumb => crumb.name))
+          .toEqual(['Engineering', 'Frontend', 'React']);
+      });
+    });
   });
 });
@@ -0,0 +1,120 @@
+// oidc.test.js - Unit tests for the OpenID Connect client
+
+const {
+  getProviders,
+  getProvider,
+  getRedirectUri,
+  discover,
+  clearMetadataCache,
+  createCodeChallenge,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require('../../src/utils/oidc');
+const { createMockOidcIssuer } = require('../helpers/mockOidcIssuer');
+
+let mockIssuer;
+let provider;
+
+// Run the authorize step against the mock issuer and return its code
+const authorize = async (params) => {
+  const metadata = await discover(provider);
+  const response = await fetch(buildAuthorizationUrl(provider, metadata, params), {
+    redirect: 'manual',
+  });
+  return new URL(response.headers.get('location')).searchParams.get('code');
+};
+
+describe('OIDC Utils', () => {
+  beforeAll(async () => {
+    mockIssuer = await createMockOidcIssuer();
+    process.env.OIDC_PROVIDERS = JSON.stringify([
+      { id: 'mock', name: 'Mock ID', issuer: mockIssuer.issuer, clientId: mockIssuer.clientId },
+    ]);
+    provider = getProvider('mock');
+  });
+
+  afterAll(async () => {
+    delete process.env.OIDC_PROVIDERS;
+    clearMetadataCache();
+    await mockIssuer.close();
+  });
+
+  describe('getProviders', () => {
+    it('should read providers from the environment with defaults', () => {
+      const [configured] = getProviders();
+
+      expect(configured.id).toBe('mock');
+      expect(configured.scope).toBe('openid email profile');
+      expect(getProvider('unknown')).toBeNull();
+    });
+  });
+
+  describe('createCodeChallenge', () => {
+    it('should match the RFC 7636 S256 example', () => {
+      expect(createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+        .toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+  });
+
+  describe('buildAuthorizationUrl', () => {
+    it('should request a code with PKCE', async () => {
+      const metadata = await discover(provider);
+      const url = new URL(buildAuthorizationUrl(provider, metadata, {
+        state: 'state-1',
+        nonce: 'nonce-1',
+        codeVerifier: 'verifier-1',
+      }));
+
+      expect(url.searchParams.get('response_type')).toBe('code');
+      expect(url.searchParams.get('client_id')).toBe(mockIssuer.clientId);
+      expect(url.searchParams.get('redirect_uri')).toBe(getRedirectUri(provider));
+      expect(url.searchParams.get('code_challenge')).toBe(createCodeChallenge('verifier-1'));
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    });
+  });
+
+  describe('code exchange', () => {
+    const params = { state: 'state-1', nonce: 'nonce-1', codeVerifier: 'verifier-1' };
+
+    it('should exchange a code for a verified ID token', async () => {
+      mockIssuer.setClaims({ sub: 'user-1', email: 'oidc@example.com', email_verified: true });
+      const metadata = await discover(provider);
+      const code = await authorize(params);
+
+      const tokens = await exchangeCode(provider, metadata, { code, codeVerifier: params.codeVerifier });
+      const claims = await verifyIdToken(provider, metadata, tokens.id_token, params.nonce);
+
+      expect(claims.sub).toBe('user-1');
+      expect(claims.email).toBe('oidc@example.com');
+    });
+
+    it('should fail when the PKCE verifier does not match', async () => {
+      const metadata = await discover(provider);
+      const code = await authorize(params);
+
+      await expect(exchangeCode(provider, metadata, { code, codeVerifier: 'wrong' }))
+        .rejects.toThrow('invalid_grant');
+    });
+
+    it('should reject an ID token with the wrong nonce', async () => {
+      const metadata = await discover(provider);
+      const code = await authorize(params);
+      const tokens = await exchangeCode(provider, metadata, { code, codeVerifier: params.codeVerifier });
+
+      await expect(verifyIdToken(provider, metadata, tokens.id_token, 'other-nonce'))
+        .rejects.toThrow('ID token nonce mismatch');
+    });
+
+    it('should reject a tampered ID token', async () => {
+      const metadata = await discover(provider);
+      const code = await authorize(params);
+      const tokens = await exchangeCode(provider, metadata, { code, codeVerifier: params.codeVerifier });
+      const [header, , signature] = tokens.id_token.split('.');
+      const payload = Buffer.from(JSON.stringify({ sub: 'attacker', nonce: params.nonce })).toString('base64url');
+
+      await expect(verifyIdToken(provider, metadata, `${header}.${payload}.${signature}`, params.nonce))
+        .rejects.toThrow();
+    });
+  });
+});
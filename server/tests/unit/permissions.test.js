@@ -0,0 +1,62 @@
+// permissions.test.js - Unit tests for roles and permissions
+
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  hasPermission,
+} = require('../../src/utils/permissions');
+
+describe('Permissions Utils', () => {
+  describe('BUILT_IN_ROLES', () => {
+    it('should only grant known permissions', () => {
+      Object.values(BUILT_IN_ROLES).forEach((role) => {
+        role.permissions.forEach((permission) => {
+          expect(PERMISSIONS).toContain(permission);
+        });
+      });
+    });
+
+    it('should give admins every permission', () => {
+      expect(BUILT_IN_ROLES.admin.permissions).toEqual(PERMISSIONS);
+    });
+
+    it('should keep the default user role able to write and publish', () => {
+      expect(BUILT_IN_ROLES.user.permissions).toEqual(
+        expect.arrayContaining(['post.create', 'post.publish', 'comment.create'])
+      );
+    });
+
+    it('should not let readers create posts', () => {
+      expect(BUILT_IN_ROLES.reader.permissions).not.toContain('post.create');
+    });
+
+    it('should let editors edit any post but not manage users', () => {
+      expect(BUILT_IN_ROLES.editor.permissions).toContain('post.edit.any');
+      expect(BUILT_IN_ROLES.editor.permissions).not.toContain('user.manage');
+    });
+
+    it('should let moderators moderate comments', () => {
+      expect(BUILT_IN_ROLES.moderator.permissions).toContain('comment.moderate');
+    });
+  });
+
+  describe('isBuiltInRole', () => {
+    it('should recognise built-in roles only', () => {
+      expect(isBuiltInRole('editor')).toBe(true);
+      expect(isBuiltInRole('reviewer')).toBe(false);
+      expect(isBuiltInRole('constructor')).toBe(false);
+    });
+  });
+
+  describe('hasPermission', () => {
+    it('should check a permission list', () => {
+      expect(hasPermission(['post.create'], 'post.create')).toBe(true);
+      expect(hasPermission(['post.create'], 'user.manage')).toBe(false);
+    });
+
+    it('should handle missing permissions', () => {
+      expect(hasPermission(undefined, 'post.create')).toBe(false);
+    });
+  });
+});
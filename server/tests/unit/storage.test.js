@@ -0,0 +1,193 @@
+// storage.test.js - Unit tests for the upload storage drivers
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  createLocalStorage,
+  createS3Storage,
+  createMemoryStorage,
+  createStorage,
+  getStorage,
+  setStorage,
+} = require('../../src/utils/storage');
+
+const readBody = (stream) => new Promise((resolve, reject) => {
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  stream.on('end', () => resolve(Buffer.concat(chunks)));
+  stream.on('error', reject);
+});
+
+/**
+ * Minimal S3-compatible server: path-style PUT, GET and DELETE of objects
+ * Stands in for MinIO or S3 itself; signatures are not checked.
+ */
+const createS3StandIn = () => {
+  const objects = new Map();
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const objectPath = decodeURIComponent(req.url.split('?')[0]);
+    requests.push({ method: req.method, path: objectPath, headers: req.headers });
+
+    if (req.method === 'PUT') {
+      objects.set(objectPath, {
+        data: await readBody(req),
+        contentType: req.headers['content-type'],
+      });
+      res.writeHead(200, { ETag: '"stand-in"' });
+      return res.end();
+    }
+
+    if (req.method === 'GET') {
+      const object = objects.get(objectPath);
+      if (!object) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+      }
+      res.writeHead(200, {
+        'Content-Type': object.contentType,
+        'Content-Length': object.data.length,
+      });
+      return res.end(object.data);
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(objectPath);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    res.writeHead(405);
+    res.end();
+  });
+
+  return { server, objects, requests };
+};
+
+// Shared behaviour every driver must have
+const describeDriver = (getDriver) => {
+  it('should store, read back and delete an object', async () => {
+    const driver = getDriver();
+    const data = Buffer.from('variant bytes');
+
+    await driver.put('abc123/large.webp', data, { contentType: 'image/webp' });
+    const file = await driver.get('abc123/large.webp');
+
+    expect(file.contentType).toBe('image/webp');
+    expect(file.size).toBe(data.length);
+    expect(await readBody(file.body)).toEqual(data);
+
+    await driver.delete('abc123/large.webp');
+    expect(await driver.get('abc123/large.webp')).toBeNull();
+  });
+
+  it('should resolve missing objects to null and ignore deleting them', async () => {
+    const driver = getDriver();
+
+    expect(await driver.get('missing/large.webp')).toBeNull();
+    await expect(driver.delete('missing/large.webp')).resolves.not.toThrow();
+  });
+};
+
+describe('Storage', () => {
+  afterEach(() => {
+    setStorage(null);
+  });
+
+  describe('createStorage', () => {
+    it('should default to the memory driver in tests', () => {
+      expect(createStorage().name).toBe('memory');
+      expect(getStorage()).toBe(getStorage());
+    });
+
+    it('should throw for an unknown driver', () => {
+      expect(() => createStorage('ftp')).toThrow('Unknown storage driver: ftp');
+    });
+
+    it('should require a bucket for the s3 driver', () => {
+      const original = process.env.S3_BUCKET;
+      delete process.env.S3_BUCKET;
+
+      expect(() => createStorage('s3')).toThrow('S3_BUCKET is required');
+
+      if (original !== undefined) {
+        process.env.S3_BUCKET = original;
+      }
+    });
+  });
+
+  describe('memory driver', () => {
+    describeDriver(() => createMemoryStorage());
+  });
+
+  describe('local driver', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    describeDriver(() => createLocalStorage({ root }));
+
+    it('should write files under the root and remove empty upload directories', async () => {
+      const driver = createLocalStorage({ root });
+
+      await driver.put('abc123/thumb.webp', Buffer.from('x'));
+      expect(fs.existsSync(path.join(root, 'abc123', 'thumb.webp'))).toBe(true);
+
+      await driver.delete('abc123/thumb.webp');
+      expect(fs.existsSync(path.join(root, 'abc123'))).toBe(false);
+    });
+
+    it('should refuse keys that escape the root', async () => {
+      const driver = createLocalStorage({ root });
+
+      await expect(driver.put('../outside.webp', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+      await expect(driver.get('../../etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+  });
+
+  describe('s3 driver against a local stand-in', () => {
+    let standIn;
+    let endpoint;
+
+    beforeAll((done) => {
+      standIn = createS3StandIn();
+      standIn.server.listen(0, '127.0.0.1', () => {
+        endpoint = `http://127.0.0.1:${standIn.server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll((done) => {
+      standIn.server.close(done);
+    });
+
+    const createDriver = () => createS3Storage({
+      bucket: 'uploads',
+      endpoint,
+      region: 'us-east-1',
+      forcePathStyle: true,
+      accessKeyId: 'test-access-key',
+      secretAccessKey: 'test-secret-key',
+    });
+
+    describeDriver(createDriver);
+
+    it('should address objects by bucket and key with signed requests', async () => {
+      await createDriver().put('abc123/medium.webp', Buffer.from('y'), { contentType: 'image/webp' });
+
+      const put = standIn.requests.filter(request => request.method === 'PUT').pop();
+      expect(put.path).toBe('/uploads/abc123/medium.webp');
+      expect(put.headers.authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=test-access-key\//);
+      expect(standIn.objects.get('/uploads/abc123/medium.webp').contentType).toBe('image/webp');
+    });
+  });
+});
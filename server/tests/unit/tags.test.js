@@ -0,0 +1,56 @@
+// tags.test.js - Unit tests for tag normalisation
+
+const {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+} = require('../../src/utils/tags');
+
+describe('Tag Utils', () => {
+  describe('normalizeTag', () => {
+    it('should lowercase, trim and drop a leading #', () => {
+      expect(normalizeTag('  JavaScript ')).toBe('javascript');
+      expect(normalizeTag('#React')).toBe('react');
+    });
+
+    it('should join words with single dashes', () => {
+      expect(normalizeTag('Machine   Learning')).toBe('machine-learning');
+      expect(normalizeTag('web_dev')).toBe('web-dev');
+      expect(normalizeTag('--a--b--')).toBe('a-b');
+    });
+
+    it('should keep the symbols used in technology names', () => {
+      expect(normalizeTag('C++')).toBe('c++');
+      expect(normalizeTag('C#')).toBe('c#');
+      expect(normalizeTag('Node.js')).toBe('node.js');
+    });
+
+    it('should keep letters from any script and drop punctuation', () => {
+      expect(normalizeTag('Café!')).toBe('café');
+      expect(normalizeTag('日本語')).toBe('日本語');
+      expect(normalizeTag('<script>')).toBe('script');
+    });
+
+    it('should cap the length', () => {
+      expect(normalizeTag('a'.repeat(50))).toHaveLength(MAX_TAG_LENGTH);
+    });
+
+    it('should return an empty string for unusable input', () => {
+      expect(normalizeTag('###')).toBe('');
+      expect(normalizeTag('...')).toBe('');
+      expect(normalizeTag(42)).toBe('');
+      expect(normalizeTag(null)).toBe('');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    it('should drop empty tags and duplicates while keeping order', () => {
+      expect(normalizeTags(['React', ' javascript', '#react', '', 'JavaScript', '!!!']))
+        .toEqual(['react', 'javascript']);
+    });
+
+    it('should default to no tags', () => {
+      expect(normalizeTags()).toEqual([]);
+    });
+  });
+});
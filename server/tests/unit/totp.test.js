@@ -0,0 +1,129 @@
+// totp.test.js - Unit tests for one-time password utilities
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getTimeStep,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require('../../src/utils/totp');
+
+// RFC 6238 test secret: the ASCII string "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utils', () => {
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 128, 64]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC 4648 test vector', () => {
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('should ignore case, spaces and padding when decoding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should generate a random 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('generateHotp', () => {
+    it('should match the RFC 4226 test vectors', () => {
+      expect(generateHotp(RFC_SECRET, 0)).toBe('755224');
+      expect(generateHotp(RFC_SECRET, 1)).toBe('287082');
+      expect(generateHotp(RFC_SECRET, 9)).toBe('520489');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1234567890, '89005924'],
+        [20000000000, '65353130'],
+      ];
+
+      vectors.forEach(([seconds, expected]) => {
+        expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(expected);
+      });
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const time = 1234567890 * 1000;
+
+    it('should return the matching time step for a valid code', () => {
+      const code = generateTotp(RFC_SECRET, { time });
+
+      expect(verifyTotp(RFC_SECRET, code, { time })).toBe(getTimeStep(time));
+    });
+
+    it('should accept codes from adjacent steps within the window', () => {
+      const previous = generateTotp(RFC_SECRET, { time: time - 30000 });
+
+      expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(getTimeStep(time) - 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      const old = generateTotp(RFC_SECRET, { time: time - 90000 });
+
+      expect(verifyTotp(RFC_SECRET, old, { time })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(RFC_SECRET, '12345', { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(verifyTotp(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build an otpauth URI for authenticator apps', () => {
+      const uri = buildOtpauthUri({
+        secret: 'JBSWY3DPEHPK3PXP',
+        accountName: 'test@example.com',
+        issuer: 'MERN Blog',
+      });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/MERN%20Blog:test%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=MERN+Blog');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique formatted codes', () => {
+      const codes = generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach((code) => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    });
+
+    it('should normalise entered codes', () => {
+      expect(normalizeRecoveryCode(' ABCDE-12345 ')).toBe('abcde-12345');
+      expect(normalizeRecoveryCode('abcde12345')).toBe('abcde-12345');
+      expect(normalizeRecoveryCode('abcde 12345')).toBe('abcde-12345');
+    });
+  });
+});